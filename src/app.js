@@ -26,7 +26,8 @@ const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
   message: {
-    error: 'Too many requests from this IP, please try again later.'
+    status: 'error',
+    message: 'Too many requests from this IP, please try again later.'
   }
 });
 app.use('/api/', limiter);
@@ -41,6 +42,14 @@ app.use((req, res, next) => {
   next();
 });
 
+// Requests must match the API document (served at /api/docs); outside
+// production, responses that drift from it are logged
+const { validateRequest, checkResponses } = require('./midlleware/openapi');
+app.use(validateRequest);
+if (process.env.NODE_ENV !== 'production') {
+  app.use(checkResponses);
+}
+
 // Use routes
 app.use('/', require('./routes'));
 
@@ -53,14 +62,6 @@ app.use('*', (req, res) => {
 });
 
 // Global error handler
-app.use((error, req, res, next) => {
-  console.error('Global error handler:', error);
-  
-  res.status(error.status || 500).json({
-    status: 'error',
-    message: error.message || 'Internal server error',
-    ...(process.env.NODE_ENV === 'development' && { stack: error.stack })
-  });
-});
+app.use(require('./midlleware/errorHandler'));
 
 module.exports = app;
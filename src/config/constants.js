@@ -6,6 +6,22 @@ const GAME_CONSTANTS = {
     FINISHED: 'finished',
     CANCELLED: 'cancelled'
   },
+
+  game: {
+    maxPlayers: 100,
+    minPlayers: 2,
+    maxCardsPerPlayer: 4
+  },
+
+  // Friend games created with a share code (the original front end protocol)
+  HOSTED_GAME: {
+    MAX_PLAYERS: 8,
+    CARD_POOL_SIZE: 20,
+    MAX_CARDS_PER_PLAYER: 2,
+    CODE_LENGTH: 8,
+    NUMBER_CALL_INTERVAL: 3, // seconds
+    PATTERNS: ['line', 'x', 'four_corners']
+  },
   
   CARD: {
     SIZE: 5,
@@ -19,17 +35,92 @@ const GAME_CONSTANTS = {
     }
   },
   
+  // Built-in patterns; more can be defined in the `winning_patterns` configuration
   WINNING_PATTERNS: {
     LINE: 'line',
-    FULL_HOUSE: 'full_house',
+    TWO_LINES: 'two_lines',
+    DIAGONAL: 'diagonal',
     FOUR_CORNERS: 'four_corners',
-    DIAGONAL: 'diagonal'
+    X: 'x',
+    T: 't',
+    L: 'l',
+    POSTAGE_STAMP: 'postage_stamp',
+    BLACKOUT: 'blackout'
+  },
+
+  // Active when a room does not choose its own patterns
+  DEFAULT_PATTERNS: ['line', 'diagonal', 'four_corners'],
+
+  // What happens when auto-daub completes a pattern: the player still has to
+  // claim (manual), or the server claims for them right away (instant)
+  CLAIM_POLICIES: {
+    MANUAL: 'manual',
+    INSTANT: 'instant'
+  },
+
+  FALSE_CLAIM_PENALTIES: {
+    NONE: 'none',
+    LOCKOUT: 'lockout',
+    FINE: 'fine'
+  },
+
+  // What a server restart does to the games it was running: carry on calling
+  // from the persisted draw (resume), or cancel and refund every entry fee
+  RECOVERY_POLICIES: {
+    RESUME: 'resume',
+    CANCEL: 'cancel'
+  },
+
+  RECOVERY_TICK: '*/5 * * * * *', // how often game leases are renewed and lapsed ones taken over
+
+  PLAYER_ROLES: {
+    PLAYER: 'player',
+    ADMIN: 'admin'
+  },
+
+  // Page sizes for list endpoints
+  PAGINATION: {
+    DEFAULT_LIMIT: 20,
+    MAX_LIMIT: 100
+  },
+
+  SPECTATORS: {
+    LEADERBOARD_SIZE: 10 // seats shown to spectators
+  },
+
+  // Knock-out tournaments played in a room of type 'tournament' (see
+  // tournamentService)
+  TOURNAMENT: {
+    STATUS: {
+      REGISTRATION: 'registration',
+      IN_PROGRESS: 'in_progress',
+      FINISHED: 'finished',
+      CANCELLED: 'cancelled'
+    },
+    MAX_ROUNDS: 3,
+    // Percent of the prize pool paid for each final position
+    DEFAULT_PRIZES: [
+      { position: 1, share: 50 },
+      { position: 2, share: 30 },
+      { position: 3, share: 20 }
+    ]
+  },
+
+  SCHEDULE: {
+    STATUS: {
+      ACTIVE: 'active',
+      PAUSED: 'paused',
+      COMPLETED: 'completed',
+      CANCELLED: 'cancelled'
+    },
+    TICK: '*/15 * * * * *', // how often due schedules are looked for
+    LOOKAHEAD_DAYS: 366 // how far ahead the next start of a cron expression is searched
   },
   
   REWARDS: {
     BASE_PRIZE: 50,
     SPEED_BONUS: 10,
-    FULL_HOUSE_BONUS: 100,
+    BLACKOUT_BONUS: 100,
     REFERRAL_BONUS: 25
   },
   
@@ -38,37 +129,151 @@ const GAME_CONSTANTS = {
     GAME: 30, // seconds
     NUMBER_CALL_INTERVAL: 1.2, // seconds
     BINGO_CLAIM_TIMEOUT: 5, // seconds
-    AUTO_START_DELAY: 5 // seconds
+    AUTO_START_DELAY: 5, // seconds
+    RECONNECT_GRACE: 60, // seconds a dropped player keeps their seat
+    LEADER_LEASE: 10, // seconds a node keeps driving a game without renewing
+    SCHEDULER_LEASE: 60, // seconds a node keeps running the schedules without renewing
+    ROUND_BREAK: 15, // seconds between the rounds of a tournament
+    REGISTRATION_WINDOW: 300 // seconds a scheduled game is open for registration before it starts
   }
 };
 
+// Entries of a game's event log (see GameEvent)
+const GAME_EVENT_TYPES = {
+  GAME_CREATED: 'game_created',
+  PLAYER_JOINED: 'player_joined',
+  PLAYER_LEFT: 'player_left',
+  PLAYER_DISCONNECTED: 'player_disconnected',
+  PLAYER_RECONNECTED: 'player_reconnected',
+  CARDS_BOUGHT: 'cards_bought',
+  CARD_SELECTED: 'card_selected',
+  GAME_STARTED: 'game_started',
+  NUMBER_CALLED: 'number_called',
+  NUMBERS_MARKED: 'numbers_marked',
+  BINGO_CLAIMED: 'bingo_claimed',
+  CLAIM_SUBMITTED: 'claim_submitted',
+  CLAIM_VERIFIED: 'claim_verified',
+  FALSE_CLAIM: 'false_claim',
+  SLEEPING_BINGO: 'sleeping_bingo',
+  PRIZE_PAID: 'prize_paid',
+  GAME_RESUMED: 'game_resumed',
+  GAME_ENDED: 'game_ended',
+  GAME_CANCELLED: 'game_cancelled'
+};
+
+// Names of the socket events; their payloads and acknowledgements are
+// described in events/protocol
 const SOCKET_EVENTS = {
   // Connection events
   CONNECTION: 'connection',
   DISCONNECT: 'disconnect',
+  ERROR: 'error',
+  PING: 'ping',
+  PONG: 'pong',
+  RECONNECT: 'reconnect',
+  GET_CONNECTION_STATUS: 'get_connection_status',
+  CONNECTION_STATUS: 'connection_status',
   
   // Game events
   JOIN_GAME: 'join_game',
+  BUY_CARDS: 'buy_cards',
   LEAVE_GAME: 'leave_game',
+  GET_GAME_STATE: 'get_game_state',
   GAME_STATE: 'game_state',
+  GAME_STARTING: 'game_starting',
   GAME_START: 'game_start',
   GAME_END: 'game_end',
+  SPECTATE_GAME: 'spectate_game',
+  STOP_SPECTATING: 'stop_spectating',
   
   // Player events
   PLAYER_JOINED: 'player_joined',
   PLAYER_LEFT: 'player_left',
   PLAYER_READY: 'player_ready',
+  PLAYER_READY_UPDATE: 'player_ready_update',
+  PLAYER_DISCONNECTED: 'player_disconnected',
+  PLAYER_RECONNECTED: 'player_reconnected',
+  RECONNECTED: 'reconnected',
+  UPDATE_PLAYER_STATUS: 'update_player_status',
+  PLAYER_STATUS_UPDATE: 'player_status_update',
+  GET_PLAYER_STATS: 'get_player_stats',
+  PLAYER_STATS: 'player_stats',
+  UPDATE_SETTINGS: 'update_settings',
+  LEVEL_UP: 'level_up',
+  ACHIEVEMENT_UNLOCKED: 'achievement_unlocked',
+
+  // Spectator events (anonymous player progress)
+  SPECTATOR_PROGRESS: 'spectator_progress',
+  SPECTATOR_LEADERBOARD: 'spectator_leaderboard',
   
   // Bingo events
   NUMBER_CALLED: 'number_called',
+  MARK_NUMBER: 'mark_number',
+  AUTO_MARK_NUMBERS: 'auto_mark_numbers',
+  GET_CARD_STATE: 'get_card_state',
   CLAIM_BINGO: 'claim_bingo',
+  BINGO_CLAIMED: 'bingo_claimed',
+  CARD_DAUBED: 'card_daubed',
+  SLEEPING_BINGO: 'sleeping_bingo',
+  CLAIM_PENALTY: 'claim_penalty',
   BINGO_VALID: 'bingo_valid',
   BINGO_INVALID: 'bingo_invalid',
+  BINGO_WINNER: 'bingo_winner',
+  STAGE_COMPLETE: 'stage_complete',
   
   // Room events
+  CREATE_ROOM: 'create_room',
+  JOIN_ROOM: 'join_room',
+  LEAVE_ROOM: 'leave_room',
+  GET_ROOMS: 'get_rooms',
+  ROOMS_LIST: 'rooms_list',
   ROOM_CREATED: 'room_created',
   ROOM_UPDATED: 'room_updated',
-  ROOM_FULL: 'room_full'
+  ROOM_FULL: 'room_full',
+  PLAYER_JOINED_ROOM: 'player_joined_room',
+  PLAYER_LEFT_ROOM: 'player_left_room',
+
+  // Tournament events
+  WATCH_TOURNAMENT: 'watch_tournament',
+  UNWATCH_TOURNAMENT: 'unwatch_tournament',
+  TOURNAMENT_BRACKET: 'tournament_bracket',
+  TOURNAMENT_STANDINGS: 'tournament_standings',
+
+  // Scheduled games
+  UPCOMING_GAME: 'upcoming_game'
+};
+
+// Hyphenated events of the original front end (friend games joined by share
+// code); kept as they are for the clients that still speak them
+const LEGACY_SOCKET_EVENTS = {
+  // Sent by the client
+  CREATE_GAME: 'create-game',
+  JOIN_GAME: 'join-game',
+  SELECT_CARD: 'select-card',
+  START_GAME: 'start-game',
+  MARK_CELL: 'mark-cell',
+  CLAIM_BINGO: 'claim-bingo',
+  VERIFY_BINGO: 'verify-bingo',
+  SEND_CHAT: 'send-chat',
+  LEAVE_GAME: 'leave-game',
+
+  // Sent by the server
+  GAME_CREATED: 'game-created',
+  GAME_JOINED: 'game-joined',
+  CARD_POOL: 'card-pool',
+  CARD_SELECTED: 'card-selected',
+  PLAYER_JOINED: 'player-joined',
+  PLAYER_CARD_SELECTED: 'player-card-selected',
+  ALL_PLAYERS_READY: 'all-players-ready',
+  GAME_STARTED: 'game-started',
+  NUMBER_CALLED: 'number-called',
+  CELL_MARKED: 'cell-marked',
+  PLAYER_MARKED_CELL: 'player-marked-cell',
+  BINGO_CLAIMED: 'bingo-claimed',
+  BINGO_VERIFIED: 'bingo-verified',
+  CHAT_MESSAGE: 'chat-message',
+  PLAYER_LEFT: 'player-left',
+  NEW_HOST: 'new-host'
 };
 
 const ERROR_MESSAGES = {
@@ -77,7 +282,26 @@ const ERROR_MESSAGES = {
     ALREADY_STARTED: 'Game has already started',
     FULL: 'Game is full',
     NOT_ENOUGH_PLAYERS: 'Not enough players to start game',
-    INVALID_CARD: 'Invalid bingo card'
+    INVALID_CARD: 'Invalid bingo card',
+    NOT_HOST: 'Only the host can do that',
+    NOT_IN_PROGRESS: 'Game is not in progress',
+    ALREADY_OVER: 'Game is already over',
+    CARDS_NOT_SELECTED: 'Not all players have selected cards yet',
+    REPLAY_NOT_AVAILABLE: 'The replay is available once the game is over',
+    SPECTATING_DISABLED: 'This game cannot be watched',
+    SPECTATOR_READ_ONLY: 'Spectators cannot do that in this game'
+  },
+  CARD: {
+    NOT_FOUND: 'Card not found',
+    NOT_AVAILABLE: 'Card is not available',
+    ALREADY_SELECTED: 'You have already selected a card',
+    NOT_SELECTED: 'You have not selected a card',
+    LIMIT_REACHED: 'You cannot play any more cards in this game',
+    INVALID_COUNT: 'Invalid number of cards',
+    PURCHASE_FAILED: 'Could not buy cards, please try again',
+    INVALID_CELL: 'Invalid cell',
+    NUMBER_NOT_CALLED: 'Number has not been called yet',
+    ALREADY_MARKED: 'Cell already marked'
   },
   PLAYER: {
     NOT_FOUND: 'Player not found',
@@ -85,15 +309,63 @@ const ERROR_MESSAGES = {
     NOT_IN_GAME: 'Player is not in a game',
     INSUFFICIENT_COINS: 'Insufficient coins'
   },
+  ROOM: {
+    NOT_FOUND: 'Room not found',
+    FULL: 'Room is full',
+    NOT_ACCEPTING: 'Room is not accepting players',
+    NOT_WAITING: 'Room is not in waiting state',
+    HAS_ACTIVE_GAME: 'Room already has an active game',
+    INVALID_PASSWORD: 'Invalid password',
+    BANNED: 'You are banned from this room',
+    ALREADY_IN_ROOM: 'Player already in room',
+    NOT_IN_ROOM: 'Player not found in room',
+    NOT_HOST: 'Only the room host can do that',
+    NEW_OWNER_NOT_IN_ROOM: 'New owner must be a player in the room'
+  },
+  TOURNAMENT: {
+    NOT_FOUND: 'Tournament not found',
+    INVALID_PRIZES: 'Prizes need distinct positions and may not share out more than the pool',
+    REGISTRATION_CLOSED: 'Registration for this tournament is closed',
+    REGISTRATION_FAILED: 'Could not register, please try again',
+    REGISTRATION_REQUIRED: 'Tournament rooms and their games are entered by registering',
+    ALREADY_REGISTERED: 'Player is already registered for this tournament',
+    NOT_REGISTERED: 'Player is not registered for this tournament',
+    NOT_ENOUGH_PLAYERS: 'Not enough players registered to start the tournament',
+    ALREADY_STARTED: 'Tournament has already started',
+    ALREADY_OVER: 'Tournament is already over'
+  },
+  SCHEDULE: {
+    NOT_FOUND: 'Schedule not found',
+    INVALID_CRON: 'Invalid cron expression',
+    INVALID_TIMEZONE: 'Unknown time zone',
+    NO_UPCOMING_START: 'The schedule has no start in the future',
+    NOT_ACTIVE: 'Schedule is not active',
+    NOT_PAUSED: 'Schedule is not paused',
+    ALREADY_OVER: 'Schedule is already over'
+  },
+  AUTH: {
+    REQUIRED: 'Authentication required',
+    INVALID_TOKEN: 'Invalid or expired token',
+    TOKEN_REVOKED: 'Token has been revoked',
+    FORBIDDEN: 'You do not have permission to do that'
+  },
   BINGO: {
     INVALID_CLAIM: 'Invalid bingo claim',
     ALREADY_CLAIMED: 'Bingo already claimed in this game',
-    PATTERN_NOT_COMPLETE: 'Winning pattern not complete'
+    PATTERN_NOT_COMPLETE: 'Winning pattern not complete',
+    CLAIM_PENDING: 'Your bingo claim is waiting for verification',
+    CLAIM_NOT_FOUND: 'No bingo claim found for this player',
+    LOCKED_OUT: 'You cannot claim bingo for a few calls after a false claim'
+  },
+  SOCKET: {
+    UNSUPPORTED_PROTOCOL: 'Unsupported protocol version'
   }
 };
 
 module.exports = {
   GAME_CONSTANTS,
   SOCKET_EVENTS,
+  LEGACY_SOCKET_EVENTS,
+  GAME_EVENT_TYPES,
   ERROR_MESSAGES
 };
@@ -30,7 +30,22 @@ const envVarsSchema = Joi.object({
   
   LOBBY_DURATION: Joi.number()
     .default(30)
-    .description('Lobby waiting time in seconds')
+    .description('Lobby waiting time in seconds'),
+
+  REDIS_URL: Joi.string()
+    .uri({ scheme: ['redis', 'rediss'] })
+    .description('Redis shared by every server instance; unset runs a single instance'),
+
+  REDIS_PREFIX: Joi.string()
+    .default('bingo:')
+    .description('Prefix of every key and channel this app uses in Redis'),
+
+  ADMIN_TELEGRAM_IDS: Joi.string()
+    .pattern(/^\d+(,\d+)*$/)
+    .description('Comma-separated Telegram user ids that sign in as admins'),
+
+  NODE_ID: Joi.string()
+    .description('Name of this instance in leader leases (defaults to host:pid)')
 }).unknown()
   .required();
 
@@ -43,6 +58,7 @@ if (error) {
 const config = {
   env: envVars.NODE_ENV,
   port: envVars.PORT,
+  nodeId: envVars.NODE_ID,
   mongoose: {
     url: envVars.MONGODB_URI,
     options: {
@@ -53,10 +69,12 @@ const config = {
   telegram: {
     botToken: envVars.TELEGRAM_BOT_TOKEN,
     botUsername: envVars.TELEGRAM_BOT_USERNAME,
+    initDataMaxAge: parseInt(envVars.TELEGRAM_INIT_DATA_MAX_AGE, 10) || 86400, // seconds
   },
   jwt: {
     secret: envVars.JWT_SECRET,
     expiresIn: envVars.JWT_EXPIRES_IN || '7d',
+    refreshExpiresInDays: parseInt(envVars.JWT_REFRESH_EXPIRES_IN_DAYS, 10) || 30,
   },
   game: {
     duration: envVars.GAME_DURATION,
@@ -66,6 +84,13 @@ const config = {
   },
   client: {
     url: envVars.CLIENT_URL,
+  },
+  redis: {
+    url: envVars.REDIS_URL,
+    prefix: envVars.REDIS_PREFIX,
+  },
+  admin: {
+    telegramIds: envVars.ADMIN_TELEGRAM_IDS ? envVars.ADMIN_TELEGRAM_IDS.split(',').map(Number) : [],
   }
 };
 
@@ -1,11 +1,16 @@
 const { Server } = require('socket.io');
+const { authenticateSocket } = require('../midlleware/auth');
+const { checkProtocolVersion, checkOutgoing } = require('../midlleware/socketProtocol');
+const registerSocketEvents = require('../events/socketEvents');
+const stateStore = require('../services/stateStore');
+const { createAdapter } = require('@socket.io/redis-adapter');
 
 let io;
 
 const initSocket = (server) => {
   io = new Server(server, {
     cors: {
-      origin: process.env.CLIENT_URL || "*",
+      origin: process.env.CLIENT_URL || process.env.FRONTEND_URL || "*",
       methods: ["GET", "POST"],
       credentials: true
     },
@@ -13,20 +18,30 @@ const initSocket = (server) => {
     pingInterval: 25000
   });
 
+  // Relay broadcasts to sockets held by the other instances, through the
+  // Redis behind the state store. The adapter's subscriber waits out Redis
+  // outages instead of failing its subscriptions.
+  if (stateStore.shared) {
+    const { store } = stateStore;
+    io.adapter(createAdapter(store.duplicate(), store.duplicate({ maxRetriesPerRequest: null }), {
+      key: `${store.prefix}socket.io`
+    }));
+  }
+
+  // Clients must speak a compatible protocol and carry valid Telegram initData
+  io.use(checkProtocolVersion);
+  io.use(authenticateSocket);
+
   io.on('connection', (socket) => {
-    console.log(`🔌 New socket connection: ${socket.id}`);
-    
-    socket.on('disconnect', (reason) => {
-      console.log(`🔌 Socket disconnected: ${socket.id} - Reason: ${reason}`);
-    });
-
-    // Basic ping-pong for connection health
-    socket.on('ping', (data) => {
-      socket.emit('pong', {
-        timestamp: Date.now(),
-        ...data
-      });
-    });
+    // Personal room used for direct notifications
+    socket.join(`user:${socket.userId}`);
+
+    // Outside production, events that drift from the protocol are logged
+    if (process.env.NODE_ENV !== 'production') {
+      socket.onAnyOutgoing(checkOutgoing);
+    }
+
+    registerSocketEvents(socket, io);
   });
 
   return io;
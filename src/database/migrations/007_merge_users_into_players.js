@@ -0,0 +1,213 @@
+const mongoose = require('mongoose');
+const { withTransaction } = require('../withTransaction');
+
+// Folds the legacy `users` collection into `players`. Users are matched on
+// telegramId (stored as a string on users, a number on players); balances are
+// added to coins through a ledger entry so the transaction history stays
+// consistent. Re-running is safe: merged users are skipped, and a player is
+// only credited a user that is not in its `mergedUsers` yet, so a run stopped
+// half-way through a user does not credit it twice.
+async function run() {
+  console.log('Merging users into players...');
+
+  const db = mongoose.connection.db;
+
+  const collections = await db.listCollections({ name: 'users' }).toArray();
+  if (collections.length === 0) {
+    console.log('⏭️ No users collection, nothing to merge');
+    return;
+  }
+
+  const users = db.collection('users');
+  const players = db.collection('players');
+  const idMap = new Map();
+
+  // Users merged by a previous run still need to be mapped for references
+  const alreadyMerged = await users.find({ mergedInto: { $exists: true } }).toArray();
+  for (const user of alreadyMerged) {
+    idMap.set(user._id.toString(), user.mergedInto);
+  }
+
+  let merged = 0;
+  let created = 0;
+
+  const cursor = users.find({ mergedInto: { $exists: false } });
+  for await (const user of cursor) {
+    const telegramId = Number(user.telegramId);
+    if (!Number.isFinite(telegramId)) {
+      console.log(`⚠️ Skipping user ${user._id}: invalid telegramId ${user.telegramId}`);
+      continue;
+    }
+
+    const settings = user.settings || {};
+    let player = await players.findOne({ telegramId });
+
+    if (!player) {
+      const now = new Date();
+      const newPlayer = {
+        telegramId,
+        telegramUsername: user.username ? user.username.toLowerCase() : undefined,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        languageCode: user.languageCode || 'en',
+        avatar: user.avatar,
+        coins: 0,
+        totalGames: 0,
+        gamesWon: 0,
+        totalBingos: 0,
+        experience: 0,
+        level: 1,
+        isOnline: false,
+        lastActive: user.lastActive || now,
+        settings: {
+          soundEnabled: settings.soundEnabled !== false,
+          vibrationEnabled: true,
+          autoMarkNumbers: settings.autoMarkEnabled !== false,
+          notificationsEnabled: settings.notificationsEnabled !== false,
+          theme: settings.theme || 'auto'
+        },
+        referralCode: user.referralCode,
+        referralsCount: 0,
+        tokenVersion: 0,
+        createdAt: user.createdAt || now,
+        updatedAt: now
+      };
+
+      // The legacy code may already belong to a player; this player then gets
+      // a new one the next time it is saved
+      let insertedId;
+      try {
+        ({ insertedId } = await players.insertOne(newPlayer));
+      } catch (error) {
+        if (error.code !== 11000 || !error.keyPattern || !error.keyPattern.referralCode) {
+          throw error;
+        }
+        console.log(`⚠️ Referral code ${user.referralCode} of user ${user._id} is taken, dropping it`);
+        delete newPlayer._id;
+        delete newPlayer.referralCode;
+        ({ insertedId } = await players.insertOne(newPlayer));
+      }
+      player = await players.findOne({ _id: insertedId });
+      created++;
+    }
+
+    await withTransaction(session => mergeUser(db, user, player, session));
+    idMap.set(user._id.toString(), player._id);
+    merged++;
+  }
+
+  console.log(`✅ Merged ${merged} user(s), created ${created} new player(s)`);
+
+  // Referrals pointed at user ids
+  let referrals = 0;
+  const referred = await users.find({ referredBy: { $exists: true, $ne: null } }).toArray();
+  for (const user of referred) {
+    const playerId = idMap.get(user._id.toString());
+    const referrerId = idMap.get(user.referredBy.toString());
+    if (playerId && referrerId) {
+      await players.updateOne(
+        { _id: playerId, referredBy: { $exists: false } },
+        { $set: { referredBy: referrerId } }
+      );
+      referrals++;
+    }
+  }
+
+  console.log(`✅ Remapped ${referrals} referral(s)`);
+
+  // Leaderboard rankings referenced users
+  let boards = 0;
+  const leaderboards = await db.collection('leaderboards')
+    .find({ 'rankings.user': { $exists: true } })
+    .toArray();
+
+  for (const board of leaderboards) {
+    const rankings = board.rankings.map(({ user, ...ranking }) => ({
+      ...ranking,
+      player: ranking.player || idMap.get(String(user)) || user
+    }));
+
+    await db.collection('leaderboards').updateOne(
+      { _id: board._id },
+      { $set: { rankings } }
+    );
+    boards++;
+  }
+
+  console.log(`✅ Repointed ${boards} leaderboard(s) to players`);
+}
+
+// Carry one user's balance and stats over to its player, record the credit in
+// the ledger and mark the user merged. Inside a transaction these writes land
+// together; without one (standalone servers) the credit is still applied once,
+// as it only matches a player that has not taken this user in yet.
+async function mergeUser(db, user, player, session) {
+  const players = db.collection('players');
+  const options = session ? { session } : {};
+  const settings = user.settings || {};
+  const balance = user.balance || 0;
+
+  const result = await players.findOneAndUpdate(
+    { _id: player._id, mergedUsers: { $ne: user._id } },
+    {
+      $inc: {
+        coins: balance,
+        totalWinnings: user.totalWinnings || 0
+      },
+      $max: {
+        totalGames: user.gamesPlayed || 0,
+        gamesWon: user.gamesWon || 0,
+        level: user.level || 1,
+        experience: user.experience || 0,
+        referralsCount: user.referralCount || 0,
+        currentStreak: user.currentStreak || 0,
+        longestStreak: user.longestStreak || 0
+      },
+      $addToSet: {
+        achievements: { $each: user.achievements || [] },
+        mergedUsers: user._id
+      },
+      $set: {
+        avatar: player.avatar || user.avatar,
+        isActive: user.isActive !== false,
+        'settings.notificationsEnabled': settings.notificationsEnabled !== false
+      }
+    },
+    { ...options, projection: { coins: 1 } }
+  );
+
+  // Only the run that credited the balance records it
+  const before = result.value;
+  if (before && balance > 0) {
+    const coinsBefore = before.coins || 0;
+    await db.collection('transactions').updateOne(
+      { reference: `merge:user:${user._id}` },
+      {
+        $setOnInsert: {
+          transactionId: `TXN_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+          reference: `merge:user:${user._id}`,
+          player: player._id,
+          type: 'admin_adjustment',
+          category: 'credit',
+          amount: balance,
+          currency: 'coins',
+          balanceBefore: coinsBefore,
+          balanceAfter: coinsBefore + balance,
+          description: 'Balance carried over from legacy user account',
+          status: 'completed',
+          processedAt: new Date(),
+          createdAt: new Date(),
+          updatedAt: new Date()
+        }
+      },
+      { ...options, upsert: true }
+    );
+  }
+
+  await db.collection('users').updateOne({ _id: user._id }, { $set: { mergedInto: player._id } }, options);
+}
+
+module.exports = {
+  name: '007_merge_users_into_players',
+  run
+};
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Game players held a single `bingoCard`; they now hold a `bingoCards` list
+// and a `cardCount` of cards paid for. Re-running is safe: only entries that
+// still have the old field are converted.
+async function run() {
+  console.log('Converting game players to multiple cards...');
+
+  const games = mongoose.connection.db.collection('games');
+
+  let converted = 0;
+  const cursor = games.find({ 'players.bingoCard': { $exists: true } });
+  for await (const game of cursor) {
+    const players = game.players.map(({ bingoCard, ...entry }) => {
+      if (bingoCard === undefined) {
+        return entry;
+      }
+
+      const bingoCards = entry.bingoCards || (bingoCard ? [bingoCard] : []);
+      return {
+        ...entry,
+        bingoCards,
+        cardCount: entry.cardCount || Math.max(1, bingoCards.length)
+      };
+    });
+
+    await games.updateOne({ _id: game._id }, { $set: { players } });
+    converted++;
+  }
+
+  const defaults = await games.updateMany(
+    { 'config.maxCardsPerPlayer': { $exists: false } },
+    { $set: { 'config.maxCardsPerPlayer': 1 } }
+  );
+
+  console.log(`✅ Converted ${converted} game(s), set a card limit on ${defaults.modifiedCount} game(s)`);
+}
+
+module.exports = {
+  name: '008_multi_card_players',
+  run
+};
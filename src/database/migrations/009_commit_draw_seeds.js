@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const fairnessService = require('../../services/fairnessService');
+const paymentService = require('../../services/paymentService');
+require('../../models/Player');
+
+// Games cancelled here because they were running on a draw without a seed
+const CANCEL_REASON = 'draw_seed_missing';
+
+// Numbers are drawn from a committed seed. Games that have not started yet
+// get their commitment now; games that are over keep their old, unverifiable
+// draws. A running game cannot switch to a seeded draw half-way (it would call
+// numbers again), so it is cancelled and its entry fees are refunded.
+// Re-running is safe: committed games are skipped, and a game cancelled here is
+// only switched once while its refund and clean-up are repeated until done.
+async function run() {
+  console.log('Committing draw seeds for waiting games...');
+
+  const db = mongoose.connection.db;
+  const games = db.collection('games');
+
+  let committed = 0;
+  const cursor = games.find({
+    status: 'waiting',
+    'fairness.serverSeedHash': { $exists: false }
+  });
+
+  for await (const game of cursor) {
+    const { serverSeed, serverSeedHash } = fairnessService.createCommitment();
+    await games.updateOne(
+      { _id: game._id, 'fairness.serverSeedHash': { $exists: false } },
+      { $set: { 'fairness.serverSeed': serverSeed, 'fairness.serverSeedHash': serverSeedHash } }
+    );
+    committed++;
+  }
+
+  console.log(`✅ Committed draw seeds for ${committed} game(s)`);
+
+  let cancelled = 0;
+  const running = games.find({
+    'fairness.serverSeed': { $exists: false },
+    $or: [
+      { status: 'in_progress' },
+      { status: 'cancelled', cancelReason: CANCEL_REASON }
+    ]
+  });
+
+  for await (const game of running) {
+    const now = new Date();
+    await games.updateOne(
+      { _id: game._id, status: 'in_progress' },
+      {
+        $set: {
+          status: 'cancelled',
+          phase: 'results',
+          actualEndTime: now,
+          cancelReason: CANCEL_REASON
+        }
+      }
+    );
+
+    await paymentService.refundGame(game._id, CANCEL_REASON);
+
+    await db.collection('rooms').updateOne(
+      { _id: game.room, currentGame: game._id },
+      { $set: { status: 'waiting', currentGame: null, lastActivity: now }, $inc: { 'stats.totalGames': 1 } }
+    );
+    await db.collection('players').updateMany(
+      { currentGame: game._id },
+      { $unset: { currentGame: 1, currentRoom: 1 } }
+    );
+
+    if (game.tournamentRound) {
+      console.log(`⚠️ Game ${game._id} was a tournament round; its tournament has to be cancelled by an admin`);
+    }
+    cancelled++;
+  }
+
+  console.log(`✅ Cancelled and refunded ${cancelled} running game(s) without a draw seed`);
+}
+
+module.exports = {
+  name: '009_commit_draw_seeds',
+  run
+};
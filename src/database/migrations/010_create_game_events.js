@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+async function run() {
+  console.log('Creating game events collection...');
+
+  const db = mongoose.connection.db;
+
+  const collections = await db.listCollections({ name: 'gameevents' }).toArray();
+  if (collections.length === 0) {
+    await db.createCollection('gameevents');
+    console.log('✅ Game events collection created');
+  } else {
+    console.log('⏭️ Game events collection already exists');
+  }
+
+  // Events are numbered per game; the unique index keeps the log in one order
+  await db.collection('gameevents').createIndex({ game: 1, sequence: 1 }, { unique: true });
+  await db.collection('gameevents').createIndex({ game: 1, type: 1 });
+  await db.collection('gameevents').createIndex({ player: 1, createdAt: -1 });
+
+  console.log('✅ Game events indexes created');
+}
+
+module.exports = {
+  name: '010_create_game_events',
+  run
+};
@@ -3,32 +3,74 @@ const mongoose = require('mongoose');
 async function run() {
   console.log('Setting up game patterns configuration...');
   
+  // Each pattern is either a built-in `shape` or a list of `masks`, where a
+  // mask is a 25-bit number or five rows with X on the cells to mark
   const patterns = [
     {
       name: 'line',
       displayName: 'Row or Column',
       description: 'Complete one entire row or column',
-      patterns: [
-        'Complete horizontal line (any row)',
-        'Complete vertical line (any column)'
-      ]
+      shape: 'line'
+    },
+    {
+      name: 'two_lines',
+      displayName: 'Two Lines',
+      description: 'Complete any two rows or columns',
+      shape: 'line',
+      minMatches: 2
     },
     {
       name: 'diagonal',
       displayName: 'Diagonal',
       description: 'Complete one diagonal line',
-      patterns: [
-        'Top-left to bottom-right diagonal',
-        'Top-right to bottom-left diagonal'
-      ]
+      shape: 'diagonal'
     },
     {
       name: 'four_corners',
       displayName: 'Four Corners',
       description: 'Mark all four corner cells',
-      patterns: [
-        'Top-left, top-right, bottom-left, bottom-right'
+      shape: 'four_corners'
+    },
+    {
+      name: 'x',
+      displayName: 'X',
+      description: 'Complete both diagonals',
+      masks: [
+        ['X...X', '.X.X.', '..X..', '.X.X.', 'X...X']
+      ]
+    },
+    {
+      name: 't',
+      displayName: 'T',
+      description: 'Complete the top row and the middle column',
+      masks: [
+        ['XXXXX', '..X..', '..X..', '..X..', '..X..']
       ]
+    },
+    {
+      name: 'l',
+      displayName: 'L',
+      description: 'Complete the left column and the bottom row',
+      masks: [
+        ['X....', 'X....', 'X....', 'X....', 'XXXXX']
+      ]
+    },
+    {
+      name: 'postage_stamp',
+      displayName: 'Postage Stamp',
+      description: 'Mark a 2x2 block in any corner',
+      masks: [
+        ['XX...', 'XX...', '.....', '.....', '.....'],
+        ['...XX', '...XX', '.....', '.....', '.....'],
+        ['.....', '.....', '.....', 'XX...', 'XX...'],
+        ['.....', '.....', '.....', '...XX', '...XX']
+      ]
+    },
+    {
+      name: 'blackout',
+      displayName: 'Blackout',
+      description: 'Mark every cell on the card',
+      shape: 'blackout'
     }
   ];
 
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+
+// Multi-document transactions need a replica set; standalone servers (local
+// development) fall back to running the work without a session.
+let transactionsSupported = true;
+
+const isTransactionUnsupported = (error) => (
+  error && (
+    error.code === 20 ||
+    /Transaction numbers are only allowed|replica set/i.test(error.message || '')
+  )
+);
+
+// Run `work(session)` inside a MongoDB transaction
+async function withTransaction(work) {
+  if (!transactionsSupported) {
+    return work(null);
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } catch (error) {
+    if (!isTransactionUnsupported(error)) {
+      throw error;
+    }
+
+    transactionsSupported = false;
+    logger.warn('MongoDB transactions are not supported by this server, continuing without them');
+    return work(null);
+  } finally {
+    await session.endSession();
+  }
+}
+
+module.exports = {
+  withTransaction,
+  isTransactionUnsupported
+};
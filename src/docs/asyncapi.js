@@ -0,0 +1,203 @@
+const Joi = require('joi');
+const {
+  PROTOCOL_VERSION,
+  GROUPS,
+  inbound,
+  outbound,
+  errorAck
+} = require('../events/protocol');
+
+// AsyncAPI 2 description of the socket protocol, served at /api/docs/socket.
+// It is generated from the Joi schemas in events/protocol, which also
+// validate the traffic, so the document cannot fall behind the server.
+//
+// In AsyncAPI terms the client publishes the inbound events and subscribes to
+// the outbound ones. Acknowledgements are described by the `x-ack` extension
+// of each inbound message.
+
+// JSON Schema for a described Joi schema; covers the parts of Joi the
+// protocol uses
+function toJsonSchema(description) {
+  const { type, flags = {}, rules = [], allow = [] } = description;
+  const limit = name => {
+    const rule = rules.find(r => r.name === name);
+    return rule ? rule.args.limit : undefined;
+  };
+  const has = name => rules.some(r => r.name === name);
+  let schema = {};
+
+  switch (type) {
+    case 'object': {
+      const keys = description.keys || {};
+      const names = Object.keys(keys);
+      schema = { type: 'object' };
+      if (names.length > 0) {
+        schema.properties = Object.fromEntries(names.map(name => [name, toJsonSchema(keys[name])]));
+        const required = names.filter(name => (keys[name].flags || {}).presence === 'required');
+        if (required.length > 0) {
+          schema.required = required;
+        }
+        if (!flags.unknown) {
+          schema.additionalProperties = false;
+        }
+      }
+      for (const dependency of description.dependencies || []) {
+        const alternatives = dependency.peers.map(peer => ({ required: [peer] }));
+        if (dependency.rel === 'or') {
+          schema.anyOf = alternatives;
+        } else if (dependency.rel === 'xor') {
+          schema.oneOf = alternatives;
+        }
+      }
+      break;
+    }
+    case 'string':
+      schema = { type: 'string' };
+      if (has('hex')) {
+        schema.pattern = '^[0-9a-fA-F]*$';
+      }
+      if (has('length')) {
+        schema.minLength = limit('length');
+        schema.maxLength = limit('length');
+      }
+      if (has('min')) {
+        schema.minLength = limit('min');
+      }
+      if (has('max')) {
+        schema.maxLength = limit('max');
+      }
+      break;
+    case 'number':
+      schema = { type: has('integer') ? 'integer' : 'number' };
+      if (has('min')) {
+        schema.minimum = limit('min');
+      }
+      if (has('max')) {
+        schema.maximum = limit('max');
+      }
+      break;
+    case 'boolean':
+      schema = { type: 'boolean' };
+      break;
+    case 'date':
+      schema = { type: 'string', format: 'date-time' };
+      break;
+    case 'array': {
+      schema = { type: 'array' };
+      const items = (description.items || []).map(toJsonSchema);
+      if (items.length === 1) {
+        schema.items = items[0];
+      } else if (items.length > 1) {
+        schema.items = { anyOf: items };
+      }
+      if (has('min')) {
+        schema.minItems = limit('min');
+      }
+      if (has('max')) {
+        schema.maxItems = limit('max');
+      }
+      break;
+    }
+    case 'alternatives':
+      schema = { anyOf: description.matches.map(match => toJsonSchema(match.schema)) };
+      break;
+    default:
+      schema = {};
+  }
+
+  if (flags.only) {
+    schema.enum = allow;
+  } else if (allow.includes(null) && schema.type) {
+    schema.type = [schema.type, 'null'];
+  }
+  if (flags.default !== undefined) {
+    schema.default = flags.default;
+  }
+  if (flags.description) {
+    schema.description = flags.description;
+  }
+
+  return schema;
+}
+
+const jsonSchema = joiSchema => toJsonSchema(joiSchema.describe());
+
+const messageRef = id => ({ $ref: `#/components/messages/${id}` });
+
+// Messages are keyed by direction: the same name may travel both ways
+const clientMessages = Object.fromEntries(Object.entries(inbound).map(([event, definition]) => [
+  `client.${event}`,
+  {
+    name: event,
+    summary: definition.summary,
+    tags: [{ name: definition.group }],
+    payload: jsonSchema(definition.payload),
+    'x-ack': {
+      oneOf: [
+        jsonSchema(Joi.object({
+          success: Joi.boolean().valid(true).required(),
+          ...definition.ack
+        }).unknown()),
+        { $ref: '#/components/schemas/ErrorAck' }
+      ]
+    }
+  }
+]));
+
+const serverMessages = Object.fromEntries(Object.entries(outbound).map(([event, definition]) => [
+  `server.${event}`,
+  {
+    name: event,
+    summary: definition.summary,
+    tags: [{ name: definition.group }],
+    payload: jsonSchema(definition.payload)
+  }
+]));
+
+const document = {
+  asyncapi: '2.6.0',
+  id: 'urn:bingo-backend:socket',
+  info: {
+    title: 'Bingo Game socket protocol',
+    version: PROTOCOL_VERSION,
+    description: 'socket.io events of live play. Connect with a session token (auth.token) or ' +
+      'Telegram initData (auth.initData), and announce the protocol version you speak in ' +
+      'auth.protocolVersion; another major version is refused. Pass a callback with any event ' +
+      'to get an acknowledgement: { success: true, ... } or { success: false, error, code, errors? }. ' +
+      'Without one, a failure arrives as an error event.'
+  },
+  defaultContentType: 'application/json',
+  servers: {
+    default: {
+      url: '/',
+      protocol: 'wss',
+      description: 'The default socket.io namespace of the API server'
+    }
+  },
+  tags: Object.entries(GROUPS).map(([name, description]) => ({ name, description })),
+  channels: {
+    '/': {
+      publish: {
+        operationId: 'sendEvent',
+        summary: 'Events the client sends',
+        message: { oneOf: Object.keys(clientMessages).map(messageRef) }
+      },
+      subscribe: {
+        operationId: 'receiveEvent',
+        summary: 'Events the server sends',
+        message: { oneOf: Object.keys(serverMessages).map(messageRef) }
+      }
+    }
+  },
+  components: {
+    schemas: {
+      ErrorAck: jsonSchema(errorAck)
+    },
+    messages: {
+      ...clientMessages,
+      ...serverMessages
+    }
+  }
+};
+
+module.exports = document;
@@ -0,0 +1,1407 @@
+const { GAME_CONSTANTS } = require('../config/constants');
+const { version } = require('../../package.json');
+
+// OpenAPI 3 description of the HTTP API, served at /api/docs. Request
+// validation, response checks (see midlleware/openapi) and the contract tests
+// are all driven by this document, so a route change starts here.
+//
+// Every JSON response uses one envelope: `status` ('success' or 'error'), a
+// human-readable `message`, the payload in `data`, and for validation errors
+// the individual problems in `errors`.
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+// A success envelope carrying `data` of the given schema
+const ok = (description, data) => ({
+  description,
+  content: {
+    'application/json': {
+      schema: {
+        allOf: [
+          ref('Success'),
+          data ? { type: 'object', required: ['data'], properties: { data } } : {}
+        ]
+      }
+    }
+  }
+});
+
+const errorResponse = name => ({ $ref: `#/components/responses/${name}` });
+
+const objectIdParam = (name, description) => ({
+  name,
+  in: 'path',
+  required: true,
+  description,
+  schema: ref('ObjectId')
+});
+
+const paginationParams = [
+  { $ref: '#/components/parameters/Page' },
+  { $ref: '#/components/parameters/Limit' }
+];
+
+const authenticated = [{ bearerAuth: [] }, { telegramInitData: [] }];
+
+const spec = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Bingo Game API',
+    version,
+    description: 'HTTP API of the Telegram bingo server. Live play happens over socket.io; ' +
+      'these endpoints cover sign-in, lobbies, tournaments, scheduled games, profiles, fairness proofs ' +
+      'and administration.'
+  },
+  servers: [{ url: '/' }],
+  tags: [
+    { name: 'System' },
+    { name: 'Auth' },
+    { name: 'Games' },
+    { name: 'Rooms' },
+    { name: 'Tournaments' },
+    { name: 'Schedules' },
+    { name: 'Players' },
+    { name: 'Admin' },
+    { name: 'Webhooks' }
+  ],
+
+  paths: {
+    '/health': {
+      get: {
+        tags: ['System'],
+        summary: 'Health check',
+        responses: {
+          200: ok('Server is running', {
+            type: 'object',
+            required: ['timestamp', 'environment'],
+            properties: {
+              timestamp: { type: 'string', format: 'date-time' },
+              environment: { type: 'string' }
+            }
+          })
+        }
+      }
+    },
+
+    '/api': {
+      get: {
+        tags: ['System'],
+        summary: 'API index',
+        responses: {
+          200: ok('API version and entry points', {
+            type: 'object',
+            required: ['version', 'endpoints'],
+            properties: {
+              version: { type: 'string' },
+              endpoints: { type: 'object', additionalProperties: { type: 'string' } }
+            }
+          })
+        }
+      }
+    },
+
+    '/api/docs': {
+      get: {
+        tags: ['System'],
+        summary: 'This OpenAPI document',
+        responses: {
+          200: {
+            description: 'OpenAPI 3 document',
+            content: { 'application/json': { schema: { type: 'object', required: ['openapi', 'paths'] } } }
+          }
+        }
+      }
+    },
+
+    '/api/docs/socket': {
+      get: {
+        tags: ['System'],
+        summary: 'AsyncAPI document of the socket.io events',
+        responses: {
+          200: {
+            description: 'AsyncAPI 2 document',
+            content: { 'application/json': { schema: { type: 'object', required: ['asyncapi', 'channels'] } } }
+          }
+        }
+      }
+    },
+
+    '/api/stats': {
+      get: {
+        tags: ['System'],
+        summary: 'Live game statistics',
+        responses: {
+          200: ok('Games open or running right now', ref('LiveStats'))
+        }
+      }
+    },
+
+    '/api/auth/telegram': {
+      post: {
+        tags: ['Auth'],
+        summary: 'Exchange verified Telegram initData for a session',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['initData'],
+                properties: { initData: { type: 'string', minLength: 1 } }
+              }
+            }
+          }
+        },
+        responses: {
+          200: ok('Signed in', {
+            allOf: [ref('AuthTokens'), {
+              type: 'object',
+              required: ['player'],
+              properties: { player: ref('Player') }
+            }]
+          }),
+          400: errorResponse('BadRequest'),
+          401: errorResponse('Unauthorized')
+        }
+      }
+    },
+
+    '/api/auth/refresh': {
+      post: {
+        tags: ['Auth'],
+        summary: 'Rotate the refresh token and issue a new access token',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['refreshToken'],
+                properties: { refreshToken: { type: 'string', minLength: 1 } }
+              }
+            }
+          }
+        },
+        responses: {
+          200: ok('Token refreshed', ref('AuthTokens')),
+          400: errorResponse('BadRequest'),
+          401: errorResponse('Unauthorized')
+        }
+      }
+    },
+
+    '/api/auth/logout': {
+      post: {
+        tags: ['Auth'],
+        summary: 'Revoke every token issued to the current player',
+        security: authenticated,
+        responses: {
+          200: ok('Logged out'),
+          401: errorResponse('Unauthorized')
+        }
+      }
+    },
+
+    '/api/game/create': {
+      post: {
+        tags: ['Games'],
+        summary: 'Create a friend game hosted by the current player',
+        security: authenticated,
+        responses: {
+          200: ok('Game created', {
+            type: 'object',
+            required: ['gameId'],
+            properties: {
+              gameId: { type: 'string', description: 'Code players use to join' }
+            }
+          }),
+          401: errorResponse('Unauthorized')
+        }
+      }
+    },
+
+    '/api/games': {
+      get: {
+        tags: ['Games'],
+        summary: 'List games, newest first',
+        security: authenticated,
+        parameters: [
+          { $ref: '#/components/parameters/GameStatus' },
+          { $ref: '#/components/parameters/RoomType' },
+          ...paginationParams
+        ],
+        responses: {
+          200: ok('A page of games', ref('GamePage')),
+          400: errorResponse('BadRequest'),
+          401: errorResponse('Unauthorized')
+        }
+      }
+    },
+
+    '/api/games/{id}': {
+      get: {
+        tags: ['Games'],
+        summary: 'Get a game',
+        description: "Until the game is over only the caller's own cards are included; other players show just their card count.",
+        security: authenticated,
+        parameters: [objectIdParam('id', 'Game')],
+        responses: {
+          200: ok('The game', ref('Game')),
+          400: errorResponse('BadRequest'),
+          401: errorResponse('Unauthorized'),
+          404: errorResponse('NotFound')
+        }
+      }
+    },
+
+    '/api/games/{id}/verify': {
+      get: {
+        tags: ['Games'],
+        summary: 'Seeds and draw order to recompute the called numbers',
+        security: authenticated,
+        parameters: [{ $ref: '#/components/parameters/PublicGameId' }],
+        responses: {
+          200: ok('Draw commitment, and once the game is over the revealed seed', ref('DrawVerification')),
+          401: errorResponse('Unauthorized'),
+          404: errorResponse('NotFound')
+        }
+      }
+    },
+
+    '/api/games/{id}/replay': {
+      get: {
+        tags: ['Games'],
+        summary: "A finished game's event log",
+        description: 'Newline-delimited JSON: a header line with the cards and seeds, then one line per event in order.',
+        security: authenticated,
+        parameters: [{ $ref: '#/components/parameters/PublicGameId' }],
+        responses: {
+          200: {
+            description: 'Replay stream',
+            content: { 'application/x-ndjson': { schema: { type: 'string' } } }
+          },
+          401: errorResponse('Unauthorized'),
+          404: errorResponse('NotFound'),
+          409: errorResponse('Conflict')
+        }
+      }
+    },
+
+    '/api/games/{id}/join': {
+      post: {
+        tags: ['Games'],
+        summary: 'Join a game with a number of cards',
+        security: authenticated,
+        parameters: [objectIdParam('id', 'Game')],
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: { cardCount: { type: 'integer', minimum: 1, default: 1 } }
+              }
+            }
+          }
+        },
+        responses: {
+          200: ok('Joined', ref('Game')),
+          400: errorResponse('BadRequest'),
+          401: errorResponse('Unauthorized'),
+          402: errorResponse('PaymentRequired'),
+          404: errorResponse('NotFound'),
+          409: errorResponse('Conflict')
+        }
+      }
+    },
+
+    '/api/games/{id}/leave': {
+      post: {
+        tags: ['Games'],
+        summary: 'Leave a game',
+        security: authenticated,
+        parameters: [objectIdParam('id', 'Game')],
+        responses: {
+          200: ok('Left'),
+          400: errorResponse('BadRequest'),
+          401: errorResponse('Unauthorized'),
+          404: errorResponse('NotFound'),
+          409: errorResponse('Conflict')
+        }
+      }
+    },
+
+    '/api/rooms': {
+      get: {
+        tags: ['Rooms'],
+        summary: 'List rooms; private rooms only when asked for by type',
+        security: authenticated,
+        parameters: [
+          {
+            name: 'status',
+            in: 'query',
+            style: 'form',
+            explode: true,
+            schema: {
+              type: 'array',
+              items: { type: 'string', enum: ['waiting', 'starting', 'in_game', 'finished', 'closed'] }
+            }
+          },
+          { $ref: '#/components/parameters/RoomType' },
+          ...paginationParams
+        ],
+        responses: {
+          200: ok('A page of rooms', ref('RoomPage')),
+          400: errorResponse('BadRequest'),
+          401: errorResponse('Unauthorized')
+        }
+      },
+      post: {
+        tags: ['Rooms'],
+        summary: 'Create a room hosted by the current player',
+        security: authenticated,
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: ref('CreateRoom') } }
+        },
+        responses: {
+          201: ok('Room created', ref('Room')),
+          400: errorResponse('BadRequest'),
+          401: errorResponse('Unauthorized')
+        }
+      }
+    },
+
+    '/api/rooms/{id}': {
+      get: {
+        tags: ['Rooms'],
+        summary: 'Get a room with its players and current game',
+        security: authenticated,
+        parameters: [objectIdParam('id', 'Room')],
+        responses: {
+          200: ok('The room', ref('Room')),
+          400: errorResponse('BadRequest'),
+          401: errorResponse('Unauthorized'),
+          404: errorResponse('NotFound')
+        }
+      }
+    },
+
+    '/api/rooms/{id}/stats': {
+      get: {
+        tags: ['Rooms'],
+        summary: "Totals over the room's finished games",
+        security: authenticated,
+        parameters: [objectIdParam('id', 'Room')],
+        responses: {
+          200: ok('Room statistics', {
+            type: 'object',
+            required: ['room', 'games'],
+            properties: {
+              room: { type: 'object' },
+              games: {
+                type: 'object',
+                required: ['totalGames', 'totalPlayers', 'totalWinners', 'totalPrize'],
+                properties: {
+                  totalGames: { type: 'integer' },
+                  totalPlayers: { type: 'integer' },
+                  totalWinners: { type: 'integer' },
+                  totalPrize: { type: 'number' },
+                  averageGameDuration: { type: 'number', nullable: true }
+                }
+              }
+            }
+          }),
+          400: errorResponse('BadRequest'),
+          401: errorResponse('Unauthorized'),
+          404: errorResponse('NotFound')
+        }
+      }
+    },
+
+    '/api/rooms/{id}/join': {
+      post: {
+        tags: ['Rooms'],
+        summary: 'Join a room (private rooms need the password)',
+        security: authenticated,
+        parameters: [objectIdParam('id', 'Room')],
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: { password: { type: 'string', maxLength: 50 } }
+              }
+            }
+          }
+        },
+        responses: {
+          200: ok('Joined', ref('Room')),
+          400: errorResponse('BadRequest'),
+          401: errorResponse('Unauthorized'),
+          403: errorResponse('Forbidden'),
+          404: errorResponse('NotFound'),
+          409: errorResponse('Conflict')
+        }
+      }
+    },
+
+    '/api/rooms/{id}/leave': {
+      post: {
+        tags: ['Rooms'],
+        summary: 'Leave a room',
+        security: authenticated,
+        parameters: [objectIdParam('id', 'Room')],
+        responses: {
+          200: ok('Left'),
+          400: errorResponse('BadRequest'),
+          401: errorResponse('Unauthorized'),
+          404: errorResponse('NotFound'),
+          409: errorResponse('Conflict')
+        }
+      }
+    },
+
+    '/api/tournaments': {
+      get: {
+        tags: ['Tournaments'],
+        summary: 'List tournaments, newest first',
+        security: authenticated,
+        parameters: [
+          { $ref: '#/components/parameters/TournamentStatus' },
+          ...paginationParams
+        ],
+        responses: {
+          200: ok('A page of tournaments', ref('TournamentPage')),
+          400: errorResponse('BadRequest'),
+          401: errorResponse('Unauthorized')
+        }
+      }
+    },
+
+    '/api/tournaments/{id}': {
+      get: {
+        tags: ['Tournaments'],
+        summary: 'A tournament with its bracket and standings',
+        security: authenticated,
+        parameters: [objectIdParam('id', 'Tournament room')],
+        responses: {
+          200: ok('The tournament', ref('Tournament')),
+          400: errorResponse('BadRequest'),
+          401: errorResponse('Unauthorized'),
+          404: errorResponse('NotFound')
+        }
+      }
+    },
+
+    '/api/tournaments/{id}/register': {
+      post: {
+        tags: ['Tournaments'],
+        summary: 'Register for a tournament and pay the buy-in',
+        security: authenticated,
+        parameters: [objectIdParam('id', 'Tournament room')],
+        responses: {
+          200: ok('Registered', ref('Tournament')),
+          400: errorResponse('BadRequest'),
+          401: errorResponse('Unauthorized'),
+          402: errorResponse('PaymentRequired'),
+          403: errorResponse('Forbidden'),
+          404: errorResponse('NotFound'),
+          409: errorResponse('Conflict')
+        }
+      }
+    },
+
+    '/api/tournaments/{id}/unregister': {
+      post: {
+        tags: ['Tournaments'],
+        summary: 'Withdraw before the start; the buy-in is refunded',
+        security: authenticated,
+        parameters: [objectIdParam('id', 'Tournament room')],
+        responses: {
+          200: ok('Unregistered', ref('Tournament')),
+          400: errorResponse('BadRequest'),
+          401: errorResponse('Unauthorized'),
+          404: errorResponse('NotFound'),
+          409: errorResponse('Conflict')
+        }
+      }
+    },
+
+    '/api/schedules': {
+      get: {
+        tags: ['Schedules'],
+        summary: 'Upcoming scheduled games, next start first',
+        description: 'A game open for registration (currentGame) is joined through /api/games/{id}/join.',
+        security: authenticated,
+        parameters: paginationParams,
+        responses: {
+          200: ok('A page of schedules', ref('SchedulePage')),
+          400: errorResponse('BadRequest'),
+          401: errorResponse('Unauthorized')
+        }
+      }
+    },
+
+    '/api/schedules/{id}': {
+      get: {
+        tags: ['Schedules'],
+        summary: 'A schedule with its next start',
+        security: authenticated,
+        parameters: [objectIdParam('id', 'Schedule')],
+        responses: {
+          200: ok('The schedule', ref('Schedule')),
+          400: errorResponse('BadRequest'),
+          401: errorResponse('Unauthorized'),
+          404: errorResponse('NotFound')
+        }
+      }
+    },
+
+    '/api/players/me': {
+      get: {
+        tags: ['Players'],
+        summary: "The current player's profile",
+        security: authenticated,
+        responses: {
+          200: ok('The player', ref('Player')),
+          401: errorResponse('Unauthorized')
+        }
+      }
+    },
+
+    '/api/players/leaderboard': {
+      get: {
+        tags: ['Players'],
+        summary: 'Players ranked by games won',
+        security: authenticated,
+        parameters: paginationParams,
+        responses: {
+          200: ok('A page of the leaderboard', {
+            type: 'object',
+            required: ['players', 'totalPlayers', 'currentPage', 'totalPages', 'hasMore'],
+            properties: {
+              players: { type: 'array', items: ref('PublicPlayer') },
+              totalPlayers: { type: 'integer' },
+              currentPage: { type: 'integer' },
+              totalPages: { type: 'integer' },
+              hasMore: { type: 'boolean' }
+            }
+          }),
+          400: errorResponse('BadRequest'),
+          401: errorResponse('Unauthorized')
+        }
+      }
+    },
+
+    '/api/players/{id}': {
+      get: {
+        tags: ['Players'],
+        summary: "A player's profile; other players get the public part",
+        security: authenticated,
+        parameters: [objectIdParam('id', 'Player')],
+        responses: {
+          200: ok('The player', { anyOf: [ref('Player'), ref('PublicPlayer')] }),
+          400: errorResponse('BadRequest'),
+          401: errorResponse('Unauthorized'),
+          404: errorResponse('NotFound')
+        }
+      }
+    },
+
+    '/api/players/{id}/stats': {
+      get: {
+        tags: ['Players'],
+        summary: "A player's statistics (their own, or anyone's for admins)",
+        security: authenticated,
+        parameters: [objectIdParam('id', 'Player')],
+        responses: {
+          200: ok('Player statistics', {
+            type: 'object',
+            required: ['player', 'transactions'],
+            properties: {
+              player: ref('Player'),
+              transactions: {},
+              leaderboardPosition: { type: 'integer', nullable: true }
+            }
+          }),
+          400: errorResponse('BadRequest'),
+          401: errorResponse('Unauthorized'),
+          403: errorResponse('Forbidden'),
+          404: errorResponse('NotFound')
+        }
+      }
+    },
+
+    '/api/admin/stats': {
+      get: {
+        tags: ['Admin'],
+        summary: 'Totals across the whole server',
+        security: authenticated,
+        responses: {
+          200: ok('Admin statistics', {
+            type: 'object',
+            required: ['totalGames', 'activeGames', 'totalPlayers', 'totalPot'],
+            properties: {
+              totalGames: { type: 'integer' },
+              activeGames: { type: 'integer' },
+              totalPlayers: { type: 'integer' },
+              totalPot: { type: 'number' }
+            }
+          }),
+          401: errorResponse('Unauthorized'),
+          403: errorResponse('Forbidden')
+        }
+      }
+    },
+
+    '/api/admin/games': {
+      get: {
+        tags: ['Admin'],
+        summary: "List every game, including private rooms'",
+        security: authenticated,
+        parameters: [
+          { $ref: '#/components/parameters/GameStatus' },
+          { $ref: '#/components/parameters/RoomType' },
+          ...paginationParams
+        ],
+        responses: {
+          200: ok('A page of games', ref('GamePage')),
+          400: errorResponse('BadRequest'),
+          401: errorResponse('Unauthorized'),
+          403: errorResponse('Forbidden')
+        }
+      }
+    },
+
+    '/api/admin/games/{id}/cancel': {
+      post: {
+        tags: ['Admin'],
+        summary: 'Cancel a game that is not over and refund every entry fee',
+        security: authenticated,
+        parameters: [objectIdParam('id', 'Game')],
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: { reason: { type: 'string', maxLength: 100 } }
+              }
+            }
+          }
+        },
+        responses: {
+          200: ok('Game cancelled', ref('Game')),
+          400: errorResponse('BadRequest'),
+          401: errorResponse('Unauthorized'),
+          403: errorResponse('Forbidden'),
+          404: errorResponse('NotFound'),
+          409: errorResponse('Conflict')
+        }
+      }
+    },
+
+    '/api/admin/tournaments': {
+      post: {
+        tags: ['Admin'],
+        summary: 'Open a tournament for registration',
+        security: authenticated,
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: ref('CreateTournament') } }
+        },
+        responses: {
+          201: ok('Tournament created', ref('Tournament')),
+          400: errorResponse('BadRequest'),
+          401: errorResponse('Unauthorized'),
+          403: errorResponse('Forbidden')
+        }
+      }
+    },
+
+    '/api/admin/tournaments/{id}/start': {
+      post: {
+        tags: ['Admin'],
+        summary: 'Close registration and play the first round',
+        security: authenticated,
+        parameters: [objectIdParam('id', 'Tournament room')],
+        responses: {
+          200: ok('Tournament started', ref('Tournament')),
+          400: errorResponse('BadRequest'),
+          401: errorResponse('Unauthorized'),
+          403: errorResponse('Forbidden'),
+          404: errorResponse('NotFound'),
+          409: errorResponse('Conflict')
+        }
+      }
+    },
+
+    '/api/admin/tournaments/{id}/cancel': {
+      post: {
+        tags: ['Admin'],
+        summary: 'Cancel a tournament and refund every buy-in',
+        security: authenticated,
+        parameters: [objectIdParam('id', 'Tournament room')],
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: { reason: { type: 'string', maxLength: 100 } }
+              }
+            }
+          }
+        },
+        responses: {
+          200: ok('Tournament cancelled', ref('Tournament')),
+          400: errorResponse('BadRequest'),
+          401: errorResponse('Unauthorized'),
+          403: errorResponse('Forbidden'),
+          404: errorResponse('NotFound'),
+          409: errorResponse('Conflict')
+        }
+      }
+    },
+
+    '/api/admin/schedules': {
+      get: {
+        tags: ['Admin'],
+        summary: 'List schedules, next start first',
+        security: authenticated,
+        parameters: [
+          { $ref: '#/components/parameters/ScheduleStatus' },
+          ...paginationParams
+        ],
+        responses: {
+          200: ok('A page of schedules', ref('SchedulePage')),
+          400: errorResponse('BadRequest'),
+          401: errorResponse('Unauthorized'),
+          403: errorResponse('Forbidden')
+        }
+      },
+      post: {
+        tags: ['Admin'],
+        summary: 'Schedule a game, or recurring games with a cron expression',
+        security: authenticated,
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: ref('CreateSchedule') } }
+        },
+        responses: {
+          201: ok('Schedule created', ref('Schedule')),
+          400: errorResponse('BadRequest'),
+          401: errorResponse('Unauthorized'),
+          403: errorResponse('Forbidden')
+        }
+      }
+    },
+
+    '/api/admin/schedules/{id}/pause': {
+      post: {
+        tags: ['Admin'],
+        summary: 'Stop starting games until resumed; a game open for registration is refunded',
+        security: authenticated,
+        parameters: [objectIdParam('id', 'Schedule')],
+        responses: {
+          200: ok('Schedule paused', ref('Schedule')),
+          400: errorResponse('BadRequest'),
+          401: errorResponse('Unauthorized'),
+          403: errorResponse('Forbidden'),
+          404: errorResponse('NotFound'),
+          409: errorResponse('Conflict')
+        }
+      }
+    },
+
+    '/api/admin/schedules/{id}/resume': {
+      post: {
+        tags: ['Admin'],
+        summary: 'Carry on from the next start',
+        security: authenticated,
+        parameters: [objectIdParam('id', 'Schedule')],
+        responses: {
+          200: ok('Schedule resumed', ref('Schedule')),
+          400: errorResponse('BadRequest'),
+          401: errorResponse('Unauthorized'),
+          403: errorResponse('Forbidden'),
+          404: errorResponse('NotFound'),
+          409: errorResponse('Conflict')
+        }
+      }
+    },
+
+    '/api/admin/schedules/{id}/cancel': {
+      post: {
+        tags: ['Admin'],
+        summary: 'End a schedule; a game open for registration is refunded',
+        security: authenticated,
+        parameters: [objectIdParam('id', 'Schedule')],
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: { reason: { type: 'string', maxLength: 100 } }
+              }
+            }
+          }
+        },
+        responses: {
+          200: ok('Schedule cancelled', ref('Schedule')),
+          400: errorResponse('BadRequest'),
+          401: errorResponse('Unauthorized'),
+          403: errorResponse('Forbidden'),
+          404: errorResponse('NotFound'),
+          409: errorResponse('Conflict')
+        }
+      }
+    },
+
+    '/webhook/telegram': {
+      post: {
+        tags: ['Webhooks'],
+        summary: 'Telegram bot updates',
+        requestBody: { content: { 'application/json': { schema: { type: 'object' } } } },
+        responses: { 200: ok('Update received') }
+      }
+    },
+
+    '/webhook/payment': {
+      post: {
+        tags: ['Webhooks'],
+        summary: 'Payment provider notifications',
+        requestBody: { content: { 'application/json': { schema: { type: 'object' } } } },
+        responses: { 200: ok('Notification received') }
+      }
+    }
+  },
+
+  components: {
+    securitySchemes: {
+      bearerAuth: {
+        type: 'http',
+        scheme: 'bearer',
+        bearerFormat: 'JWT',
+        description: 'Access token from /api/auth/telegram'
+      },
+      telegramInitData: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'X-Telegram-Init-Data',
+        description: 'Raw Telegram WebApp initData (or "Authorization: tma <initData>")'
+      }
+    },
+
+    parameters: {
+      Page: {
+        name: 'page',
+        in: 'query',
+        schema: { type: 'integer', minimum: 1, default: 1 }
+      },
+      Limit: {
+        name: 'limit',
+        in: 'query',
+        schema: {
+          type: 'integer',
+          minimum: 1,
+          maximum: GAME_CONSTANTS.PAGINATION.MAX_LIMIT,
+          default: GAME_CONSTANTS.PAGINATION.DEFAULT_LIMIT
+        }
+      },
+      GameStatus: {
+        name: 'status',
+        in: 'query',
+        description: 'Repeat to match several statuses',
+        style: 'form',
+        explode: true,
+        schema: {
+          type: 'array',
+          items: { type: 'string', enum: Object.values(GAME_CONSTANTS.STATUS) }
+        }
+      },
+      RoomType: {
+        name: 'type',
+        in: 'query',
+        schema: { type: 'string', enum: ['public', 'private', 'tournament'] }
+      },
+      TournamentStatus: {
+        name: 'status',
+        in: 'query',
+        description: 'Repeat to match several statuses',
+        style: 'form',
+        explode: true,
+        schema: {
+          type: 'array',
+          items: { type: 'string', enum: Object.values(GAME_CONSTANTS.TOURNAMENT.STATUS) }
+        }
+      },
+      ScheduleStatus: {
+        name: 'status',
+        in: 'query',
+        description: 'Repeat to match several statuses',
+        style: 'form',
+        explode: true,
+        schema: {
+          type: 'array',
+          items: { type: 'string', enum: Object.values(GAME_CONSTANTS.SCHEDULE.STATUS) }
+        }
+      },
+      PublicGameId: {
+        name: 'id',
+        in: 'path',
+        required: true,
+        description: 'Game document id or public game id (GAME_...)',
+        schema: { type: 'string', maxLength: 64 }
+      }
+    },
+
+    responses: {
+      BadRequest: {
+        description: 'The request does not match this document',
+        content: { 'application/json': { schema: ref('Error') } }
+      },
+      Unauthorized: {
+        description: 'Missing or invalid credentials',
+        content: { 'application/json': { schema: ref('Error') } }
+      },
+      PaymentRequired: {
+        description: 'Not enough coins',
+        content: { 'application/json': { schema: ref('Error') } }
+      },
+      Forbidden: {
+        description: 'Signed in, but not allowed to do this',
+        content: { 'application/json': { schema: ref('Error') } }
+      },
+      NotFound: {
+        description: 'No such resource',
+        content: { 'application/json': { schema: ref('Error') } }
+      },
+      Conflict: {
+        description: 'Not possible in the current state of the game or room',
+        content: { 'application/json': { schema: ref('Error') } }
+      },
+      ServerError: {
+        description: 'Unexpected error',
+        content: { 'application/json': { schema: ref('Error') } }
+      }
+    },
+
+    schemas: {
+      Success: {
+        type: 'object',
+        required: ['status', 'message'],
+        properties: {
+          status: { type: 'string', enum: ['success'] },
+          message: { type: 'string' },
+          data: {}
+        }
+      },
+      Error: {
+        type: 'object',
+        required: ['status', 'message'],
+        properties: {
+          status: { type: 'string', enum: ['error'] },
+          message: { type: 'string' },
+          errors: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['in', 'field', 'message'],
+              properties: {
+                in: { type: 'string', enum: ['path', 'query', 'body'] },
+                field: { type: 'string' },
+                message: { type: 'string' }
+              }
+            }
+          }
+        }
+      },
+      ObjectId: {
+        type: 'string',
+        pattern: '^[0-9a-fA-F]{24}$'
+      },
+      AuthTokens: {
+        type: 'object',
+        required: ['accessToken', 'refreshToken', 'tokenType', 'expiresAt'],
+        properties: {
+          accessToken: { type: 'string' },
+          refreshToken: { type: 'string' },
+          tokenType: { type: 'string', enum: ['Bearer'] },
+          expiresAt: { type: 'string', format: 'date-time' },
+          refreshExpiresAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      LiveStats: {
+        type: 'object',
+        required: ['activeGames', 'totalPlayers', 'uptime', 'timestamp'],
+        properties: {
+          activeGames: { type: 'integer' },
+          totalPlayers: { type: 'integer' },
+          uptime: { type: 'number' },
+          timestamp: { type: 'string', format: 'date-time' }
+        }
+      },
+      PublicPlayer: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: ref('ObjectId'),
+          telegramUsername: { type: 'string', nullable: true },
+          firstName: { type: 'string' },
+          lastName: { type: 'string', nullable: true },
+          avatar: { type: 'string', nullable: true },
+          level: { type: 'integer' },
+          experience: { type: 'integer' },
+          totalGames: { type: 'integer' },
+          gamesWon: { type: 'integer' }
+        }
+      },
+      Player: {
+        allOf: [ref('PublicPlayer'), {
+          type: 'object',
+          required: ['telegramId', 'coins', 'role'],
+          properties: {
+            telegramId: { type: 'integer' },
+            coins: { type: 'number' },
+            role: { type: 'string', enum: Object.values(GAME_CONSTANTS.PLAYER_ROLES) },
+            settings: { type: 'object' }
+          }
+        }]
+      },
+      Game: {
+        type: 'object',
+        required: ['id', 'gameId', 'status', 'config'],
+        properties: {
+          id: ref('ObjectId'),
+          gameId: { type: 'string' },
+          code: { type: 'string', nullable: true },
+          room: {},
+          scheduledFor: { type: 'string', format: 'date-time', description: 'Start of a scheduled game' },
+          status: { type: 'string', enum: Object.values(GAME_CONSTANTS.STATUS) },
+          config: { type: 'object' },
+          players: { type: 'array' },
+          winners: { type: 'array' },
+          fairness: {
+            type: 'object',
+            properties: {
+              serverSeedHash: { type: 'string' },
+              clientSeed: { type: 'string', nullable: true }
+            }
+          }
+        }
+      },
+      GamePage: {
+        type: 'object',
+        required: ['games', 'totalGames', 'currentPage', 'totalPages', 'hasMore'],
+        properties: {
+          games: { type: 'array', items: ref('Game') },
+          totalGames: { type: 'integer' },
+          currentPage: { type: 'integer' },
+          totalPages: { type: 'integer' },
+          hasMore: { type: 'boolean' }
+        }
+      },
+      DrawVerification: {
+        type: 'object',
+        required: ['gameId', 'status', 'serverSeedHash', 'calledNumbers', 'algorithm', 'revealed'],
+        properties: {
+          gameId: { type: 'string' },
+          status: { type: 'string', enum: Object.values(GAME_CONSTANTS.STATUS) },
+          serverSeedHash: { type: 'string' },
+          clientSeed: { type: 'string', nullable: true },
+          calledNumbers: { type: 'array', items: { type: 'integer', minimum: 1, maximum: 75 } },
+          algorithm: {},
+          revealed: { type: 'boolean' },
+          serverSeed: { type: 'string' },
+          revealedAt: { type: 'string', format: 'date-time' },
+          sequence: { type: 'array', items: { type: 'integer' } },
+          verified: { type: 'boolean' }
+        }
+      },
+      Room: {
+        type: 'object',
+        required: ['id', 'roomId', 'name', 'config', 'status'],
+        properties: {
+          id: ref('ObjectId'),
+          roomId: { type: 'string' },
+          name: { type: 'string' },
+          description: { type: 'string', nullable: true },
+          config: {
+            type: 'object',
+            properties: {
+              type: { type: 'string', enum: ['public', 'private', 'tournament'] }
+            }
+          },
+          status: { type: 'string', enum: ['waiting', 'starting', 'in_game', 'finished', 'closed'] },
+          players: { type: 'array' },
+          currentGame: {}
+        }
+      },
+      RoomPage: {
+        type: 'object',
+        required: ['rooms', 'totalRooms', 'currentPage', 'totalPages', 'hasMore'],
+        properties: {
+          rooms: { type: 'array', items: ref('Room') },
+          totalRooms: { type: 'integer' },
+          currentPage: { type: 'integer' },
+          totalPages: { type: 'integer' },
+          hasMore: { type: 'boolean' }
+        }
+      },
+      TournamentPlayer: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: ref('ObjectId'),
+          username: { type: 'string', nullable: true },
+          firstName: { type: 'string', nullable: true }
+        }
+      },
+      TournamentSummary: {
+        type: 'object',
+        required: ['id', 'roomId', 'name', 'status', 'buyIn', 'prizePool', 'prizes', 'currentRound', 'registered'],
+        properties: {
+          id: ref('ObjectId'),
+          roomId: { type: 'string' },
+          name: { type: 'string' },
+          description: { type: 'string', nullable: true },
+          status: { type: 'string', enum: Object.values(GAME_CONSTANTS.TOURNAMENT.STATUS) },
+          buyIn: { type: 'number' },
+          prizePool: { type: 'number', description: 'Grows with every registration until the start' },
+          prizes: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['position', 'share'],
+              properties: {
+                position: { type: 'integer' },
+                share: { type: 'number', description: 'Percent of the prize pool' }
+              }
+            }
+          },
+          maxRounds: { type: 'integer' },
+          currentRound: { type: 'integer' },
+          advancing: { type: 'integer', description: 'Players going through from each round; half the round when unset' },
+          registered: { type: 'integer' },
+          minPlayers: { type: 'integer' },
+          maxPlayers: { type: 'integer' },
+          startedAt: { type: 'string', format: 'date-time' },
+          finishedAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      Tournament: {
+        allOf: [ref('TournamentSummary'), {
+          type: 'object',
+          required: ['bracket', 'standings'],
+          properties: {
+            currentGame: { type: 'string', nullable: true, description: 'Game of the round being played' },
+            bracket: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['round', 'status', 'players', 'results'],
+                properties: {
+                  round: { type: 'integer' },
+                  game: ref('ObjectId'),
+                  status: { type: 'string', enum: ['playing', 'finished'] },
+                  players: { type: 'array', items: ref('TournamentPlayer') },
+                  results: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      required: ['position', 'player'],
+                      properties: {
+                        position: { type: 'integer' },
+                        player: ref('TournamentPlayer'),
+                        advanced: { type: 'boolean' }
+                      }
+                    }
+                  },
+                  startedAt: { type: 'string', format: 'date-time' },
+                  finishedAt: { type: 'string', format: 'date-time' }
+                }
+              }
+            },
+            standings: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['position', 'player', 'status', 'prize'],
+                properties: {
+                  position: { type: 'integer' },
+                  player: ref('TournamentPlayer'),
+                  round: { type: 'integer', nullable: true, description: 'Last round reached' },
+                  status: { type: 'string', enum: ['registered', 'playing', 'through', 'eliminated', 'finished'] },
+                  prize: { type: 'number' }
+                }
+              }
+            }
+          }
+        }]
+      },
+      TournamentPage: {
+        type: 'object',
+        required: ['tournaments', 'totalTournaments', 'currentPage', 'totalPages', 'hasMore'],
+        properties: {
+          tournaments: { type: 'array', items: ref('TournamentSummary') },
+          totalTournaments: { type: 'integer' },
+          currentPage: { type: 'integer' },
+          totalPages: { type: 'integer' },
+          hasMore: { type: 'boolean' }
+        }
+      },
+      CreateTournament: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: 50 },
+          description: { type: 'string', maxLength: 200 },
+          buyIn: { type: 'integer', minimum: 0, default: 0 },
+          guarantee: { type: 'integer', minimum: 0, default: 0, description: 'Added to the prize pool by the house' },
+          maxRounds: { type: 'integer', minimum: 1, default: GAME_CONSTANTS.TOURNAMENT.MAX_ROUNDS },
+          advancing: { type: 'integer', minimum: 2 },
+          prizes: {
+            type: 'array',
+            minItems: 1,
+            description: 'Percent of the prize pool for each final position; 50/30/20 for the top three by default',
+            items: {
+              type: 'object',
+              required: ['position', 'share'],
+              properties: {
+                position: { type: 'integer', minimum: 1 },
+                share: { type: 'number', minimum: 0, maximum: 100 }
+              }
+            }
+          },
+          config: {
+            type: 'object',
+            description: 'Settings of the tournament\'s games; maxPlayers caps the registrations',
+            properties: {
+              maxPlayers: { type: 'integer', minimum: 2, maximum: 500 },
+              minPlayersToStart: { type: 'integer', minimum: 2 },
+              maxCardsPerPlayer: { type: 'integer', minimum: 1 },
+              gameDuration: { type: 'integer', minimum: 0 },
+              autoStart: { type: 'boolean', description: 'Start once every place is taken' },
+              patterns: { type: 'array', items: { type: 'string' }, minItems: 1 },
+              claimPolicy: { type: 'string', enum: Object.values(GAME_CONSTANTS.CLAIM_POLICIES) },
+              recoveryPolicy: { type: 'string', enum: Object.values(GAME_CONSTANTS.RECOVERY_POLICIES) }
+            }
+          }
+        }
+      },
+      Schedule: {
+        type: 'object',
+        required: ['id', 'name', 'status', 'registrationWindow', 'nextRunAt', 'roomId', 'currentGame'],
+        properties: {
+          id: ref('ObjectId'),
+          name: { type: 'string' },
+          description: { type: 'string', nullable: true },
+          status: { type: 'string', enum: Object.values(GAME_CONSTANTS.SCHEDULE.STATUS) },
+          cron: { type: 'string', nullable: true },
+          timezone: { type: 'string', nullable: true },
+          startsAt: { type: 'string', format: 'date-time', nullable: true },
+          registrationWindow: { type: 'integer', description: 'Seconds each game is open for registration before it starts' },
+          nextRunAt: { type: 'string', format: 'date-time', nullable: true },
+          opensAt: { type: 'string', format: 'date-time', nullable: true },
+          lastRunAt: { type: 'string', format: 'date-time', nullable: true },
+          runCount: { type: 'integer' },
+          roomId: ref('ObjectId'),
+          currentGame: { type: 'string', nullable: true, description: 'Game open for registration for the next start' },
+          config: {
+            type: 'object',
+            nullable: true,
+            properties: {
+              entryFee: { type: 'number' },
+              maxPlayers: { type: 'integer' },
+              minPlayersToStart: { type: 'integer' },
+              maxCardsPerPlayer: { type: 'integer' },
+              gameDuration: { type: 'integer' }
+            }
+          }
+        }
+      },
+      SchedulePage: {
+        type: 'object',
+        required: ['schedules', 'totalSchedules', 'currentPage', 'totalPages', 'hasMore'],
+        properties: {
+          schedules: { type: 'array', items: ref('Schedule') },
+          totalSchedules: { type: 'integer' },
+          currentPage: { type: 'integer' },
+          totalPages: { type: 'integer' },
+          hasMore: { type: 'boolean' }
+        }
+      },
+      CreateSchedule: {
+        type: 'object',
+        required: ['name'],
+        description: 'Either cron (recurring games) or startsAt (a single game)',
+        oneOf: [{ required: ['cron'] }, { required: ['startsAt'] }],
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: 50 },
+          description: { type: 'string', maxLength: 200 },
+          cron: {
+            type: 'string',
+            maxLength: 100,
+            description: 'Minute, hour, day of month, month and day of week, e.g. "0 * * * *" for every hour at :00'
+          },
+          timezone: { type: 'string', maxLength: 64, description: 'IANA time zone the cron expression is read in' },
+          startsAt: { type: 'string', format: 'date-time' },
+          registrationWindow: {
+            type: 'integer',
+            minimum: 60,
+            default: GAME_CONSTANTS.TIMERS.REGISTRATION_WINDOW,
+            description: 'Seconds each game is open for registration before it starts'
+          },
+          config: {
+            type: 'object',
+            description: 'Settings of the scheduled games',
+            properties: {
+              maxPlayers: { type: 'integer', minimum: 2, maximum: 500 },
+              minPlayersToStart: { type: 'integer', minimum: 2 },
+              maxCardsPerPlayer: { type: 'integer', minimum: 1 },
+              entryFee: { type: 'integer', minimum: 0 },
+              prizePool: { type: 'integer', minimum: 0 },
+              gameDuration: { type: 'integer', minimum: 0 },
+              patterns: { type: 'array', items: { type: 'string' }, minItems: 1 },
+              claimPolicy: { type: 'string', enum: Object.values(GAME_CONSTANTS.CLAIM_POLICIES) },
+              recoveryPolicy: { type: 'string', enum: Object.values(GAME_CONSTANTS.RECOVERY_POLICIES) }
+            }
+          }
+        }
+      },
+      CreateRoom: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: 50 },
+          description: { type: 'string', maxLength: 200 },
+          config: {
+            type: 'object',
+            properties: {
+              type: { type: 'string', enum: ['public', 'private'], default: 'public' },
+              password: { type: 'string', minLength: 4, maxLength: 50, description: 'Required for private rooms' },
+              maxPlayers: { type: 'integer', minimum: 2, maximum: 500 },
+              minPlayersToStart: { type: 'integer', minimum: 2 },
+              maxCardsPerPlayer: { type: 'integer', minimum: 1 },
+              entryFee: { type: 'integer', minimum: 0 },
+              prizePool: { type: 'integer', minimum: 0 },
+              gameDuration: { type: 'integer', minimum: 0 },
+              autoStart: { type: 'boolean' },
+              patterns: { type: 'array', items: { type: 'string' }, minItems: 1 },
+              claimPolicy: { type: 'string', enum: Object.values(GAME_CONSTANTS.CLAIM_POLICIES) },
+              recoveryPolicy: { type: 'string', enum: Object.values(GAME_CONSTANTS.RECOVERY_POLICIES) }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+// Any operation can fail unexpectedly
+for (const item of Object.values(spec.paths)) {
+  for (const operation of Object.values(item)) {
+    operation.responses.default = errorResponse('ServerError');
+  }
+}
+
+module.exports = spec;
@@ -3,6 +3,8 @@ const Game = require('../models/Game');
 const gameService = require('../services/gameService');
 const bingoService = require('../services/bingoService');
 const cardService = require('../services/cardService');
+const notificationService = require('../services/notificationService');
+const spectatorService = require('../services/spectatorService');
 const { SOCKET_EVENTS, GAME_CONSTANTS } = require('../config/constants');
 const logger = require('../utils/logger');
 
@@ -10,7 +12,7 @@ module.exports = {
   // Claim bingo
   claimBingo: (socket, io) => async (data, callback) => {
     try {
-      const { gameId, pattern, winningNumbers } = data;
+      const { gameId, cardId, pattern, winningNumbers } = data;
       const playerId = socket.userId;
 
       if (!playerId) {
@@ -26,22 +28,12 @@ module.exports = {
         gameId, 
         playerId, 
         pattern, 
-        winningNumbers
+        winningNumbers,
+        cardId
       );
 
-      // Notify all players in the game
-      io.to(`game:${gameId}`).emit(SOCKET_EVENTS.BINGO_VALID, {
-        gameId,
-        winner: {
-          id: result.winner._id,
-          username: result.winner.telegramUsername,
-          firstName: result.winner.firstName
-        },
-        pattern: result.pattern,
-        prize: result.prize,
-        winningNumbers,
-        timestamp: new Date()
-      });
+      // Notify players and spectators; prizes follow when the claim window closes
+      await notificationService.notifyBingoClaimed(gameId, result, winningNumbers);
 
       if (callback) {
         callback({
@@ -73,7 +65,7 @@ module.exports = {
   // Mark number on card
   markNumber: (socket, io) => async (data, callback) => {
     try {
-      const { gameId, number, position } = data;
+      const { gameId, cardId, number, position } = data;
       const playerId = socket.userId;
 
       if (!playerId) {
@@ -94,18 +86,22 @@ module.exports = {
         throw new Error('Player not in game');
       }
 
-      // Mark the number
+      // Mark the number on the chosen card
+      const bingoCard = gameService.getPlayerCard(playerEntry, cardId);
       const result = await cardService.markNumber(
-        playerEntry.bingoCard, 
+        bingoCard, 
         number, 
         position
       );
 
-      // Check if this marking resulted in a bingo
-      if (result.bingo) {
+      await spectatorService.publishProgress(game, playerId, result.card);
+
+      // Check if this marking resulted in a bingo; it is claimed right away
+      // unless the game wants players to claim themselves
+      if (result.bingo && game.config.claimPolicy === GAME_CONSTANTS.CLAIM_POLICIES.INSTANT) {
         // Auto-claim bingo
         const winningPattern = result.winningPattern;
-        const winningNumbers = this.getWinningNumbersFromPattern(
+        const winningNumbers = module.exports.getWinningNumbersFromPattern(
           result.card, 
           winningPattern
         );
@@ -115,21 +111,12 @@ module.exports = {
           gameId,
           playerId,
           winningPattern.name,
-          winningNumbers
+          winningNumbers,
+          bingoCard
         );
 
-        // Notify all players
-        io.to(`game:${gameId}`).emit(SOCKET_EVENTS.BINGO_VALID, {
-          gameId,
-          winner: {
-            id: playerId,
-            username: bingoResult.winner.telegramUsername,
-            firstName: bingoResult.winner.firstName
-          },
-          pattern: winningPattern.name,
-          prize: bingoResult.prize,
-          winningNumbers,
-          timestamp: new Date(),
+        // Notify players and spectators
+        await notificationService.notifyBingoClaimed(gameId, bingoResult, winningNumbers, {
           autoClaimed: true
         });
       }
@@ -138,6 +125,7 @@ module.exports = {
         callback({
           success: true,
           marked: true,
+          cardId: bingoCard,
           number,
           bingo: result.bingo,
           winningPattern: result.winningPattern
@@ -160,7 +148,7 @@ module.exports = {
   // Get card state
   getCardState: (socket, io) => async (data, callback) => {
     try {
-      const { gameId } = data;
+      const { gameId, cardId } = data;
       const playerId = socket.userId;
 
       if (!playerId) {
@@ -180,7 +168,8 @@ module.exports = {
         throw new Error('Player not in game');
       }
 
-      const card = await cardService.getCard(playerEntry.bingoCard);
+      const bingoCard = gameService.getPlayerCard(playerEntry, cardId);
+      const card = await cardService.getCard(bingoCard);
       const cardDisplay = card.getCardDisplay();
 
       // Get called numbers for analysis
@@ -188,13 +177,16 @@ module.exports = {
 
       // Analyze card potential
       const analysis = await bingoService.analyzeCardPotential(
-        playerEntry.bingoCard,
-        calledNumbers
+        bingoCard,
+        calledNumbers,
+        game.config.patterns
       );
 
       if (callback) {
         callback({
           success: true,
+          cardId: bingoCard,
+          cardIds: playerEntry.bingoCards,
           card: cardDisplay,
           markedNumbers: card.markedNumbers,
           hasBingo: card.hasBingo,
@@ -237,55 +229,68 @@ module.exports = {
         throw new Error('Player not in game');
       }
 
+      // Every card of the player, or only the one asked for
+      const cardIds = data.cardId
+        ? [gameService.getPlayerCard(playerEntry, data.cardId)]
+        : playerEntry.bingoCards;
+
       const calledNumbers = game.calledNumbers.map(cn => cn.number);
-      const result = await cardService.autoMarkNumbers(
-        playerEntry.bingoCard,
-        calledNumbers
-      );
+      const cards = [];
 
-      // Check for bingo after auto-marking
-      if (result.hasBingo) {
-        const winningPattern = result.winningPattern;
-        const winningNumbers = this.getWinningNumbersFromPattern(
-          result.card,
-          winningPattern
+      for (const bingoCard of cardIds) {
+        const result = await cardService.autoMarkNumbers(
+          bingoCard,
+          calledNumbers
         );
 
-        // Auto-claim bingo
-        const bingoResult = await gameService.processBingoClaim(
-          gameId,
-          playerId,
-          winningPattern.name,
-          winningNumbers
-        );
+        // Check for bingo after auto-marking (claimed according to the claim policy)
+        if (result.hasBingo && game.config.claimPolicy === GAME_CONSTANTS.CLAIM_POLICIES.INSTANT) {
+          const winningPattern = result.winningPattern;
+          const winningNumbers = module.exports.getWinningNumbersFromPattern(
+            result.card,
+            winningPattern
+          );
+
+          // Auto-claim bingo
+          const bingoResult = await gameService.processBingoClaim(
+            gameId,
+            playerId,
+            winningPattern.name,
+            winningNumbers,
+            bingoCard
+          );
+
+          await notificationService.notifyBingoClaimed(gameId, bingoResult, winningNumbers, {
+            autoClaimed: true,
+            autoMarked: true
+          });
+        }
 
-        io.to(`game:${gameId}`).emit(SOCKET_EVENTS.BINGO_VALID, {
-          gameId,
-          winner: {
-            id: playerId,
-            username: bingoResult.winner.telegramUsername,
-            firstName: bingoResult.winner.firstName
-          },
-          pattern: winningPattern.name,
-          prize: bingoResult.prize,
-          winningNumbers,
-          timestamp: new Date(),
-          autoClaimed: true,
-          autoMarked: true
+        if (result.markedCount > 0) {
+          await spectatorService.publishProgress(game, playerId, result.card);
+        }
+
+        cards.push({
+          cardId: bingoCard,
+          markedCount: result.markedCount,
+          newlyMarked: result.newlyMarked,
+          hasBingo: result.hasBingo,
+          winningPattern: result.winningPattern
         });
       }
 
+      const markedCount = cards.reduce((total, card) => total + card.markedCount, 0);
+
       if (callback) {
         callback({
           success: true,
-          markedCount: result.markedCount,
-          newlyMarked: result.newlyMarked,
-          hasBingo: result.hasBingo,
-          winningPattern: result.winningPattern
+          markedCount,
+          hasBingo: cards.some(card => card.hasBingo),
+          cards
         });
       }
 
-      logger.info(`Auto-marked ${result.markedCount} numbers for player ${playerId} in game ${gameId}`);
+      logger.info(`Auto-marked ${markedCount} numbers for player ${playerId} in game ${gameId}`);
 
     } catch (error) {
       logger.error('Error in autoMarkNumbers event:', error);
@@ -1,8 +1,10 @@
+const mongoose = require('mongoose');
 const Game = require('../models/Game');
 const Player = require('../models/Player');
 const gameService = require('../services/gameService');
 const roomService = require('../services/roomService');
 const notificationService = require('../services/notificationService');
+const spectatorService = require('../services/spectatorService');
 const { SOCKET_EVENTS, GAME_CONSTANTS } = require('../config/constants');
 const logger = require('../utils/logger');
 
@@ -10,7 +12,7 @@ module.exports = {
   // Join a game
   joinGame: (socket, io) => async (data, callback) => {
     try {
-      const { gameId, roomId } = data;
+      const { gameId, roomId, cardCount = 1 } = data;
       const playerId = socket.userId;
 
       if (!playerId) {
@@ -23,15 +25,15 @@ module.exports = {
         // Join room first, then create/join game in that room
         const room = await roomService.joinRoom(roomId, playerId);
         if (room.currentGame) {
-          game = await gameService.joinGame(room.currentGame, playerId);
+          game = await gameService.joinGame(room.currentGame, playerId, cardCount);
         } else {
           // Create new game in the room
           const newGame = await gameService.createGame(roomId);
-          game = await gameService.joinGame(newGame._id, playerId);
+          game = await gameService.joinGame(newGame._id, playerId, cardCount);
         }
       } else if (gameId) {
         // Join specific game directly
-        game = await gameService.joinGame(gameId, playerId);
+        game = await gameService.joinGame(gameId, playerId, cardCount);
       } else {
         throw new Error('Either gameId or roomId is required');
       }
@@ -41,7 +43,7 @@ module.exports = {
       socket.gameId = game._id;
 
       // Get updated game state
-      const gameState = await gameService.getGame(game._id);
+      const gameState = await gameService.getGameForPlayer(game._id, playerId);
 
       // Notify the player who joined
       socket.emit(SOCKET_EVENTS.GAME_STATE, {
@@ -75,7 +77,7 @@ module.exports = {
           error: error.message
         });
       } else {
-        socket.emit('error', {
+        socket.emit(SOCKET_EVENTS.ERROR, {
           type: 'join_game_error',
           message: error.message
         });
@@ -83,6 +85,42 @@ module.exports = {
     }
   },
 
+  // Buy more cards before the game starts
+  buyCards: (socket, io) => async (data, callback) => {
+    try {
+      const { gameId, count = 1 } = data;
+      const playerId = socket.userId;
+
+      if (!playerId) {
+        throw new Error('Authentication required');
+      }
+
+      const game = await gameService.buyCards(gameId, playerId, count);
+      const playerEntry = game.players.find(
+        p => p.player.toString() === playerId.toString()
+      );
+
+      if (callback) {
+        callback({
+          success: true,
+          cardCount: playerEntry.cardCount,
+          prizePool: game.config.prizePool
+        });
+      }
+
+      logger.info(`Player ${playerId} bought ${count} card(s) in game ${gameId}`);
+
+    } catch (error) {
+      logger.error('Error in buyCards event:', error);
+      if (callback) {
+        callback({
+          success: false,
+          error: error.message
+        });
+      }
+    }
+  },
+
   // Leave a game
   leaveGame: (socket, io) => async (data, callback) => {
     try {
@@ -93,19 +131,13 @@ module.exports = {
         throw new Error('Authentication required');
       }
 
-      const game = await gameService.leaveGame(gameId, playerId);
+      // The game service notifies the remaining players
+      await gameService.leaveGame(gameId, playerId);
 
       // Leave socket room
       socket.leave(`game:${gameId}`);
       delete socket.gameId;
 
-      // Notify other players
-      socket.to(`game:${gameId}`).emit(SOCKET_EVENTS.PLAYER_LEFT, {
-        playerId,
-        playerCount: game.players.length,
-        gameId
-      });
-
       // Send success response
       if (callback) {
         callback({
@@ -157,16 +189,20 @@ module.exports = {
         p => p.player._id.toString() === playerId.toString()
       );
 
-      const cardService = require('../services/cardService');
-      const card = await cardService.getCard(playerEntry.bingoCard);
+      // Cards are populated by getGame; a player may hold several
+      const cards = playerEntry.bingoCards.map(card => ({
+        cardId: card._id,
+        card: card.getCardDisplay()
+      }));
 
       const response = {
         game: {
-          ...game.toJSON(),
+          ...gameService.getPlayerView(game, playerId),
           timeRemaining: game.timeRemaining,
           playerCount: game.playerCount
         },
-        card: card.getCardDisplay(),
+        cards,
+        card: cards.length > 0 ? cards[0].card : null,
         calledNumbers: game.calledNumbers.map(cn => cn.number),
         currentNumber: game.currentNumber
       };
@@ -177,7 +213,7 @@ module.exports = {
           ...response
         });
       } else {
-        socket.emit('game_state', response);
+        socket.emit(SOCKET_EVENTS.GAME_STATE, response);
       }
 
     } catch (error) {
@@ -219,7 +255,7 @@ module.exports = {
       await game.save();
 
       // Notify other players
-      socket.to(`game:${gameId}`).emit('player_ready_update', {
+      socket.to(`game:${gameId}`).emit(SOCKET_EVENTS.PLAYER_READY_UPDATE, {
         playerId,
         isReady: playerEntry.isReady,
         gameId
@@ -258,6 +294,66 @@ module.exports = {
     }
   },
 
+  // Watch a game (by id or share code) without taking a seat
+  spectateGame: (socket, io) => async (data, callback) => {
+    try {
+      const { gameId } = data;
+      const playerId = socket.userId;
+
+      if (!playerId) {
+        throw new Error('Authentication required');
+      }
+
+      const id = mongoose.isValidObjectId(gameId)
+        ? gameId
+        : (await gameService.getGameByCode(gameId))._id;
+
+      const view = await spectatorService.spectate(id, playerId);
+
+      // A socket watches one game at a time
+      if (socket.spectating) {
+        socket.leave(spectatorService.getRoom(socket.spectating));
+      }
+      socket.join(spectatorService.getRoom(view.gameId));
+      socket.spectating = view.gameId;
+
+      if (callback) {
+        callback({
+          success: true,
+          game: view
+        });
+      } else {
+        socket.emit(SOCKET_EVENTS.GAME_STATE, {
+          type: 'spectating',
+          game: view
+        });
+      }
+
+      logger.info(`Player ${playerId} is spectating game ${view.gameId}`);
+
+    } catch (error) {
+      logger.error('Error in spectateGame event:', error);
+      if (callback) {
+        callback({
+          success: false,
+          error: error.message
+        });
+      }
+    }
+  },
+
+  // Stop watching a game
+  stopSpectating: (socket, io) => async (data, callback) => {
+    if (socket.spectating) {
+      socket.leave(spectatorService.getRoom(socket.spectating));
+      delete socket.spectating;
+    }
+
+    if (callback) {
+      callback({ success: true });
+    }
+  },
+
   // Handle game start (internal use, called by service)
   handleGameStart: async (gameId, io) => {
     try {
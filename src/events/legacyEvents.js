@@ -0,0 +1,297 @@
+const Game = require('../models/Game');
+const Player = require('../models/Player');
+const BingoCard = require('../models/BingoCard');
+const gameService = require('../services/gameService');
+const cardService = require('../services/cardService');
+const spectatorService = require('../services/spectatorService');
+const { GAME_CONSTANTS, LEGACY_SOCKET_EVENTS, ERROR_MESSAGES } = require('../config/constants');
+const logger = require('../utils/logger');
+
+// Hyphenated events of the original front end. Games are addressed by their
+// share code and every handler is backed by the persistent game service;
+// errors are reported by the socketEvents wrapper as `error` events.
+module.exports = {
+  // Create a friend game and join it as host
+  createGame: (socket, io) => async () => {
+    const game = await gameService.createHostedGame(socket.userId);
+
+    await announceJoin(socket, game._id);
+
+    socket.emit(LEGACY_SOCKET_EVENTS.GAME_CREATED, {
+      gameId: game.code,
+      message: 'Game created successfully! Share the code with friends.'
+    });
+
+    logger.info(`Hosted game ${game.code} created by player ${socket.userId}`);
+  },
+
+  // Join a friend game by code
+  joinGame: (socket, io) => async (data = {}) => {
+    const game = await resolveGame(socket, data);
+
+    // Rejoining (e.g. after a page reload) only resends the state
+    if (!findEntry(game, socket.userId)) {
+      await gameService.joinGame(game._id, socket.userId);
+    }
+
+    await announceJoin(socket, game._id);
+
+    logger.info(`Player ${socket.userId} joined hosted game ${game.code}`);
+  },
+
+  // Pick a card from the pool (a player may pick several, up to the limit)
+  selectCard: (socket, io) => async (data = {}) => {
+    const game = await resolveGame(socket, data);
+    const result = await gameService.selectCard(game._id, socket.userId, data.cardId);
+
+    socket.emit(LEGACY_SOCKET_EVENTS.CARD_SELECTED, {
+      success: true,
+      cardId: result.card.poolIndex,
+      card: result.card.getCells()
+    });
+
+    socket.to(`game:${game._id}`).emit(LEGACY_SOCKET_EVENTS.PLAYER_CARD_SELECTED, {
+      playerId: socket.userId,
+      playerName: socket.player.firstName
+    });
+
+    if (result.game.players.every(p => p.bingoCards.length > 0)) {
+      io.to(`game:${game._id}`).emit(LEGACY_SOCKET_EVENTS.ALL_PLAYERS_READY);
+    }
+  },
+
+  // Host starts the game
+  startGame: (socket, io) => async (data = {}) => {
+    const game = await resolveGame(socket, data);
+    const started = await gameService.startHostedGame(game._id, socket.userId);
+
+    io.to(`game:${game._id}`).emit(LEGACY_SOCKET_EVENTS.GAME_STARTED, {
+      startedAt: started.actualStartTime,
+      calledNumbers: started.calledNumbers.map(cn => cn.number)
+    });
+  },
+
+  // Mark a called number on one of the player's cards (the first by default)
+  markCell: (socket, io) => async (data = {}) => {
+    const game = await resolveGame(socket, data);
+    const cardId = await resolveCard(game, data.cardId);
+    const card = await gameService.markCell(game._id, socket.userId, data.cellIndex, cardId);
+    const markedCount = getMarkedCells(card).length;
+
+    socket.emit(LEGACY_SOCKET_EVENTS.CELL_MARKED, {
+      cardId: card.poolIndex,
+      cellIndex: data.cellIndex,
+      markedCount
+    });
+
+    socket.to(`game:${game._id}`).emit(LEGACY_SOCKET_EVENTS.PLAYER_MARKED_CELL, {
+      playerId: socket.userId,
+      cardId: card.poolIndex,
+      markedCount
+    });
+
+    await spectatorService.publishProgress(game, socket.userId, card);
+  },
+
+  // Claim bingo on a card (any card with bingo by default); the host verifies it
+  claimBingo: (socket, io) => async (data = {}) => {
+    const game = await resolveGame(socket, data);
+    const cardId = await resolveCard(game, data.cardId);
+    const { claim, card } = await gameService.submitClaim(game._id, socket.userId, cardId);
+
+    io.to(`game:${game._id}`).emit(LEGACY_SOCKET_EVENTS.BINGO_CLAIMED, {
+      playerId: socket.userId,
+      playerName: socket.player.firstName,
+      cardId: card.poolIndex,
+      timestamp: claim.claimedAt.getTime(),
+      markedCells: getMarkedCells(card)
+    });
+  },
+
+  // Host accepts or rejects a claim
+  verifyBingo: (socket, io) => async (data = {}) => {
+    const game = await resolveGame(socket, data);
+    const result = await gameService.verifyClaim(
+      game._id,
+      socket.userId,
+      data.playerId,
+      Boolean(data.isValid)
+    );
+
+    const claimant = await Player.findById(data.playerId, 'firstName');
+    const name = claimant ? claimant.firstName : 'Player';
+
+    if (!result.accepted) {
+      io.to(`game:${game._id}`).emit(LEGACY_SOCKET_EVENTS.BINGO_VERIFIED, {
+        winner: null,
+        isValid: false,
+        message: `${name}'s Bingo claim was invalid`
+      });
+      return;
+    }
+
+    const card = await BingoCard.findById(result.claim.bingoCard);
+
+    io.to(`game:${game._id}`).emit(LEGACY_SOCKET_EVENTS.BINGO_VERIFIED, {
+      winner: {
+        id: data.playerId,
+        name,
+        cardId: card ? card.poolIndex : null,
+        markedCells: card ? getMarkedCells(card) : []
+      },
+      isValid: true,
+      message: `🎉 ${name} wins with a valid Bingo! 🎉`
+    });
+  },
+
+  // Chat with the other players in the game; spectators join in when the
+  // game allows it
+  sendChat: (socket, io) => async (data = {}) => {
+    const game = await resolveGame(socket, data);
+    const { allowChat } = game.config.spectators;
+    const spectator = !findEntry(game, socket.userId);
+
+    if (spectator && !isSpectating(socket, game)) {
+      throw new Error(ERROR_MESSAGES.PLAYER.NOT_IN_GAME);
+    }
+    if (spectator && !allowChat) {
+      throw new Error(ERROR_MESSAGES.GAME.SPECTATOR_READ_ONLY);
+    }
+
+    const message = String(data.message ?? '').trim().slice(0, 200);
+    if (message.length === 0) {
+      return;
+    }
+
+    const rooms = allowChat
+      ? [`game:${game._id}`, spectatorService.getRoom(game._id)]
+      : `game:${game._id}`;
+
+    io.to(rooms).emit(LEGACY_SOCKET_EVENTS.CHAT_MESSAGE, {
+      playerId: socket.userId,
+      playerName: socket.player.firstName,
+      message,
+      spectator,
+      timestamp: Date.now()
+    });
+  },
+
+  // Leave the game (the game service notifies the others)
+  leaveGame: (socket, io) => async (data = {}) => {
+    const game = await resolveGame(socket, data);
+
+    await gameService.leaveGame(game._id, socket.userId);
+
+    socket.leave(`game:${game._id}`);
+    delete socket.gameId;
+  }
+};
+
+// Games are addressed by share code; fall back to the game this socket joined
+// or watches
+async function resolveGame(socket, data) {
+  if (data.gameId) {
+    return gameService.getGameByCode(data.gameId);
+  }
+
+  const gameId = socket.gameId || socket.spectating;
+  const game = gameId && await Game.findById(gameId);
+  if (!game) {
+    throw new Error(ERROR_MESSAGES.GAME.NOT_FOUND);
+  }
+  return game;
+}
+
+// Cards are addressed by their pool index
+async function resolveCard(game, poolIndex) {
+  if (poolIndex === undefined || poolIndex === null) {
+    return undefined;
+  }
+
+  const card = await BingoCard.findOne({ game: game._id, poolIndex: Number(poolIndex) }, '_id');
+  if (!card) {
+    throw new Error(ERROR_MESSAGES.CARD.NOT_FOUND);
+  }
+  return card._id;
+}
+
+function isSpectating(socket, game) {
+  return Boolean(socket.spectating) && socket.spectating.toString() === game._id.toString();
+}
+
+function findEntry(game, playerId) {
+  return game.players.find(p => (p.player._id || p.player).toString() === playerId.toString());
+}
+
+// Indices (row * 5 + col) of marked cells, the free centre included
+function getMarkedCells(card) {
+  return [12, ...card.markedNumbers.map(mn => mn.position.row * 5 + mn.position.col)];
+}
+
+function serializePlayers(game) {
+  return game.players.map(p => ({
+    id: p.player._id.toString(),
+    name: p.player.firstName,
+    isHost: Boolean(game.host) && game.host.toString() === p.player._id.toString(),
+    hasSelectedCard: p.bingoCards.length > 0,
+    cardCount: p.bingoCards.length,
+    // Progress of the player's best card
+    markedCount: Math.max(1, ...p.bingoCards.map(card => getMarkedCells(card).length))
+  }));
+}
+
+// Put the socket in the game room and send the lobby state
+async function announceJoin(socket, gameId) {
+  const game = await gameService.getGame(gameId);
+  const room = `game:${game._id}`;
+
+  socket.join(room);
+  socket.gameId = game._id;
+
+  const pool = await cardService.getPool(game._id);
+  socket.emit(LEGACY_SOCKET_EVENTS.CARD_POOL, {
+    cards: pool.map(card => ({
+      id: card.poolIndex,
+      preview: card.getPreview(),
+      taken: Boolean(card.player)
+    }))
+  });
+
+  const players = serializePlayers(game);
+  const player = players.find(p => p.id === socket.userId.toString());
+
+  socket.emit(LEGACY_SOCKET_EVENTS.GAME_JOINED, {
+    game: {
+      id: game.code,
+      host: game.host,
+      isGameActive: game.status === GAME_CONSTANTS.STATUS.IN_PROGRESS,
+      calledNumbers: game.calledNumbers.map(cn => cn.number),
+      players
+    },
+    player: {
+      id: player.id,
+      name: player.name,
+      isHost: player.isHost
+    }
+  });
+
+  // A player who already picked cards gets them back
+  const entry = findEntry(game, socket.userId);
+  for (const card of entry ? entry.bingoCards : []) {
+    socket.emit(LEGACY_SOCKET_EVENTS.CARD_SELECTED, {
+      success: true,
+      cardId: card.poolIndex,
+      card: card.getCells()
+    });
+  }
+
+  socket.to(room).emit(LEGACY_SOCKET_EVENTS.PLAYER_JOINED, {
+    player: {
+      id: player.id,
+      name: player.name,
+      isHost: player.isHost,
+      hasSelectedCard: player.hasSelectedCard
+    },
+    players
+  });
+}
@@ -1,5 +1,6 @@
-const Player = require('../models/Player');
 const playerService = require('../services/playerService');
+const notificationService = require('../services/notificationService');
+const { SOCKET_EVENTS } = require('../config/constants');
 const logger = require('../utils/logger');
 
 module.exports = {
@@ -17,7 +18,7 @@ module.exports = {
 
       // Notify friends or players in same room/game
       if (socket.gameId) {
-        socket.to(`game:${socket.gameId}`).emit('player_status_update', {
+        socket.to(`game:${socket.gameId}`).emit(SOCKET_EVENTS.PLAYER_STATUS_UPDATE, {
           playerId,
           isOnline,
           lastActive: player.lastActive
@@ -62,7 +63,7 @@ module.exports = {
           ...stats
         });
       } else {
-        socket.emit('player_stats', stats);
+        socket.emit(SOCKET_EVENTS.PLAYER_STATS, stats);
       }
 
     } catch (error) {
@@ -138,18 +139,9 @@ module.exports = {
   // Handle player achievement
   handleAchievement: async (playerId, achievement, io) => {
     try {
-      const player = await Player.findById(playerId);
-      
-      io.to(`user:${playerId}`).emit('achievement_unlocked', {
-        achievement,
-        player: {
-          id: player._id,
-          username: player.telegramUsername
-        },
-        timestamp: new Date()
-      });
-
-      logger.info(`Achievement unlocked for player ${playerId}: ${achievement}`);
+      await notificationService.notifyAchievement(playerId, achievement);
+
+      logger.info(`Achievement unlocked for player ${playerId}: ${achievement.name || achievement}`);
 
     } catch (error) {
       logger.error('Error in handleAchievement:', error);
@@ -159,18 +151,7 @@ module.exports = {
   // Handle level up
   handleLevelUp: async (playerId, oldLevel, newLevel, io) => {
     try {
-      const player = await Player.findById(playerId);
-      
-      io.to(`user:${playerId}`).emit('level_up', {
-        oldLevel,
-        newLevel,
-        player: {
-          id: player._id,
-          username: player.telegramUsername
-        },
-        reward: newLevel * 10, // coins reward
-        timestamp: new Date()
-      });
+      await notificationService.notifyLevelUp(playerId, oldLevel, newLevel);
 
       logger.info(`Player ${playerId} leveled up from ${oldLevel} to ${newLevel}`);
 
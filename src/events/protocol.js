@@ -0,0 +1,934 @@
+const Joi = require('joi');
+const { objectId, roomConfig } = require('../midlleware/validate');
+const {
+  GAME_CONSTANTS,
+  SOCKET_EVENTS,
+  LEGACY_SOCKET_EVENTS
+} = require('../config/constants');
+
+// The socket protocol: every event a client may send, with the payload it
+// must carry and the acknowledgement it gets back, and every event the server
+// sends. Inbound payloads are validated against it (see midlleware/
+// socketProtocol) and the AsyncAPI document at /api/docs/socket is generated
+// from it.
+//
+// The version follows semver: new events and optional fields are a minor
+// change; renaming or removing an event, or requiring a new field, is a major
+// one. Clients announce the version they speak in the handshake.
+const PROTOCOL_VERSION = '1.2.0';
+
+// Ids and dates arrive as strings once serialized
+const id = Joi.string();
+const date = Joi.date();
+const number = Joi.number().integer().min(1).max(75);
+const shareCode = Joi.string().trim().max(32);
+const poolIndex = Joi.number().integer().min(0);
+
+// Outbound payloads are documented by the fields clients rely on; the
+// documents they embed carry more
+const message = keys => Joi.object(keys).unknown();
+
+// A failed acknowledgement; `code` names the error (GAME_NOT_FOUND,
+// VALIDATION_ERROR, ...) and `errors` lists payload problems
+const errorAck = Joi.object({
+  success: Joi.boolean().valid(false).required(),
+  error: Joi.string().required(),
+  code: Joi.string().required(),
+  errors: Joi.array().items(Joi.object({
+    in: Joi.string().valid('payload').required(),
+    field: Joi.string().allow('').required(),
+    message: Joi.string().required()
+  }))
+});
+
+const GROUPS = {
+  connection: 'Connection health and reconnects',
+  game: 'Seats, cards and the state of a game',
+  bingo: 'Marking cards and claiming bingo',
+  player: 'Profile, status and settings',
+  room: 'Lobbies that run games',
+  spectator: 'Watching a game without a seat',
+  tournament: 'Brackets and standings of knock-out tournaments',
+  schedule: 'Games started at set times, open for registration beforehand',
+  legacy: 'Friend games of the original front end, addressed by share code'
+};
+
+// Events sent by the client. `payload` validates what is sent (defaults are
+// applied and unknown keys dropped); `ack` lists the fields of a successful
+// acknowledgement besides `success`.
+const inbound = {
+  [SOCKET_EVENTS.PING]: {
+    group: 'connection',
+    summary: 'Check the connection; answered with pong echoing the payload',
+    payload: Joi.object().unknown(),
+    ack: {}
+  },
+  [SOCKET_EVENTS.RECONNECT]: {
+    group: 'connection',
+    summary: 'Ask for the game state again after reconnecting',
+    payload: Joi.number().integer().min(0).description('Reconnect attempt'),
+    ack: {}
+  },
+  [SOCKET_EVENTS.GET_CONNECTION_STATUS]: {
+    group: 'connection',
+    summary: 'Ask for connection_status',
+    payload: Joi.object(),
+    ack: {}
+  },
+
+  [SOCKET_EVENTS.JOIN_GAME]: {
+    group: 'game',
+    summary: 'Take a seat in a game, or in the current game of a room',
+    payload: Joi.object({
+      gameId: objectId,
+      roomId: objectId,
+      cardCount: Joi.number().integer().min(1).default(1)
+    }).or('gameId', 'roomId'),
+    ack: { game: Joi.object().required() }
+  },
+  [SOCKET_EVENTS.BUY_CARDS]: {
+    group: 'game',
+    summary: 'Buy more cards before the game starts',
+    payload: Joi.object({
+      gameId: objectId.required(),
+      count: Joi.number().integer().min(1).default(1)
+    }),
+    ack: {
+      cardCount: Joi.number().integer().required(),
+      prizePool: Joi.number().required()
+    }
+  },
+  [SOCKET_EVENTS.LEAVE_GAME]: {
+    group: 'game',
+    summary: 'Give up a seat',
+    payload: Joi.object({
+      gameId: objectId.required()
+    }),
+    ack: { message: Joi.string().required() }
+  },
+  [SOCKET_EVENTS.GET_GAME_STATE]: {
+    group: 'game',
+    summary: 'The game with the player\'s cards and the numbers called so far',
+    payload: Joi.object({
+      gameId: objectId.required()
+    }),
+    ack: {
+      game: Joi.object().required(),
+      cards: Joi.array().items(Joi.object({ cardId: id, card: Joi.any() })).required(),
+      card: Joi.any(),
+      calledNumbers: Joi.array().items(number).required(),
+      currentNumber: Joi.any()
+    }
+  },
+  [SOCKET_EVENTS.PLAYER_READY]: {
+    group: 'game',
+    summary: 'Mark the player ready; a game starts once everyone is',
+    payload: Joi.object({
+      gameId: objectId.required(),
+      isReady: Joi.boolean().default(true)
+    }),
+    ack: { isReady: Joi.boolean().required() }
+  },
+  [SOCKET_EVENTS.SPECTATE_GAME]: {
+    group: 'spectator',
+    summary: 'Watch a game by id or share code',
+    payload: Joi.object({
+      gameId: Joi.alternatives().try(objectId, shareCode).required()
+    }),
+    ack: { game: Joi.object().required() }
+  },
+  [SOCKET_EVENTS.STOP_SPECTATING]: {
+    group: 'spectator',
+    summary: 'Stop watching',
+    payload: Joi.object(),
+    ack: {}
+  },
+
+  [SOCKET_EVENTS.UPDATE_PLAYER_STATUS]: {
+    group: 'player',
+    summary: 'Go online or offline',
+    payload: Joi.object({
+      isOnline: Joi.boolean().required()
+    }),
+    ack: {
+      isOnline: Joi.boolean().required(),
+      lastActive: date
+    }
+  },
+  [SOCKET_EVENTS.GET_PLAYER_STATS]: {
+    group: 'player',
+    summary: 'The player\'s profile, transactions and leaderboard position',
+    payload: Joi.object(),
+    ack: {
+      player: Joi.object().required(),
+      transactions: Joi.array().required(),
+      leaderboardPosition: Joi.number().integer().required()
+    }
+  },
+  [SOCKET_EVENTS.UPDATE_SETTINGS]: {
+    group: 'player',
+    summary: 'Change preferences',
+    payload: Joi.object({
+      settings: Joi.object({
+        soundEnabled: Joi.boolean(),
+        vibrationEnabled: Joi.boolean(),
+        notificationsEnabled: Joi.boolean(),
+        autoMarkNumbers: Joi.boolean(),
+        theme: Joi.string().valid('light', 'dark', 'auto')
+      }).required()
+    }),
+    ack: { settings: Joi.object().required() }
+  },
+
+  [SOCKET_EVENTS.CREATE_ROOM]: {
+    group: 'room',
+    summary: 'Open a room hosted by the player',
+    payload: Joi.object({
+      name: Joi.string().trim().max(50).required(),
+      description: Joi.string().trim().max(200).allow(''),
+      config: roomConfig
+    }),
+    ack: { room: Joi.object().required() }
+  },
+  [SOCKET_EVENTS.JOIN_ROOM]: {
+    group: 'room',
+    summary: 'Enter a room',
+    payload: Joi.object({
+      roomId: objectId.required(),
+      password: Joi.string().max(50)
+    }),
+    ack: { room: Joi.object().required() }
+  },
+  [SOCKET_EVENTS.LEAVE_ROOM]: {
+    group: 'room',
+    summary: 'Leave a room',
+    payload: Joi.object({
+      roomId: objectId.required()
+    }),
+    ack: { message: Joi.string().required() }
+  },
+  [SOCKET_EVENTS.GET_ROOMS]: {
+    group: 'room',
+    summary: 'Public rooms, or the private rooms the player is in',
+    payload: Joi.object({
+      type: Joi.string().valid('public', 'private').default('public'),
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1)
+        .max(GAME_CONSTANTS.PAGINATION.MAX_LIMIT)
+        .default(GAME_CONSTANTS.PAGINATION.DEFAULT_LIMIT)
+    }),
+    ack: { rooms: Joi.array().required() }
+  },
+
+  [SOCKET_EVENTS.WATCH_TOURNAMENT]: {
+    group: 'tournament',
+    summary: 'Follow a tournament\'s bracket and standings',
+    payload: Joi.object({
+      roomId: objectId.required()
+    }),
+    ack: { tournament: Joi.object().required() }
+  },
+  [SOCKET_EVENTS.UNWATCH_TOURNAMENT]: {
+    group: 'tournament',
+    summary: 'Stop following a tournament',
+    payload: Joi.object({
+      roomId: objectId.required()
+    }),
+    ack: {}
+  },
+
+  [SOCKET_EVENTS.MARK_NUMBER]: {
+    group: 'bingo',
+    summary: 'Mark a called number on one of the player\'s cards',
+    payload: Joi.object({
+      gameId: objectId.required(),
+      cardId: objectId,
+      number: number.required(),
+      position: Joi.object({
+        row: Joi.number().integer().min(0).max(4).required(),
+        col: Joi.number().integer().min(0).max(4).required()
+      })
+    }),
+    ack: {
+      marked: Joi.boolean().required(),
+      cardId: id.required(),
+      number: number.required(),
+      bingo: Joi.boolean(),
+      winningPattern: Joi.any()
+    }
+  },
+  [SOCKET_EVENTS.AUTO_MARK_NUMBERS]: {
+    group: 'bingo',
+    summary: 'Mark every called number on the player\'s cards (or one card)',
+    payload: Joi.object({
+      gameId: objectId.required(),
+      cardId: objectId
+    }),
+    ack: {
+      markedCount: Joi.number().integer().required(),
+      hasBingo: Joi.boolean().required(),
+      cards: Joi.array().items(Joi.object({
+        cardId: id,
+        markedCount: Joi.number().integer(),
+        newlyMarked: Joi.array(),
+        hasBingo: Joi.boolean(),
+        winningPattern: Joi.any()
+      })).required()
+    }
+  },
+  [SOCKET_EVENTS.GET_CARD_STATE]: {
+    group: 'bingo',
+    summary: 'One of the player\'s cards with its marks and chances',
+    payload: Joi.object({
+      gameId: objectId.required(),
+      cardId: objectId
+    }),
+    ack: {
+      cardId: id.required(),
+      cardIds: Joi.array().items(id).required(),
+      card: Joi.any().required(),
+      markedNumbers: Joi.array().required(),
+      hasBingo: Joi.boolean().required(),
+      analysis: Joi.any(),
+      calledNumbers: Joi.array().items(number).required()
+    }
+  },
+  [SOCKET_EVENTS.CLAIM_BINGO]: {
+    group: 'bingo',
+    summary: 'Claim bingo; the claim window decides who shares the prize',
+    payload: Joi.object({
+      gameId: objectId.required(),
+      cardId: objectId,
+      pattern: Joi.string().max(50).required(),
+      winningNumbers: Joi.array().items(number).min(1).required()
+    }),
+    ack: {
+      winner: Joi.object().required(),
+      cardId: id.required(),
+      pattern: Joi.string().required(),
+      stage: Joi.number().integer(),
+      callOrder: Joi.number().integer(),
+      closesAt: date
+    }
+  },
+
+  [LEGACY_SOCKET_EVENTS.CREATE_GAME]: {
+    group: 'legacy',
+    summary: 'Create a friend game and join it as host; answered with game-created',
+    payload: Joi.object(),
+    ack: {}
+  },
+  [LEGACY_SOCKET_EVENTS.JOIN_GAME]: {
+    group: 'legacy',
+    summary: 'Join a friend game (or get its state again); answered with game-joined',
+    payload: Joi.object({
+      gameId: shareCode.required()
+    }),
+    ack: {}
+  },
+  [LEGACY_SOCKET_EVENTS.SELECT_CARD]: {
+    group: 'legacy',
+    summary: 'Pick a card from the pool; answered with card-selected',
+    payload: Joi.object({
+      gameId: shareCode,
+      cardId: poolIndex.required()
+    }),
+    ack: {}
+  },
+  [LEGACY_SOCKET_EVENTS.START_GAME]: {
+    group: 'legacy',
+    summary: 'Start the game (host only)',
+    payload: Joi.object({
+      gameId: shareCode
+    }),
+    ack: {}
+  },
+  [LEGACY_SOCKET_EVENTS.MARK_CELL]: {
+    group: 'legacy',
+    summary: 'Mark a cell (row * 5 + col) holding a called number',
+    payload: Joi.object({
+      gameId: shareCode,
+      cardId: poolIndex,
+      cellIndex: Joi.number().integer().min(0).max(24).required()
+    }),
+    ack: {}
+  },
+  [LEGACY_SOCKET_EVENTS.CLAIM_BINGO]: {
+    group: 'legacy',
+    summary: 'Claim bingo on a card for the host to verify',
+    payload: Joi.object({
+      gameId: shareCode,
+      cardId: poolIndex
+    }),
+    ack: {}
+  },
+  [LEGACY_SOCKET_EVENTS.VERIFY_BINGO]: {
+    group: 'legacy',
+    summary: 'Accept or reject a player\'s claim (host only)',
+    payload: Joi.object({
+      gameId: shareCode,
+      playerId: objectId.required(),
+      isValid: Joi.boolean().required()
+    }),
+    ack: {}
+  },
+  [LEGACY_SOCKET_EVENTS.SEND_CHAT]: {
+    group: 'legacy',
+    summary: 'Chat with the game (and its spectators when allowed); long messages are cut',
+    payload: Joi.object({
+      gameId: shareCode,
+      message: Joi.string().allow('').required()
+    }),
+    ack: {}
+  },
+  [LEGACY_SOCKET_EVENTS.LEAVE_GAME]: {
+    group: 'legacy',
+    summary: 'Leave the friend game',
+    payload: Joi.object({
+      gameId: shareCode
+    }),
+    ack: {}
+  }
+};
+
+// Spectators get the player's seat number instead of who they are
+const publicPlayer = Joi.object({
+  id,
+  username: Joi.string().allow(null),
+  firstName: Joi.string().allow(null),
+  seat: Joi.number().integer().allow(null)
+}).unknown();
+
+const fairness = Joi.object({
+  serverSeed: Joi.string(),
+  serverSeedHash: Joi.string(),
+  clientSeed: Joi.string().allow(null)
+});
+
+const legacyPlayer = Joi.object({
+  id,
+  name: Joi.string(),
+  isHost: Joi.boolean(),
+  hasSelectedCard: Joi.boolean(),
+  cardCount: Joi.number().integer(),
+  markedCount: Joi.number().integer()
+});
+
+const cells = Joi.array().items(Joi.number().integer().min(0).max(24));
+
+const tournamentStatus = Joi.string().valid(...Object.values(GAME_CONSTANTS.TOURNAMENT.STATUS));
+
+// Events sent by the server
+const outbound = {
+  [SOCKET_EVENTS.ERROR]: {
+    group: 'connection',
+    summary: 'An event without an acknowledgement callback failed',
+    payload: message({
+      type: Joi.string().required(),
+      message: Joi.string().required(),
+      event: Joi.string(),
+      code: Joi.string(),
+      errors: errorAck.extract('errors')
+    })
+  },
+  [SOCKET_EVENTS.PONG]: {
+    group: 'connection',
+    summary: 'Answer to ping',
+    payload: message({ timestamp: Joi.number().required() })
+  },
+  [SOCKET_EVENTS.CONNECTION_STATUS]: {
+    group: 'connection',
+    summary: 'Answer to get_connection_status',
+    payload: message({
+      connected: Joi.boolean().required(),
+      socketId: Joi.string().required(),
+      userId: id,
+      protocolVersion: Joi.string().required(),
+      timestamp: Joi.number().required()
+    })
+  },
+  [SOCKET_EVENTS.RECONNECTED]: {
+    group: 'connection',
+    summary: 'Sent on connecting with a seat in an open game, with the full game state',
+    payload: message({
+      message: Joi.string().required(),
+      timestamp: Joi.number().required(),
+      game: Joi.object(),
+      cards: Joi.array()
+    })
+  },
+
+  [SOCKET_EVENTS.GAME_STATE]: {
+    group: 'game',
+    summary: 'The game after joining or starting to watch it',
+    payload: message({
+      type: Joi.string(),
+      game: Joi.object().required(),
+      playerId: id
+    })
+  },
+  [SOCKET_EVENTS.PLAYER_JOINED]: {
+    group: 'game',
+    summary: 'Someone took a seat',
+    payload: message({
+      gameId: id.required(),
+      playerId: id.required(),
+      playerCount: Joi.number().integer().required()
+    })
+  },
+  [SOCKET_EVENTS.PLAYER_READY_UPDATE]: {
+    group: 'game',
+    summary: 'A player changed their ready status',
+    payload: message({
+      gameId: id.required(),
+      playerId: id.required(),
+      isReady: Joi.boolean().required()
+    })
+  },
+  [SOCKET_EVENTS.GAME_STARTING]: {
+    group: 'game',
+    summary: 'Personal notice that one of the player\'s games starts',
+    payload: message({
+      gameId: id.required(),
+      startTime: date
+    })
+  },
+  [SOCKET_EVENTS.GAME_START]: {
+    group: 'game',
+    summary: 'The game started; the draw is committed to serverSeedHash',
+    payload: message({
+      game: Joi.object({
+        id,
+        duration: Joi.number(),
+        startTime: date,
+        players: Joi.array().items(Joi.object({ id, username: Joi.string().allow(null) }))
+      }).required(),
+      fairness,
+      message: Joi.string()
+    })
+  },
+  [SOCKET_EVENTS.NUMBER_CALLED]: {
+    group: 'game',
+    summary: 'A number was drawn',
+    payload: message({
+      gameId: id.required(),
+      number: number.required(),
+      letter: Joi.string().valid('B', 'I', 'N', 'G', 'O').required(),
+      callOrder: Joi.number().integer().required(),
+      totalCalls: Joi.number().integer(),
+      timestamp: date
+    })
+  },
+  [SOCKET_EVENTS.PLAYER_LEFT]: {
+    group: 'game',
+    summary: 'A player gave up their seat',
+    payload: message({
+      gameId: id.required(),
+      playerId: id.required(),
+      playerCount: Joi.number().integer().required()
+    })
+  },
+  [SOCKET_EVENTS.PLAYER_DISCONNECTED]: {
+    group: 'game',
+    summary: 'A player dropped; their seat is held until expiresAt',
+    payload: message({
+      gameId: id.required(),
+      playerId: id.required(),
+      expiresAt: date
+    })
+  },
+  [SOCKET_EVENTS.PLAYER_RECONNECTED]: {
+    group: 'game',
+    summary: 'A dropped player is back',
+    payload: message({
+      gameId: id.required(),
+      playerId: id.required()
+    })
+  },
+  [SOCKET_EVENTS.GAME_END]: {
+    group: 'game',
+    summary: 'The game is over or was cancelled; the draw seed is revealed',
+    payload: message({
+      gameId: id.required(),
+      reason: Joi.string().required(),
+      status: Joi.string(),
+      winners: Joi.array().items(publicPlayer).required(),
+      calledNumbers: Joi.number().integer(),
+      duration: Joi.number(),
+      fairness
+    })
+  },
+
+  [SOCKET_EVENTS.CARD_DAUBED]: {
+    group: 'bingo',
+    summary: 'Auto-daub marked numbers on one of the player\'s cards',
+    payload: message({
+      gameId: id.required(),
+      cardId: id.required(),
+      number: number.required(),
+      markedCount: Joi.number().integer(),
+      hasBingo: Joi.boolean()
+    })
+  },
+  [SOCKET_EVENTS.BINGO_CLAIMED]: {
+    group: 'bingo',
+    summary: 'A claim joined the claim window',
+    payload: message({
+      gameId: id.required(),
+      winner: publicPlayer.required(),
+      cardId: id,
+      pattern: Joi.string().required(),
+      stage: Joi.number().integer(),
+      closesAt: date,
+      winningNumbers: Joi.array().items(number)
+    })
+  },
+  [SOCKET_EVENTS.BINGO_INVALID]: {
+    group: 'bingo',
+    summary: 'The player\'s claim was refused',
+    payload: message({
+      gameId: id,
+      error: Joi.string().required()
+    })
+  },
+  [SOCKET_EVENTS.SLEEPING_BINGO]: {
+    group: 'bingo',
+    summary: 'The player had bingo on a card but did not claim it in time',
+    payload: message({
+      gameId: id.required(),
+      cardId: id.required(),
+      pattern: Joi.string()
+    })
+  },
+  [SOCKET_EVENTS.CLAIM_PENALTY]: {
+    group: 'bingo',
+    summary: 'A false claim was penalised',
+    payload: message({
+      gameId: id.required(),
+      coins: Joi.number()
+    })
+  },
+  [SOCKET_EVENTS.BINGO_VALID]: {
+    group: 'bingo',
+    summary: 'The claim window closed; everyone in winners shares the prize',
+    payload: message({
+      gameId: id.required(),
+      stage: Joi.number().integer(),
+      winners: Joi.array().items(publicPlayer).required(),
+      prize: Joi.number().required(),
+      splitWith: Joi.number().integer(),
+      gameOver: Joi.boolean().required()
+    })
+  },
+  [SOCKET_EVENTS.STAGE_COMPLETE]: {
+    group: 'bingo',
+    summary: 'A stage of a staged game was won; the next one is played',
+    payload: message({
+      gameId: id.required(),
+      stage: Joi.number().integer().required(),
+      winners: Joi.array().items(publicPlayer),
+      nextStage: Joi.object().required()
+    })
+  },
+  [SOCKET_EVENTS.BINGO_WINNER]: {
+    group: 'bingo',
+    summary: 'Personal notice of a prize',
+    payload: message({
+      gameId: id.required(),
+      prize: Joi.number().required()
+    })
+  },
+
+  [SOCKET_EVENTS.SPECTATOR_PROGRESS]: {
+    group: 'spectator',
+    summary: 'Anonymous progress of one seat',
+    payload: message({ gameId: id.required() })
+  },
+  [SOCKET_EVENTS.SPECTATOR_LEADERBOARD]: {
+    group: 'spectator',
+    summary: 'Seats ranked by progress',
+    payload: message({ gameId: id.required() })
+  },
+
+  [SOCKET_EVENTS.PLAYER_STATUS_UPDATE]: {
+    group: 'player',
+    summary: 'A player in the game went online or offline',
+    payload: message({
+      playerId: id.required(),
+      isOnline: Joi.boolean().required(),
+      lastActive: date
+    })
+  },
+  [SOCKET_EVENTS.PLAYER_STATS]: {
+    group: 'player',
+    summary: 'Answer to get_player_stats without an acknowledgement callback',
+    payload: message({ player: Joi.object().required() })
+  },
+  [SOCKET_EVENTS.LEVEL_UP]: {
+    group: 'player',
+    summary: 'The player reached a new level',
+    payload: message({
+      oldLevel: Joi.number().integer().required(),
+      newLevel: Joi.number().integer().required(),
+      reward: Joi.number()
+    })
+  },
+  [SOCKET_EVENTS.ACHIEVEMENT_UNLOCKED]: {
+    group: 'player',
+    summary: 'The player unlocked an achievement',
+    payload: message({ achievement: Joi.any().required() })
+  },
+
+  [SOCKET_EVENTS.ROOM_CREATED]: {
+    group: 'room',
+    summary: 'A room was opened',
+    payload: message({
+      room: Joi.object({
+        id,
+        name: Joi.string(),
+        description: Joi.string().allow(''),
+        playerCount: Joi.number().integer(),
+        config: Joi.object()
+      }).required()
+    })
+  },
+  [SOCKET_EVENTS.ROOMS_LIST]: {
+    group: 'room',
+    summary: 'Answer to get_rooms without an acknowledgement callback',
+    payload: Joi.array().items(Joi.object())
+  },
+  [SOCKET_EVENTS.PLAYER_JOINED_ROOM]: {
+    group: 'room',
+    summary: 'Someone entered the room',
+    payload: message({
+      roomId: id.required(),
+      playerId: id.required(),
+      playerCount: Joi.number().integer()
+    })
+  },
+  [SOCKET_EVENTS.PLAYER_LEFT_ROOM]: {
+    group: 'room',
+    summary: 'Someone left the room',
+    payload: message({
+      roomId: id.required(),
+      playerId: id.required(),
+      playerCount: Joi.number().integer()
+    })
+  },
+
+  [SOCKET_EVENTS.TOURNAMENT_BRACKET]: {
+    group: 'tournament',
+    summary: 'The rounds of a tournament with who played them and who went through',
+    payload: message({
+      roomId: id.required(),
+      status: tournamentStatus.required(),
+      currentRound: Joi.number().integer().required(),
+      maxRounds: Joi.number().integer(),
+      rounds: Joi.array().items(message({
+        round: Joi.number().integer().required(),
+        game: id,
+        status: Joi.string().valid('playing', 'finished').required(),
+        players: Joi.array().items(publicPlayer).required(),
+        results: Joi.array().items(Joi.object({
+          position: Joi.number().integer().required(),
+          player: publicPlayer.required(),
+          advanced: Joi.boolean()
+        })).required()
+      })).required()
+    })
+  },
+  [SOCKET_EVENTS.TOURNAMENT_STANDINGS]: {
+    group: 'tournament',
+    summary: 'Every registered player by how far they got, with their prize',
+    payload: message({
+      roomId: id.required(),
+      status: tournamentStatus.required(),
+      currentRound: Joi.number().integer().required(),
+      prizePool: Joi.number().required(),
+      standings: Joi.array().items(Joi.object({
+        position: Joi.number().integer().required(),
+        player: publicPlayer.required(),
+        round: Joi.number().integer().allow(null).required(),
+        status: Joi.string().valid('registered', 'playing', 'through', 'eliminated', 'finished').required(),
+        prize: Joi.number().required()
+      })).required()
+    })
+  },
+
+  [SOCKET_EVENTS.UPCOMING_GAME]: {
+    group: 'schedule',
+    summary: 'A scheduled game is open for registration (joined like any other game)',
+    payload: message({
+      scheduleId: id.required(),
+      name: Joi.string().required(),
+      gameId: id.required(),
+      roomId: id.required(),
+      startsAt: date.required(),
+      entryFee: Joi.number().required(),
+      maxPlayers: Joi.number().integer().required()
+    })
+  },
+
+  [LEGACY_SOCKET_EVENTS.GAME_CREATED]: {
+    group: 'legacy',
+    summary: 'The friend game was created; gameId is its share code',
+    payload: message({
+      gameId: Joi.string().required(),
+      message: Joi.string()
+    })
+  },
+  [LEGACY_SOCKET_EVENTS.GAME_JOINED]: {
+    group: 'legacy',
+    summary: 'The lobby state after joining',
+    payload: message({
+      game: Joi.object({
+        id: Joi.string(),
+        host: id.allow(null),
+        isGameActive: Joi.boolean(),
+        calledNumbers: Joi.array().items(number),
+        players: Joi.array().items(legacyPlayer)
+      }).unknown().required(),
+      player: Joi.object({
+        id,
+        name: Joi.string(),
+        isHost: Joi.boolean()
+      }).required()
+    })
+  },
+  [LEGACY_SOCKET_EVENTS.CARD_POOL]: {
+    group: 'legacy',
+    summary: 'The cards players can pick from',
+    payload: message({
+      cards: Joi.array().items(Joi.object({
+        id: poolIndex,
+        preview: Joi.any(),
+        taken: Joi.boolean()
+      })).required()
+    })
+  },
+  [LEGACY_SOCKET_EVENTS.CARD_SELECTED]: {
+    group: 'legacy',
+    summary: 'A card the player picked, with its cells',
+    payload: message({
+      success: Joi.boolean(),
+      cardId: poolIndex.required(),
+      card: Joi.array().required()
+    })
+  },
+  [LEGACY_SOCKET_EVENTS.PLAYER_JOINED]: {
+    group: 'legacy',
+    summary: 'Someone joined the friend game',
+    payload: message({
+      player: legacyPlayer.required(),
+      players: Joi.array().items(legacyPlayer).required()
+    })
+  },
+  [LEGACY_SOCKET_EVENTS.PLAYER_CARD_SELECTED]: {
+    group: 'legacy',
+    summary: 'Another player picked a card',
+    payload: message({
+      playerId: id.required(),
+      playerName: Joi.string()
+    })
+  },
+  [LEGACY_SOCKET_EVENTS.ALL_PLAYERS_READY]: {
+    group: 'legacy',
+    summary: 'Every player has a card; the host can start (no payload)',
+    payload: Joi.any().valid(null)
+  },
+  [LEGACY_SOCKET_EVENTS.GAME_STARTED]: {
+    group: 'legacy',
+    summary: 'The host started the game',
+    payload: message({
+      startedAt: date,
+      calledNumbers: Joi.array().items(number)
+    })
+  },
+  [LEGACY_SOCKET_EVENTS.NUMBER_CALLED]: {
+    group: 'legacy',
+    summary: 'A number was drawn, with every number called so far',
+    payload: message({
+      number: number.required(),
+      totalCalled: Joi.number().integer(),
+      calledNumbers: Joi.array().items(number)
+    })
+  },
+  [LEGACY_SOCKET_EVENTS.CELL_MARKED]: {
+    group: 'legacy',
+    summary: 'The player\'s cell was marked',
+    payload: message({
+      cardId: poolIndex.required(),
+      cellIndex: Joi.number().integer().min(0).max(24).required(),
+      markedCount: Joi.number().integer()
+    })
+  },
+  [LEGACY_SOCKET_EVENTS.PLAYER_MARKED_CELL]: {
+    group: 'legacy',
+    summary: 'Another player marked a cell',
+    payload: message({
+      playerId: id.required(),
+      cardId: poolIndex,
+      markedCount: Joi.number().integer()
+    })
+  },
+  [LEGACY_SOCKET_EVENTS.BINGO_CLAIMED]: {
+    group: 'legacy',
+    summary: 'A player claimed bingo; the host verifies it',
+    payload: message({
+      playerId: id.required(),
+      playerName: Joi.string(),
+      cardId: poolIndex,
+      timestamp: Joi.number(),
+      markedCells: cells
+    })
+  },
+  [LEGACY_SOCKET_EVENTS.BINGO_VERIFIED]: {
+    group: 'legacy',
+    summary: 'The host accepted or rejected a claim',
+    payload: message({
+      isValid: Joi.boolean().required(),
+      winner: Joi.object({
+        id,
+        name: Joi.string(),
+        cardId: poolIndex.allow(null),
+        markedCells: cells
+      }).allow(null),
+      message: Joi.string()
+    })
+  },
+  [LEGACY_SOCKET_EVENTS.CHAT_MESSAGE]: {
+    group: 'legacy',
+    summary: 'A chat message',
+    payload: message({
+      playerId: id.required(),
+      playerName: Joi.string(),
+      message: Joi.string().max(200).required(),
+      spectator: Joi.boolean(),
+      timestamp: Joi.number()
+    })
+  },
+  [LEGACY_SOCKET_EVENTS.PLAYER_LEFT]: {
+    group: 'legacy',
+    summary: 'A player left the friend game',
+    payload: message({
+      playerId: id.required(),
+      players: Joi.array().items(legacyPlayer)
+    })
+  },
+  [LEGACY_SOCKET_EVENTS.NEW_HOST]: {
+    group: 'legacy',
+    summary: 'The host left and another player took over',
+    payload: message({
+      hostId: id.required(),
+      hostName: Joi.string()
+    })
+  }
+};
+
+module.exports = {
+  PROTOCOL_VERSION,
+  GROUPS,
+  inbound,
+  outbound,
+  errorAck
+};
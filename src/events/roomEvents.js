@@ -1,5 +1,6 @@
 const Room = require('../models/Room');
 const roomService = require('../services/roomService');
+const { SOCKET_EVENTS } = require('../config/constants');
 const logger = require('../utils/logger');
 
 module.exports = {
@@ -36,7 +37,7 @@ module.exports = {
       }
 
       // Broadcast room creation
-      io.emit('room_created', {
+      io.emit(SOCKET_EVENTS.ROOM_CREATED, {
         room: {
           id: room._id,
           name: room.name,
@@ -76,7 +77,7 @@ module.exports = {
       socket.roomId = roomId;
 
       // Notify room members
-      socket.to(`room:${roomId}`).emit('player_joined_room', {
+      socket.to(`room:${roomId}`).emit(SOCKET_EVENTS.PLAYER_JOINED_ROOM, {
         playerId,
         roomId,
         playerCount: room.playerCount
@@ -119,7 +120,7 @@ module.exports = {
       delete socket.roomId;
 
       // Notify room members
-      socket.to(`room:${roomId}`).emit('player_left_room', {
+      socket.to(`room:${roomId}`).emit(SOCKET_EVENTS.PLAYER_LEFT_ROOM, {
         playerId,
         roomId,
         playerCount: room.playerCount
@@ -178,7 +179,7 @@ module.exports = {
           rooms
         });
       } else {
-        socket.emit('rooms_list', rooms);
+        socket.emit(SOCKET_EVENTS.ROOMS_LIST, rooms);
       }
 
     } catch (error) {
@@ -1,147 +1,180 @@
 const logger = require('../utils/logger');
-const { SOCKET_EVENTS, ERROR_MESSAGES } = require('../config/constants');
+const { handleEvent, PROTOCOL_VERSION } = require('../midlleware/socketProtocol');
+const { SOCKET_EVENTS, LEGACY_SOCKET_EVENTS } = require('../config/constants');
 
 module.exports = (socket, io) => {
   logger.info(`Socket connected: ${socket.id} - User: ${socket.userId}`);
 
+  // Resume a game the player was disconnected from
+  handleReconnection(socket);
+
   // Handle connection errors
-  socket.on('error', (error) => {
+  socket.on(SOCKET_EVENTS.ERROR, (error) => {
     logger.error(`Socket error for ${socket.id}:`, error);
-    socket.emit('error', {
+    socket.emit(SOCKET_EVENTS.ERROR, {
       type: 'connection_error',
       message: 'Connection error occurred'
     });
   });
 
   // Handle connection timeout
-  socket.on('disconnect', (reason) => {
+  socket.on(SOCKET_EVENTS.DISCONNECT, (reason) => {
     logger.info(`Socket disconnected: ${socket.id} - Reason: ${reason}`);
     handleDisconnection(socket);
   });
 
+  // Inbound events go through the protocol (see events/protocol): payloads
+  // are validated and acknowledgements get a consistent shape
+  const on = (event, handler) => socket.on(event, handleEvent(socket, event, handler));
+
   // Handle reconnection
-  socket.on('reconnect', (attemptNumber) => {
+  on(SOCKET_EVENTS.RECONNECT, (attemptNumber) => {
     logger.info(`Socket reconnected: ${socket.id} - Attempt: ${attemptNumber}`);
-    handleReconnection(socket);
+    return handleReconnection(socket, true);
   });
 
   // Ping-pong for connection health
-  socket.on('ping', (data) => {
-    socket.emit('pong', {
+  on(SOCKET_EVENTS.PING, (data) => {
+    socket.emit(SOCKET_EVENTS.PONG, {
       timestamp: Date.now(),
       ...data
     });
   });
 
   // Get connection status
-  socket.on('get_connection_status', () => {
-    socket.emit('connection_status', {
+  on(SOCKET_EVENTS.GET_CONNECTION_STATUS, () => {
+    socket.emit(SOCKET_EVENTS.CONNECTION_STATUS, {
       connected: true,
       socketId: socket.id,
       userId: socket.userId,
+      protocolVersion: socket.protocolVersion || PROTOCOL_VERSION,
       timestamp: Date.now()
     });
   });
 
-  // Error handling wrapper
-  const withErrorHandling = (handler) => {
-    return async (...args) => {
-      try {
-        await handler(...args);
-      } catch (error) {
-        logger.error(`Socket event error for ${socket.id}:`, error);
-        
-        const lastArg = args[args.length - 1];
-        if (typeof lastArg === 'function') {
-          // If there's a callback, send error
-          lastArg({
-            success: false,
-            error: error.message
-          });
-        } else {
-          // Otherwise emit error event
-          socket.emit('error', {
-            type: 'event_error',
-            message: error.message,
-            event: args[0] // event name
-          });
-        }
-      }
-    };
-  };
-
-  // Register all event handlers with error handling
+  // Register all event handlers
   const gameEvents = require('./gameEvents');
   const playerEvents = require('./playerEvents');
   const roomEvents = require('./roomEvents');
   const bingoEvents = require('./bingoEvents');
+  const legacyEvents = require('./legacyEvents');
+  const tournamentEvents = require('./tournamentEvents');
 
   // Game events
-  socket.on(SOCKET_EVENTS.JOIN_GAME, withErrorHandling(gameEvents.joinGame(socket, io)));
-  socket.on(SOCKET_EVENTS.LEAVE_GAME, withErrorHandling(gameEvents.leaveGame(socket, io)));
-  socket.on('get_game_state', withErrorHandling(gameEvents.getGameState(socket, io)));
-  socket.on('player_ready', withErrorHandling(gameEvents.playerReady(socket, io)));
+  on(SOCKET_EVENTS.JOIN_GAME, gameEvents.joinGame(socket, io));
+  on(SOCKET_EVENTS.BUY_CARDS, gameEvents.buyCards(socket, io));
+  on(SOCKET_EVENTS.LEAVE_GAME, gameEvents.leaveGame(socket, io));
+  on(SOCKET_EVENTS.GET_GAME_STATE, gameEvents.getGameState(socket, io));
+  on(SOCKET_EVENTS.PLAYER_READY, gameEvents.playerReady(socket, io));
+  on(SOCKET_EVENTS.SPECTATE_GAME, gameEvents.spectateGame(socket, io));
+  on(SOCKET_EVENTS.STOP_SPECTATING, gameEvents.stopSpectating(socket, io));
 
   // Player events
-  socket.on('update_player_status', withErrorHandling(playerEvents.updatePlayerStatus(socket, io)));
-  socket.on('get_player_stats', withErrorHandling(playerEvents.getPlayerStats(socket, io)));
-  socket.on('update_settings', withErrorHandling(playerEvents.updateSettings(socket, io)));
+  on(SOCKET_EVENTS.UPDATE_PLAYER_STATUS, playerEvents.updatePlayerStatus(socket, io));
+  on(SOCKET_EVENTS.GET_PLAYER_STATS, playerEvents.getPlayerStats(socket, io));
+  on(SOCKET_EVENTS.UPDATE_SETTINGS, playerEvents.updateSettings(socket, io));
 
   // Room events
-  socket.on('create_room', withErrorHandling(roomEvents.createRoom(socket, io)));
-  socket.on('join_room', withErrorHandling(roomEvents.joinRoom(socket, io)));
-  socket.on('leave_room', withErrorHandling(roomEvents.leaveRoom(socket, io)));
-  socket.on('get_rooms', withErrorHandling(roomEvents.getRooms(socket, io)));
+  on(SOCKET_EVENTS.CREATE_ROOM, roomEvents.createRoom(socket, io));
+  on(SOCKET_EVENTS.JOIN_ROOM, roomEvents.joinRoom(socket, io));
+  on(SOCKET_EVENTS.LEAVE_ROOM, roomEvents.leaveRoom(socket, io));
+  on(SOCKET_EVENTS.GET_ROOMS, roomEvents.getRooms(socket, io));
+
+  // Tournament events
+  on(SOCKET_EVENTS.WATCH_TOURNAMENT, tournamentEvents.watchTournament(socket, io));
+  on(SOCKET_EVENTS.UNWATCH_TOURNAMENT, tournamentEvents.unwatchTournament(socket, io));
 
   // Bingo events
-  socket.on(SOCKET_EVENTS.CLAIM_BINGO, withErrorHandling(bingoEvents.claimBingo(socket, io)));
-  socket.on('mark_number', withErrorHandling(bingoEvents.markNumber(socket, io)));
-  socket.on('get_card_state', withErrorHandling(bingoEvents.getCardState(socket, io)));
+  on(SOCKET_EVENTS.CLAIM_BINGO, bingoEvents.claimBingo(socket, io));
+  on(SOCKET_EVENTS.MARK_NUMBER, bingoEvents.markNumber(socket, io));
+  on(SOCKET_EVENTS.GET_CARD_STATE, bingoEvents.getCardState(socket, io));
+  on(SOCKET_EVENTS.AUTO_MARK_NUMBERS, bingoEvents.autoMarkNumbers(socket, io));
+
+  // Events of the original front end (friend games joined by share code)
+  on(LEGACY_SOCKET_EVENTS.CREATE_GAME, legacyEvents.createGame(socket, io));
+  on(LEGACY_SOCKET_EVENTS.JOIN_GAME, legacyEvents.joinGame(socket, io));
+  on(LEGACY_SOCKET_EVENTS.SELECT_CARD, legacyEvents.selectCard(socket, io));
+  on(LEGACY_SOCKET_EVENTS.START_GAME, legacyEvents.startGame(socket, io));
+  on(LEGACY_SOCKET_EVENTS.MARK_CELL, legacyEvents.markCell(socket, io));
+  on(LEGACY_SOCKET_EVENTS.CLAIM_BINGO, legacyEvents.claimBingo(socket, io));
+  on(LEGACY_SOCKET_EVENTS.VERIFY_BINGO, legacyEvents.verifyBingo(socket, io));
+  on(LEGACY_SOCKET_EVENTS.SEND_CHAT, legacyEvents.sendChat(socket, io));
+  on(LEGACY_SOCKET_EVENTS.LEAVE_GAME, legacyEvents.leaveGame(socket, io));
 };
 
-// Handle disconnection
+// Handle disconnection. A player in an open game keeps their seat for the
+// reconnect grace period (mobile clients drop the socket when switching apps);
+// otherwise they leave their game and room right away.
 const handleDisconnection = async (socket) => {
   try {
-    const { Player, Game, Room } = require('../models');
-    
+    const { Player } = require('../models');
+
+    if (!socket.userId) {
+      return;
+    }
+
+    // Another tab or device of the same player is still connected
+    const others = await socket.nsp.in(`user:${socket.userId}`).fetchSockets();
+    if (others.length > 0) {
+      return;
+    }
+
     // Update player online status
-    if (socket.userId) {
-      await Player.findByIdAndUpdate(socket.userId, {
-        isOnline: false,
-        lastActive: new Date()
-      });
-
-      // Leave current game if any
-      const player = await Player.findById(socket.userId);
-      if (player && player.currentGame) {
-        const gameService = require('../services/gameService');
-        await gameService.leaveGame(player.currentGame, socket.userId);
-      }
+    const player = await Player.findByIdAndUpdate(socket.userId, {
+      isOnline: false,
+      lastActive: new Date()
+    });
 
-      // Leave current room if any
-      if (player && player.currentRoom) {
-        const roomService = require('../services/roomService');
-        await roomService.leaveRoom(player.currentRoom, socket.userId);
+    if (player && player.currentGame) {
+      const gameService = require('../services/gameService');
+      const held = await gameService.holdSeat(player.currentGame, socket.userId);
+      if (held) {
+        return;
       }
+
+      await gameService.leaveGame(player.currentGame, socket.userId);
+    }
+
+    // Leave current room if any
+    if (player && player.currentRoom) {
+      const roomService = require('../services/roomService');
+      await roomService.leaveRoom(player.currentRoom, socket.userId);
     }
   } catch (error) {
     logger.error('Error handling disconnection:', error);
   }
 };
 
-// Handle reconnection
-const handleReconnection = async (socket) => {
+// Handle (re)connection: a player with a seat in an open game is put back in
+// the game room and sent the full game state
+const handleReconnection = async (socket, announce = false) => {
   try {
-    if (socket.userId) {
-      const playerService = require('../services/playerService');
-      await playerService.updateOnlineStatus(socket.userId, true);
-
-      // Notify about reconnection
-      socket.emit('reconnected', {
-        message: 'Successfully reconnected',
-        timestamp: Date.now()
-      });
+    if (!socket.userId) {
+      return;
+    }
+
+    const playerService = require('../services/playerService');
+    const gameService = require('../services/gameService');
+    const player = await playerService.updateOnlineStatus(socket.userId, true);
+
+    const state = player && player.currentGame
+      ? await gameService.resumeSeat(player.currentGame, socket.userId)
+      : null;
+
+    if (state) {
+      socket.join(`game:${state.game.id}`);
+      socket.gameId = state.game.id;
+    }
+
+    if (!state && !announce) {
+      return;
     }
+
+    socket.emit(SOCKET_EVENTS.RECONNECTED, {
+      message: 'Successfully reconnected',
+      timestamp: Date.now(),
+      ...(state || {})
+    });
   } catch (error) {
     logger.error('Error handling reconnection:', error);
   }
@@ -0,0 +1,52 @@
+const tournamentService = require('../services/tournamentService');
+const { SOCKET_EVENTS } = require('../config/constants');
+const logger = require('../utils/logger');
+
+module.exports = {
+  // Follow a tournament: its bracket and standings are sent on every change
+  watchTournament: (socket, io) => async (data, callback) => {
+    try {
+      const { roomId } = data;
+      const playerId = socket.userId;
+
+      if (!playerId) {
+        throw new Error('Authentication required');
+      }
+
+      const tournament = await tournamentService.getTournament(roomId);
+
+      socket.join(tournamentService.getRoom(roomId));
+
+      if (callback) {
+        callback({
+          success: true,
+          tournament
+        });
+      } else {
+        const update = tournamentService.getUpdate(tournament);
+        socket.emit(SOCKET_EVENTS.TOURNAMENT_BRACKET, { ...update.bracket, timestamp: new Date() });
+        socket.emit(SOCKET_EVENTS.TOURNAMENT_STANDINGS, { ...update.standings, timestamp: new Date() });
+      }
+
+      logger.info(`Player ${playerId} is watching tournament ${roomId}`);
+
+    } catch (error) {
+      logger.error('Error in watchTournament event:', error);
+      if (callback) {
+        callback({
+          success: false,
+          error: error.message
+        });
+      }
+    }
+  },
+
+  // Stop following a tournament (registered players still get its updates)
+  unwatchTournament: (socket, io) => async (data, callback) => {
+    socket.leave(tournamentService.getRoom(data.roomId));
+
+    if (callback) {
+      callback({ success: true });
+    }
+  }
+};
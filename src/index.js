@@ -1,5 +1,9 @@
 const app = require('./app');
 const { connectDB } = require('./database/connection');
+const patternService = require('./services/patternService');
+const gameService = require('./services/gameService');
+const tournamentService = require('./services/tournamentService');
+const scheduleService = require('./services/scheduleService');
 const logger = require('./utils/logger');
 
 const PORT = process.env.PORT || 3000;
@@ -11,8 +15,22 @@ process.on('uncaughtException', (error) => {
   process.exit(1);
 });
 
-// Connect to database
-connectDB();
+// Connect to database, load the configured winning patterns, then pick up
+// the games that were running when the server last stopped and the
+// tournaments that were between rounds, keep watch for games other instances
+// stop driving, and start running the schedules. A server that cannot do
+// all of that would serve half-recovered games, so it stops instead.
+connectDB()
+  .then(() => patternService.load())
+  .then(() => gameService.recoverGames())
+  .then(() => tournamentService.recoverTournaments())
+  .then(() => gameService.watchGames())
+  .then(() => scheduleService.start())
+  .catch((error) => {
+    logger.error('STARTUP FAILED! 💥 Shutting down...');
+    logger.error(error.name, error.message);
+    process.exit(1);
+  });
 
 const server = app.listen(PORT, () => {
   logger.info(`🚀 Bingo Server running on port ${PORT}`);
@@ -35,6 +53,8 @@ process.on('unhandledRejection', (error) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  scheduleService.stop();
+  gameService.stopWatchingGames();
   server.close(() => {
     logger.info('Process terminated');
   });
@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const config = require('../config/environment');
+const playerService = require('../services/playerService');
+const authService = require('../services/authService');
+const { ERROR_MESSAGES } = require('../config/constants');
+const logger = require('../utils/logger');
+
+// Verify Telegram WebApp initData and return the parsed payload
+// See https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app
+function verifyInitData(initData, botToken = config.telegram.botToken) {
+  if (!initData || typeof initData !== 'string') {
+    throw new Error('Missing Telegram initData');
+  }
+
+  const params = new URLSearchParams(initData);
+  const hash = params.get('hash');
+  if (!hash) {
+    throw new Error('Invalid Telegram initData: hash is missing');
+  }
+  params.delete('hash');
+
+  // Build data-check-string: all fields sorted alphabetically, joined by \n
+  const dataCheckString = Array.from(params.entries())
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('\n');
+
+  const secretKey = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+  const expectedHash = crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex');
+
+  const expected = Buffer.from(expectedHash, 'hex');
+  const received = Buffer.from(hash, 'hex');
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new Error('Invalid Telegram initData signature');
+  }
+
+  // Reject stale initData to limit replay of leaked payloads
+  const authDate = parseInt(params.get('auth_date'), 10);
+  const maxAge = config.telegram.initDataMaxAge;
+  if (!authDate || (maxAge > 0 && Date.now() / 1000 - authDate > maxAge)) {
+    throw new Error('Telegram initData has expired');
+  }
+
+  let user;
+  try {
+    user = JSON.parse(params.get('user'));
+  } catch (error) {
+    throw new Error('Invalid Telegram initData: malformed user');
+  }
+
+  if (!user || !user.id) {
+    throw new Error('Invalid Telegram initData: user is missing');
+  }
+
+  return {
+    user,
+    authDate: new Date(authDate * 1000),
+    queryId: params.get('query_id'),
+    startParam: params.get('start_param')
+  };
+}
+
+// Verify initData and load (or register) the matching player
+async function authenticateInitData(initData) {
+  const { user } = verifyInitData(initData);
+  return playerService.createOrUpdatePlayer(user);
+}
+
+// Resolve a player from either a JWT access token or raw initData
+async function authenticateCredentials({ token, initData }) {
+  if (token) {
+    return authService.verifyAccessToken(token);
+  }
+  return authenticateInitData(initData);
+}
+
+// Read credentials from "Authorization: Bearer <jwt>", "Authorization: tma <initData>"
+// or the X-Telegram-Init-Data header
+function getRequestCredentials(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, value] = header.split(' ');
+  const type = scheme ? scheme.toLowerCase() : '';
+
+  if (type === 'bearer' && value) {
+    return { token: value };
+  }
+  if (type === 'tma' && value) {
+    return { initData: value };
+  }
+  return { initData: req.headers['x-telegram-init-data'] };
+}
+
+// Socket.io connection middleware
+const authenticateSocket = async (socket, next) => {
+  try {
+    const { auth = {}, query = {} } = socket.handshake;
+
+    const player = await authenticateCredentials({
+      token: auth.token || query.token,
+      initData: auth.initData || query.initData
+    });
+
+    socket.userId = player._id.toString();
+    socket.player = player;
+
+    next();
+  } catch (error) {
+    logger.warn(`Socket authentication failed for ${socket.id}: ${error.message}`);
+    const authError = new Error(ERROR_MESSAGES.AUTH.REQUIRED);
+    authError.data = { reason: error.message };
+    next(authError);
+  }
+};
+
+// Express middleware
+const authenticateRequest = async (req, res, next) => {
+  try {
+    const player = await authenticateCredentials(getRequestCredentials(req));
+
+    req.userId = player._id.toString();
+    req.player = player;
+
+    next();
+  } catch (error) {
+    logger.warn(`Request authentication failed for ${req.method} ${req.originalUrl}: ${error.message}`);
+    res.status(401).json({
+      status: 'error',
+      message: ERROR_MESSAGES.AUTH.REQUIRED
+    });
+  }
+};
+
+// Express middleware, after authenticateRequest: only players with one of
+// these roles get through
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.player || !roles.includes(req.player.role)) {
+    logger.warn(`Player ${req.userId} is not allowed to ${req.method} ${req.originalUrl}`);
+    return res.status(403).json({
+      status: 'error',
+      message: ERROR_MESSAGES.AUTH.FORBIDDEN
+    });
+  }
+  next();
+};
+
+module.exports = {
+  verifyInitData,
+  authenticateInitData,
+  authenticateSocket,
+  authenticateRequest,
+  requireRole
+};
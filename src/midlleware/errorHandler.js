@@ -1,13 +1,76 @@
-function errorHandler(err, req, res, next) {
-  console.error('Error:', err);
+const { ERROR_MESSAGES } = require('../config/constants');
+const logger = require('../utils/logger');
 
-  let error = { ...err };
-  error.message = err.message;
+const { GAME, CARD, PLAYER, ROOM, TOURNAMENT, SCHEDULE, AUTH, BINGO } = ERROR_MESSAGES;
 
-  res.status(error.statusCode || 500).json({
-    success: false,
-    error: error.message || 'Server Error'
+// HTTP status for each error the services throw; anything else is a 500
+const STATUS_CODES = new Map([
+  ...[
+    GAME.INVALID_CARD, CARD.INVALID_COUNT, CARD.INVALID_CELL, CARD.NUMBER_NOT_CALLED,
+    BINGO.INVALID_CLAIM, BINGO.PATTERN_NOT_COMPLETE, ROOM.NEW_OWNER_NOT_IN_ROOM,
+    TOURNAMENT.INVALID_PRIZES, SCHEDULE.INVALID_CRON, SCHEDULE.INVALID_TIMEZONE,
+    SCHEDULE.NO_UPCOMING_START
+  ].map(message => [message, 400]),
+
+  ...[AUTH.REQUIRED, AUTH.INVALID_TOKEN, AUTH.TOKEN_REVOKED].map(message => [message, 401]),
+
+  [PLAYER.INSUFFICIENT_COINS, 402],
+
+  ...[
+    AUTH.FORBIDDEN, GAME.NOT_HOST, GAME.SPECTATING_DISABLED, GAME.SPECTATOR_READ_ONLY,
+    ROOM.NOT_HOST, ROOM.BANNED, ROOM.INVALID_PASSWORD, BINGO.LOCKED_OUT
+  ].map(message => [message, 403]),
+
+  ...[
+    GAME.NOT_FOUND, CARD.NOT_FOUND, PLAYER.NOT_FOUND, ROOM.NOT_FOUND, TOURNAMENT.NOT_FOUND,
+    SCHEDULE.NOT_FOUND, BINGO.CLAIM_NOT_FOUND
+  ].map(message => [message, 404]),
+
+  ...[
+    GAME.ALREADY_STARTED, GAME.FULL, GAME.NOT_ENOUGH_PLAYERS, GAME.NOT_IN_PROGRESS, GAME.ALREADY_OVER,
+    GAME.CARDS_NOT_SELECTED, GAME.REPLAY_NOT_AVAILABLE,
+    CARD.NOT_AVAILABLE, CARD.ALREADY_SELECTED, CARD.NOT_SELECTED, CARD.LIMIT_REACHED,
+    CARD.PURCHASE_FAILED, CARD.ALREADY_MARKED,
+    PLAYER.ALREADY_IN_GAME, PLAYER.NOT_IN_GAME,
+    ROOM.FULL, ROOM.NOT_ACCEPTING, ROOM.NOT_WAITING, ROOM.HAS_ACTIVE_GAME,
+    ROOM.ALREADY_IN_ROOM, ROOM.NOT_IN_ROOM,
+    TOURNAMENT.REGISTRATION_CLOSED, TOURNAMENT.REGISTRATION_FAILED, TOURNAMENT.REGISTRATION_REQUIRED,
+    TOURNAMENT.ALREADY_REGISTERED, TOURNAMENT.NOT_REGISTERED, TOURNAMENT.NOT_ENOUGH_PLAYERS,
+    TOURNAMENT.ALREADY_STARTED, TOURNAMENT.ALREADY_OVER,
+    SCHEDULE.NOT_ACTIVE, SCHEDULE.NOT_PAUSED, SCHEDULE.ALREADY_OVER,
+    BINGO.ALREADY_CLAIMED, BINGO.CLAIM_PENDING
+  ].map(message => [message, 409])
+]);
+
+function getStatusCode(error) {
+  if (error.status || error.statusCode) {
+    return error.status || error.statusCode;
+  }
+  if (STATUS_CODES.has(error.message)) {
+    return STATUS_CODES.get(error.message);
+  }
+  // Malformed ids and documents that fail the schema are the client's fault
+  if (error.name === 'CastError' || error.name === 'ValidationError') {
+    return 400;
+  }
+  return 500;
+}
+
+// Express error middleware: the API's error envelope with a status code
+// matching the error
+function errorHandler(error, req, res, next) {
+  const statusCode = getStatusCode(error);
+
+  if (statusCode >= 500) {
+    logger.error(`Error handling ${req.method} ${req.originalUrl}:`, error);
+  }
+
+  res.status(statusCode).json({
+    status: 'error',
+    message: error.message || 'Internal server error',
+    ...(process.env.NODE_ENV === 'development' && { stack: error.stack })
   });
 }
 
 module.exports = errorHandler;
+module.exports.getStatusCode = getStatusCode;
@@ -0,0 +1,226 @@
+const Ajv = require('ajv');
+const spec = require('../docs/openapi');
+const logger = require('../utils/logger');
+
+// Validators compiled from the OpenAPI document (see docs/openapi). Schemas
+// are referenced by JSON pointer into the document, so the `$ref`s inside
+// them resolve against its components.
+
+const SPEC_ID = 'openapi.json';
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Path and query parameters arrive as strings and are coerced before they are
+// checked; bodies and responses are checked as they are
+const requestAjv = new Ajv({ allErrors: true, coerceTypes: 'array', nullable: true, validateSchema: false });
+const strictAjv = new Ajv({ allErrors: true, nullable: true, validateSchema: false });
+requestAjv.addSchema(spec, SPEC_ID);
+strictAjv.addSchema(spec, SPEC_ID);
+
+const escape = segment => String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+const pointer = segments => `${SPEC_ID}#/${segments.map(escape).join('/')}`;
+
+// Follow a local `$ref` to the object and the pointer segments it lives at
+function resolve(object, segments) {
+  if (!object.$ref) {
+    return { object, segments };
+  }
+  const target = object.$ref.replace(/^#\//, '').split('/');
+  return resolve(target.reduce((node, key) => node[key], spec), target);
+}
+
+function jsonSchemaSegments(object, segments) {
+  const resolved = resolve(object, segments);
+  const content = resolved.object.content || {};
+  if (!content['application/json'] || !content['application/json'].schema) {
+    return null;
+  }
+  return [...resolved.segments, 'content', 'application/json', 'schema'];
+}
+
+function buildOperation(path, method) {
+  const item = spec.paths[path];
+  const operation = item[method];
+  const keys = [];
+  const pattern = path.replace(/\{(\w+)\}/g, (match, key) => {
+    keys.push(key);
+    return '([^/]+)';
+  });
+
+  const parameters = [
+    ...(item.parameters || []).map((parameter, index) => resolve(parameter, ['paths', path, 'parameters', index])),
+    ...(operation.parameters || []).map((parameter, index) => resolve(parameter, ['paths', path, method, 'parameters', index]))
+  ].map(({ object, segments }) => ({
+    name: object.name,
+    in: object.in,
+    required: Boolean(object.required),
+    // Wrapped so coercion can replace the value in its holder
+    validate: requestAjv.compile({
+      type: 'object',
+      properties: { value: { $ref: pointer([...segments, 'schema']) } }
+    })
+  }));
+
+  let body = null;
+  if (operation.requestBody) {
+    const segments = jsonSchemaSegments(operation.requestBody, ['paths', path, method, 'requestBody']);
+    if (segments) {
+      body = strictAjv.compile({ $ref: pointer(segments) });
+    }
+  }
+
+  const responses = {};
+  for (const [status, response] of Object.entries(operation.responses)) {
+    const segments = jsonSchemaSegments(response, ['paths', path, method, 'responses', status]);
+    responses[status] = segments ? strictAjv.compile({ $ref: pointer(segments) }) : null;
+  }
+
+  return {
+    path,
+    method: method.toUpperCase(),
+    regex: new RegExp(`^${pattern}/?$`),
+    keys,
+    parameters,
+    body,
+    responses
+  };
+}
+
+const operations = Object.keys(spec.paths)
+  .flatMap(path => METHODS.filter(method => spec.paths[path][method]).map(method => buildOperation(path, method)))
+  // Literal segments win over templated ones (/api/players/me before /api/players/{id})
+  .sort((a, b) => a.keys.length - b.keys.length);
+
+// The documented operation for a request, with its path parameters and the
+// names of those that are not valid percent-encoding (e.g. /api/games/%E0)
+function findOperation(method, path) {
+  for (const operation of operations) {
+    const match = operation.method === method.toUpperCase() && operation.regex.exec(path);
+    if (match) {
+      const params = {};
+      const malformed = [];
+      operation.keys.forEach((key, index) => {
+        try {
+          params[key] = decodeURIComponent(match[index + 1]);
+        } catch (error) {
+          params[key] = match[index + 1];
+          malformed.push(key);
+        }
+      });
+      return { operation, params, malformed };
+    }
+  }
+  return null;
+}
+
+function toErrors(location, errors, field) {
+  return errors.map((error) => {
+    const path = [field, error.dataPath.replace(/^\.value/, '').replace(/^\./, '')]
+      .filter(Boolean).join('.');
+    const name = error.keyword === 'required'
+      ? [path, error.params.missingProperty.replace(/^\./, '')].filter(Boolean).join('.')
+      : path;
+    return {
+      in: location,
+      field: name,
+      message: error.keyword === 'required' ? `"${name}" is required` : `"${name || location}" ${error.message}`
+    };
+  });
+}
+
+// Problems with a request, empty when it matches the document
+function checkRequest(operation, params, req) {
+  const errors = [];
+
+  for (const parameter of operation.parameters) {
+    const source = parameter.in === 'path' ? params : parameter.in === 'query' ? req.query : req.headers;
+    const value = source[parameter.in === 'header' ? parameter.name.toLowerCase() : parameter.name];
+
+    if (value === undefined) {
+      if (parameter.required) {
+        errors.push({ in: parameter.in, field: parameter.name, message: `"${parameter.name}" is required` });
+      }
+      continue;
+    }
+
+    if (!parameter.validate({ value })) {
+      errors.push(...toErrors(parameter.in, parameter.validate.errors, parameter.name));
+    }
+  }
+
+  if (operation.body && !operation.body(req.body || {})) {
+    errors.push(...toErrors('body', operation.body.errors));
+  }
+
+  return errors;
+}
+
+// Problems with a JSON response body, or null when it matches the document
+function validateResponse(method, path, statusCode, body) {
+  const match = findOperation(method, path);
+  if (!match) {
+    return [{ message: `${method} ${path} is not documented` }];
+  }
+
+  const { responses } = match.operation;
+  const validate = responses[statusCode] !== undefined ? responses[statusCode] : responses.default;
+  if (validate === undefined) {
+    return [{ message: `Status ${statusCode} is not documented for ${method} ${match.operation.path}` }];
+  }
+  if (validate === null) {
+    return null;
+  }
+
+  // Checked the way clients see it: dates as strings, documents as JSON
+  return validate(JSON.parse(JSON.stringify(body))) ? null : validate.errors;
+}
+
+// Express middleware rejecting requests that do not match the document.
+// Undocumented paths fall through to the 404 handler.
+const validateRequest = (req, res, next) => {
+  const match = findOperation(req.method, req.path);
+  if (!match) {
+    return next();
+  }
+
+  const errors = match.malformed.length > 0
+    ? match.malformed.map(field => ({ in: 'path', field, message: `"${field}" is not correctly URL-encoded` }))
+    : checkRequest(match.operation, match.params, req);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      status: 'error',
+      message: errors[0].message,
+      errors
+    });
+  }
+
+  next();
+};
+
+// Express middleware logging JSON responses that drift from the document;
+// meant for development and tests
+const checkResponses = (req, res, next) => {
+  if (!findOperation(req.method, req.path)) {
+    return next();
+  }
+
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    const errors = validateResponse(req.method, req.path, res.statusCode, body);
+    if (errors) {
+      logger.warn(`Response to ${req.method} ${req.originalUrl} does not match the API document:`, errors);
+    }
+    return json(body);
+  };
+
+  next();
+};
+
+module.exports = {
+  spec,
+  operations,
+  findOperation,
+  validateRequest,
+  validateResponse,
+  checkResponses
+};
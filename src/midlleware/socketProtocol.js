@@ -0,0 +1,178 @@
+const { PROTOCOL_VERSION, inbound, outbound } = require('../events/protocol');
+const { SOCKET_EVENTS, ERROR_MESSAGES } = require('../config/constants');
+const logger = require('../utils/logger');
+
+// Enforces the socket protocol (see events/protocol): the version a client
+// speaks, inbound payloads, and the shape of acknowledgements.
+
+// Error code for each message the services throw, e.g. GAME_NOT_FOUND
+const ERROR_CODES = new Map(Object.entries(ERROR_MESSAGES).flatMap(
+  ([group, messages]) => Object.entries(messages).map(([key, text]) => [text, `${group}_${key}`])
+));
+
+const VALIDATION_ERROR = 'VALIDATION_ERROR';
+const EVENT_ERROR = 'EVENT_ERROR';
+
+function getErrorCode(message) {
+  return ERROR_CODES.get(message) || EVENT_ERROR;
+}
+
+const major = version => String(version).split('.')[0];
+
+// socket.io middleware: clients announce the protocol version they speak in
+// the handshake (auth.protocolVersion); another major version is refused.
+// Clients that announce nothing get the current version.
+const checkProtocolVersion = (socket, next) => {
+  const { auth = {}, query = {} } = socket.handshake;
+  const requested = auth.protocolVersion || query.protocolVersion;
+
+  if (requested && major(requested) !== major(PROTOCOL_VERSION)) {
+    logger.warn(`Socket ${socket.id} speaks protocol ${requested}, server speaks ${PROTOCOL_VERSION}`);
+    const error = new Error(ERROR_MESSAGES.SOCKET.UNSUPPORTED_PROTOCOL);
+    error.data = { requested, supported: PROTOCOL_VERSION };
+    return next(error);
+  }
+
+  socket.protocolVersion = requested || PROTOCOL_VERSION;
+  next();
+};
+
+// Validate an inbound payload. Objects default to {} and lose unknown keys;
+// problems come back in the shape of HTTP validation errors.
+function validatePayload(event, data) {
+  const { payload } = inbound[event];
+  const input = data === undefined && payload.type === 'object' ? {} : data;
+
+  const { error, value } = payload.validate(input, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return {
+      errors: error.details.map(detail => ({
+        in: 'payload',
+        field: detail.path.join('.'),
+        message: detail.message
+      }))
+    };
+  }
+
+  return { value };
+}
+
+// Wrap an acknowledgement callback so it is called at most once and always
+// with { success: true, ... } or { success: false, error, code[, errors] }
+function createAck(callback) {
+  let sent = false;
+
+  const ack = (response = {}) => {
+    if (sent) {
+      return;
+    }
+    sent = true;
+
+    if (response.success === false) {
+      callback({
+        success: false,
+        error: response.error,
+        code: response.code || getErrorCode(response.error),
+        ...(response.errors && { errors: response.errors })
+      });
+    } else {
+      callback({ ...response, success: true });
+    }
+  };
+
+  ack.sent = () => sent;
+  return ack;
+}
+
+// Report a failed event: in its acknowledgement, or as an error event when
+// the client sent no callback
+function reportError(socket, event, ack, failure) {
+  if (ack) {
+    ack({ success: false, ...failure });
+    return;
+  }
+
+  socket.emit(SOCKET_EVENTS.ERROR, {
+    type: failure.code === VALIDATION_ERROR ? 'validation_error' : 'event_error',
+    message: failure.error,
+    event,
+    code: failure.code,
+    ...(failure.errors && { errors: failure.errors })
+  });
+}
+
+// Listener for an inbound event. The handler gets the validated payload and,
+// when the client asked for one, the acknowledgement; an event the handler
+// does not acknowledge itself is acknowledged once it completes.
+function handleEvent(socket, event, handler) {
+  if (!inbound[event]) {
+    throw new Error(`Socket event ${event} is not described in the protocol`);
+  }
+
+  return async (...args) => {
+    const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+    const ack = callback && createAck(callback);
+
+    const { value, errors } = validatePayload(event, args[0]);
+    if (errors) {
+      reportError(socket, event, ack, {
+        error: errors[0].message,
+        code: VALIDATION_ERROR,
+        errors
+      });
+      return;
+    }
+
+    try {
+      await handler(value, ack || undefined);
+
+      if (ack && !ack.sent()) {
+        ack();
+      }
+    } catch (error) {
+      logger.error(`Socket event ${event} failed for ${socket.id}:`, error);
+      reportError(socket, event, ack, {
+        error: error.message,
+        code: getErrorCode(error.message)
+      });
+    }
+  };
+}
+
+// Problems with an outbound payload, or null when it matches the protocol
+function validateOutgoing(event, payload) {
+  const definition = outbound[event];
+  if (!definition) {
+    return [{ message: `Socket event ${event} is not described in the protocol` }];
+  }
+
+  // Checked the way clients see it: dates as strings, documents as JSON
+  const data = payload === undefined ? undefined : JSON.parse(JSON.stringify(payload));
+  const { error } = definition.payload.validate(data, { abortEarly: false });
+  return error ? error.details.map(detail => ({ field: detail.path.join('.'), message: detail.message })) : null;
+}
+
+// socket.onAnyOutgoing listener logging events that drift from the protocol;
+// meant for development and tests
+function checkOutgoing(event, payload) {
+  const errors = validateOutgoing(event, payload);
+  if (errors) {
+    logger.warn(`Socket event ${event} does not match the protocol:`, errors);
+  }
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  VALIDATION_ERROR,
+  getErrorCode,
+  checkProtocolVersion,
+  validatePayload,
+  createAck,
+  handleEvent,
+  validateOutgoing,
+  checkOutgoing
+};
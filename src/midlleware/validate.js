@@ -0,0 +1,77 @@
+const Joi = require('joi');
+const { GAME_CONSTANTS } = require('../config/constants');
+
+// Reusable pieces of request schemas
+const objectId = Joi.string().hex().length(24);
+
+const pagination = {
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1)
+    .max(GAME_CONSTANTS.PAGINATION.MAX_LIMIT)
+    .default(GAME_CONSTANTS.PAGINATION.DEFAULT_LIMIT)
+};
+
+// Settings of a new room (HTTP and socket); a private room needs a password
+const roomConfig = Joi.object({
+  type: Joi.string().valid('public', 'private').default('public'),
+  password: Joi.string().min(4).max(50).when('type', {
+    is: 'private',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }).description('Required for private rooms'),
+  maxPlayers: Joi.number().integer().min(2).max(500),
+  minPlayersToStart: Joi.number().integer().min(2),
+  maxCardsPerPlayer: Joi.number().integer().min(1),
+  entryFee: Joi.number().integer().min(0),
+  prizePool: Joi.number().integer().min(0),
+  gameDuration: Joi.number().integer().min(0),
+  autoStart: Joi.boolean(),
+  patterns: Joi.array().items(Joi.string()).min(1),
+  claimPolicy: Joi.string().valid(...Object.values(GAME_CONSTANTS.CLAIM_POLICIES)),
+  recoveryPolicy: Joi.string().valid(...Object.values(GAME_CONSTANTS.RECOVERY_POLICIES))
+}).default({});
+
+// Express middleware validating `params`, `query` and `body` against Joi
+// schemas. Validated values (with defaults applied and unknown keys dropped)
+// replace the originals, so handlers can use them as they are.
+const validate = schemas => (req, res, next) => {
+  const errors = [];
+
+  for (const part of ['params', 'query', 'body']) {
+    if (!schemas[part]) {
+      continue;
+    }
+
+    const { error, value } = schemas[part].validate(req[part] || {}, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      errors.push(...error.details.map(detail => ({
+        in: part === 'params' ? 'path' : part,
+        field: detail.path.join('.'),
+        message: detail.message
+      })));
+    } else {
+      req[part] = value;
+    }
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      status: 'error',
+      message: errors[0].message,
+      errors
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  validate,
+  objectId,
+  pagination,
+  roomConfig
+};
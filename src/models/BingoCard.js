@@ -1,5 +1,10 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
-const { GAME_CONSTANTS } = require('../config/constants');
+const patternService = require('../services/patternService');
+const { randomSeed, createPrng } = require('../utils/prng');
+
+// Crockford base32, no ambiguous letters, for printed serial numbers
+const SERIAL_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
 
 const bingoCardSchema = new mongoose.Schema({
   // Card Identification
@@ -8,16 +13,27 @@ const bingoCardSchema = new mongoose.Schema({
     required: true,
     unique: true
   },
+  // Unset while the card is still available in the game's card pool
   player: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'Player',
-    required: true
+    ref: 'Player'
   },
   game: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Game',
     required: true
   },
+  poolIndex: {
+    type: Number,
+    min: 0
+  },
+
+  // The card's numbers follow from its seed; the serial number is derived
+  // from the seed too, so a printed card can be regenerated and checked
+  seed: String,
+  serial: String,
+  // The numbers in column order, to keep cards unique within a game
+  signature: String,
 
   // Card Numbers (5x5 grid)
   numbers: {
@@ -49,10 +65,7 @@ const bingoCardSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  winningPattern: {
-    type: String,
-    enum: Object.values(GAME_CONSTANTS.WINNING_PATTERNS)
-  },
+  winningPattern: String,
   winningNumbers: [Number],
   bingoDeclaredAt: Date,
 
@@ -83,6 +96,15 @@ const bingoCardSchema = new mongoose.Schema({
 bingoCardSchema.index({ cardId: 1 });
 bingoCardSchema.index({ player: 1 });
 bingoCardSchema.index({ game: 1 });
+bingoCardSchema.index(
+  { game: 1, poolIndex: 1 },
+  { unique: true, partialFilterExpression: { poolIndex: { $exists: true } } }
+);
+bingoCardSchema.index(
+  { game: 1, signature: 1 },
+  { unique: true, partialFilterExpression: { signature: { $exists: true } } }
+);
+bingoCardSchema.index({ serial: 1 });
 bingoCardSchema.index({ hasBingo: 1 });
 bingoCardSchema.index({ createdAt: 1 }, { expireAfterSeconds: 604800 });
 
@@ -155,100 +177,18 @@ bingoCardSchema.methods.isMarked = function(row, col) {
   return this.markedNumbers.some(mn => mn.number === number);
 };
 
-bingoCardSchema.methods.checkBingo = function() {
-  const patterns = this.getWinningPatterns();
+// Check the card against the given winning patterns (see patternService)
+bingoCardSchema.methods.checkBingo = function(patterns) {
+  const winningPattern = patternService.findWinningPattern(this, patterns);
   
-  for (const pattern of patterns) {
-    if (this.checkPattern(pattern)) {
-      this.hasBingo = true;
-      this.winningPattern = pattern.name;
-      this.winningNumbers = pattern.numbers;
-      this.bingoDeclaredAt = new Date();
-      return pattern;
-    }
+  if (winningPattern) {
+    this.hasBingo = true;
+    this.winningPattern = winningPattern.name;
+    this.winningNumbers = winningPattern.numbers.filter(n => n !== null);
+    this.bingoDeclaredAt = new Date();
   }
   
-  return null;
-};
-
-bingoCardSchema.methods.getWinningPatterns = function() {
-  const patterns = [];
-  
-  // Rows
-  for (let row = 0; row < 5; row++) {
-    const numbers = [];
-    for (let col = 0; col < 5; col++) {
-      if (row === 2 && col === 2) continue; // Skip free space
-      numbers.push(this.getNumberAt(row, col));
-    }
-    patterns.push({
-      name: GAME_CONSTANTS.WINNING_PATTERNS.LINE,
-      type: 'row',
-      index: row,
-      numbers
-    });
-  }
-  
-  // Columns
-  for (let col = 0; col < 5; col++) {
-    const numbers = [];
-    for (let row = 0; row < 5; row++) {
-      if (row === 2 && col === 2) continue; // Skip free space
-      numbers.push(this.getNumberAt(row, col));
-    }
-    patterns.push({
-      name: GAME_CONSTANTS.WINNING_PATTERNS.LINE,
-      type: 'column',
-      index: col,
-      numbers
-    });
-  }
-  
-  // Diagonals
-  const diag1 = [], diag2 = [];
-  for (let i = 0; i < 5; i++) {
-    if (i !== 2) { // Skip center for diagonals
-      diag1.push(this.getNumberAt(i, i));
-      diag2.push(this.getNumberAt(i, 4 - i));
-    }
-  }
-  
-  patterns.push({
-    name: GAME_CONSTANTS.WINNING_PATTERNS.DIAGONAL,
-    type: 'diagonal1',
-    numbers: diag1
-  });
-  
-  patterns.push({
-    name: GAME_CONSTANTS.WINNING_PATTERNS.DIAGONAL,
-    type: 'diagonal2',
-    numbers: diag2
-  });
-  
-  // Four corners
-  const corners = [
-    this.getNumberAt(0, 0),
-    this.getNumberAt(0, 4),
-    this.getNumberAt(4, 0),
-    this.getNumberAt(4, 4)
-  ];
-  
-  patterns.push({
-    name: GAME_CONSTANTS.WINNING_PATTERNS.FOUR_CORNERS,
-    type: 'corners',
-    numbers: corners
-  });
-  
-  return patterns;
-};
-
-bingoCardSchema.methods.checkPattern = function(pattern) {
-  return pattern.numbers.every(number => {
-    // Free space is always considered marked
-    if (number === null) return true;
-    
-    return this.markedNumbers.some(mn => mn.number === number);
-  });
+  return winningPattern;
 };
 
 bingoCardSchema.methods.getCardDisplay = function() {
@@ -274,16 +214,49 @@ bingoCardSchema.methods.getCardDisplay = function() {
   return display;
 };
 
+// Flat list of the 25 cells, row by row, as used by the card selection screen
+bingoCardSchema.methods.getCells = function() {
+  const letters = ['B', 'I', 'N', 'G', 'O'];
+  const cells = [];
+
+  for (let row = 0; row < 5; row++) {
+    for (let col = 0; col < 5; col++) {
+      const isFree = row === 2 && col === 2;
+      cells.push({
+        number: isFree ? 'FREE' : this.getNumberAt(row, col),
+        isFree,
+        row,
+        col,
+        index: row * 5 + col,
+        letter: letters[col]
+      });
+    }
+  }
+
+  return cells;
+};
+
+// First three numbers of each column, shown while choosing a card
+bingoCardSchema.methods.getPreview = function() {
+  const preview = {};
+  for (const letter of ['B', 'I', 'N', 'G', 'O']) {
+    preview[letter] = this.numbers[letter].filter(n => n !== null).slice(0, 3);
+  }
+  return preview;
+};
+
 // Static Methods
-bingoCardSchema.statics.generateCard = function(playerId, gameId) {
+// A card's numbers are fully determined by its seed
+bingoCardSchema.statics.generateCard = function(playerId, gameId, seed = randomSeed()) {
   const cardId = `CARD_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-  
+  const random = createPrng(seed);
+
   const numbers = {
-    B: generateColumnNumbers(1, 15),
-    I: generateColumnNumbers(16, 30),
-    N: generateColumnNumbers(31, 45),
-    G: generateColumnNumbers(46, 60),
-    O: generateColumnNumbers(61, 75)
+    B: generateColumnNumbers(random, 1, 15),
+    I: generateColumnNumbers(random, 16, 30),
+    N: generateColumnNumbers(random, 31, 45),
+    G: generateColumnNumbers(random, 46, 60),
+    O: generateColumnNumbers(random, 61, 75)
   };
   
   // Make center free (replace with null)
@@ -293,22 +266,35 @@ bingoCardSchema.statics.generateCard = function(playerId, gameId) {
     cardId,
     player: playerId,
     game: gameId,
+    seed,
+    serial: this.getSerial(seed),
+    signature: this.getSignature(numbers),
     numbers
   });
 };
 
+// Stable serial number for a seed, e.g. 7KQ2-M9XA-3HTD
+bingoCardSchema.statics.getSerial = function(seed) {
+  const digest = crypto.createHash('sha256').update(`card:${seed}`).digest();
+  let serial = '';
+  for (let i = 0; i < 12; i++) {
+    serial += SERIAL_ALPHABET[digest[i] % SERIAL_ALPHABET.length];
+  }
+  return serial.match(/.{4}/g).join('-');
+};
+
+bingoCardSchema.statics.getSignature = function(numbers) {
+  return ['B', 'I', 'N', 'G', 'O']
+    .map(letter => numbers[letter].map(n => n || 0).join(','))
+    .join('|');
+};
+
 // Helper function to generate column numbers
-function generateColumnNumbers(min, max) {
-  const numbers = [];
+function generateColumnNumbers(random, min, max) {
   const available = Array.from({ length: max - min + 1 }, (_, i) => min + i);
-  
+
   // Shuffle and take first 5
-  for (let i = available.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [available[i], available[j]] = [available[j], available[i]];
-  }
-  
-  return available.slice(0, 5);
+  return random.shuffle(available).slice(0, 5);
 }
 
 module.exports = mongoose.model('BingoCard', bingoCardSchema);
@@ -1,5 +1,28 @@
 const mongoose = require('mongoose');
 const { GAME_CONSTANTS } = require('../config/constants');
+const fairnessService = require('../services/fairnessService');
+
+// Valid claims collected while calling is paused after the first bingo of a stage
+const claimWindowSchema = new mongoose.Schema({
+  stage: Number,
+  callOrder: Number,
+  opensAt: Date,
+  closesAt: Date,
+  claims: [{
+    _id: false,
+    player: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Player'
+    },
+    bingoCard: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BingoCard'
+    },
+    pattern: String,
+    winningNumbers: [Number],
+    claimTime: Date
+  }]
+}, { _id: false });
 
 const gameSchema = new mongoose.Schema({
   // Game Identification
@@ -8,11 +31,31 @@ const gameSchema = new mongoose.Schema({
     required: true,
     unique: true
   },
+  // Short code players share to join a hosted game
+  code: {
+    type: String,
+    uppercase: true,
+    unique: true,
+    sparse: true
+  },
   room: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Room',
     required: true
   },
+  host: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Player'
+  },
+  // Round of a tournament this game plays; its seats are taken for the
+  // players still in (see tournamentService)
+  tournamentRound: Number,
+  // Schedule that opened this game for registration, and when it starts
+  schedule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Schedule'
+  },
+  scheduledFor: Date,
 
   // Game State
   status: {
@@ -33,10 +76,16 @@ const gameSchema = new mongoose.Schema({
       ref: 'Player',
       required: true
     },
-    bingoCard: {
+    // Cards picked from the pool or generated when the game starts
+    bingoCards: [{
       type: mongoose.Schema.Types.ObjectId,
-      ref: 'BingoCard',
-      required: true
+      ref: 'BingoCard'
+    }],
+    // Cards paid for; any not picked from a pool are generated at the start
+    cardCount: {
+      type: Number,
+      default: 1,
+      min: 1
     },
     joinedAt: {
       type: Date,
@@ -50,15 +99,35 @@ const gameSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
-    claimTime: Date
+    claimTime: Date,
+    falseClaims: {
+      type: Number,
+      default: 0
+    },
+    // Claims are refused until this many numbers have been called
+    lockedUntilCall: {
+      type: Number,
+      default: 0
+    },
+    // Set while the player's connection is down; the seat is kept for the
+    // reconnect grace period
+    disconnectedAt: {
+      type: Date,
+      default: null
+    }
   }],
 
   // Game Configuration
   config: {
+    // Seconds; 0 means the game runs until bingo or all numbers are called
     duration: {
       type: Number,
       default: GAME_CONSTANTS.TIMERS.GAME
     },
+    callInterval: {
+      type: Number,
+      default: GAME_CONSTANTS.TIMERS.NUMBER_CALL_INTERVAL
+    },
     maxPlayers: {
       type: Number,
       default: GAME_CONSTANTS.game.maxPlayers
@@ -67,6 +136,11 @@ const gameSchema = new mongoose.Schema({
       type: Number,
       default: GAME_CONSTANTS.game.minPlayers
     },
+    maxCardsPerPlayer: {
+      type: Number,
+      default: GAME_CONSTANTS.game.maxCardsPerPlayer,
+      min: 1
+    },
     entryFee: {
       type: Number,
       default: 0
@@ -74,7 +148,80 @@ const gameSchema = new mongoose.Schema({
     prizePool: {
       type: Number,
       default: 0
-    }
+    },
+    // Mark called numbers for players who turned auto-mark on
+    autoDaub: {
+      type: Boolean,
+      default: true
+    },
+    claimPolicy: {
+      type: String,
+      enum: Object.values(GAME_CONSTANTS.CLAIM_POLICIES),
+      default: GAME_CONSTANTS.CLAIM_POLICIES.INSTANT
+    },
+    // Whether a server restart resumes this game or cancels and refunds it
+    recoveryPolicy: {
+      type: String,
+      enum: Object.values(GAME_CONSTANTS.RECOVERY_POLICIES),
+      default: GAME_CONSTANTS.RECOVERY_POLICIES.RESUME
+    },
+    // What a false bingo claim costs: nothing, being locked out of claiming
+    // for a number of calls, or a coin fine
+    falseClaimPenalty: {
+      mode: {
+        type: String,
+        enum: Object.values(GAME_CONSTANTS.FALSE_CLAIM_PENALTIES),
+        default: GAME_CONSTANTS.FALSE_CLAIM_PENALTIES.NONE
+      },
+      calls: {
+        type: Number,
+        default: 3,
+        min: 1
+      },
+      coins: {
+        type: Number,
+        default: 0,
+        min: 0
+      }
+    },
+    // Read-only watchers (see spectatorService); they never take a seat
+    spectators: {
+      enabled: {
+        type: Boolean,
+        default: true
+      },
+      allowChat: {
+        type: Boolean,
+        default: false
+      }
+    },
+    // Names of the winning patterns that count in this game
+    patterns: {
+      type: [String],
+      default: () => [...GAME_CONSTANTS.DEFAULT_PATTERNS]
+    },
+    // Ordered prize stages (e.g. line, two lines, full card). Each stage has
+    // one pattern and a percentage of the prize pool; calling continues until
+    // the last stage is won. Without stages the first bingo ends the game.
+    stages: [{
+      _id: false,
+      name: String,
+      pattern: {
+        type: String,
+        required: true
+      },
+      share: {
+        type: Number,
+        min: 0,
+        max: 100,
+        required: true
+      }
+    }]
+  },
+
+  currentStage: {
+    type: Number,
+    default: 0
   },
 
   // Game Progress
@@ -112,6 +259,11 @@ const gameSchema = new mongoose.Schema({
   actualStartTime: Date,
   actualEndTime: Date,
 
+  claimWindow: {
+    type: claimWindowSchema,
+    default: null
+  },
+
   // Results
   winners: [{
     player: {
@@ -122,15 +274,83 @@ const gameSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'BingoCard'
     },
-    pattern: {
-      type: String,
-      enum: Object.values(GAME_CONSTANTS.WINNING_PATTERNS)
+    pattern: String,
+    stage: {
+      type: Number,
+      default: 0
     },
     prize: Number,
+    // Number of players who shared this stage's prize
+    splitWith: {
+      type: Number,
+      default: 1
+    },
     claimTime: Date,
     winningNumbers: [Number]
   }],
 
+  // Wins nobody claimed before the next number was called
+  sleepers: [{
+    _id: false,
+    player: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Player'
+    },
+    bingoCard: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BingoCard'
+    },
+    pattern: String,
+    stage: Number,
+    // Call after which the win was complete
+    callOrder: Number,
+    detectedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Bingo claims awaiting the host's verification
+  claims: [{
+    player: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Player',
+      required: true
+    },
+    bingoCard: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BingoCard'
+    },
+    pattern: String,
+    winningNumbers: [Number],
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'rejected'],
+      default: 'pending'
+    },
+    claimedAt: {
+      type: Date,
+      default: Date.now
+    },
+    reviewedAt: Date
+  }],
+
+  cancelReason: String,
+
+  // Commit-reveal draw (see fairnessService): the seed hash is public from the
+  // start, the seed itself is only returned once the game is over
+  fairness: {
+    serverSeed: {
+      type: String,
+      select: false
+    },
+    serverSeedHash: String,
+    clientSeed: String,
+    revealedAt: Date,
+    // Public seed the game's cards are generated from (see cardService.buildPool)
+    cardSeed: String
+  },
+
   // Statistics
   stats: {
     totalCalls: {
@@ -139,6 +359,12 @@ const gameSchema = new mongoose.Schema({
     },
     averageClaimTime: Number,
     fastestBingo: Number // in seconds
+  },
+
+  // Events written to the game's log so far (see GameEvent)
+  eventCount: {
+    type: Number,
+    default: 0
   }
 
 }, {
@@ -148,6 +374,10 @@ const gameSchema = new mongoose.Schema({
       ret.id = ret._id;
       delete ret._id;
       delete ret.__v;
+      // Never leak the draw seed while the game can still be played
+      if (ret.fairness && !doc.isDrawRevealed) {
+        delete ret.fairness.serverSeed;
+      }
       return ret;
     }
   }
@@ -155,6 +385,7 @@ const gameSchema = new mongoose.Schema({
 
 // Indexes
 gameSchema.index({ gameId: 1 });
+gameSchema.index({ code: 1 }, { unique: true, sparse: true });
 gameSchema.index({ status: 1 });
 gameSchema.index({ room: 1 });
 gameSchema.index({ startTime: 1 });
@@ -181,13 +412,19 @@ gameSchema.virtual('timeElapsed').get(function() {
 });
 
 gameSchema.virtual('timeRemaining').get(function() {
+  if (!this.config.duration) return null;
   if (this.status !== GAME_CONSTANTS.STATUS.IN_PROGRESS) return 0;
   const elapsed = this.timeElapsed;
   return Math.max(0, this.config.duration - elapsed);
 });
 
+// The draw can be verified once the game is over
+gameSchema.virtual('isDrawRevealed').get(function() {
+  return [GAME_CONSTANTS.STATUS.FINISHED, GAME_CONSTANTS.STATUS.CANCELLED].includes(this.status);
+});
+
 // Instance Methods
-gameSchema.methods.addPlayer = function(playerId, bingoCardId) {
+gameSchema.methods.addPlayer = function(playerId, cardCount = 1) {
   if (this.isFull) {
     throw new Error('Game is full');
   }
@@ -204,7 +441,7 @@ gameSchema.methods.addPlayer = function(playerId, bingoCardId) {
 
   this.players.push({
     player: playerId,
-    bingoCard: bingoCardId,
+    cardCount,
     joinedAt: new Date()
   });
 
@@ -222,26 +459,54 @@ gameSchema.methods.removePlayer = function(playerId) {
   return this.save();
 };
 
+// Change the prize pool in the database itself, so concurrent joins and
+// refunds cannot overwrite each other's amounts. A refund never takes the
+// pool below zero.
+gameSchema.methods.addToPrizePool = async function(amount) {
+  if (!amount) {
+    return this;
+  }
+
+  const update = amount > 0
+    ? { $inc: { 'config.prizePool': amount } }
+    : [{ $set: { 'config.prizePool': { $max: [0, { $add: ['$config.prizePool', amount] }] } } }];
+  const updated = await this.constructor.findOneAndUpdate({ _id: this._id }, update, {
+    new: true,
+    projection: { 'config.prizePool': 1 }
+  });
+
+  // Keep this copy in step without having its next save write the pool back
+  if (updated) {
+    this.config.prizePool = updated.config.prizePool;
+    this.unmarkModified('config.prizePool');
+  }
+  return this;
+};
+
 gameSchema.methods.callNumber = function() {
   if (this.status !== GAME_CONSTANTS.STATUS.IN_PROGRESS) {
     throw new Error('Game is not in progress');
   }
 
-  // Generate unique number that hasn't been called
-  const calledNumbers = new Set(this.calledNumbers.map(cn => cn.number));
-  let number, letter;
-  
-  do {
-    number = Math.floor(Math.random() * 75) + 1;
-    
-    // Determine letter based on number range
-    if (number <= 15) letter = 'B';
-    else if (number <= 30) letter = 'I';
-    else if (number <= 45) letter = 'N';
-    else if (number <= 60) letter = 'G';
-    else letter = 'O';
-    
-  } while (calledNumbers.has(number));
+  // The next number of the committed draw; the seed has to be selected
+  // explicitly (`+fairness.serverSeed`)
+  if (!this.fairness || !this.fairness.serverSeed) {
+    throw new Error('Draw seed is not loaded');
+  }
+
+  const sequence = fairnessService.deriveSequence(this.fairness.serverSeed, this.fairness.clientSeed);
+  const number = sequence[this.calledNumbers.length];
+  if (number === undefined) {
+    throw new Error('All numbers have been called');
+  }
+
+  // Determine letter based on number range
+  let letter;
+  if (number <= 15) letter = 'B';
+  else if (number <= 30) letter = 'I';
+  else if (number <= 45) letter = 'N';
+  else if (number <= 60) letter = 'G';
+  else letter = 'O';
 
   const callOrder = this.calledNumbers.length + 1;
   
@@ -259,7 +524,11 @@ gameSchema.methods.callNumber = function() {
   return this.save();
 };
 
-gameSchema.methods.claimBingo = function(playerId, pattern, winningNumbers) {
+// Add a valid claim for one of the player's cards to the current stage's claim
+// window. The first claim opens the window; every card that has bingo before it
+// closes shares the prize. Both steps are conditional updates, so simultaneous
+// claims cannot overwrite each other. Resolves to { game, opened }.
+gameSchema.methods.claimBingo = async function(playerId, cardId, pattern, winningNumbers) {
   if (this.status !== GAME_CONSTANTS.STATUS.IN_PROGRESS) {
     throw new Error('Game is not in progress');
   }
@@ -269,48 +538,163 @@ gameSchema.methods.claimBingo = function(playerId, pattern, winningNumbers) {
     throw new Error('Player not in game');
   }
 
-  if (playerEntry.hasClaimedBingo) {
+  if (!playerEntry.bingoCards.some(card => card.toString() === cardId.toString())) {
+    throw new Error('Card does not belong to player');
+  }
+
+  const stage = this.currentStage;
+  const staged = this.config.stages.length > 0;
+
+  // Without stages a player gets one bingo; with stages they may win several
+  if (playerEntry.hasClaimedBingo && !staged) {
     throw new Error('Player has already claimed bingo');
   }
 
-  // Check if bingo is already claimed in this game
-  if (this.winners.length > 0) {
+  // Check if this stage (or the game) already has its winners
+  if (this.winners.some(w => w.stage === stage)) {
     throw new Error('Bingo already claimed in this game');
   }
 
   const claimTime = new Date();
-  const timeToWin = Math.floor((claimTime - this.actualStartTime) / 1000);
 
-  // Calculate prize
-  const basePrize = GAME_CONSTANTS.REWARDS.BASE_PRIZE;
-  const speedBonus = Math.max(0, GAME_CONSTANTS.REWARDS.SPEED_BONUS - Math.floor(timeToWin / 5));
-  const patternBonus = pattern === GAME_CONSTANTS.WINNING_PATTERNS.FULL_HOUSE ? 
-    GAME_CONSTANTS.REWARDS.FULL_HOUSE_BONUS : 0;
-  
-  const totalPrize = basePrize + speedBonus + patternBonus;
+  const opened = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      claimWindow: null,
+      currentStage: stage,
+      status: GAME_CONSTANTS.STATUS.IN_PROGRESS
+    },
+    {
+      $set: {
+        claimWindow: {
+          stage,
+          callOrder: this.calledNumbers.length,
+          opensAt: claimTime,
+          closesAt: new Date(claimTime.getTime() + GAME_CONSTANTS.TIMERS.BINGO_CLAIM_TIMEOUT * 1000),
+          claims: []
+        }
+      }
+    }
+  );
 
-  // Add to winners
-  this.winners.push({
-    player: playerId,
-    bingoCard: playerEntry.bingoCard,
-    pattern,
-    prize: totalPrize,
-    claimTime,
-    winningNumbers
-  });
+  // Claims only join the window until it closes, even if it is not settled yet
+  const game = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      'claimWindow.stage': stage,
+      'claimWindow.closesAt': { $gt: claimTime },
+      'claimWindow.claims.bingoCard': { $ne: cardId }
+    },
+    {
+      $push: {
+        'claimWindow.claims': {
+          player: playerId,
+          bingoCard: cardId,
+          pattern,
+          winningNumbers,
+          claimTime
+        }
+      }
+    },
+    { new: true }
+  );
 
-  playerEntry.hasClaimedBingo = true;
-  playerEntry.claimTime = claimTime;
+  if (!game) {
+    throw new Error('Bingo already claimed in this game');
+  }
+
+  return { game, opened: opened.modifiedCount === 1 };
+};
+
+// Close the claim window: split the stage prize evenly between every claim in
+// it (the earliest claims get one extra coin each until the remainder is used
+// up), then move on to the next stage or finish the game. Resolves to
+// { game, winners }, or null when the window changed in the meantime.
+gameSchema.methods.settleClaimWindow = async function() {
+  const window = this.claimWindow;
+  if (!window || window.claims.length === 0) {
+    return null;
+  }
+
+  const claims = [...window.claims].sort((a, b) => a.claimTime - b.claimTime);
+  const timeToWin = Math.floor((claims[0].claimTime - this.actualStartTime) / 1000);
+  const totalPrize = this.calculatePrize(claims[0].pattern, timeToWin);
+  const share = Math.floor(totalPrize / claims.length);
+  const remainder = totalPrize % claims.length;
+
+  const winners = claims.map((claim, index) => ({
+    player: claim.player,
+    bingoCard: claim.bingoCard,
+    pattern: claim.pattern,
+    stage: window.stage,
+    prize: share + (index < remainder ? 1 : 0),
+    splitWith: claims.length,
+    claimTime: claim.claimTime,
+    winningNumbers: claim.winningNumbers
+  }));
+
+  const update = {
+    $push: { winners: { $each: winners } },
+    $set: {
+      claimWindow: null,
+      'players.$[winner].hasClaimedBingo': true
+    }
+  };
+
+  // The game is over once its last stage has winners
+  if (window.stage < this.config.stages.length - 1) {
+    update.$set.currentStage = window.stage + 1;
+  } else {
+    update.$set.status = GAME_CONSTANTS.STATUS.FINISHED;
+    update.$set.actualEndTime = new Date();
+    update.$set['fairness.revealedAt'] = new Date();
+  }
 
-  // Update game stats
   if (!this.stats.fastestBingo || timeToWin < this.stats.fastestBingo) {
-    this.stats.fastestBingo = timeToWin;
+    update.$set['stats.fastestBingo'] = timeToWin;
   }
 
-  this.status = GAME_CONSTANTS.STATUS.FINISHED;
-  this.actualEndTime = claimTime;
+  const game = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      'claimWindow.opensAt': window.opensAt,
+      'claimWindow.claims': { $size: claims.length }
+    },
+    update,
+    {
+      new: true,
+      arrayFilters: [{ 'winner.player': { $in: claims.map(claim => claim.player) } }]
+    }
+  );
 
-  return this.save();
+  return game ? { game, winners: game.winners.slice(-winners.length) } : null;
+};
+
+// Prize for the current stage: its share of the pool, or the standard reward
+// (base + speed bonus + blackout bonus) when the game has no pool. Tournament
+// round games pay nothing; the tournament pays by final position.
+gameSchema.methods.calculatePrize = function(pattern, timeToWin) {
+  if (this.tournamentRound) {
+    return 0;
+  }
+
+  const stage = this.config.stages[this.currentStage];
+  if (stage && this.config.prizePool > 0) {
+    return Math.floor(this.config.prizePool * stage.share / 100);
+  }
+
+  const basePrize = GAME_CONSTANTS.REWARDS.BASE_PRIZE;
+  const speedBonus = Math.max(0, GAME_CONSTANTS.REWARDS.SPEED_BONUS - Math.floor(timeToWin / 5));
+  const patternBonus = pattern === GAME_CONSTANTS.WINNING_PATTERNS.BLACKOUT ? 
+    GAME_CONSTANTS.REWARDS.BLACKOUT_BONUS : 0;
+
+  return basePrize + speedBonus + patternBonus;
+};
+
+// Patterns that can win right now: the current stage's, or every active pattern
+gameSchema.methods.getActivePatterns = function() {
+  const stage = this.config.stages[this.currentStage];
+  return stage ? [stage.pattern] : this.config.patterns;
 };
 
 gameSchema.methods.startGame = function() {
@@ -322,11 +706,18 @@ gameSchema.methods.startGame = function() {
     throw new Error('Not enough players to start game');
   }
 
+  // The client seed is fixed once everyone has joined
+  if (!this.fairness.clientSeed) {
+    this.fairness.clientSeed = fairnessService.createPublicSeed(this);
+  }
+
   this.status = GAME_CONSTANTS.STATUS.IN_PROGRESS;
   this.phase = 'playing';
   this.actualStartTime = new Date();
   this.startTime = new Date();
-  this.endTime = new Date(Date.now() + this.config.duration * 1000);
+  if (this.config.duration) {
+    this.endTime = new Date(Date.now() + this.config.duration * 1000);
+  }
 
   return this.save();
 };
@@ -339,6 +730,7 @@ gameSchema.methods.endGame = function(reason = 'time_up') {
   this.status = GAME_CONSTANTS.STATUS.FINISHED;
   this.phase = 'results';
   this.actualEndTime = new Date();
+  this.fairness.revealedAt = new Date();
 
   // If no winners and there's a prize pool, distribute among active players
   if (this.winners.length === 0 && this.config.prizePool > 0) {
@@ -349,7 +741,34 @@ gameSchema.methods.endGame = function(reason = 'time_up') {
   return this.save();
 };
 
+gameSchema.methods.cancelGame = function(reason = 'cancelled') {
+  if ([GAME_CONSTANTS.STATUS.FINISHED, GAME_CONSTANTS.STATUS.CANCELLED].includes(this.status)) {
+    return this;
+  }
+
+  this.status = GAME_CONSTANTS.STATUS.CANCELLED;
+  this.phase = 'results';
+  this.actualEndTime = new Date();
+  this.fairness.revealedAt = new Date();
+  this.cancelReason = reason;
+
+  return this.save();
+};
+
 // Static Methods
+gameSchema.statics.generateCode = function(length = GAME_CONSTANTS.HOSTED_GAME.CODE_LENGTH) {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  let code = '';
+  for (let i = 0; i < length; i++) {
+    code += alphabet[Math.floor(Math.random() * alphabet.length)];
+  }
+  return code;
+};
+
+gameSchema.statics.findByCode = function(code) {
+  return this.findOne({ code: String(code).toUpperCase() });
+};
+
 gameSchema.statics.findActiveGames = function() {
   return this.find({
     status: { $in: [GAME_CONSTANTS.STATUS.WAITING, GAME_CONSTANTS.STATUS.IN_PROGRESS] }
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const { GAME_EVENT_TYPES } = require('../config/constants');
+
+// Append-only log of everything that happened in a game, in order. Events
+// are numbered per game so a replay can be read back (and scrubbed through)
+// exactly as it was played.
+const gameEventSchema = new mongoose.Schema({
+  game: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Game',
+    required: true
+  },
+  sequence: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  type: {
+    type: String,
+    enum: Object.values(GAME_EVENT_TYPES),
+    required: true
+  },
+
+  // Who and what the event is about, when it is about someone
+  player: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Player',
+    default: null
+  },
+  bingoCard: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BingoCard',
+    default: null
+  },
+
+  // Numbers called when the event happened
+  callOrder: {
+    type: Number,
+    default: null
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for efficient querying
+gameEventSchema.index({ game: 1, sequence: 1 }, { unique: true });
+gameEventSchema.index({ game: 1, type: 1 });
+gameEventSchema.index({ player: 1, createdAt: -1 });
+
+// Events are never changed once written
+gameEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Game events cannot be modified'));
+  }
+  next();
+});
+
+gameEventSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function(next) {
+  next(new Error('Game events cannot be modified'));
+});
+
+// Static Methods
+
+// Add an event after the game's last one. The sequence number comes from the
+// game's event counter, so concurrent events never share one.
+gameEventSchema.statics.append = async function(gameId, type, details = {}) {
+  const game = await mongoose.model('Game').findByIdAndUpdate(
+    gameId,
+    { $inc: { eventCount: 1 } },
+    { new: true, projection: { eventCount: 1 } }
+  );
+  if (!game) {
+    throw new Error(`Game ${gameId} not found for ${type} event`);
+  }
+
+  return this.create({
+    game: gameId,
+    sequence: game.eventCount,
+    type,
+    player: details.player || null,
+    bingoCard: details.bingoCard || null,
+    callOrder: details.callOrder ?? null,
+    data: details.data || {}
+  });
+};
+
+// All events of a game in the order they happened
+gameEventSchema.statics.getGameEvents = function(gameId) {
+  return this.find({ game: gameId }).sort({ sequence: 1 });
+};
+
+module.exports = mongoose.model('GameEvent', gameEventSchema);
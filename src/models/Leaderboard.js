@@ -18,9 +18,9 @@ const leaderboardSchema = new mongoose.Schema({
       type: Number,
       required: true
     },
-    user: {
+    player: {
       type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
+      ref: 'Player',
       required: true
     },
     score: {
@@ -63,42 +63,44 @@ leaderboardSchema.statics.updateLeaderboard = async function(period = 'daily') {
     { isActive: false }
   );
   
-  // Get top players for the period
+  // Get top players for the period from finished games' winners
   const Game = mongoose.model('Game');
   const topPlayers = await Game.aggregate([
     {
       $match: {
-        endedAt: { $gte: startDate, $lte: endDate },
-        status: 'ended',
-        winner: { $exists: true }
+        actualEndTime: { $gte: startDate, $lte: endDate },
+        status: 'finished',
+        'winners.0': { $exists: true }
       }
     },
     {
-      $unwind: '$players'
+      $unwind: '$winners'
     },
+    // A player can win several stages or cards of one game; it counts as
+    // one game won
     {
-      $match: {
-        'players.hasClaimedBingo': true
+      $group: {
+        _id: { game: '$_id', player: '$winners.player' },
+        winnings: { $sum: '$winners.prize' }
       }
     },
     {
       $group: {
-        _id: '$players.user',
+        _id: '$_id.player',
         gamesWon: { $sum: 1 },
-        totalWinnings: { $sum: '$players.winnings' },
-        totalGames: { $sum: 1 }
+        totalWinnings: { $sum: '$winnings' }
       }
     },
     {
       $lookup: {
-        from: 'users',
+        from: 'players',
         localField: '_id',
         foreignField: '_id',
-        as: 'user'
+        as: 'player'
       }
     },
     {
-      $unwind: '$user'
+      $unwind: '$player'
     },
     {
       $project: {
@@ -107,11 +109,15 @@ leaderboardSchema.statics.updateLeaderboard = async function(period = 'daily') {
         totalWinnings: 1,
         winRate: {
           $cond: [
-            { $gt: ['$totalGames', 0] },
-            { $multiply: [{ $divide: ['$gamesWon', '$totalGames'] }, 100] },
+            { $gt: ['$player.totalGames', 0] },
+            { $multiply: [{ $divide: ['$player.gamesWon', '$player.totalGames'] }, 100] },
             0
           ]
-        },
+        }
+      }
+    },
+    {
+      $addFields: {
         score: {
           $add: [
             { $multiply: ['$gamesWon', 100] },
@@ -132,7 +138,7 @@ leaderboardSchema.statics.updateLeaderboard = async function(period = 'daily') {
   // Create rankings
   const rankings = topPlayers.map((player, index) => ({
     rank: index + 1,
-    user: player._id,
+    player: player._id,
     score: player.score,
     gamesWon: player.gamesWon,
     totalWinnings: player.totalWinnings,
@@ -190,7 +196,7 @@ leaderboardSchema.statics.getPeriodEndDate = function(period) {
 
 leaderboardSchema.statics.getCurrentLeaderboard = function(period = 'daily') {
   return this.findOne({ period, isActive: true })
-    .populate('rankings.user', 'telegramId firstName username avatar level')
+    .populate('rankings.player', 'telegramId firstName telegramUsername avatar level')
     .sort({ createdAt: -1 });
 };
 
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { GAME_CONSTANTS } = require('../config/constants');
 
 const playerSchema = new mongoose.Schema({
   // Telegram User Data
@@ -29,6 +30,9 @@ const playerSchema = new mongoose.Schema({
     type: String,
     default: 'en'
   },
+  avatar: {
+    type: String
+  },
 
   // Game Stats & Economy
   coins: {
@@ -56,6 +60,28 @@ const playerSchema = new mongoose.Schema({
     type: Number,
     default: 1
   },
+  totalWinnings: {
+    type: Number,
+    default: 0
+  },
+  currentStreak: {
+    type: Number,
+    default: 0
+  },
+  longestStreak: {
+    type: Number,
+    default: 0
+  },
+  achievements: [{
+    achievementId: String,
+    name: String,
+    description: String,
+    unlockedAt: {
+      type: Date,
+      default: Date.now
+    },
+    icon: String
+  }],
 
   // Game State
   currentGame: {
@@ -74,6 +100,16 @@ const playerSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Admins manage rooms and games through /api/admin
+  role: {
+    type: String,
+    enum: Object.values(GAME_CONSTANTS.PLAYER_ROLES),
+    default: GAME_CONSTANTS.PLAYER_ROLES.PLAYER
+  },
 
   // Preferences
   settings: {
@@ -85,6 +121,10 @@ const playerSchema = new mongoose.Schema({
       type: Boolean,
       default: true
     },
+    notificationsEnabled: {
+      type: Boolean,
+      default: true
+    },
     autoMarkNumbers: {
       type: Boolean,
       default: false
@@ -110,10 +150,20 @@ const playerSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Legacy user accounts folded into this player (migration 007)
+  mergedUsers: {
+    type: [mongoose.Schema.Types.ObjectId],
+    select: false
+  },
 
-  // Authentication (for admin purposes)
+  // Authentication: hashed refresh token and its expiry
   authToken: String,
-  tokenExpires: Date
+  tokenExpires: Date,
+  // Bumped to revoke every access token issued so far
+  tokenVersion: {
+    type: Number,
+    default: 0
+  }
 
 }, {
   timestamps: true,
@@ -123,6 +173,8 @@ const playerSchema = new mongoose.Schema({
       delete ret._id;
       delete ret.__v;
       delete ret.authToken;
+      delete ret.tokenExpires;
+      delete ret.tokenVersion;
       return ret;
     }
   }
@@ -135,6 +187,7 @@ playerSchema.index({ isOnline: 1 });
 playerSchema.index({ coins: -1 });
 playerSchema.index({ totalGames: -1 });
 playerSchema.index({ gamesWon: -1 });
+playerSchema.index({ level: -1 });
 playerSchema.index({ createdAt: -1 });
 
 // Virtual for win rate
@@ -152,31 +205,53 @@ playerSchema.pre('save', function(next) {
 
 // Instance methods
 playerSchema.methods.generateReferralCode = function() {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-  let result = '';
-  for (let i = 0; i < 6; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return `BINGO${result}`;
+  return this.constructor.generateReferralCode();
 };
 
-playerSchema.methods.addCoins = function(amount, reason = 'game_reward') {
-  this.coins += amount;
-  return this.save();
+// Coin movements are delegated to the ledger so Player.coins always matches it
+playerSchema.methods.addCoins = async function(amount, reason = 'game_win', details = {}) {
+  const transaction = await mongoose.model('Transaction').createTransaction({
+    player: this._id,
+    type: reason,
+    category: 'credit',
+    amount,
+    description: `Received ${amount} coins for ${reason}`,
+    ...details
+  });
+
+  // Reflect the new balance without marking it dirty for a later save()
+  this.set('coins', transaction.balanceAfter);
+  this.unmarkModified('coins');
+  return transaction;
 };
 
-playerSchema.methods.deductCoins = function(amount, reason = 'game_entry') {
-  if (this.coins < amount) {
-    throw new Error('Insufficient coins');
-  }
-  this.coins -= amount;
-  return this.save();
+playerSchema.methods.deductCoins = async function(amount, reason = 'game_entry', details = {}) {
+  const transaction = await mongoose.model('Transaction').createTransaction({
+    player: this._id,
+    type: reason,
+    category: 'debit',
+    amount,
+    description: `Spent ${amount} coins for ${reason}`,
+    ...details
+  });
+
+  this.set('coins', transaction.balanceAfter);
+  this.unmarkModified('coins');
+  return transaction;
 };
 
-playerSchema.methods.updateStats = function(hasWon = false, bingos = 0) {
+playerSchema.methods.updateStats = function(hasWon = false, bingos = 0, winnings = 0) {
   this.totalGames += 1;
   if (hasWon) {
     this.gamesWon += 1;
+    this.totalWinnings += winnings;
+    this.currentStreak += 1;
+
+    if (this.currentStreak > this.longestStreak) {
+      this.longestStreak = this.currentStreak;
+    }
+  } else {
+    this.currentStreak = 0;
   }
   if (bingos > 0) {
     this.totalBingos += bingos;
@@ -186,22 +261,58 @@ playerSchema.methods.updateStats = function(hasWon = false, bingos = 0) {
   const expGained = hasWon ? 10 : 2;
   this.experience += expGained;
   
-  // Level up every 100 experience points
+  // Level up every 100 experience points (the coin reward is paid by paymentService)
   const newLevel = Math.floor(this.experience / 100) + 1;
   if (newLevel > this.level) {
     this.level = newLevel;
-    // Award coins for level up
-    this.coins += newLevel * 10;
   }
+
+  this.lastActive = new Date();
   
   return this.save();
 };
 
+// A further prize stage won in a game updateStats already counted
+playerSchema.methods.recordExtraBingo = function(winnings = 0) {
+  this.totalBingos += 1;
+  this.totalWinnings += winnings;
+  this.lastActive = new Date();
+
+  return this.save();
+};
+
+playerSchema.methods.hasAchievement = function(achievementId) {
+  return this.achievements.some(a => a.achievementId === achievementId);
+};
+
+// Returns true when the achievement is newly unlocked
+playerSchema.methods.unlockAchievement = async function(achievement) {
+  if (this.hasAchievement(achievement.achievementId)) {
+    return false;
+  }
+
+  this.achievements.push({
+    ...achievement,
+    unlockedAt: new Date()
+  });
+  await this.save();
+  return true;
+};
+
 playerSchema.methods.isInGame = function() {
   return !!this.currentGame;
 };
 
 // Static methods
+playerSchema.statics.generateReferralCode = function() {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+  let result = '';
+  for (let i = 0; i < 6; i++) {
+    result += chars.charAt(Math.floor(Math.random() * chars.length));
+  }
+  return `BINGO${result}`;
+};
+
 playerSchema.statics.findByTelegramId = function(telegramId) {
   return this.findOne({ telegramId });
 };
@@ -217,6 +328,13 @@ playerSchema.statics.getLeaderboard = function(limit = 10) {
     .select('telegramUsername firstName lastName gamesWon totalGames winRate level coins');
 };
 
+playerSchema.statics.getTopPlayers = function(limit = 10) {
+  return this.find({ isActive: true })
+    .sort({ coins: -1 })
+    .limit(limit)
+    .select('telegramId telegramUsername firstName coins level');
+};
+
 playerSchema.statics.getOnlinePlayers = function() {
   return this.find({ isOnline: true })
     .select('telegramUsername firstName lastName level currentGame');
@@ -1,5 +1,5 @@
 const mongoose = require('mongoose');
-const { GAME_CONSTANTS } = require('../config/constants');
+const { GAME_CONSTANTS, ERROR_MESSAGES } = require('../config/constants');
 
 const roomSchema = new mongoose.Schema({
   // Room Identification
@@ -53,7 +53,73 @@ const roomSchema = new mongoose.Schema({
     minPlayersToStart: {
       type: Number,
       default: GAME_CONSTANTS.game.minPlayers
-    }
+    },
+    maxCardsPerPlayer: {
+      type: Number,
+      default: GAME_CONSTANTS.game.maxCardsPerPlayer,
+      min: 1
+    },
+    claimPolicy: {
+      type: String,
+      enum: Object.values(GAME_CONSTANTS.CLAIM_POLICIES),
+      default: GAME_CONSTANTS.CLAIM_POLICIES.INSTANT
+    },
+    // Whether a server restart resumes this game or cancels and refunds it
+    recoveryPolicy: {
+      type: String,
+      enum: Object.values(GAME_CONSTANTS.RECOVERY_POLICIES),
+      default: GAME_CONSTANTS.RECOVERY_POLICIES.RESUME
+    },
+    // What a false bingo claim costs: nothing, being locked out of claiming
+    // for a number of calls, or a coin fine
+    falseClaimPenalty: {
+      mode: {
+        type: String,
+        enum: Object.values(GAME_CONSTANTS.FALSE_CLAIM_PENALTIES),
+        default: GAME_CONSTANTS.FALSE_CLAIM_PENALTIES.NONE
+      },
+      calls: {
+        type: Number,
+        default: 3,
+        min: 1
+      },
+      coins: {
+        type: Number,
+        default: 0,
+        min: 0
+      }
+    },
+    // Read-only watchers (see spectatorService); they never take a seat
+    spectators: {
+      enabled: {
+        type: Boolean,
+        default: true
+      },
+      allowChat: {
+        type: Boolean,
+        default: false
+      }
+    },
+    // Winning patterns active in this room's games
+    patterns: {
+      type: [String],
+      default: () => [...GAME_CONSTANTS.DEFAULT_PATTERNS]
+    },
+    // Prize stages for this room's games (see Game.config.stages)
+    stages: [{
+      _id: false,
+      name: String,
+      pattern: {
+        type: String,
+        required: true
+      },
+      share: {
+        type: Number,
+        min: 0,
+        max: 100,
+        required: true
+      }
+    }]
   },
 
   // Room State
@@ -117,17 +183,84 @@ const roomSchema = new mongoose.Schema({
     ref: 'Player'
   }],
 
-  // Tournament Settings (if applicable)
+  // Tournament Settings (if applicable; see tournamentService). The room's
+  // players are the registered players.
   tournament: {
     isTournament: {
       type: Boolean,
       default: false
     },
+    status: {
+      type: String,
+      enum: Object.values(GAME_CONSTANTS.TOURNAMENT.STATUS)
+    },
+    buyIn: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Paid into the prize pool by the house on top of the buy-ins
+    guarantee: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Fixed when the tournament starts
+    prizePool: {
+      type: Number,
+      default: 0
+    },
+    // Percent of the prize pool for each final position
+    prizes: [{
+      _id: false,
+      position: {
+        type: Number,
+        min: 1,
+        required: true
+      },
+      share: {
+        type: Number,
+        min: 0,
+        max: 100,
+        required: true
+      }
+    }],
+    // Players going through from each round; half the round when unset
+    advancing: {
+      type: Number,
+      min: 2
+    },
     maxRounds: Number,
     currentRound: {
       type: Number,
       default: 1
     },
+    // One game per round, between the players still in
+    rounds: [{
+      _id: false,
+      round: Number,
+      game: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Game'
+      },
+      players: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Player'
+      }],
+      results: [{
+        _id: false,
+        player: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Player'
+        },
+        position: Number,
+        advanced: Boolean
+      }],
+      startedAt: Date,
+      finishedAt: Date
+    }],
+    startedAt: Date,
+    finishedAt: Date,
     winners: [{
       player: {
         type: mongoose.Schema.Types.ObjectId,
@@ -139,6 +272,13 @@ const roomSchema = new mongoose.Schema({
     }]
   },
 
+  // Schedule whose games are played in this room (see scheduleService)
+  schedule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Schedule',
+    default: null
+  },
+
   // Timestamps
   createdAt: {
     type: Date,
@@ -168,6 +308,7 @@ roomSchema.index({ status: 1 });
 roomSchema.index({ 'config.type': 1 });
 roomSchema.index({ createdAt: 1 });
 roomSchema.index({ lastActivity: 1 });
+roomSchema.index({ 'tournament.status': 1 }, { sparse: true });
 
 // Virtuals
 roomSchema.virtual('playerCount').get(function() {
@@ -190,22 +331,22 @@ roomSchema.virtual('availableSpots').get(function() {
 // Instance Methods
 roomSchema.methods.addPlayer = function(playerId, isHost = false) {
   if (this.isFull) {
-    throw new Error('Room is full');
+    throw new Error(ERROR_MESSAGES.ROOM.FULL);
   }
 
   if (this.status !== 'waiting') {
-    throw new Error('Room is not accepting players');
+    throw new Error(ERROR_MESSAGES.ROOM.NOT_ACCEPTING);
   }
 
   // Check if player is banned
   if (this.bannedPlayers.some(bp => bp.toString() === playerId.toString())) {
-    throw new Error('Player is banned from this room');
+    throw new Error(ERROR_MESSAGES.ROOM.BANNED);
   }
 
   // Check if player already in room
   const existingPlayer = this.players.find(p => p.player.toString() === playerId.toString());
   if (existingPlayer) {
-    throw new Error('Player already in room');
+    throw new Error(ERROR_MESSAGES.ROOM.ALREADY_IN_ROOM);
   }
 
   this.players.push({
@@ -224,7 +365,7 @@ roomSchema.methods.removePlayer = function(playerId) {
   const playerIndex = this.players.findIndex(p => p.player.toString() === playerId.toString());
   
   if (playerIndex === -1) {
-    throw new Error('Player not found in room');
+    throw new Error(ERROR_MESSAGES.ROOM.NOT_IN_ROOM);
   }
 
   const wasHost = this.players[playerIndex].isHost;
@@ -242,11 +383,11 @@ roomSchema.methods.removePlayer = function(playerId) {
 
 roomSchema.methods.startGame = function() {
   if (this.status !== 'waiting') {
-    throw new Error('Room is not in waiting state');
+    throw new Error(ERROR_MESSAGES.ROOM.NOT_WAITING);
   }
 
   if (!this.canStart) {
-    throw new Error('Not enough players to start game');
+    throw new Error(ERROR_MESSAGES.GAME.NOT_ENOUGH_PLAYERS);
   }
 
   this.status = 'starting';
@@ -316,6 +457,23 @@ roomSchema.statics.createPrivateRoom = function(name, password, creatorId) {
   return room.addPlayer(creatorId, true);
 };
 
+roomSchema.statics.createTournamentRoom = function(name, description = '') {
+  const roomId = `TOURNAMENT_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+
+  return new this({
+    roomId,
+    name,
+    description,
+    config: {
+      type: 'tournament'
+    },
+    tournament: {
+      isTournament: true,
+      status: GAME_CONSTANTS.TOURNAMENT.STATUS.REGISTRATION
+    }
+  });
+};
+
 // Pre-save middleware to generate room ID if not provided
 roomSchema.pre('save', function(next) {
   if (!this.roomId) {
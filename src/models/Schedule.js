@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const { GAME_CONSTANTS } = require('../config/constants');
+
+const { STATUS } = GAME_CONSTANTS.SCHEDULE;
+
+// Games started at set times in the schedule's own room: once at `startsAt`,
+// or at every match of a cron expression (e.g. "0 * * * *" for every hour
+// at :00). Each game is opened for registration `registrationWindow`
+// seconds before its start (see scheduleService).
+const scheduleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Player'
+  },
+
+  // When the games start: a cron expression (minutes, hours, day of month,
+  // month, day of week) read in `timezone`, or a single start
+  cron: String,
+  timezone: String,
+  startsAt: Date,
+  registrationWindow: {
+    type: Number,
+    default: GAME_CONSTANTS.TIMERS.REGISTRATION_WINDOW,
+    min: 60
+  },
+
+  // Schedule State
+  status: {
+    type: String,
+    enum: Object.values(STATUS),
+    default: STATUS.ACTIVE
+  },
+  // Next start, and when its game opens for registration
+  nextRunAt: Date,
+  opensAt: Date,
+  // Game open for registration for the next start
+  currentGame: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Game',
+    default: null
+  },
+  lastRunAt: Date,
+  runCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+scheduleSchema.index({ status: 1, opensAt: 1 });
+scheduleSchema.index({ createdAt: -1 });
+
+// Virtuals
+scheduleSchema.virtual('isRecurring').get(function() {
+  return Boolean(this.cron);
+});
+
+// Instance Methods
+
+// Move on to the given start; without one the schedule is over
+scheduleSchema.methods.setNextRun = function(nextRunAt) {
+  if (!nextRunAt) {
+    this.status = STATUS.COMPLETED;
+    this.nextRunAt = null;
+    this.opensAt = null;
+    return this;
+  }
+
+  this.nextRunAt = nextRunAt;
+  this.opensAt = new Date(nextRunAt.getTime() - this.registrationWindow * 1000);
+  return this;
+};
+
+module.exports = mongoose.model('Schedule', scheduleSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { withTransaction } = require('../database/withTransaction');
 
 const transactionSchema = new mongoose.Schema({
   // Transaction Identification
@@ -39,7 +40,10 @@ const transactionSchema = new mongoose.Schema({
       'bonus',
       'referral',
       'level_up',
-      'admin_adjustment'
+      'admin_adjustment',
+      'penalty',
+      'tournament_entry',
+      'tournament_prize'
     ],
     required: true
   },
@@ -142,7 +146,12 @@ transactionSchema.methods.fail = function(reason = '') {
 };
 
 // Static Methods
-transactionSchema.statics.createTransaction = async function(data) {
+
+// Move coins and record the ledger entry atomically. The balance is changed with a
+// conditional $inc (debits require coins >= amount) in the same MongoDB transaction
+// as the insert. Passing a `reference` makes the call idempotent: a repeated call
+// returns the original transaction instead of moving coins again.
+transactionSchema.statics.createTransaction = async function(data, options = {}) {
   const {
     player,
     type,
@@ -151,56 +160,92 @@ transactionSchema.statics.createTransaction = async function(data) {
     description,
     relatedGame = null,
     relatedRoom = null,
-    metadata = {}
+    metadata = {},
+    reference = null
   } = data;
 
-  // Get current player balance
-  const Player = mongoose.model('Player');
-  const playerDoc = await Player.findById(player);
-  if (!playerDoc) {
-    throw new Error('Player not found');
+  if (!['credit', 'debit'].includes(category)) {
+    throw new Error(`Invalid transaction category: ${category}`);
   }
 
-  const balanceBefore = playerDoc.coins;
-  let balanceAfter;
-
-  // Calculate new balance
-  if (category === 'credit') {
-    balanceAfter = balanceBefore + amount;
-  } else if (category === 'debit') {
-    if (balanceBefore < amount) {
-      throw new Error('Insufficient balance');
+  const findReplay = async () => {
+    if (!reference) return null;
+    const existing = await this.findOne({ reference });
+    if (existing) {
+      existing.$locals.replayed = true;
     }
-    balanceAfter = balanceBefore - amount;
+    return existing;
+  };
+
+  const replay = await findReplay();
+  if (replay) {
+    return replay;
   }
 
-  // Generate transaction ID
-  const transactionId = `TXN_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const Player = mongoose.model('Player');
+  const delta = category === 'credit' ? amount : -amount;
 
-  const transaction = new this({
-    transactionId,
-    player,
-    type,
-    category,
-    amount,
-    currency: 'coins',
-    balanceBefore,
-    balanceAfter,
-    description,
-    relatedGame,
-    relatedRoom,
-    metadata: new Map(Object.entries(metadata)),
-    status: 'pending'
-  });
+  const run = async (session) => {
+    const filter = { _id: player };
+    if (category === 'debit') {
+      filter.coins = { $gte: amount };
+    }
+
+    const playerDoc = await Player.findOneAndUpdate(
+      filter,
+      { $inc: { coins: delta } },
+      { new: true, session, projection: { coins: 1 } }
+    );
+
+    if (!playerDoc) {
+      const exists = await Player.exists({ _id: player }).session(session);
+      throw new Error(exists ? 'Insufficient balance' : 'Player not found');
+    }
+
+    const balanceAfter = playerDoc.coins;
+    const balanceBefore = balanceAfter - delta;
 
-  // Update player balance
-  playerDoc.coins = balanceAfter;
-  await playerDoc.save();
+    try {
+      const [transaction] = await this.create([{
+        transactionId: `TXN_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        reference: reference || undefined,
+        player,
+        type,
+        category,
+        amount,
+        currency: 'coins',
+        balanceBefore,
+        balanceAfter,
+        description,
+        relatedGame,
+        relatedRoom,
+        metadata: new Map(Object.entries(metadata)),
+        status: 'completed',
+        processedAt: new Date()
+      }], { session });
 
-  // Complete the transaction
-  await transaction.complete();
+      return transaction;
+    } catch (error) {
+      // Without a session the balance change must be undone by hand
+      if (!session) {
+        await Player.updateOne({ _id: player }, { $inc: { coins: -delta } });
+      }
+      throw error;
+    }
+  };
 
-  return transaction;
+  try {
+    return options.session ? await run(options.session) : await withTransaction(run);
+  } catch (error) {
+    // A concurrent call with the same reference won the race
+    if (reference && error.code === 11000) {
+      const existing = await findReplay();
+      if (existing) {
+        return existing;
+      }
+    }
+    throw error;
+  }
 };
 
 transactionSchema.statics.getPlayerTransactions = function(playerId, limit = 50, page = 1) {
@@ -3,11 +3,17 @@ const Game = require('./Game');
 const Room = require('./Room');
 const BingoCard = require('./BingoCard');
 const Transaction = require('./Transaction');
+const Leaderboard = require('./Leaderboard');
+const GameEvent = require('./GameEvent');
+const Schedule = require('./Schedule');
 
 module.exports = {
   Player,
   Game,
   Room,
   BingoCard,
-  Transaction
+  Transaction,
+  Leaderboard,
+  GameEvent,
+  Schedule
 };
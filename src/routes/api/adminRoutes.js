@@ -1,17 +1,251 @@
 const express = require('express');
+const Joi = require('joi');
+const gameService = require('../../services/gameService');
+const tournamentService = require('../../services/tournamentService');
+const scheduleService = require('../../services/scheduleService');
+const DatabaseService = require('../../services/databaseService');
+const { validate, objectId, pagination, roomConfig } = require('../../midlleware/validate');
+const { GAME_CONSTANTS } = require('../../config/constants');
 const router = express.Router();
 
+// Settings of a tournament's games; the tournament has its own buy-in and prizes
+const tournamentConfig = roomConfig.fork(['type', 'password', 'entryFee', 'prizePool'], () => Joi.forbidden());
+
+// Settings of a schedule's games; a schedule's room is always public and its
+// games start on time
+const scheduleConfig = roomConfig.fork(['type', 'password', 'autoStart'], () => Joi.forbidden());
+
+const tournamentParams = Joi.object({
+  id: objectId.required()
+});
+
+const scheduleParams = Joi.object({
+  id: objectId.required()
+});
+
 // GET /api/admin/stats - Get admin statistics
-router.get('/stats', (req, res) => {
-  res.status(200).json({
-    status: 'success',
-    message: 'Admin statistics',
-    data: {
-      totalPlayers: 0,
-      totalGames: 0,
-      activeGames: 0
-    }
-  });
+router.get('/stats', async (req, res, next) => {
+  try {
+    const stats = await DatabaseService.getGameAnalytics();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Admin statistics',
+      data: stats
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/games - List every game, including private rooms'
+router.get('/games', validate({
+  query: Joi.object({
+    status: Joi.array().single().items(Joi.string().valid(...Object.values(GAME_CONSTANTS.STATUS))),
+    type: Joi.string().valid('public', 'private', 'tournament'),
+    ...pagination
+  })
+}), async (req, res, next) => {
+  try {
+    const { games, ...page } = await gameService.listGames(req.query);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Games retrieved',
+      data: { games, ...page }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/games/:id/cancel - Cancel a game and refund every entry fee
+router.post('/games/:id/cancel', validate({
+  params: Joi.object({
+    id: objectId.required()
+  }),
+  body: Joi.object({
+    reason: Joi.string().max(100).default('admin')
+  })
+}), async (req, res, next) => {
+  try {
+    const game = await gameService.cancelGame(req.params.id, req.body.reason);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Game cancelled',
+      data: game
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/tournaments - Open a tournament for registration
+router.post('/tournaments', validate({
+  body: Joi.object({
+    name: Joi.string().trim().max(50).required(),
+    description: Joi.string().trim().max(200).allow(''),
+    buyIn: Joi.number().integer().min(0).default(0),
+    guarantee: Joi.number().integer().min(0).default(0),
+    maxRounds: Joi.number().integer().min(1).default(GAME_CONSTANTS.TOURNAMENT.MAX_ROUNDS),
+    advancing: Joi.number().integer().min(2),
+    prizes: Joi.array().items(Joi.object({
+      position: Joi.number().integer().min(1).required(),
+      share: Joi.number().min(0).max(100).required()
+    })).min(1),
+    config: tournamentConfig
+  })
+}), async (req, res, next) => {
+  try {
+    const tournament = await tournamentService.createTournament({
+      ...req.body,
+      creatorId: req.userId
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Tournament created',
+      data: tournament
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/tournaments/:id/start - Close registration and play the first round
+router.post('/tournaments/:id/start', validate({ params: tournamentParams }), async (req, res, next) => {
+  try {
+    const tournament = await tournamentService.startTournament(req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Tournament started',
+      data: tournament
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/tournaments/:id/cancel - Cancel a tournament and refund every buy-in
+router.post('/tournaments/:id/cancel', validate({
+  params: tournamentParams,
+  body: Joi.object({
+    reason: Joi.string().max(100).default('admin')
+  })
+}), async (req, res, next) => {
+  try {
+    const tournament = await tournamentService.cancelTournament(req.params.id, req.body.reason);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Tournament cancelled',
+      data: tournament
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/schedules - List schedules, next start first
+router.get('/schedules', validate({
+  query: Joi.object({
+    status: Joi.array().single().items(
+      Joi.string().valid(...Object.values(GAME_CONSTANTS.SCHEDULE.STATUS))
+    ),
+    ...pagination
+  })
+}), async (req, res, next) => {
+  try {
+    const { schedules, ...page } = await scheduleService.listSchedules(req.query);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Schedules retrieved',
+      data: { schedules, ...page }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/schedules - Schedule a game, or recurring games with a cron expression
+router.post('/schedules', validate({
+  body: Joi.object({
+    name: Joi.string().trim().max(50).required(),
+    description: Joi.string().trim().max(200).allow(''),
+    cron: Joi.string().trim().max(100),
+    timezone: Joi.string().max(64).when('cron', { is: Joi.exist(), otherwise: Joi.forbidden() }),
+    startsAt: Joi.date().iso().greater('now'),
+    registrationWindow: Joi.number().integer().min(60).default(GAME_CONSTANTS.TIMERS.REGISTRATION_WINDOW),
+    config: scheduleConfig
+  }).xor('cron', 'startsAt')
+}), async (req, res, next) => {
+  try {
+    const schedule = await scheduleService.createSchedule({
+      ...req.body,
+      creatorId: req.userId
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Schedule created',
+      data: schedule
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/schedules/:id/pause - Stop starting games (an open game is refunded)
+router.post('/schedules/:id/pause', validate({ params: scheduleParams }), async (req, res, next) => {
+  try {
+    const schedule = await scheduleService.pauseSchedule(req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Schedule paused',
+      data: schedule
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/schedules/:id/resume - Carry on from the next start
+router.post('/schedules/:id/resume', validate({ params: scheduleParams }), async (req, res, next) => {
+  try {
+    const schedule = await scheduleService.resumeSchedule(req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Schedule resumed',
+      data: schedule
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/schedules/:id/cancel - End a schedule (an open game is refunded)
+router.post('/schedules/:id/cancel', validate({
+  params: scheduleParams,
+  body: Joi.object({
+    reason: Joi.string().max(100).default('admin')
+  })
+}), async (req, res, next) => {
+  try {
+    const schedule = await scheduleService.cancelSchedule(req.params.id, req.body.reason);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Schedule cancelled',
+      data: schedule
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
 module.exports = router;
@@ -0,0 +1,62 @@
+const express = require('express');
+const { verifyInitData, authenticateRequest } = require('../../midlleware/auth');
+const playerService = require('../../services/playerService');
+const authService = require('../../services/authService');
+const router = express.Router();
+
+// POST /api/auth/telegram - Exchange verified initData for a session
+router.post('/telegram', async (req, res) => {
+  try {
+    const { user } = verifyInitData(req.body.initData);
+    const player = await playerService.createOrUpdatePlayer(user);
+    const tokens = await authService.issueTokens(player);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Authenticated',
+      data: {
+        ...tokens,
+        player
+      }
+    });
+  } catch (error) {
+    res.status(401).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/auth/refresh - Rotate the refresh token and issue a new access token
+router.post('/refresh', async (req, res) => {
+  try {
+    const tokens = await authService.refreshTokens(req.body.refreshToken);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Token refreshed',
+      data: tokens
+    });
+  } catch (error) {
+    res.status(401).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/auth/logout - Revoke every token issued to the current player
+router.post('/logout', authenticateRequest, async (req, res, next) => {
+  try {
+    await authService.revokeTokens(req.userId);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Logged out'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,31 +1,140 @@
 const express = require('express');
+const Joi = require('joi');
+const { pipeline, Transform } = require('stream');
+const gameService = require('../../services/gameService');
+const { validate, objectId, pagination } = require('../../midlleware/validate');
+const { GAME_CONSTANTS, ERROR_MESSAGES } = require('../../config/constants');
+const logger = require('../../utils/logger');
 const router = express.Router();
 
-// GET /api/games - Get active games
-router.get('/', (req, res) => {
-  res.status(200).json({
-    status: 'success',
-    message: 'Get active games endpoint',
-    data: []
-  });
+const gameParams = Joi.object({
+  id: objectId.required()
 });
 
-// GET /api/games/:id - Get specific game
-router.get('/:id', (req, res) => {
-  res.status(200).json({
-    status: 'success',
-    message: `Get game ${req.params.id}`,
-    data: { id: req.params.id }
-  });
+// The fairness endpoints also take the public game id (e.g. GAME_...)
+const publicGameParams = Joi.object({
+  id: Joi.string().max(64).required()
+});
+
+// GET /api/games - List games, newest first
+router.get('/', validate({
+  query: Joi.object({
+    status: Joi.array().single().items(Joi.string().valid(...Object.values(GAME_CONSTANTS.STATUS))),
+    type: Joi.string().valid('public', 'private', 'tournament'),
+    ...pagination
+  })
+}), async (req, res, next) => {
+  try {
+    const { games, ...page } = await gameService.listGames(req.query);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Games retrieved',
+      data: { games, ...page }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/games/:id - Get specific game, with only the caller's own cards
+// while it is being played
+router.get('/:id', validate({ params: gameParams }), async (req, res, next) => {
+  try {
+    const game = await gameService.getGameForPlayer(req.params.id, req.userId);
+    if (!game) {
+      throw new Error(ERROR_MESSAGES.GAME.NOT_FOUND);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Game retrieved',
+      data: game
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/games/:id/verify - Seeds and draw order to recompute the called numbers
+router.get('/:id/verify', validate({ params: publicGameParams }), async (req, res, next) => {
+  try {
+    const verification = await gameService.getDrawVerification(req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: verification.revealed
+        ? 'Draw revealed'
+        : 'Draw is revealed when the game is over',
+      data: verification
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
-// POST /api/games/:id/join - Join a game
-router.post('/:id/join', (req, res) => {
-  res.status(200).json({
-    status: 'success',
-    message: `Joined game ${req.params.id}`,
-    data: { gameId: req.params.id }
+// GET /api/games/:id/replay - A finished game's event log as NDJSON: a header
+// line with the cards and seeds, then one line per event in order
+router.get('/:id/replay', validate({ params: publicGameParams }), async (req, res, next) => {
+  let replay;
+  try {
+    replay = await gameService.getReplay(req.params.id);
+  } catch (error) {
+    return next(error);
+  }
+
+  const { header, events } = replay;
+
+  res.status(200).type('application/x-ndjson');
+  res.write(`${JSON.stringify(header)}\n`);
+
+  // The pipeline waits for slow clients and closes the cursor if they leave
+  const toLines = new Transform({
+    writableObjectMode: true,
+    transform(event, encoding, callback) {
+      callback(null, `${JSON.stringify(event)}\n`);
+    }
   });
+
+  pipeline(events, toLines, res, (error) => {
+    if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      logger.error('Error streaming game replay:', error);
+    }
+  });
+});
+
+// POST /api/games/:id/join - Join a game with a number of cards
+router.post('/:id/join', validate({
+  params: gameParams,
+  body: Joi.object({
+    cardCount: Joi.number().integer().min(1).default(1)
+  })
+}), async (req, res, next) => {
+  try {
+    const game = await gameService.joinGame(req.params.id, req.userId, req.body.cardCount);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Joined game',
+      data: game
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/games/:id/leave - Leave a game
+router.post('/:id/leave', validate({ params: gameParams }), async (req, res, next) => {
+  try {
+    await gameService.leaveGame(req.params.id, req.userId);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Left game'
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
 module.exports = router;
@@ -1,23 +1,51 @@
 const express = require('express');
+const { authenticateRequest, requireRole } = require('../../midlleware/auth');
+const { GAME_CONSTANTS } = require('../../config/constants');
+const spec = require('../../docs/openapi');
+const socketProtocol = require('../../docs/asyncapi');
 const router = express.Router();
 
-// Import API routes
-router.use('/games', require('./gameRoutes'));
-router.use('/players', require('./playerRoutes'));
-router.use('/rooms', require('./roomRoutes'));
-router.use('/admin', require('./adminRoutes'));
+// Authentication (public)
+router.use('/auth', require('./authRoutes'));
+
+// Import API routes (player-facing routes require a session token or Telegram initData)
+router.use('/games', authenticateRequest, require('./gameRoutes'));
+router.use('/players', authenticateRequest, require('./playerRoutes'));
+router.use('/rooms', authenticateRequest, require('./roomRoutes'));
+router.use('/tournaments', authenticateRequest, require('./tournamentRoutes'));
+router.use('/schedules', authenticateRequest, require('./scheduleRoutes'));
+router.use('/admin', authenticateRequest, requireRole(GAME_CONSTANTS.PLAYER_ROLES.ADMIN), require('./adminRoutes'));
+router.use('/', require('./legacyRoutes'));
+
+// GET /api/docs - The OpenAPI document describing this API
+router.get('/docs', (req, res) => {
+  res.status(200).json(spec);
+});
+
+// GET /api/docs/socket - The AsyncAPI document describing the socket events
+router.get('/docs/socket', (req, res) => {
+  res.status(200).json(socketProtocol);
+});
 
 // Default API route
 router.get('/', (req, res) => {
   res.status(200).json({
     status: 'success',
     message: 'Bingo Game API',
-    version: '1.0.0',
-    endpoints: {
-      games: '/api/games',
-      players: '/api/players',
-      rooms: '/api/rooms',
-      admin: '/api/admin'
+    data: {
+      version: spec.info.version,
+      endpoints: {
+        auth: '/api/auth',
+        games: '/api/games',
+        players: '/api/players',
+        rooms: '/api/rooms',
+        tournaments: '/api/tournaments',
+        schedules: '/api/schedules',
+        admin: '/api/admin',
+        stats: '/api/stats',
+        docs: '/api/docs',
+        socketDocs: '/api/docs/socket'
+      }
     }
   });
 });
@@ -0,0 +1,42 @@
+const express = require('express');
+const { authenticateRequest } = require('../../midlleware/auth');
+const gameService = require('../../services/gameService');
+const router = express.Router();
+
+// Endpoints kept from the original server at their old paths
+
+// GET /api/stats - Live game statistics
+router.get('/stats', async (req, res, next) => {
+  try {
+    const stats = await gameService.getLiveStats();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Live statistics',
+      data: {
+        ...stats,
+        uptime: process.uptime(),
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/game/create - Create a friend game hosted by the current player
+router.post('/game/create', authenticateRequest, async (req, res, next) => {
+  try {
+    const game = await gameService.createHostedGame(req.userId);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Game created successfully',
+      data: { gameId: game.code }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,27 +1,91 @@
 const express = require('express');
+const Joi = require('joi');
+const playerService = require('../../services/playerService');
+const { validate, objectId, pagination } = require('../../midlleware/validate');
+const { GAME_CONSTANTS, ERROR_MESSAGES } = require('../../config/constants');
 const router = express.Router();
 
-// GET /api/players/:id - Get player profile
-router.get('/:id', (req, res) => {
-  res.status(200).json({
-    status: 'success',
-    message: `Get player ${req.params.id}`,
-    data: { id: req.params.id }
-  });
+const playerParams = Joi.object({
+  id: objectId.required()
+});
+
+// Players see everything about themselves; admins about anyone
+const canSeePrivate = (req, playerId) => (
+  playerId === req.userId || req.player.role === GAME_CONSTANTS.PLAYER_ROLES.ADMIN
+);
+
+// GET /api/players/me - Get the current player's profile
+router.get('/me', async (req, res, next) => {
+  try {
+    const player = await playerService.getPlayer(req.userId);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Player retrieved',
+      data: player
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/players/leaderboard - Players ranked by games won
+router.get('/leaderboard', validate({
+  query: Joi.object(pagination)
+}), async (req, res, next) => {
+  try {
+    const { page, limit } = req.query;
+    const leaderboard = await playerService.getLeaderboard(limit, (page - 1) * limit);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Leaderboard retrieved',
+      data: {
+        ...leaderboard,
+        currentPage: page,
+        totalPages: Math.ceil(leaderboard.totalPlayers / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/players/:id - Get player profile (the public part for other players)
+router.get('/:id', validate({ params: playerParams }), async (req, res, next) => {
+  try {
+    const player = canSeePrivate(req, req.params.id)
+      ? await playerService.getPlayer(req.params.id)
+      : await playerService.getPublicProfile(req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Player retrieved',
+      data: player
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
 // GET /api/players/:id/stats - Get player statistics
-router.get('/:id/stats', (req, res) => {
-  res.status(200).json({
-    status: 'success',
-    message: `Get player ${req.params.id} stats`,
-    data: { 
-      id: req.params.id,
-      gamesPlayed: 0,
-      gamesWon: 0,
-      coins: 100 
+router.get('/:id/stats', validate({ params: playerParams }), async (req, res, next) => {
+  try {
+    // They include the player's coin transactions
+    if (!canSeePrivate(req, req.params.id)) {
+      throw new Error(ERROR_MESSAGES.AUTH.FORBIDDEN);
     }
-  });
+
+    const stats = await playerService.getPlayerStats(req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Player statistics',
+      data: stats
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
 module.exports = router;
@@ -1,22 +1,122 @@
 const express = require('express');
+const Joi = require('joi');
+const roomService = require('../../services/roomService');
+const { validate, objectId, pagination, roomConfig } = require('../../midlleware/validate');
 const router = express.Router();
 
-// GET /api/rooms - Get available rooms
-router.get('/', (req, res) => {
-  res.status(200).json({
-    status: 'success',
-    message: 'Get available rooms',
-    data: []
-  });
+const roomParams = Joi.object({
+  id: objectId.required()
 });
 
-// POST /api/rooms - Create a new room
-router.post('/', (req, res) => {
-  res.status(201).json({
-    status: 'success',
-    message: 'Room created successfully',
-    data: { roomId: 'room_' + Date.now() }
-  });
+// GET /api/rooms - List rooms; private rooms only when asked for by type
+router.get('/', validate({
+  query: Joi.object({
+    status: Joi.array().single().items(
+      Joi.string().valid('waiting', 'starting', 'in_game', 'finished', 'closed')
+    ),
+    type: Joi.string().valid('public', 'private', 'tournament'),
+    ...pagination
+  })
+}), async (req, res, next) => {
+  try {
+    const { rooms, ...page } = await roomService.listRooms(req.query);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Rooms retrieved',
+      data: { rooms, ...page }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/rooms - Create a new room hosted by the current player
+router.post('/', validate({
+  body: Joi.object({
+    name: Joi.string().trim().max(50).required(),
+    description: Joi.string().trim().max(200).allow(''),
+    config: roomConfig
+  })
+}), async (req, res, next) => {
+  try {
+    const room = await roomService.createRoom({
+      ...req.body,
+      creatorId: req.userId
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Room created successfully',
+      data: room
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/rooms/:id - Get a room with its players and current game
+router.get('/:id', validate({ params: roomParams }), async (req, res, next) => {
+  try {
+    const room = await roomService.getRoom(req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Room retrieved',
+      data: room
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/rooms/:id/stats - Totals over the room's finished games
+router.get('/:id/stats', validate({ params: roomParams }), async (req, res, next) => {
+  try {
+    const stats = await roomService.getRoomStats(req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Room statistics',
+      data: stats
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/rooms/:id/join - Join a room (private rooms need the password)
+router.post('/:id/join', validate({
+  params: roomParams,
+  body: Joi.object({
+    password: Joi.string().max(50)
+  })
+}), async (req, res, next) => {
+  try {
+    const room = await roomService.joinRoom(req.params.id, req.userId, req.body.password);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Joined room',
+      data: room
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/rooms/:id/leave - Leave a room
+router.post('/:id/leave', validate({ params: roomParams }), async (req, res, next) => {
+  try {
+    await roomService.leaveRoom(req.params.id, req.userId);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Left room'
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
 module.exports = router;
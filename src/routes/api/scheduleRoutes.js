@@ -0,0 +1,48 @@
+const express = require('express');
+const Joi = require('joi');
+const scheduleService = require('../../services/scheduleService');
+const { validate, objectId, pagination } = require('../../midlleware/validate');
+const { GAME_CONSTANTS } = require('../../config/constants');
+const router = express.Router();
+
+// GET /api/schedules - Upcoming scheduled games, next start first. A game
+// open for registration is joined through /api/games/:id/join.
+router.get('/', validate({
+  query: Joi.object(pagination)
+}), async (req, res, next) => {
+  try {
+    const { schedules, ...page } = await scheduleService.listSchedules({
+      ...req.query,
+      status: GAME_CONSTANTS.SCHEDULE.STATUS.ACTIVE
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Schedules retrieved',
+      data: { schedules, ...page }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/schedules/:id - Get a schedule with its next start
+router.get('/:id', validate({
+  params: Joi.object({
+    id: objectId.required()
+  })
+}), async (req, res, next) => {
+  try {
+    const schedule = await scheduleService.getSchedule(req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Schedule retrieved',
+      data: schedule
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,79 @@
+const express = require('express');
+const Joi = require('joi');
+const tournamentService = require('../../services/tournamentService');
+const { validate, objectId, pagination } = require('../../midlleware/validate');
+const { GAME_CONSTANTS } = require('../../config/constants');
+const router = express.Router();
+
+const tournamentParams = Joi.object({
+  id: objectId.required()
+});
+
+// GET /api/tournaments - List tournaments, newest first
+router.get('/', validate({
+  query: Joi.object({
+    status: Joi.array().single().items(
+      Joi.string().valid(...Object.values(GAME_CONSTANTS.TOURNAMENT.STATUS))
+    ),
+    ...pagination
+  })
+}), async (req, res, next) => {
+  try {
+    const { tournaments, ...page } = await tournamentService.listTournaments(req.query);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Tournaments retrieved',
+      data: { tournaments, ...page }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/tournaments/:id - Get a tournament with its bracket and standings
+router.get('/:id', validate({ params: tournamentParams }), async (req, res, next) => {
+  try {
+    const tournament = await tournamentService.getTournament(req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Tournament retrieved',
+      data: tournament
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/tournaments/:id/register - Register and pay the buy-in
+router.post('/:id/register', validate({ params: tournamentParams }), async (req, res, next) => {
+  try {
+    const tournament = await tournamentService.register(req.params.id, req.userId);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Registered',
+      data: tournament
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/tournaments/:id/unregister - Withdraw before the start (the buy-in is refunded)
+router.post('/:id/unregister', validate({ params: tournamentParams }), async (req, res, next) => {
+  try {
+    const tournament = await tournamentService.unregister(req.params.id, req.userId);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Unregistered',
+      data: tournament
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -12,8 +12,10 @@ router.get('/health', (req, res) => {
   res.status(200).json({
     status: 'success',
     message: 'Bingo Server is running!',
-    timestamp: new Date().toISOString(),
-    environment: process.env.NODE_ENV || 'development'
+    data: {
+      timestamp: new Date().toISOString(),
+      environment: process.env.NODE_ENV || 'development'
+    }
   });
 });
 
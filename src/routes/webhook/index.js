@@ -4,13 +4,13 @@ const router = express.Router();
 // Telegram webhook route
 router.post('/telegram', (req, res) => {
   console.log('Telegram webhook received:', req.body);
-  res.status(200).json({ status: 'ok' });
+  res.status(200).json({ status: 'success', message: 'Update received' });
 });
 
 // Payment webhook route (for future Stripe integration)
 router.post('/payment', (req, res) => {
   console.log('Payment webhook received:', req.body);
-  res.status(200).json({ status: 'ok' });
+  res.status(200).json({ status: 'success', message: 'Notification received' });
 });
 
 module.exports = router;
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Player = require('../models/Player');
+const config = require('../config/environment');
+const { ERROR_MESSAGES } = require('../config/constants');
+const logger = require('../utils/logger');
+
+class AuthService {
+  // Issue a signed access token plus a rotating refresh token
+  async issueTokens(player) {
+    try {
+      const accessToken = jwt.sign(
+        {
+          sub: player._id.toString(),
+          telegramId: player.telegramId,
+          tv: player.tokenVersion || 0
+        },
+        config.jwt.secret,
+        { expiresIn: config.jwt.expiresIn }
+      );
+
+      // Only the hash of the refresh token is stored on the player
+      const refreshToken = crypto.randomBytes(48).toString('hex');
+      const refreshExpires = new Date(
+        Date.now() + config.jwt.refreshExpiresInDays * 24 * 60 * 60 * 1000
+      );
+
+      await Player.findByIdAndUpdate(player._id, {
+        authToken: this.hashToken(refreshToken),
+        tokenExpires: refreshExpires
+      });
+
+      const { exp } = jwt.decode(accessToken);
+
+      return {
+        accessToken,
+        refreshToken,
+        tokenType: 'Bearer',
+        expiresAt: new Date(exp * 1000),
+        refreshExpiresAt: refreshExpires
+      };
+    } catch (error) {
+      logger.error('Error issuing tokens:', error);
+      throw error;
+    }
+  }
+
+  // Verify an access token and return its player
+  async verifyAccessToken(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, config.jwt.secret);
+    } catch (error) {
+      throw new Error(ERROR_MESSAGES.AUTH.INVALID_TOKEN);
+    }
+
+    const player = await Player.findById(payload.sub);
+    if (!player) {
+      throw new Error(ERROR_MESSAGES.PLAYER.NOT_FOUND);
+    }
+
+    // Tokens minted before the last revocation are rejected
+    if ((payload.tv || 0) !== (player.tokenVersion || 0)) {
+      throw new Error(ERROR_MESSAGES.AUTH.TOKEN_REVOKED);
+    }
+
+    return player;
+  }
+
+  // Exchange a refresh token for a new token pair (the old refresh token is consumed)
+  async refreshTokens(refreshToken) {
+    try {
+      if (!refreshToken) {
+        throw new Error(ERROR_MESSAGES.AUTH.INVALID_TOKEN);
+      }
+
+      // Clear the stored hash atomically so a refresh token can only be used once
+      const player = await Player.findOneAndUpdate(
+        {
+          authToken: this.hashToken(refreshToken),
+          tokenExpires: { $gt: new Date() }
+        },
+        { $unset: { authToken: 1, tokenExpires: 1 } },
+        { new: true }
+      );
+
+      if (!player) {
+        throw new Error(ERROR_MESSAGES.AUTH.INVALID_TOKEN);
+      }
+
+      return this.issueTokens(player);
+    } catch (error) {
+      logger.error('Error refreshing tokens:', error);
+      throw error;
+    }
+  }
+
+  // Revoke every access and refresh token issued to a player
+  async revokeTokens(playerId) {
+    try {
+      const player = await Player.findByIdAndUpdate(
+        playerId,
+        {
+          $inc: { tokenVersion: 1 },
+          $unset: { authToken: 1, tokenExpires: 1 }
+        },
+        { new: true }
+      );
+
+      if (!player) {
+        throw new Error(ERROR_MESSAGES.PLAYER.NOT_FOUND);
+      }
+
+      logger.info(`Revoked tokens for player ${playerId}`);
+
+      return player;
+    } catch (error) {
+      logger.error('Error revoking tokens:', error);
+      throw error;
+    }
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+}
+
+module.exports = new AuthService();
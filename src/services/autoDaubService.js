@@ -0,0 +1,111 @@
+const Player = require('../models/Player');
+const BingoCard = require('../models/BingoCard');
+const { GAME_CONSTANTS } = require('../config/constants');
+const cardService = require('./cardService');
+const notificationService = require('./notificationService');
+const logger = require('../utils/logger');
+
+// Server-side marking for players with `settings.autoMarkNumbers` on. Every
+// called number is marked on their cards, each changed card is sent to its
+// owner as a delta, and a completed pattern is claimed according to the
+// game's claim policy.
+class AutoDaubService {
+  // Mark a newly called number for every auto-marking player in the game
+  async handleNumberCalled(game, calledNumber) {
+    try {
+      if (!game.config.autoDaub) {
+        return [];
+      }
+
+      const players = await Player.find(
+        {
+          _id: { $in: game.players.map(p => p.player) },
+          'settings.autoMarkNumbers': true
+        },
+        '_id'
+      );
+      const autoMarking = new Set(players.map(player => player._id.toString()));
+
+      const results = [];
+      for (const playerEntry of game.players) {
+        if (!autoMarking.has(playerEntry.player.toString())) {
+          continue;
+        }
+
+        for (const cardId of playerEntry.bingoCards) {
+          const result = await this.daubCard(game, playerEntry.player, cardId, calledNumber);
+          if (result) {
+            results.push(result);
+          }
+        }
+      }
+
+      return results;
+    } catch (error) {
+      logger.error('Error auto-daubing called number:', error);
+      return [];
+    }
+  }
+
+  // Mark one card; numbers missed earlier (e.g. auto-mark switched on during
+  // the game) are caught up too. Resolves to null when nothing changed.
+  async daubCard(game, playerId, cardId, calledNumber) {
+    try {
+      const card = await BingoCard.findById(cardId, 'numbers markedNumbers hasBingo');
+      if (!card || card.hasBingo || !card.findNumberPosition(calledNumber.number)) {
+        return null;
+      }
+
+      const result = await cardService.autoMarkNumbers(
+        cardId,
+        game.calledNumbers.map(cn => cn.number)
+      );
+      if (result.markedCount === 0) {
+        return null;
+      }
+
+      await notificationService.notifyCardDaubed(game._id, playerId, result, calledNumber);
+
+      let claim = null;
+      if (result.hasBingo && game.config.claimPolicy === GAME_CONSTANTS.CLAIM_POLICIES.INSTANT) {
+        try {
+          claim = await this.claim(game, playerId, result);
+        } catch (error) {
+          // A refused claim (e.g. a false-claim lockout or a closed window)
+          // leaves the card to be marked and claimed again on a later call
+          logger.warn(`Auto-claim refused for card ${cardId}: ${error.message}`);
+          await BingoCard.updateOne({ _id: cardId }, { $set: { hasBingo: false } });
+        }
+      }
+
+      return { playerId, cardId, ...result, claim };
+    } catch (error) {
+      logger.error(`Error auto-daubing card ${cardId}:`, error);
+      return null;
+    }
+  }
+
+  // Claim a completed pattern on the player's behalf
+  async claim(game, playerId, result) {
+    // Required here to avoid a circular import with the game service
+    const gameService = require('./gameService');
+
+    const winningNumbers = result.winningPattern.numbers.filter(n => n !== null);
+    const claim = await gameService.processBingoClaim(
+      game._id,
+      playerId,
+      result.winningPattern.name,
+      winningNumbers,
+      result.card._id
+    );
+
+    await notificationService.notifyBingoClaimed(game._id, claim, winningNumbers, {
+      autoClaimed: true,
+      autoMarked: true
+    });
+
+    return claim;
+  }
+}
+
+module.exports = new AutoDaubService();
@@ -1,10 +1,11 @@
 const BingoCard = require('../models/BingoCard');
-const { GAME_CONSTANTS, ERROR_MESSAGES } = require('../config/constants');
+const patternService = require('./patternService');
+const { ERROR_MESSAGES } = require('../config/constants');
 const logger = require('../utils/logger');
 
 class BingoService {
   // Validate a bingo claim
-  async validateBingo(cardId, calledNumbers) {
+  async validateBingo(cardId, calledNumbers, patterns) {
     try {
       const card = await BingoCard.findById(cardId);
       if (!card) {
@@ -12,7 +13,7 @@ class BingoService {
       }
 
       // Check if the card has bingo
-      const winningPattern = card.checkBingo();
+      const winningPattern = card.checkBingo(patterns);
       if (!winningPattern) {
         throw new Error(ERROR_MESSAGES.BINGO.PATTERN_NOT_COMPLETE);
       }
@@ -46,121 +47,30 @@ class BingoService {
     return false;
   }
 
-  // Get all possible winning patterns for analysis
-  getAllPossiblePatterns() {
-    return {
-      rows: this.generateRowPatterns(),
-      columns: this.generateColumnPatterns(),
-      diagonals: this.generateDiagonalPatterns(),
-      corners: this.generateCornerPattern(),
-      fullHouse: this.generateFullHousePattern()
-    };
-  }
-
-  generateRowPatterns() {
-    const patterns = [];
-    for (let row = 0; row < 5; row++) {
-      const pattern = [];
-      for (let col = 0; col < 5; col++) {
-        pattern.push({ row, col });
-      }
-      patterns.push({
-        name: GAME_CONSTANTS.WINNING_PATTERNS.LINE,
-        type: 'row',
-        index: row,
-        positions: pattern
-      });
-    }
-    return patterns;
-  }
-
-  generateColumnPatterns() {
-    const patterns = [];
-    for (let col = 0; col < 5; col++) {
-      const pattern = [];
-      for (let row = 0; row < 5; row++) {
-        pattern.push({ row, col });
-      }
-      patterns.push({
-        name: GAME_CONSTANTS.WINNING_PATTERNS.LINE,
-        type: 'column',
-        index: col,
-        positions: pattern
-      });
-    }
-    return patterns;
-  }
-
-  generateDiagonalPatterns() {
-    const diag1 = [];
-    const diag2 = [];
-    for (let i = 0; i < 5; i++) {
-      diag1.push({ row: i, col: i });
-      diag2.push({ row: i, col: 4 - i });
-    }
-    return [
-      {
-        name: GAME_CONSTANTS.WINNING_PATTERNS.DIAGONAL,
-        type: 'diagonal1',
-        positions: diag1
-      },
-      {
-        name: GAME_CONSTANTS.WINNING_PATTERNS.DIAGONAL,
-        type: 'diagonal2',
-        positions: diag2
-      }
-    ];
-  }
-
-  generateCornerPattern() {
-    return {
-      name: GAME_CONSTANTS.WINNING_PATTERNS.FOUR_CORNERS,
-      type: 'corners',
-      positions: [
-        { row: 0, col: 0 },
-        { row: 0, col: 4 },
-        { row: 4, col: 0 },
-        { row: 4, col: 4 }
-      ]
-    };
-  }
-
-  generateFullHousePattern() {
-    const positions = [];
-    for (let row = 0; row < 5; row++) {
-      for (let col = 0; col < 5; col++) {
-        positions.push({ row, col });
-      }
-    }
-    return {
-      name: GAME_CONSTANTS.WINNING_PATTERNS.FULL_HOUSE,
-      type: 'full_house',
-      positions
-    };
-  }
-
-  // Analyze card for potential wins
-  async analyzeCardPotential(cardId, calledNumbers) {
+  // Analyze card for potential wins. Takes a card id or an already loaded
+  // card (e.g. when checking every card of a game). Shapes whose numbers have
+  // all been called but not all daubed are reported as sleeping wins.
+  async analyzeCardPotential(cardId, calledNumbers, patterns) {
     try {
-      const card = await BingoCard.findById(cardId);
+      const card = cardId instanceof BingoCard ? cardId : await BingoCard.findById(cardId);
       if (!card) {
         throw new Error('Card not found');
       }
 
-      const patterns = this.getAllPossiblePatterns();
       const analysis = {
         potentialWins: [],
+        sleepingWins: [],
         numbersNeeded: {},
         closestWin: null
       };
 
-      // Check each pattern type
-      for (const [patternType, patternList] of Object.entries(patterns)) {
-        for (const pattern of patternList) {
-          const result = this.analyzePattern(card, pattern, calledNumbers);
-          if (result) {
-            analysis.potentialWins.push(result);
-          }
+      // Check every shape of the active patterns
+      for (const pattern of patternService.getCandidates(patterns)) {
+        const result = this.analyzePattern(card, pattern, calledNumbers);
+        if (result && result.isSleeping) {
+          analysis.sleepingWins.push(result);
+        } else if (result) {
+          analysis.potentialWins.push(result);
         }
       }
 
@@ -180,6 +90,7 @@ class BingoService {
 
   analyzePattern(card, pattern, calledNumbers) {
     const uncalledNumbers = [];
+    const unmarkedNumbers = [];
     let markedCount = 0;
 
     for (const position of pattern.positions) {
@@ -199,9 +110,24 @@ class BingoService {
           position,
           letter: this.getLetterForNumber(number)
         });
+      } else {
+        unmarkedNumbers.push(number);
       }
     }
 
+    // Everything has been called, the player just did not daub it
+    if (uncalledNumbers.length === 0 && unmarkedNumbers.length > 0) {
+      return {
+        pattern: pattern.name,
+        type: pattern.type,
+        isComplete: false,
+        isSleeping: true,
+        numbersNeeded: 0,
+        unmarkedNumbers,
+        positions: pattern.positions
+      };
+    }
+
     if (uncalledNumbers.length === 0 && markedCount === pattern.positions.length) {
       return {
         pattern: pattern.name,
@@ -266,7 +192,7 @@ class BingoService {
   }
 
   // Simulate bingo game for testing
-  async simulateBingoGame(cardId, numbersToCall = 35) {
+  async simulateBingoGame(cardId, numbersToCall = 35, patterns) {
     try {
       const card = await BingoCard.findById(cardId);
       if (!card) {
@@ -300,7 +226,7 @@ class BingoService {
           });
 
           // Check for bingo
-          const winningPattern = card.checkBingo();
+          const winningPattern = card.checkBingo(patterns);
           if (winningPattern && !simulation.bingoAchieved) {
             simulation.bingoAchieved = true;
             simulation.turnsToBingo = i + 1;
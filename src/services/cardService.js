@@ -1,23 +1,133 @@
 const BingoCard = require('../models/BingoCard');
-const { GAME_CONSTANTS } = require('../config/constants');
+const Game = require('../models/Game');
+const { GAME_CONSTANTS, GAME_EVENT_TYPES, ERROR_MESSAGES } = require('../config/constants');
+const { randomSeed } = require('../utils/prng');
+const eventLogService = require('./eventLogService');
 const logger = require('../utils/logger');
 
+// Retries with a derived seed when a card repeats one already in the game
+const MAX_SEED_ATTEMPTS = 10;
+
 class CardService {
-  // Generate a new bingo card for a player
-  async generateCard(playerId, gameId) {
+  // Generate a new bingo card for a player. A card with the same numbers as
+  // another card in the game is rejected by the index and generated again from
+  // the next derived seed (`<seed>:1`, `<seed>:2`, ...).
+  async generateCard(playerId, gameId, seed = randomSeed()) {
     try {
-      const card = await BingoCard.generateCard(playerId, gameId);
-      await card.save();
+      for (let attempt = 0; attempt < MAX_SEED_ATTEMPTS; attempt++) {
+        const card = BingoCard.generateCard(playerId, gameId, attempt ? `${seed}:${attempt}` : seed);
+
+        try {
+          await card.save();
+        } catch (error) {
+          if (error.code === 11000 && error.keyPattern && error.keyPattern.signature) {
+            continue;
+          }
+          throw error;
+        }
 
-      logger.info(`Generated bingo card ${card.cardId} for player ${playerId} in game ${gameId}`);
+        logger.info(`Generated bingo card ${card.serial} for player ${playerId} in game ${gameId}`);
 
-      return card;
+        return card;
+      }
+
+      throw new Error(`Could not generate a unique card for game ${gameId}`);
     } catch (error) {
       logger.error('Error generating bingo card:', error);
       throw error;
     }
   }
 
+  // Build (without saving) the pool for a seed. Card i comes from the seed
+  // `<poolSeed>:<i>:<attempt>`, taking the first attempt whose numbers are
+  // not already in the pool, so the same seed always gives the same pool.
+  buildPool(gameId, poolSeed, size = GAME_CONSTANTS.HOSTED_GAME.CARD_POOL_SIZE) {
+    const signatures = new Set();
+    const cards = [];
+
+    for (let poolIndex = 0; poolIndex < size; poolIndex++) {
+      let card;
+      for (let attempt = 0; !card || signatures.has(card.signature); attempt++) {
+        card = BingoCard.generateCard(null, gameId, `${poolSeed}:${poolIndex}:${attempt}`);
+      }
+
+      card.poolIndex = poolIndex;
+      signatures.add(card.signature);
+      cards.push(card);
+    }
+
+    return cards;
+  }
+
+  // Generate the pool of cards players choose from in a hosted game
+  async generatePool(gameId, size = GAME_CONSTANTS.HOSTED_GAME.CARD_POOL_SIZE, poolSeed = randomSeed()) {
+    try {
+      const cards = this.buildPool(gameId, poolSeed, size);
+
+      await BingoCard.insertMany(cards);
+
+      logger.info(`Generated pool of ${size} cards for game ${gameId}`);
+
+      return cards;
+    } catch (error) {
+      logger.error('Error generating card pool:', error);
+      throw error;
+    }
+  }
+
+  // Find a card by its printed serial number
+  async getCardBySerial(serial) {
+    const card = await BingoCard.findOne({ serial: String(serial).toUpperCase() });
+    if (!card) {
+      throw new Error(ERROR_MESSAGES.CARD.NOT_FOUND);
+    }
+    return card;
+  }
+
+  // Get a game's card pool in selection order
+  async getPool(gameId) {
+    return BingoCard.find({ game: gameId, poolIndex: { $exists: true } })
+      .sort({ poolIndex: 1 });
+  }
+
+  // Assign a pool card to a player. The filter only matches a card nobody
+  // holds, so two players can never end up with the same card.
+  async selectCard(gameId, poolIndex, playerId) {
+    try {
+      const card = await BingoCard.findOneAndUpdate(
+        { game: gameId, poolIndex, player: null },
+        { $set: { player: playerId } },
+        { new: true }
+      );
+
+      if (!card) {
+        const exists = await BingoCard.exists({ game: gameId, poolIndex });
+        throw new Error(exists ? ERROR_MESSAGES.CARD.NOT_AVAILABLE : ERROR_MESSAGES.CARD.NOT_FOUND);
+      }
+
+      logger.info(`Player ${playerId} selected card ${poolIndex} in game ${gameId}`);
+
+      return card;
+    } catch (error) {
+      logger.error('Error selecting card:', error);
+      throw error;
+    }
+  }
+
+  // Put a pool card back so another player can choose it
+  async releaseCard(cardId) {
+    try {
+      return await BingoCard.findOneAndUpdate(
+        { _id: cardId, poolIndex: { $exists: true } },
+        { $unset: { player: 1 }, $set: { markedNumbers: [] } },
+        { new: true }
+      );
+    } catch (error) {
+      logger.error('Error releasing card:', error);
+      throw error;
+    }
+  }
+
   // Get card by ID
   async getCard(cardId) {
     try {
@@ -62,9 +172,10 @@ class CardService {
       }
 
       await card.markNumber(number);
+      await this.recordMarks(card, [number], autoMark);
 
       // Check for bingo after marking
-      const winningPattern = card.checkBingo();
+      const winningPattern = card.checkBingo(await this.getActivePatterns(card.game));
       if (winningPattern) {
         card.hasBingo = true;
         card.winningPattern = winningPattern.name;
@@ -85,6 +196,40 @@ class CardService {
     }
   }
 
+  // Mark a cell (row * 5 + col) the player tapped; the number must have been called
+  async markCell(cardId, cellIndex, calledNumbers) {
+    try {
+      const card = await BingoCard.findById(cardId);
+      if (!card) {
+        throw new Error(ERROR_MESSAGES.CARD.NOT_FOUND);
+      }
+
+      const index = Number(cellIndex);
+      if (!Number.isInteger(index) || index < 0 || index > 24 || index === 12) {
+        throw new Error(ERROR_MESSAGES.CARD.INVALID_CELL);
+      }
+
+      const position = { row: Math.floor(index / 5), col: index % 5 };
+      const number = card.getNumberAt(position.row, position.col);
+
+      if (!calledNumbers.includes(number)) {
+        throw new Error(ERROR_MESSAGES.CARD.NUMBER_NOT_CALLED);
+      }
+
+      if (card.markedNumbers.some(mn => mn.number === number)) {
+        throw new Error(ERROR_MESSAGES.CARD.ALREADY_MARKED);
+      }
+
+      await card.markNumber(number, position);
+      await this.recordMarks(card, [number], false);
+
+      return card;
+    } catch (error) {
+      logger.error('Error marking cell:', error);
+      throw error;
+    }
+  }
+
   // Auto-mark numbers based on called numbers
   async autoMarkNumbers(cardId, calledNumbers) {
     try {
@@ -109,7 +254,7 @@ class CardService {
       }
 
       // Check for bingo after auto-marking
-      const winningPattern = card.checkBingo();
+      const winningPattern = card.checkBingo(await this.getActivePatterns(card.game));
       if (winningPattern) {
         card.hasBingo = true;
         card.winningPattern = winningPattern.name;
@@ -118,6 +263,10 @@ class CardService {
 
       await card.save();
 
+      if (markedCount > 0) {
+        await this.recordMarks(card, newlyMarked, true);
+      }
+
       return {
         card,
         markedCount,
@@ -131,6 +280,21 @@ class CardService {
     }
   }
 
+  // Add marks to the game's event log
+  async recordMarks(card, numbers, autoMarked) {
+    await eventLogService.record(card.game, GAME_EVENT_TYPES.NUMBERS_MARKED, {
+      player: card.player,
+      bingoCard: card._id,
+      data: { numbers, autoMarked }
+    });
+  }
+
+  // Winning patterns that count in the card's game right now
+  async getActivePatterns(gameId) {
+    const game = await Game.findById(gameId, 'config currentStage');
+    return game ? game.getActivePatterns() : undefined;
+  }
+
   // Check if number is in card
   isNumberInCard(card, number) {
     const letters = ['B', 'I', 'N', 'G', 'O'];
@@ -1,50 +1,40 @@
-const { User, Game, BingoCard, Transaction, Leaderboard } = require('../models');
+const { Player, Game, Leaderboard } = require('../models');
+const { GAME_CONSTANTS, ERROR_MESSAGES } = require('../config/constants');
+const playerService = require('./playerService');
+const paymentService = require('./paymentService');
+const gameService = require('./gameService');
+const cardService = require('./cardService');
 const logger = require('../utils/logger');
 
 class DatabaseService {
-  // User methods
-  static async findOrCreateUser(telegramUser) {
+  // Player methods
+  static async findOrCreatePlayer(telegramUser) {
     try {
-      let user = await User.findOne({ telegramId: telegramUser.id.toString() });
-      
-      if (!user) {
-        user = new User({
-          telegramId: telegramUser.id.toString(),
-          username: telegramUser.username,
-          firstName: telegramUser.first_name,
-          lastName: telegramUser.last_name,
-          languageCode: telegramUser.language_code,
-          avatar: telegramUser.photo_url
-        });
-        
-        await user.save();
-        logger.info(`New user created: ${user.telegramId}`);
-      } else {
-        // Update last active
-        user.lastActive = new Date();
-        await user.save();
-      }
-      
-      return user;
+      return await playerService.createOrUpdatePlayer(telegramUser);
     } catch (error) {
-      logger.error('Error in findOrCreateUser:', error);
+      logger.error('Error in findOrCreatePlayer:', error);
       throw error;
     }
   }
 
-  static async updateUserStats(userId, hasWon, winnings = 0) {
+  static async updatePlayerStats(playerId, hasWon, winnings = 0) {
     try {
-      const user = await User.findById(userId);
-      if (!user) {
-        throw new Error('User not found');
+      const player = await Player.findById(playerId);
+      if (!player) {
+        throw new Error(ERROR_MESSAGES.PLAYER.NOT_FOUND);
       }
       
-      const leveledUp = user.updateStats(hasWon, winnings);
-      await user.save();
+      const previousLevel = player.level;
+      await player.updateStats(hasWon, hasWon ? 1 : 0, winnings);
+      const leveledUp = player.level > previousLevel;
+
+      if (leveledUp) {
+        await paymentService.awardLevelUpBonus(playerId, player.level);
+      }
       
-      return { user, leveledUp };
+      return { player, leveledUp };
     } catch (error) {
-      logger.error('Error updating user stats:', error);
+      logger.error('Error updating player stats:', error);
       throw error;
     }
   }
@@ -77,45 +67,31 @@ class DatabaseService {
     }
   }
 
-  static async joinGame(gameId, userId, selectedCardIds, totalBet) {
+  static async joinGame(gameId, playerId, cardCount = 1) {
     try {
       const game = await Game.findOne({ gameId });
       if (!game) {
-        throw new Error('Game not found');
-      }
-      
-      // Check if user can afford the bet
-      const user = await User.findById(userId);
-      if (!user.canAfford(totalBet)) {
-        throw new Error('Insufficient balance');
+        throw new Error(ERROR_MESSAGES.GAME.NOT_FOUND);
       }
       
-      // Add player to game
-      game.addPlayer(userId, selectedCardIds, totalBet);
+      // Entry fees (one per card), seat and player state are handled by the game service
+      const joinedGame = await gameService.joinGame(game._id, playerId, cardCount);
       
-      // Deduct balance from user
-      user.deductBalance(totalBet);
+      logger.info(`Player ${playerId} joined game ${gameId}`);
       
-      await Promise.all([game.save(), user.save()]);
-      
-      logger.info(`User ${userId} joined game ${gameId} with bet ${totalBet}`);
-      
-      return game;
+      return joinedGame;
     } catch (error) {
       logger.error('Error joining game:', error);
       throw error;
     }
   }
 
-  static async generateBingoCards(userId, gameId, count) {
+  static async generateBingoCards(playerId, gameId, count) {
     try {
       const cards = [];
       
       for (let i = 0; i < count; i++) {
-        const cardData = BingoCard.generateCard(userId, gameId);
-        const card = new BingoCard(cardData);
-        await card.save();
-        cards.push(card);
+        cards.push(await cardService.generateCard(playerId, gameId));
       }
       
       return cards;
@@ -126,34 +102,18 @@ class DatabaseService {
   }
 
   // Transaction methods
-  static async recordGameBet(userId, gameId, amount, cardCount) {
+  static async recordGameBet(playerId, gameId, amount) {
     try {
-      const transaction = await Transaction.createTransaction(
-        userId,
-        'game_bet',
-        amount,
-        `Game bet for ${cardCount} cards`,
-        { gameId, cardCount }
-      );
-      
-      return transaction;
+      return await paymentService.processEntryFee(playerId, amount, gameId);
     } catch (error) {
       logger.error('Error recording game bet:', error);
       throw error;
     }
   }
 
-  static async recordGameWin(userId, gameId, amount, pattern) {
+  static async recordGameWin(playerId, gameId, amount, pattern) {
     try {
-      const transaction = await Transaction.createTransaction(
-        userId,
-        'game_win',
-        amount,
-        `Game win with ${pattern} pattern`,
-        { gameId, pattern }
-      );
-      
-      return transaction;
+      return await paymentService.awardPrize(playerId, amount, gameId, { pattern });
     } catch (error) {
       logger.error('Error recording game win:', error);
       throw error;
@@ -182,12 +142,18 @@ class DatabaseService {
     try {
       const totalGames = await Game.countDocuments();
       const activeGames = await Game.countDocuments({ 
-        status: { $in: ['waiting', 'starting', 'playing'] } 
+        status: {
+          $in: [
+            GAME_CONSTANTS.STATUS.WAITING,
+            GAME_CONSTANTS.STATUS.STARTING,
+            GAME_CONSTANTS.STATUS.IN_PROGRESS
+          ]
+        }
       });
-      const totalPlayers = await User.countDocuments({ isActive: true });
+      const totalPlayers = await Player.countDocuments({ isActive: true });
       const totalPot = await Game.aggregate([
-        { $match: { status: 'ended' } },
-        { $group: { _id: null, total: { $sum: '$potSize' } } }
+        { $match: { status: GAME_CONSTANTS.STATUS.FINISHED } },
+        { $group: { _id: null, total: { $sum: '$config.prizePool' } } }
       ]);
       
       return {
@@ -0,0 +1,63 @@
+const GameEvent = require('../models/GameEvent');
+const BingoCard = require('../models/BingoCard');
+const logger = require('../utils/logger');
+
+// Every game keeps an append-only log of what happened in it: joins, card
+// picks, calls, marks, claims and payouts. A replay is that log read back in
+// order, after a header with the cards and seeds needed to draw the game.
+// Writing the log never gets in the way of play: a failed write is logged
+// and the game goes on.
+class EventLogService {
+  // Append an event. `game` is a game document, whose called numbers give the
+  // event its callOrder, or a game id.
+  async record(game, type, details = {}) {
+    try {
+      const callOrder = details.callOrder ??
+        (game.calledNumbers ? game.calledNumbers.length : null);
+
+      return await GameEvent.append(game._id || game, type, { ...details, callOrder });
+    } catch (error) {
+      logger.error(`Error recording ${type} event:`, error);
+      return null;
+    }
+  }
+
+  // What a client needs before applying the events: the game's settings,
+  // every card that was played and the revealed draw seeds
+  async getReplayHeader(game) {
+    const cards = await BingoCard.find(
+      { game: game._id, player: { $ne: null } },
+      'player serial numbers poolIndex'
+    );
+
+    return {
+      type: 'replay',
+      gameId: game.gameId,
+      status: game.status,
+      patterns: game.config.patterns,
+      stages: game.config.stages,
+      startedAt: game.actualStartTime,
+      endedAt: game.actualEndTime,
+      fairness: {
+        serverSeed: game.fairness.serverSeed,
+        serverSeedHash: game.fairness.serverSeedHash,
+        clientSeed: game.fairness.clientSeed
+      },
+      cards: cards.map(card => ({
+        id: card._id,
+        player: card.player,
+        serial: card.serial,
+        poolIndex: card.poolIndex,
+        numbers: card.numbers
+      })),
+      eventCount: game.eventCount
+    };
+  }
+
+  // The game's events, oldest first
+  streamEvents(gameId) {
+    return GameEvent.getGameEvents(gameId).cursor();
+  }
+}
+
+module.exports = new EventLogService();
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+
+const TOTAL_NUMBERS = 75;
+const UINT32_RANGE = 2 ** 32;
+
+// Commit-reveal number draws. A random server seed is generated when a game
+// is created and only its SHA-256 hash is published. The client seed is fixed
+// when the game starts, after players have joined, so the server cannot pick a
+// seed that favours anyone. The full call order follows from both seeds and
+// the server seed is revealed once the game is over, so anyone can recompute it.
+const ALGORITHM = [
+  'serverSeedHash = SHA-256(serverSeed), hex encoded',
+  'Random stream: HMAC-SHA256(key = serverSeed, message = `${clientSeed}:${round}`) for round = 0, 1, 2, ...; each digest gives eight big-endian unsigned 32-bit integers',
+  'Shuffle [1..75] with Fisher-Yates from the last index down: for i = 74..1 take the next integer v, skip it while v >= floor(2^32 / (i + 1)) * (i + 1), then swap positions i and v % (i + 1)',
+  'Numbers are called in the order of the shuffled list'
+];
+
+class FairnessService {
+  // New server seed and the hash that is published before the game starts
+  createCommitment() {
+    const serverSeed = crypto.randomBytes(32).toString('hex');
+    return {
+      serverSeed,
+      serverSeedHash: this.hashSeed(serverSeed)
+    };
+  }
+
+  hashSeed(serverSeed) {
+    return crypto.createHash('sha256').update(serverSeed).digest('hex');
+  }
+
+  // Public client seed: the game and its players in join order, none of which
+  // are known when the server seed is committed
+  createPublicSeed(game) {
+    return [game.gameId, ...game.players.map(p => (p.player._id || p.player).toString())].join(':');
+  }
+
+  // Unsigned 32-bit integers from the HMAC stream of both seeds
+  * randomStream(serverSeed, clientSeed) {
+    for (let round = 0; ; round++) {
+      const digest = crypto.createHmac('sha256', serverSeed)
+        .update(`${clientSeed}:${round}`)
+        .digest();
+
+      for (let offset = 0; offset < digest.length; offset += 4) {
+        yield digest.readUInt32BE(offset);
+      }
+    }
+  }
+
+  // The full call order for a pair of seeds
+  deriveSequence(serverSeed, clientSeed) {
+    const numbers = Array.from({ length: TOTAL_NUMBERS }, (_, i) => i + 1);
+    const stream = this.randomStream(serverSeed, clientSeed);
+
+    for (let i = numbers.length - 1; i > 0; i--) {
+      const range = i + 1;
+      const limit = Math.floor(UINT32_RANGE / range) * range;
+
+      // Rejection sampling keeps every position equally likely
+      let value = stream.next().value;
+      while (value >= limit) {
+        value = stream.next().value;
+      }
+
+      const j = value % range;
+      [numbers[i], numbers[j]] = [numbers[j], numbers[i]];
+    }
+
+    return numbers;
+  }
+
+  // Recompute a revealed draw and compare it with the called numbers
+  verify({ serverSeed, serverSeedHash, clientSeed, calledNumbers }) {
+    const hashMatches = this.hashSeed(serverSeed) === serverSeedHash;
+    const sequence = this.deriveSequence(serverSeed, clientSeed);
+    const callsMatch = calledNumbers.every((number, index) => sequence[index] === number);
+
+    return {
+      hashMatches,
+      callsMatch,
+      valid: hashMatches && callsMatch,
+      sequence
+    };
+  }
+
+  describeAlgorithm() {
+    return ALGORITHM;
+  }
+}
+
+module.exports = new FairnessService();
@@ -1,19 +1,28 @@
+const mongoose = require('mongoose');
+const cron = require('node-cron');
 const Game = require('../models/Game');
 const Room = require('../models/Room');
 const Player = require('../models/Player');
 const BingoCard = require('../models/BingoCard');
-const { GAME_CONSTANTS, ERROR_MESSAGES } = require('../config/constants');
+const { GAME_CONSTANTS, GAME_EVENT_TYPES, ERROR_MESSAGES } = require('../config/constants');
 const cardService = require('./cardService');
-const numberService = require('./numberService');
-const timerService = require('./timerService');
+const patternService = require('./patternService');
 const paymentService = require('./paymentService');
+const fairnessService = require('./fairnessService');
 const notificationService = require('./notificationService');
+const autoDaubService = require('./autoDaubService');
+const sleeperService = require('./sleeperService');
+const eventLogService = require('./eventLogService');
+const spectatorService = require('./spectatorService');
+const leaderService = require('./leaderService');
+const { randomSeed } = require('../utils/prng');
 const logger = require('../utils/logger');
 
 class GameService {
   constructor() {
-    this.activeGames = new Map();
     this.gameTimers = new Map();
+    this.recoveryTask = null;
+    this.sweeping = false;
   }
 
   // Create a new game in a room
@@ -25,36 +34,62 @@ class GameService {
       }
 
       if (room.currentGame) {
-        throw new Error('Room already has an active game');
+        throw new Error(ERROR_MESSAGES.ROOM.HAS_ACTIVE_GAME);
       }
 
       // Generate unique game ID
       const gameId = `GAME_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
       const gameConfig = {
-        duration: config.duration || GAME_CONSTANTS.TIMERS.GAME,
+        duration: config.duration ?? GAME_CONSTANTS.TIMERS.GAME,
+        callInterval: config.callInterval || GAME_CONSTANTS.TIMERS.NUMBER_CALL_INTERVAL,
         maxPlayers: config.maxPlayers || room.config.maxPlayers,
         minPlayers: config.minPlayers || room.config.minPlayersToStart,
+        maxCardsPerPlayer: config.maxCardsPerPlayer || room.config.maxCardsPerPlayer,
         entryFee: config.entryFee || room.config.entryFee,
         prizePool: config.prizePool || room.config.prizePool,
+        patterns: patternService.validateNames(config.patterns || room.config.patterns),
+        stages: this.validateStages(config.stages || room.config.stages),
+        autoDaub: config.autoDaub ?? true,
+        claimPolicy: config.claimPolicy || room.config.claimPolicy,
+        recoveryPolicy: config.recoveryPolicy || room.config.recoveryPolicy,
+        falseClaimPenalty: config.falseClaimPenalty || room.config.falseClaimPenalty,
+        spectators: config.spectators || room.config.spectators,
       };
 
+      // Commit to the draw before anyone joins; a client seed given here
+      // (e.g. a public beacon value) replaces the one derived from the players
+      const { serverSeed, serverSeedHash } = fairnessService.createCommitment();
+
       const game = new Game({
         gameId,
         room: roomId,
+        code: config.code,
+        host: config.host,
+        tournamentRound: config.tournamentRound,
+        schedule: config.schedule,
+        scheduledFor: config.scheduledFor,
         config: gameConfig,
+        fairness: {
+          serverSeed,
+          serverSeedHash,
+          clientSeed: config.clientSeed,
+          cardSeed: config.cardSeed || randomSeed()
+        }
       });
 
       await game.save();
 
+      await eventLogService.record(game, GAME_EVENT_TYPES.GAME_CREATED, {
+        player: config.host,
+        data: { room: roomId, config: gameConfig, serverSeedHash }
+      });
+
       // Update room with current game
       room.currentGame = game._id;
       room.status = 'starting';
       await room.save();
 
-      // Store in active games
-      this.activeGames.set(gameId, game);
-
       logger.info(`Game created: ${gameId} in room: ${roomId}`);
 
       return game;
@@ -64,6 +99,150 @@ class GameService {
     }
   }
 
+  // Stages need a known pattern each and may not hand out more than the pool
+  validateStages(stages = []) {
+    patternService.validateNames(stages.map(stage => stage.pattern));
+
+    const totalShare = stages.reduce((sum, stage) => sum + stage.share, 0);
+    if (totalShare > 100) {
+      throw new Error('Stage prize shares cannot exceed 100%');
+    }
+
+    return stages.map(stage => ({
+      name: stage.name,
+      pattern: stage.pattern,
+      share: stage.share
+    }));
+  }
+
+  // Create a friend game: a private room, a share code and a card pool to pick from
+  async createHostedGame(hostId) {
+    try {
+      const host = await Player.findById(hostId);
+      if (!host) {
+        throw new Error(ERROR_MESSAGES.PLAYER.NOT_FOUND);
+      }
+
+      const room = await Room.createPrivateRoom(`${host.firstName}'s game`, undefined, hostId);
+
+      const game = await this.createGame(room._id, {
+        code: await this.generateUniqueCode(),
+        host: hostId,
+        duration: 0,
+        callInterval: GAME_CONSTANTS.HOSTED_GAME.NUMBER_CALL_INTERVAL,
+        maxPlayers: GAME_CONSTANTS.HOSTED_GAME.MAX_PLAYERS,
+        maxCardsPerPlayer: GAME_CONSTANTS.HOSTED_GAME.MAX_CARDS_PER_PLAYER,
+        patterns: GAME_CONSTANTS.HOSTED_GAME.PATTERNS,
+        // The original front end marks cells itself and the host verifies claims
+        autoDaub: false,
+        claimPolicy: GAME_CONSTANTS.CLAIM_POLICIES.MANUAL,
+        entryFee: 0
+      });
+
+      await cardService.generatePool(
+        game._id,
+        GAME_CONSTANTS.HOSTED_GAME.CARD_POOL_SIZE,
+        game.fairness.cardSeed
+      );
+
+      return this.joinGame(game._id, hostId);
+    } catch (error) {
+      logger.error('Error creating hosted game:', error);
+      throw error;
+    }
+  }
+
+  async generateUniqueCode() {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const code = Game.generateCode();
+      if (!(await Game.exists({ code }))) {
+        return code;
+      }
+    }
+    throw new Error('Could not generate a unique game code');
+  }
+
+  // Find a game by its share code
+  async getGameByCode(code) {
+    const game = await Game.findByCode(code);
+    if (!game) {
+      throw new Error(ERROR_MESSAGES.GAME.NOT_FOUND);
+    }
+    return game;
+  }
+
+  // Take a card from the game's pool. Picking more cards than were paid for
+  // buys another one, up to the game's card limit.
+  async selectCard(gameId, playerId, poolIndex) {
+    try {
+      const game = await Game.findById(gameId);
+      if (!game) {
+        throw new Error(ERROR_MESSAGES.GAME.NOT_FOUND);
+      }
+
+      if (game.status !== GAME_CONSTANTS.STATUS.WAITING) {
+        throw new Error(ERROR_MESSAGES.GAME.ALREADY_STARTED);
+      }
+
+      const playerEntry = game.players.find(
+        p => p.player.toString() === playerId.toString()
+      );
+      if (!playerEntry) {
+        throw new Error(ERROR_MESSAGES.PLAYER.NOT_IN_GAME);
+      }
+
+      if (playerEntry.bingoCards.length >= game.config.maxCardsPerPlayer) {
+        throw new Error(ERROR_MESSAGES.CARD.LIMIT_REACHED);
+      }
+
+      const card = await cardService.selectCard(game._id, Number(poolIndex), playerId);
+
+      if (playerEntry.bingoCards.length >= playerEntry.cardCount) {
+        let charges;
+        try {
+          charges = await this.chargeCards(game, playerId, playerEntry.cardCount, 1);
+        } catch (error) {
+          await cardService.releaseCard(card._id);
+          throw error;
+        }
+        await game.addToPrizePool(game.config.entryFee * charges.filter(c => !c.$locals.replayed).length);
+        playerEntry.cardCount += 1;
+      }
+
+      playerEntry.bingoCards.push(card._id);
+      await game.save();
+
+      await eventLogService.record(game, GAME_EVENT_TYPES.CARD_SELECTED, {
+        player: playerId,
+        bingoCard: card._id,
+        data: { poolIndex: card.poolIndex, serial: card.serial }
+      });
+
+      return { game, card };
+    } catch (error) {
+      logger.error('Error selecting card:', error);
+      throw error;
+    }
+  }
+
+  // Host starts a friend game once everyone has picked a card
+  async startHostedGame(gameId, playerId) {
+    const game = await Game.findById(gameId);
+    if (!game) {
+      throw new Error(ERROR_MESSAGES.GAME.NOT_FOUND);
+    }
+
+    if (!game.host || game.host.toString() !== playerId.toString()) {
+      throw new Error(ERROR_MESSAGES.GAME.NOT_HOST);
+    }
+
+    if (game.players.some(p => p.bingoCards.length === 0)) {
+      throw new Error(ERROR_MESSAGES.GAME.CARDS_NOT_SELECTED);
+    }
+
+    return this.startGame(gameId);
+  }
+
   // Start a game
   async startGame(gameId) {
     try {
@@ -80,22 +259,42 @@ class GameService {
         throw new Error(ERROR_MESSAGES.GAME.NOT_ENOUGH_PLAYERS);
       }
 
-      // Generate bingo cards for all players
+      // Generate the cards players paid for but did not pick, each from a
+      // seed derived from the game's card seed
+      const { cardSeed } = game.fairness;
       for (const playerEntry of game.players) {
-        const bingoCard = await cardService.generateCard(
-          playerEntry.player,
-          gameId
-        );
-        playerEntry.bingoCard = bingoCard._id;
+        for (let i = playerEntry.bingoCards.length; i < playerEntry.cardCount; i++) {
+          const bingoCard = await cardService.generateCard(
+            playerEntry.player,
+            gameId,
+            cardSeed ? `${cardSeed}:${playerEntry.player}:${i}` : undefined
+          );
+          playerEntry.bingoCards.push(bingoCard._id);
+        }
       }
 
+      // This node drives the game from its first call; other nodes only take
+      // it over once the lease lapses. Until calling starts, the sweep sees
+      // the game as driven here.
+      this.gameTimers.set(`starting_${gameId}`, null);
+      await leaderService.acquire(`game:${gameId}`, this.getCallerLease(game.config.callInterval));
+
       await game.startGame();
 
-      // Start game timer
-      this.startGameTimer(gameId, game.config.duration);
+      await eventLogService.record(game, GAME_EVENT_TYPES.GAME_STARTED, {
+        data: {
+          clientSeed: game.fairness.clientSeed,
+          players: game.players.map(p => ({ player: p.player, bingoCards: p.bingoCards }))
+        }
+      });
+
+      // Start game timer (untimed games run until bingo or all numbers are called)
+      if (game.config.duration) {
+        this.startGameTimer(gameId, game.config.duration);
+      }
 
       // Start number calling interval
-      this.startNumberCalling(gameId);
+      this.startNumberCalling(gameId, game.config.callInterval);
 
       // Notify all players
       await notificationService.notifyGameStart(gameId);
@@ -106,17 +305,24 @@ class GameService {
     } catch (error) {
       logger.error('Error starting game:', error);
       throw error;
+    } finally {
+      this.gameTimers.delete(`starting_${gameId}`);
     }
   }
 
-  // Join a player to a game
-  async joinGame(gameId, playerId) {
+  // Join a player to a game with the number of cards they want to play.
+  // Seats in a tournament round are only taken by the tournament.
+  async joinGame(gameId, playerId, cardCount = 1, { tournament = false } = {}) {
     try {
       const game = await Game.findById(gameId);
       if (!game) {
         throw new Error(ERROR_MESSAGES.GAME.NOT_FOUND);
       }
 
+      if (game.tournamentRound && !tournament) {
+        throw new Error(ERROR_MESSAGES.TOURNAMENT.REGISTRATION_REQUIRED);
+      }
+
       if (game.isFull) {
         throw new Error(ERROR_MESSAGES.GAME.FULL);
       }
@@ -133,14 +339,28 @@ class GameService {
         throw new Error(ERROR_MESSAGES.PLAYER.ALREADY_IN_GAME);
       }
 
-      // Process entry fee if any
-      if (game.config.entryFee > 0) {
-        await paymentService.processEntryFee(playerId, game.config.entryFee, gameId);
-        game.config.prizePool += game.config.entryFee;
+      this.validateCardCount(game, cardCount);
+
+      // Process entry fee (once per card) if any
+      const charges = await this.chargeCards(game, playerId, 0, cardCount);
+      const fresh = charges.filter(charge => !charge.$locals.replayed);
+
+      // Add player to game, giving the fees back if the seat could not be taken.
+      // A replayed charge belongs to a join that already succeeded, so it is kept.
+      try {
+        await game.addPlayer(playerId, cardCount);
+      } catch (error) {
+        for (const charge of fresh) {
+          await paymentService.refundEntry(charge, 'join_failed');
+        }
+        throw error;
       }
+      await game.addToPrizePool(game.config.entryFee * fresh.length);
 
-      // Add player to game
-      await game.addPlayer(playerId);
+      await eventLogService.record(game, GAME_EVENT_TYPES.PLAYER_JOINED, {
+        player: playerId,
+        data: { cardCount }
+      });
 
       // Update player's current game
       await Player.findByIdAndUpdate(playerId, { 
@@ -150,7 +370,9 @@ class GameService {
 
       // Check if we can start the game (auto-start when full)
       if (game.isFull && game.config.autoStart) {
-        setTimeout(() => this.startGame(gameId), 5000);
+        setTimeout(() => {
+          this.startGame(gameId).catch(error => logger.error('Error auto-starting game:', error));
+        }, 5000);
       }
 
       logger.info(`Player ${playerId} joined game: ${gameId}`);
@@ -162,6 +384,117 @@ class GameService {
     }
   }
 
+  // Buy more cards before the game starts; they are generated at the start
+  async buyCards(gameId, playerId, count = 1) {
+    try {
+      const game = await Game.findById(gameId);
+      if (!game) {
+        throw new Error(ERROR_MESSAGES.GAME.NOT_FOUND);
+      }
+
+      if (game.status !== GAME_CONSTANTS.STATUS.WAITING) {
+        throw new Error(ERROR_MESSAGES.GAME.ALREADY_STARTED);
+      }
+
+      const playerEntry = game.players.find(
+        p => p.player.toString() === playerId.toString()
+      );
+      if (!playerEntry) {
+        throw new Error(ERROR_MESSAGES.PLAYER.NOT_IN_GAME);
+      }
+
+      const owned = playerEntry.cardCount;
+      this.validateCardCount(game, owned + count);
+
+      const charges = await this.chargeCards(game, playerId, owned, count);
+      const fresh = charges.filter(charge => !charge.$locals.replayed);
+
+      // Only counts on an unchanged card count, so concurrent purchases
+      // cannot both go past the limit
+      const updated = await Game.findOneAndUpdate(
+        {
+          _id: game._id,
+          status: GAME_CONSTANTS.STATUS.WAITING,
+          players: { $elemMatch: { player: playerId, cardCount: owned } }
+        },
+        {
+          $inc: {
+            'players.$.cardCount': count,
+            'config.prizePool': game.config.entryFee * fresh.length
+          }
+        },
+        { new: true }
+      );
+
+      if (!updated) {
+        for (const charge of fresh) {
+          await paymentService.refundEntry(charge, 'purchase_failed');
+        }
+        throw new Error(ERROR_MESSAGES.CARD.PURCHASE_FAILED);
+      }
+
+      await eventLogService.record(updated, GAME_EVENT_TYPES.CARDS_BOUGHT, {
+        player: playerId,
+        data: { count, cardCount: owned + count }
+      });
+
+      logger.info(`Player ${playerId} bought ${count} card(s) in game ${gameId}`);
+
+      return updated;
+    } catch (error) {
+      logger.error('Error buying cards:', error);
+      throw error;
+    }
+  }
+
+  // A player holds between one card and the game's limit
+  validateCardCount(game, cardCount) {
+    if (!Number.isInteger(cardCount) || cardCount < 1) {
+      throw new Error(ERROR_MESSAGES.CARD.INVALID_COUNT);
+    }
+
+    if (cardCount > game.config.maxCardsPerPlayer) {
+      throw new Error(ERROR_MESSAGES.CARD.LIMIT_REACHED);
+    }
+  }
+
+  // Charge the entry fee once for every card, numbered from firstCard
+  async chargeCards(game, playerId, firstCard, count) {
+    const charges = [];
+    if (game.config.entryFee <= 0) {
+      return charges;
+    }
+
+    for (let cardNumber = firstCard; cardNumber < firstCard + count; cardNumber++) {
+      charges.push(await paymentService.processEntryFee(
+        playerId,
+        game.config.entryFee,
+        game._id,
+        cardNumber
+      ));
+    }
+
+    return charges;
+  }
+
+  // One of the player's cards: the one asked for, or their first card
+  getPlayerCard(playerEntry, cardId) {
+    const cards = playerEntry.bingoCards.map(card => card._id || card);
+    if (cards.length === 0) {
+      throw new Error(ERROR_MESSAGES.CARD.NOT_SELECTED);
+    }
+
+    if (!cardId) {
+      return cards[0];
+    }
+
+    const card = cards.find(id => id.toString() === cardId.toString());
+    if (!card) {
+      throw new Error(ERROR_MESSAGES.CARD.NOT_FOUND);
+    }
+    return card;
+  }
+
   // Leave a game
   async leaveGame(gameId, playerId) {
     try {
@@ -170,8 +503,42 @@ class GameService {
         throw new Error(ERROR_MESSAGES.GAME.NOT_FOUND);
       }
 
+      // Entry fees are refunded when leaving before the game starts
+      if (game.status === GAME_CONSTANTS.STATUS.WAITING && game.config.entryFee > 0) {
+        const refund = await paymentService.refundEntryFee(playerId, game._id, 'left_lobby');
+        if (refund) {
+          await game.addToPrizePool(-refund.amount);
+        }
+      }
+
+      const playerEntry = game.players.find(
+        p => p.player.toString() === playerId.toString()
+      );
+
+      // Pool cards go back to the pool while the game has not started
+      if (game.status === GAME_CONSTANTS.STATUS.WAITING && playerEntry) {
+        for (const cardId of playerEntry.bingoCards) {
+          await cardService.releaseCard(cardId);
+        }
+      }
+
       await game.removePlayer(playerId);
 
+      // Hand the game over to the longest-waiting player when the host leaves
+      const hostChanged = game.host && game.host.toString() === playerId.toString() &&
+        game.players.length > 0;
+      if (hostChanged) {
+        game.host = game.players[0].player;
+        await game.save();
+      }
+
+      await eventLogService.record(game, GAME_EVENT_TYPES.PLAYER_LEFT, {
+        player: playerId,
+        data: { status: game.status, host: hostChanged ? game.host : undefined }
+      });
+
+      await notificationService.notifyPlayerLeft(game._id, playerId, hostChanged);
+
       // Update player's current game
       await Player.findByIdAndUpdate(playerId, { 
         $unset: { currentGame: 1, currentRoom: 1 } 
@@ -191,16 +558,183 @@ class GameService {
     }
   }
 
-  // Call next number in game
+  // Keep a disconnected player's seat, cards and marks for the reconnect
+  // grace period; they only leave the game if they are not back by then.
+  // Resolves to null when there is no open game seat to hold.
+  async holdSeat(gameId, playerId) {
+    try {
+      const disconnectedAt = new Date();
+      const game = await Game.findOneAndUpdate(
+        {
+          _id: gameId,
+          status: { $in: [GAME_CONSTANTS.STATUS.WAITING, GAME_CONSTANTS.STATUS.IN_PROGRESS] },
+          'players.player': playerId
+        },
+        { $set: { 'players.$.disconnectedAt': disconnectedAt } },
+        { new: true }
+      );
+      if (!game) {
+        return null;
+      }
+
+      this.startGraceTimer(game._id, playerId, GAME_CONSTANTS.TIMERS.RECONNECT_GRACE * 1000);
+
+      const expiresAt = new Date(disconnectedAt.getTime() + GAME_CONSTANTS.TIMERS.RECONNECT_GRACE * 1000);
+
+      await eventLogService.record(game, GAME_EVENT_TYPES.PLAYER_DISCONNECTED, {
+        player: playerId,
+        data: { expiresAt }
+      });
+      await notificationService.notifyPlayerDisconnected(game._id, playerId, expiresAt);
+
+      logger.info(`Holding seat of player ${playerId} in game ${gameId} until ${expiresAt.toISOString()}`);
+
+      return { game, expiresAt };
+    } catch (error) {
+      logger.error('Error holding seat:', error);
+      throw error;
+    }
+  }
+
+  // The grace period ran out: a player who is still away leaves the game
+  // (and its room)
+  async releaseSeat(gameId, playerId) {
+    try {
+      this.gameTimers.delete(`grace_${gameId}_${playerId}`);
+
+      // The node driving the game keeps a grace timer as well as the one the
+      // player dropped from; whichever clears the seat first releases it
+      const game = await Game.findOneAndUpdate(
+        {
+          _id: gameId,
+          status: { $in: [GAME_CONSTANTS.STATUS.WAITING, GAME_CONSTANTS.STATUS.IN_PROGRESS] },
+          players: { $elemMatch: { player: playerId, disconnectedAt: { $ne: null } } }
+        },
+        { $set: { 'players.$.disconnectedAt': null } }
+      );
+      if (!game) {
+        return null;
+      }
+
+      const player = await Player.findById(playerId, 'currentRoom');
+      await this.leaveGame(game._id, playerId);
+
+      if (player && player.currentRoom) {
+        // Required here to avoid a circular import with the room service
+        const roomService = require('./roomService');
+        await roomService.leaveRoom(player.currentRoom, playerId);
+      }
+
+      logger.info(`Seat of player ${playerId} in game ${gameId} released after reconnect grace`);
+
+      return game;
+    } catch (error) {
+      logger.error('Error releasing seat:', error);
+      throw error;
+    }
+  }
+
+  // A player is connected to their game again: cancel the grace timer and
+  // return everything they need to carry on. Resolves to null when they no
+  // longer hold a seat.
+  async resumeSeat(gameId, playerId) {
+    try {
+      const key = `grace_${gameId}_${playerId}`;
+      clearTimeout(this.gameTimers.get(key));
+      this.gameTimers.delete(key);
+
+      // The game as it was before, to tell whether the player had dropped
+      const previous = await Game.findOneAndUpdate(
+        { _id: gameId, 'players.player': playerId },
+        { $set: { 'players.$.disconnectedAt': null } }
+      );
+      if (!previous) {
+        return null;
+      }
+
+      const entry = previous.players.find(p => p.player.toString() === playerId.toString());
+      if (entry.disconnectedAt) {
+        await eventLogService.record(previous, GAME_EVENT_TYPES.PLAYER_RECONNECTED, {
+          player: playerId,
+          data: { awayFor: Date.now() - entry.disconnectedAt.getTime() }
+        });
+        await notificationService.notifyPlayerReconnected(previous._id, playerId);
+
+        logger.info(`Player ${playerId} reconnected to game ${gameId}`);
+      }
+
+      return this.getResumeState(gameId, playerId);
+    } catch (error) {
+      logger.error('Error resuming seat:', error);
+      throw error;
+    }
+  }
+
+  // Full state of a game for one player: calls, their cards and marks, and
+  // their claims still waiting to be settled
+  async getResumeState(gameId, playerId) {
+    const game = await Game.findById(gameId);
+    if (!game) {
+      throw new Error(ERROR_MESSAGES.GAME.NOT_FOUND);
+    }
+
+    const isOwn = entry => entry.player.toString() === playerId.toString();
+    const playerEntry = game.players.find(isOwn);
+    if (!playerEntry) {
+      throw new Error(ERROR_MESSAGES.PLAYER.NOT_IN_GAME);
+    }
+
+    const cards = await BingoCard.find({ _id: { $in: playerEntry.bingoCards } });
+
+    return {
+      game: {
+        id: game._id,
+        gameId: game.gameId,
+        code: game.code,
+        status: game.status,
+        stage: game.currentStage,
+        patterns: game.getActivePatterns(),
+        prizePool: game.config.prizePool,
+        playerCount: game.players.length,
+        calledNumbers: game.calledNumbers.map(cn => cn.number),
+        currentNumber: game.currentNumber,
+        claimWindow: game.claimWindow && {
+          stage: game.claimWindow.stage,
+          closesAt: game.claimWindow.closesAt
+        }
+      },
+      cards: cards.map(card => ({
+        cardId: card._id,
+        serial: card.serial,
+        poolIndex: card.poolIndex,
+        card: card.getCardDisplay(),
+        markedNumbers: card.markedNumbers.map(mn => mn.number),
+        hasBingo: card.hasBingo
+      })),
+      cardCount: playerEntry.cardCount,
+      claims: [
+        ...game.claims.filter(claim => isOwn(claim) && claim.status === 'pending'),
+        ...(game.claimWindow ? game.claimWindow.claims.filter(isOwn) : [])
+      ],
+      lockedUntilCall: playerEntry.lockedUntilCall
+    };
+  }
+
+  // Call the next number of the committed draw
   async callNextNumber(gameId) {
     try {
-      const game = await Game.findById(gameId);
+      const game = await Game.findById(gameId).select('+fairness.serverSeed');
       if (!game) {
         throw new Error(ERROR_MESSAGES.GAME.NOT_FOUND);
       }
 
       if (game.status !== GAME_CONSTANTS.STATUS.IN_PROGRESS) {
-        throw new Error('Game is not in progress');
+        throw new Error(ERROR_MESSAGES.GAME.NOT_IN_PROGRESS);
+      }
+
+      // Calling is paused while bingo claims are being collected
+      if (game.claimWindow) {
+        return null;
       }
 
       // Check if all numbers have been called
@@ -209,10 +743,27 @@ class GameService {
         return null;
       }
 
-      const calledNumber = await game.callNumber();
+      await game.callNumber();
+      const calledNumber = game.calledNumbers[game.calledNumbers.length - 1];
+
+      await eventLogService.record(game, GAME_EVENT_TYPES.NUMBER_CALLED, {
+        data: { number: calledNumber.number, letter: calledNumber.letter }
+      });
 
       // Notify all players
-      await notificationService.notifyNumberCalled(gameId, calledNumber);
+      await notificationService.notifyNumberCalled(
+        gameId,
+        calledNumber,
+        game.calledNumbers.map(cn => cn.number)
+      );
+
+      // Wins nobody claimed before this call are sleepers
+      await sleeperService.checkGame(game);
+
+      // Mark it for players with auto-mark on
+      await autoDaubService.handleNumberCalled(game, calledNumber);
+
+      await spectatorService.publishLeaderboard(game);
 
       logger.info(`Number called in game ${gameId}: ${calledNumber.letter}${calledNumber.number}`);
 
@@ -223,14 +774,18 @@ class GameService {
     }
   }
 
-  // Process bingo claim
-  async processBingoClaim(gameId, playerId, pattern, winningNumbers) {
+  // Mark a cell on one of the player's cards
+  async markCell(gameId, playerId, cellIndex, cardId) {
     try {
       const game = await Game.findById(gameId);
       if (!game) {
         throw new Error(ERROR_MESSAGES.GAME.NOT_FOUND);
       }
 
+      if (game.status !== GAME_CONSTANTS.STATUS.IN_PROGRESS) {
+        throw new Error(ERROR_MESSAGES.GAME.NOT_IN_PROGRESS);
+      }
+
       const playerEntry = game.players.find(
         p => p.player.toString() === playerId.toString()
       );
@@ -238,51 +793,381 @@ class GameService {
         throw new Error(ERROR_MESSAGES.PLAYER.NOT_IN_GAME);
       }
 
-      // Validate the bingo claim
-      const isValid = await this.validateBingoClaim(
-        playerEntry.bingoCard,
-        pattern,
-        winningNumbers,
+      return cardService.markCell(
+        this.getPlayerCard(playerEntry, cardId),
+        cellIndex,
         game.calledNumbers.map(cn => cn.number)
       );
+    } catch (error) {
+      logger.error('Error marking cell:', error);
+      throw error;
+    }
+  }
 
-      if (!isValid) {
-        throw new Error(ERROR_MESSAGES.BINGO.INVALID_CLAIM);
+  // Record a bingo claim for the host to verify. The card is checked first,
+  // so only a completed pattern ever reaches the host. Without a card id the
+  // player's first card with bingo is claimed.
+  async submitClaim(gameId, playerId, cardId) {
+    try {
+      const game = await Game.findById(gameId);
+      if (!game) {
+        throw new Error(ERROR_MESSAGES.GAME.NOT_FOUND);
       }
 
-      // Process the bingo claim
-      await game.claimBingo(playerId, pattern, winningNumbers);
+      if (game.status !== GAME_CONSTANTS.STATUS.IN_PROGRESS) {
+        throw new Error(ERROR_MESSAGES.GAME.NOT_IN_PROGRESS);
+      }
 
-      // Award prize to winner
-      const winnerEntry = game.winners[game.winners.length - 1];
-      await paymentService.awardPrize(playerId, winnerEntry.prize, gameId);
+      const playerEntry = game.players.find(
+        p => p.player.toString() === playerId.toString()
+      );
+      if (!playerEntry || playerEntry.bingoCards.length === 0) {
+        throw new Error(ERROR_MESSAGES.PLAYER.NOT_IN_GAME);
+      }
 
-      // Update player stats
-      const player = await Player.findById(playerId);
-      await player.updateStats(true, 1);
+      const pending = game.claims.some(
+        c => c.player.toString() === playerId.toString() && c.status === 'pending'
+      );
+      if (pending) {
+        throw new Error(ERROR_MESSAGES.BINGO.CLAIM_PENDING);
+      }
 
-      // End the game
-      await this.endGame(gameId, 'bingo');
+      this.checkClaimLockout(game, playerEntry);
 
-      // Notify all players
-      await notificationService.notifyBingoWinner(gameId, playerId, winnerEntry.prize);
+      const cardIds = cardId ? [this.getPlayerCard(playerEntry, cardId)] : playerEntry.bingoCards;
+      const cards = await BingoCard.find({ _id: { $in: cardIds } });
 
-      logger.info(`Bingo claimed by player ${playerId} in game ${gameId}`);
+      let card = null;
+      let winningPattern = null;
+      for (const candidate of cards) {
+        winningPattern = candidate.checkBingo(game.getActivePatterns());
+        if (winningPattern) {
+          card = candidate;
+          break;
+        }
+      }
 
-      return {
-        success: true,
-        winner: player,
-        prize: winnerEntry.prize,
-        pattern: winnerEntry.pattern
-      };
+      if (!winningPattern) {
+        await this.penalizeFalseClaim(game._id, playerId);
+        throw new Error(ERROR_MESSAGES.BINGO.PATTERN_NOT_COMPLETE);
+      }
+
+      game.claims.push({
+        player: playerId,
+        bingoCard: card._id,
+        pattern: winningPattern.name,
+        winningNumbers: winningPattern.numbers.filter(n => n !== null),
+        claimedAt: new Date()
+      });
+      await game.save();
+
+      const claim = game.claims[game.claims.length - 1];
+      await eventLogService.record(game, GAME_EVENT_TYPES.CLAIM_SUBMITTED, {
+        player: playerId,
+        bingoCard: card._id,
+        data: { pattern: claim.pattern, winningNumbers: claim.winningNumbers }
+      });
+
+      logger.info(`Bingo claim submitted by player ${playerId} in game ${gameId}`);
+
+      return { claim, card };
     } catch (error) {
-      logger.error('Error processing bingo claim:', error);
+      logger.error('Error submitting bingo claim:', error);
+      throw error;
+    }
+  }
+
+  // Host accepts or rejects a pending claim; an accepted claim wins the game
+  async verifyClaim(gameId, hostId, playerId, isValid) {
+    try {
+      const game = await Game.findById(gameId);
+      if (!game) {
+        throw new Error(ERROR_MESSAGES.GAME.NOT_FOUND);
+      }
+
+      if (!game.host || game.host.toString() !== hostId.toString()) {
+        throw new Error(ERROR_MESSAGES.GAME.NOT_HOST);
+      }
+
+      const claim = game.claims.find(
+        c => c.player.toString() === playerId.toString() && c.status === 'pending'
+      );
+      if (!claim) {
+        throw new Error(ERROR_MESSAGES.BINGO.CLAIM_NOT_FOUND);
+      }
+
+      // The winner is settled first, so a failed payout leaves the claim pending
+      let result = {};
+      if (isValid) {
+        result = await this.processBingoClaim(
+          gameId,
+          playerId,
+          claim.pattern,
+          claim.winningNumbers,
+          claim.bingoCard
+        );
+      }
+
+      claim.status = isValid ? 'accepted' : 'rejected';
+      claim.reviewedAt = new Date();
+      await Game.updateOne(
+        { _id: game._id, 'claims._id': claim._id },
+        { $set: { 'claims.$.status': claim.status, 'claims.$.reviewedAt': claim.reviewedAt } }
+      );
+
+      await eventLogService.record(game, GAME_EVENT_TYPES.CLAIM_VERIFIED, {
+        player: playerId,
+        bingoCard: claim.bingoCard,
+        data: { host: hostId, accepted: isValid, pattern: claim.pattern }
+      });
+
+      if (!isValid) {
+        await this.penalizeFalseClaim(game._id, playerId);
+        logger.info(`Bingo claim by player ${playerId} rejected in game ${gameId}`);
+        return { claim, accepted: false };
+      }
+
+      return { claim, accepted: true, ...result };
+    } catch (error) {
+      logger.error('Error verifying bingo claim:', error);
+      throw error;
+    }
+  }
+
+  // Process a bingo claim for one of the player's cards (their first card
+  // when no card id is given)
+  async processBingoClaim(gameId, playerId, pattern, winningNumbers, cardId) {
+    try {
+      const game = await Game.findById(gameId);
+      if (!game) {
+        throw new Error(ERROR_MESSAGES.GAME.NOT_FOUND);
+      }
+
+      const playerEntry = game.players.find(
+        p => p.player.toString() === playerId.toString()
+      );
+      if (!playerEntry) {
+        throw new Error(ERROR_MESSAGES.PLAYER.NOT_IN_GAME);
+      }
+
+      this.checkClaimLockout(game, playerEntry);
+
+      const bingoCard = this.getPlayerCard(playerEntry, cardId);
+
+      // Validate the bingo claim
+      const isValid = await this.validateBingoClaim(
+        bingoCard,
+        pattern,
+        winningNumbers,
+        game.calledNumbers.map(cn => cn.number),
+        game.getActivePatterns()
+      );
+
+      if (!isValid) {
+        await this.penalizeFalseClaim(game._id, playerId);
+        throw new Error(ERROR_MESSAGES.BINGO.INVALID_CLAIM);
+      }
+
+      // The claim joins the stage's claim window; the first one opens it and
+      // pauses calling, so every bingo on this number shares the prize
+      const { game: claimed, opened } = await game.claimBingo(playerId, bingoCard, pattern, winningNumbers);
+
+      await eventLogService.record(claimed, GAME_EVENT_TYPES.BINGO_CLAIMED, {
+        player: playerId,
+        bingoCard,
+        data: {
+          pattern,
+          winningNumbers,
+          stage: claimed.claimWindow.stage,
+          openedWindow: opened
+        }
+      });
+      if (opened) {
+        this.stopNumberCalling(gameId);
+        this.startClaimWindow(gameId, claimed.claimWindow.closesAt);
+      }
+
+      const player = await Player.findById(playerId);
+
+      logger.info(`Bingo claimed by player ${playerId} in game ${gameId}`);
+
+      return {
+        success: true,
+        winner: player,
+        cardId: bingoCard,
+        pattern,
+        stage: claimed.claimWindow.stage,
+        callOrder: claimed.claimWindow.callOrder,
+        closesAt: claimed.claimWindow.closesAt
+      };
+    } catch (error) {
+      logger.error('Error processing bingo claim:', error);
+      throw error;
+    }
+  }
+
+  // Close a game's claim window: pay every winner their part of the prize,
+  // then end the game or resume calling for the next stage
+  async settleClaimWindow(gameId) {
+    try {
+      // The game stays driven here until calling resumes or the game ends
+      this.stopClaimWindow(gameId);
+      this.gameTimers.set(`settling_${gameId}`, null);
+
+      // A claim added while settling makes the update miss; read it again
+      for (let attempt = 0; attempt < 3; attempt++) {
+        const game = await Game.findById(gameId);
+        if (!game || !game.claimWindow) {
+          return null;
+        }
+
+        const settled = await game.settleClaimWindow();
+        if (!settled) {
+          continue;
+        }
+
+        for (const winnerEntry of settled.winners) {
+          await this.rewardWinner(settled.game, winnerEntry);
+        }
+
+        const gameOver = settled.game.status === GAME_CONSTANTS.STATUS.FINISHED;
+
+        await notificationService.notifyWinners(settled.game, settled.winners);
+
+        if (gameOver) {
+          await this.endGame(gameId, 'bingo');
+        } else {
+          // Calling goes on for the next stage; cards that hit the finished
+          // stage can win again
+          await BingoCard.updateMany({ game: settled.game._id }, { $set: { hasBingo: false } });
+          this.startNumberCalling(gameId, settled.game.config.callInterval);
+        }
+
+        logger.info(`Claim window settled in game ${gameId}: ${settled.winners.length} winner(s)`);
+
+        return { ...settled, gameOver };
+      }
+
+      throw new Error(`Could not settle claim window for game ${gameId}`);
+    } catch (error) {
+      logger.error('Error settling claim window:', error);
+      throw error;
+    } finally {
+      this.gameTimers.delete(`settling_${gameId}`);
+    }
+  }
+
+  // Pay a winning card and update its player's stats (a game only counts
+  // once, however many stages or cards win)
+  async rewardWinner(game, winnerEntry) {
+    const playerId = winnerEntry.player;
+
+    if (winnerEntry.prize > 0) {
+      await paymentService.awardPrize(playerId, winnerEntry.prize, game._id, {
+        pattern: winnerEntry.pattern,
+        stage: winnerEntry.stage,
+        splitWith: winnerEntry.splitWith,
+        bingoCard: winnerEntry.bingoCard
+      });
+    }
+
+    await eventLogService.record(game, GAME_EVENT_TYPES.PRIZE_PAID, {
+      player: playerId,
+      bingoCard: winnerEntry.bingoCard,
+      data: {
+        prize: winnerEntry.prize,
+        pattern: winnerEntry.pattern,
+        stage: winnerEntry.stage,
+        splitWith: winnerEntry.splitWith
+      }
+    });
+
+    const player = await Player.findById(playerId);
+    const previousLevel = player.level;
+    const index = game.winners.findIndex(w => w._id.equals(winnerEntry._id));
+    const wonEarlier = game.winners.slice(0, index).some(
+      w => w.player.toString() === playerId.toString()
+    );
+
+    if (wonEarlier) {
+      await player.recordExtraBingo(winnerEntry.prize);
+    } else {
+      await player.updateStats(true, 1, winnerEntry.prize);
+    }
+
+    if (player.level > previousLevel) {
+      await paymentService.awardLevelUpBonus(playerId, player.level);
+      await notificationService.notifyLevelUp(playerId, previousLevel, player.level);
+    }
+
+    await notificationService.notifyBingoWinner(game._id, playerId, winnerEntry.prize);
+  }
+
+  // A player locked out after a false claim has to wait some calls
+  checkClaimLockout(game, playerEntry) {
+    if (game.calledNumbers.length < playerEntry.lockedUntilCall) {
+      throw new Error(ERROR_MESSAGES.BINGO.LOCKED_OUT);
+    }
+  }
+
+  // Apply the game's false-claim penalty: a claim lockout for a number of
+  // calls or a coin fine (skipped when the player cannot pay it)
+  async penalizeFalseClaim(gameId, playerId) {
+    try {
+      const game = await Game.findOneAndUpdate(
+        { _id: gameId, 'players.player': playerId },
+        { $inc: { 'players.$.falseClaims': 1 } },
+        { new: true }
+      );
+      if (!game) {
+        return null;
+      }
+
+      const playerEntry = game.players.find(
+        p => p.player.toString() === playerId.toString()
+      );
+      const { mode, calls, coins } = game.config.falseClaimPenalty;
+      const penalty = { mode, falseClaims: playerEntry.falseClaims };
+
+      await eventLogService.record(game, GAME_EVENT_TYPES.FALSE_CLAIM, {
+        player: playerId,
+        data: { penalty: mode, falseClaims: playerEntry.falseClaims }
+      });
+
+      if (mode === GAME_CONSTANTS.FALSE_CLAIM_PENALTIES.LOCKOUT) {
+        penalty.lockedUntilCall = game.calledNumbers.length + calls;
+        await Game.updateOne(
+          { _id: game._id, 'players.player': playerId },
+          { $max: { 'players.$.lockedUntilCall': penalty.lockedUntilCall } }
+        );
+      } else if (mode === GAME_CONSTANTS.FALSE_CLAIM_PENALTIES.FINE && coins > 0) {
+        try {
+          await paymentService.chargePenalty(playerId, coins, game._id, playerEntry.falseClaims);
+          penalty.coins = coins;
+        } catch (error) {
+          if (error.message !== ERROR_MESSAGES.PLAYER.INSUFFICIENT_COINS) {
+            throw error;
+          }
+          logger.warn(`Player ${playerId} cannot pay the false claim fine in game ${gameId}`);
+          penalty.coins = 0;
+        }
+      } else {
+        return penalty;
+      }
+
+      await notificationService.notifyClaimPenalty(game._id, playerId, penalty);
+
+      logger.info(`False claim penalty (${mode}) for player ${playerId} in game ${gameId}`);
+
+      return penalty;
+    } catch (error) {
+      logger.error('Error applying false claim penalty:', error);
       throw error;
     }
   }
 
   // Validate bingo claim
-  async validateBingoClaim(cardId, pattern, winningNumbers, calledNumbers) {
+  async validateBingoClaim(cardId, pattern, winningNumbers, calledNumbers, activePatterns) {
     try {
       const card = await BingoCard.findById(cardId);
       if (!card) {
@@ -303,9 +1188,12 @@ class GameService {
         }
       }
 
-      // Verify the pattern
-      const validPattern = card.checkPattern(pattern);
-      if (!validPattern) {
+      // The pattern must count in this game and be complete on the card
+      if (!patternService.getPatterns(activePatterns).some(p => p.name === pattern)) {
+        return false;
+      }
+
+      if (!patternService.matchesClaim(card, pattern, winningNumbers)) {
         return false;
       }
 
@@ -319,21 +1207,38 @@ class GameService {
   // End a game
   async endGame(gameId, reason = 'completed') {
     try {
-      const game = await Game.findById(gameId);
+      let game = await Game.findById(gameId);
       if (!game) {
         throw new Error(ERROR_MESSAGES.GAME.NOT_FOUND);
       }
 
+      // Bingos already claimed still win before the game closes
+      if (game.claimWindow) {
+        const settled = await this.settleClaimWindow(gameId);
+        if (settled && settled.gameOver) {
+          return settled.game;
+        }
+        game = await Game.findById(gameId);
+      }
+
       // Stop timers
       this.stopGameTimer(gameId);
       this.stopNumberCalling(gameId);
 
       await game.endGame(reason);
 
+      await eventLogService.record(game, GAME_EVENT_TYPES.GAME_ENDED, {
+        data: { reason }
+      });
+
+      // Announce the result and reveal the draw seed
+      await notificationService.notifyGameEnd(game._id, reason);
+
       // Update room
       const room = await Room.findById(game.room);
       if (room) {
         await room.completeGame();
+        await this.completeTournamentRound(room, game);
       }
 
       // Update all players
@@ -343,8 +1248,7 @@ class GameService {
         { $unset: { currentGame: 1, currentRoom: 1 } }
       );
 
-      // Remove from active games
-      this.activeGames.delete(game.gameId);
+      await this.releaseCaller(gameId);
 
       logger.info(`Game ended: ${gameId} - Reason: ${reason}`);
 
@@ -355,30 +1259,116 @@ class GameService {
     }
   }
 
+  // Cancel a game and refund every entry fee
+  async cancelGame(gameId, reason = 'cancelled') {
+    try {
+      const existing = await Game.findById(gameId);
+      if (!existing) {
+        throw new Error(ERROR_MESSAGES.GAME.NOT_FOUND);
+      }
+
+      // The status is switched first, so a game that is over keeps its entry
+      // fees (its prizes are paid) and only one cancellation refunds them
+      const now = new Date();
+      const game = await Game.findOneAndUpdate(
+        {
+          _id: existing._id,
+          status: { $nin: [GAME_CONSTANTS.STATUS.FINISHED, GAME_CONSTANTS.STATUS.CANCELLED] }
+        },
+        {
+          $set: {
+            status: GAME_CONSTANTS.STATUS.CANCELLED,
+            phase: 'results',
+            actualEndTime: now,
+            'fairness.revealedAt': now,
+            cancelReason: reason
+          }
+        },
+        { new: true }
+      );
+
+      if (!game) {
+        throw new Error(ERROR_MESSAGES.GAME.ALREADY_OVER);
+      }
+
+      this.stopGameTimer(gameId);
+      this.stopNumberCalling(gameId);
+      this.stopClaimWindow(gameId);
+
+      await paymentService.refundGame(game._id, reason);
+
+      await eventLogService.record(game, GAME_EVENT_TYPES.GAME_CANCELLED, {
+        data: { reason }
+      });
+      await notificationService.notifyGameEnd(game._id, reason);
+
+      const room = await Room.findById(game.room);
+      if (room) {
+        await room.completeGame();
+        await this.completeTournamentRound(room, game);
+      }
+
+      const playerIds = game.players.map(p => p.player);
+      await Player.updateMany(
+        { _id: { $in: playerIds } },
+        { $unset: { currentGame: 1, currentRoom: 1 } }
+      );
+
+      await this.releaseCaller(gameId);
+
+      logger.info(`Game cancelled: ${gameId} - Reason: ${reason}`);
+
+      return game;
+    } catch (error) {
+      logger.error('Error cancelling game:', error);
+      throw error;
+    }
+  }
+
+  // A game over in a tournament room decides its round or, when cancelled,
+  // has it played again. Required here: the tournament runs its rounds
+  // through this service.
+  async completeTournamentRound(room, game) {
+    if (room.tournament && room.tournament.isTournament) {
+      await require('./tournamentService').handleGameOver(room, game);
+    }
+  }
+
   // Start game timer
   startGameTimer(gameId, duration) {
+    this.stopGameTimer(gameId);
     const timer = setTimeout(async () => {
       try {
         await this.endGame(gameId, 'time_up');
       } catch (error) {
         logger.error('Error in game timer:', error);
       }
-    }, duration * 1000);
+    }, Math.max(0, duration * 1000));
 
-    this.gameTimers.set(gameId, timer);
+    this.gameTimers.set(`game_${gameId}`, timer);
   }
 
   // Stop game timer
   stopGameTimer(gameId) {
-    const timer = this.gameTimers.get(gameId);
+    const timer = this.gameTimers.get(`game_${gameId}`);
     if (timer) {
       clearTimeout(timer);
-      this.gameTimers.delete(gameId);
+      this.gameTimers.delete(`game_${gameId}`);
     }
   }
 
-  // Start number calling interval
-  startNumberCalling(gameId) {
+  // How long the node driving a game keeps its lease without renewing it
+  getCallerLease(callInterval = GAME_CONSTANTS.TIMERS.NUMBER_CALL_INTERVAL) {
+    return Math.max(GAME_CONSTANTS.TIMERS.LEADER_LEASE, callInterval * 2) * 1000;
+  }
+
+  // Start number calling interval. Only the holder of the game's lease calls
+  // numbers; a node that finds the lease taken has had the game taken over
+  // and stops driving it.
+  startNumberCalling(gameId, callInterval = GAME_CONSTANTS.TIMERS.NUMBER_CALL_INTERVAL) {
+    this.stopNumberCalling(gameId);
+
+    const lease = this.getCallerLease(callInterval);
     const interval = setInterval(async () => {
       try {
         const game = await Game.findById(gameId);
@@ -387,11 +1377,16 @@ class GameService {
           return;
         }
 
+        if (!(await leaderService.acquire(`game:${gameId}`, lease))) {
+          this.disarmGame(gameId);
+          return;
+        }
+
         await this.callNextNumber(gameId);
       } catch (error) {
         logger.error('Error in number calling interval:', error);
       }
-    }, GAME_CONSTANTS.TIMERS.NUMBER_CALL_INTERVAL * 1000);
+    }, callInterval * 1000);
 
     this.gameTimers.set(`number_${gameId}`, interval);
   }
@@ -405,6 +1400,108 @@ class GameService {
     }
   }
 
+  // Drop the lease once the game no longer needs a caller
+  async releaseCaller(gameId) {
+    try {
+      await leaderService.release(`game:${gameId}`);
+    } catch (error) {
+      logger.error('Error releasing number calling lease:', error);
+    }
+  }
+
+  // Release a held seat once the reconnect grace period runs out
+  startGraceTimer(gameId, playerId, delay) {
+    const key = `grace_${gameId}_${playerId}`;
+    clearTimeout(this.gameTimers.get(key));
+    const timer = setTimeout(async () => {
+      try {
+        await this.releaseSeat(gameId, playerId);
+      } catch (error) {
+        logger.error('Error in reconnect grace timer:', error);
+      }
+    }, Math.max(0, delay));
+
+    this.gameTimers.set(key, timer);
+  }
+
+  // Settle the claim window once it closes
+  startClaimWindow(gameId, closesAt) {
+    this.stopClaimWindow(gameId);
+    const timer = setTimeout(async () => {
+      try {
+        await this.settleClaimWindow(gameId);
+      } catch (error) {
+        logger.error('Error in claim window timer:', error);
+      }
+    }, Math.max(0, closesAt - Date.now()));
+
+    this.gameTimers.set(`claim_${gameId}`, timer);
+  }
+
+  // Stop claim window timer
+  stopClaimWindow(gameId) {
+    const timer = this.gameTimers.get(`claim_${gameId}`);
+    if (timer) {
+      clearTimeout(timer);
+      this.gameTimers.delete(`claim_${gameId}`);
+    }
+  }
+
+  // True while this node calls numbers or settles claims for the game, or is
+  // between the two (starting the game, paying out a claim window)
+  isDriving(gameId) {
+    return ['number', 'claim', 'starting', 'settling'].some(timer => this.gameTimers.has(`${timer}_${gameId}`));
+  }
+
+  // Starting the game or settling a claim window arms its timers itself
+  isBusy(gameId) {
+    return this.gameTimers.has(`starting_${gameId}`) || this.gameTimers.has(`settling_${gameId}`);
+  }
+
+  // Arm whichever of a running game's timers this node is missing, from what
+  // the game document records: its end, an open claim window (which restarts
+  // calling once settled) or calling, and the seats held for dropped players
+  armGame(game) {
+    const gameId = game._id;
+    if (this.isBusy(gameId)) {
+      return;
+    }
+
+    if (game.endTime && !this.gameTimers.has(`game_${gameId}`)) {
+      this.startGameTimer(gameId, (game.endTime - Date.now()) / 1000);
+    }
+
+    if (game.claimWindow) {
+      if (!this.gameTimers.has(`claim_${gameId}`)) {
+        this.startClaimWindow(gameId, game.claimWindow.closesAt);
+      }
+    } else if (!this.gameTimers.has(`number_${gameId}`)) {
+      this.startNumberCalling(gameId, game.config.callInterval);
+    }
+
+    for (const playerEntry of game.players) {
+      if (playerEntry.disconnectedAt && !this.gameTimers.has(`grace_${gameId}_${playerEntry.player}`)) {
+        const expiresAt = playerEntry.disconnectedAt.getTime() + GAME_CONSTANTS.TIMERS.RECONNECT_GRACE * 1000;
+        this.startGraceTimer(gameId, playerEntry.player, expiresAt - Date.now());
+      }
+    }
+  }
+
+  // Stop every timer this node runs for the game, once another node has
+  // taken it over
+  disarmGame(gameId) {
+    this.stopGameTimer(gameId);
+    this.stopNumberCalling(gameId);
+    this.stopClaimWindow(gameId);
+    for (const [key, timer] of this.gameTimers) {
+      if (key.startsWith(`grace_${gameId}_`)) {
+        clearTimeout(timer);
+        this.gameTimers.delete(key);
+      }
+    }
+    logger.info(`Game ${gameId} is driven by another node now`);
+  }
+
   // Get active games
   async getActiveGames() {
     return Game.find({
@@ -412,14 +1509,155 @@ class GameService {
     }).populate('players.player', 'telegramUsername firstName lastName');
   }
 
+  // Page through games, newest first, optionally only those with one of the
+  // given statuses or in rooms of one type
+  async listGames({ status, type, page = 1, limit = GAME_CONSTANTS.PAGINATION.DEFAULT_LIMIT } = {}) {
+    try {
+      const filter = {};
+      if (status) {
+        filter.status = { $in: [].concat(status) };
+      }
+      if (type) {
+        filter.room = { $in: await Room.find({ 'config.type': type }).distinct('_id') };
+      }
+
+      const [games, totalGames] = await Promise.all([
+        Game.find(filter)
+          .select('-calledNumbers')
+          .populate('room', 'roomId name config.type')
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Game.countDocuments(filter)
+      ]);
+
+      const totalPages = Math.ceil(totalGames / limit);
+
+      return {
+        games,
+        totalGames,
+        currentPage: page,
+        totalPages,
+        hasMore: page < totalPages
+      };
+    } catch (error) {
+      logger.error('Error listing games:', error);
+      throw error;
+    }
+  }
+
+  // Counts of games currently open or running and the players in them
+  async getLiveStats() {
+    const [stats] = await Game.aggregate([
+      {
+        $match: {
+          status: { $in: [GAME_CONSTANTS.STATUS.WAITING, GAME_CONSTANTS.STATUS.IN_PROGRESS] }
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          activeGames: { $sum: 1 },
+          totalPlayers: { $sum: { $size: '$players' } }
+        }
+      }
+    ]);
+
+    return {
+      activeGames: stats ? stats.activeGames : 0,
+      totalPlayers: stats ? stats.totalPlayers : 0
+    };
+  }
+
   // Get game by ID
   async getGame(gameId) {
     return Game.findById(gameId)
       .populate('players.player', 'telegramUsername firstName lastName')
-      .populate('players.bingoCard')
+      .populate('players.bingoCards')
       .populate('winners.player', 'telegramUsername firstName lastName');
   }
 
+  // A game as one of its players sees it (see getPlayerView)
+  async getGameForPlayer(gameId, playerId) {
+    const game = await this.getGame(gameId);
+    return game ? this.getPlayerView(game, playerId) : null;
+  }
+
+  // A game's JSON for one of its players: until the game is over only their
+  // own cards are included, the other players show just their card count
+  getPlayerView(game, playerId) {
+    const view = game.toJSON();
+    if (!game.isDrawRevealed) {
+      game.players.forEach((entry, index) => {
+        const owner = entry.player && entry.player._id ? entry.player._id : entry.player;
+        if (String(owner) !== String(playerId)) {
+          delete view.players[index].bingoCards;
+        }
+      });
+    }
+    return view;
+  }
+
+  // Everything needed to recompute a game's draw; the server seed and the
+  // full sequence are only included once the game is over
+  async getDrawVerification(gameId) {
+    const query = mongoose.isValidObjectId(gameId) ? { _id: gameId } : { gameId };
+    const game = await Game.findOne(query).select('+fairness.serverSeed');
+    if (!game) {
+      throw new Error(ERROR_MESSAGES.GAME.NOT_FOUND);
+    }
+
+    const calledNumbers = game.calledNumbers.map(cn => cn.number);
+    const verification = {
+      gameId: game.gameId,
+      status: game.status,
+      serverSeedHash: game.fairness.serverSeedHash,
+      clientSeed: game.fairness.clientSeed || null,
+      calledNumbers,
+      algorithm: fairnessService.describeAlgorithm(),
+      revealed: game.isDrawRevealed
+    };
+
+    if (!game.isDrawRevealed || !game.fairness.serverSeed) {
+      return verification;
+    }
+
+    const result = fairnessService.verify({
+      serverSeed: game.fairness.serverSeed,
+      serverSeedHash: game.fairness.serverSeedHash,
+      clientSeed: game.fairness.clientSeed,
+      calledNumbers
+    });
+
+    return {
+      ...verification,
+      serverSeed: game.fairness.serverSeed,
+      revealedAt: game.fairness.revealedAt,
+      sequence: result.sequence,
+      verified: result.valid
+    };
+  }
+
+  // A finished game's replay: a header with its cards and seeds, and a cursor
+  // over its event log
+  async getReplay(gameId) {
+    const query = mongoose.isValidObjectId(gameId) ? { _id: gameId } : { gameId };
+    const game = await Game.findOne(query).select('+fairness.serverSeed');
+    if (!game) {
+      throw new Error(ERROR_MESSAGES.GAME.NOT_FOUND);
+    }
+
+    // Cards and marks stay private while the game can still be played
+    if (!game.isDrawRevealed) {
+      throw new Error(ERROR_MESSAGES.GAME.REPLAY_NOT_AVAILABLE);
+    }
+
+    return {
+      header: await eventLogService.getReplayHeader(game),
+      events: eventLogService.streamEvents(game._id)
+    };
+  }
+
   // Get player's current game
   async getPlayerGame(playerId) {
     return Game.findOne({
@@ -428,6 +1666,133 @@ class GameService {
     });
   }
 
+  // Timers do not survive a restart, so on boot nothing is calling numbers for
+  // the games that were running. Each one is resumed from its persisted draw
+  // or cancelled with every entry fee refunded, as its recovery policy says.
+  async recoverGames() {
+    try {
+      const games = await Game.find({
+        status: { $in: [GAME_CONSTANTS.STATUS.STARTING, GAME_CONSTANTS.STATUS.IN_PROGRESS] }
+      });
+
+      const recovered = { resumed: 0, ended: 0, cancelled: 0, skipped: 0 };
+      for (const game of games) {
+        try {
+          recovered[await this.recoverGame(game)]++;
+        } catch (error) {
+          logger.error(`Error recovering game ${game._id}:`, error);
+        }
+      }
+
+      logger.info(`Recovered ${games.length} game(s): ${recovered.resumed} resumed, ${recovered.ended} ended, ${recovered.cancelled} cancelled, ${recovered.skipped} run by other instances`);
+
+      return recovered;
+    } catch (error) {
+      logger.error('Error recovering games:', error);
+      throw error;
+    }
+  }
+
+  // Resolves to what happened to the game: resumed, ended, cancelled or
+  // skipped while another live instance still holds its lease
+  async recoverGame(game) {
+    const gameId = game._id;
+
+    if (!(await leaderService.acquire(`game:${gameId}`, this.getCallerLease(game.config.callInterval)))) {
+      return 'skipped';
+    }
+
+    // A game caught while starting has drawn nothing and may be missing
+    // cards, so it is cancelled whatever its policy
+    const resume = game.status === GAME_CONSTANTS.STATUS.IN_PROGRESS &&
+      game.config.recoveryPolicy === GAME_CONSTANTS.RECOVERY_POLICIES.RESUME;
+
+    if (!resume) {
+      await this.cancelGame(gameId, 'server_restart');
+      return 'cancelled';
+    }
+
+    if (game.endTime && game.endTime <= Date.now()) {
+      await this.endGame(gameId, 'time_up');
+      return 'ended';
+    }
+
+    // Calling picks up at the next number of the committed sequence, and
+    // seats held for dropped players still expire on time
+    this.armGame(game);
+
+    await eventLogService.record(game, GAME_EVENT_TYPES.GAME_RESUMED, {
+      data: { claimWindow: Boolean(game.claimWindow) }
+    });
+
+    logger.info(`Game resumed: ${gameId} after ${game.calledNumbers.length} call(s)`);
+
+    return 'resumed';
+  }
+
+  // Keep watch over the running games on every tick, starting now
+  watchGames() {
+    if (!this.recoveryTask) {
+      this.recoveryTask = cron.schedule(GAME_CONSTANTS.RECOVERY_TICK, () => this.sweepGames());
+    }
+    return this.sweepGames();
+  }
+
+  stopWatchingGames() {
+    if (this.recoveryTask) {
+      this.recoveryTask.stop();
+      this.recoveryTask = null;
+    }
+  }
+
+  // Renew the leases of the games this node drives and re-arm any timer it
+  // is missing (e.g. a claim window opened through another node), and take
+  // over the games whose node stopped renewing. Resolves to the number of
+  // games taken over.
+  async sweepGames() {
+    if (this.sweeping) {
+      return 0;
+    }
+    this.sweeping = true;
+
+    try {
+      const games = await Game.find({ status: GAME_CONSTANTS.STATUS.IN_PROGRESS });
+
+      let takenOver = 0;
+      for (const game of games) {
+        try {
+          // A game whose lease this node still holds is re-armed, not
+          // recovered as if its node had gone
+          const owned = this.isDriving(game._id) ||
+            (await leaderService.getLeader(`game:${game._id}`)) === leaderService.nodeId;
+
+          if (!owned) {
+            if ((await this.recoverGame(game)) !== 'skipped') {
+              takenOver++;
+            }
+          } else if (await leaderService.acquire(`game:${game._id}`, this.getCallerLease(game.config.callInterval))) {
+            this.armGame(game);
+          } else {
+            this.disarmGame(game._id);
+          }
+        } catch (error) {
+          logger.error(`Error sweeping game ${game._id}:`, error);
+        }
+      }
+
+      if (takenOver > 0) {
+        logger.info(`Took over ${takenOver} game(s) whose lease lapsed`);
+      }
+
+      return takenOver;
+    } catch (error) {
+      logger.error('Error sweeping games:', error);
+      return 0;
+    } finally {
+      this.sweeping = false;
+    }
+  }
+
   // Clean up abandoned games
   async cleanupAbandonedGames() {
     const cutoffTime = new Date(Date.now() - 24 * 60 * 60 * 1000); // 24 hours ago
@@ -438,7 +1803,7 @@ class GameService {
     });
 
     for (const game of abandonedGames) {
-      await this.endGame(game._id, 'abandoned');
+      await this.cancelGame(game._id, 'abandoned');
     }
 
     logger.info(`Cleaned up ${abandonedGames.length} abandoned games`);
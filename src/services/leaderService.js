@@ -0,0 +1,50 @@
+const os = require('os');
+const config = require('../config/environment');
+const stateStore = require('./stateStore');
+const logger = require('../utils/logger');
+
+// Leases decide which server instance drives a shared resource, e.g. number
+// calling for `game:<id>`. A lease is a key in the state store holding the
+// owner's node id; the owner renews it on every tick, and when that node
+// dies the key expires and the next instance to ask takes over.
+class LeaderService {
+  constructor() {
+    this.nodeId = config.nodeId || `${os.hostname()}:${process.pid}`;
+  }
+
+  key(resource) {
+    return `lease:${resource}`;
+  }
+
+  // Take or renew the lease; resolves to false while another node holds it
+  async acquire(resource, ttl) {
+    try {
+      const key = this.key(resource);
+      if (await stateStore.setIfAbsent(key, this.nodeId, ttl)) {
+        logger.info(`Node ${this.nodeId} now leads ${resource}`);
+        return true;
+      }
+      return stateStore.extendIfEqual(key, this.nodeId, ttl);
+    } catch (error) {
+      logger.error('Error acquiring lease:', error);
+      throw error;
+    }
+  }
+
+  // Give the lease up, if this node still holds it
+  async release(resource) {
+    try {
+      return await stateStore.deleteIfEqual(this.key(resource), this.nodeId);
+    } catch (error) {
+      logger.error('Error releasing lease:', error);
+      throw error;
+    }
+  }
+
+  // Node id currently holding the lease, or null
+  async getLeader(resource) {
+    return stateStore.get(this.key(resource));
+  }
+}
+
+module.exports = new LeaderService();
@@ -0,0 +1,555 @@
+const Game = require('../models/Game');
+const Player = require('../models/Player');
+const { GAME_CONSTANTS, SOCKET_EVENTS, LEGACY_SOCKET_EVENTS } = require('../config/constants');
+const SocketChannel = require('./notifications/socketChannel');
+const TelegramChannel = require('./notifications/telegramChannel');
+const MemoryChannel = require('./notifications/memoryChannel');
+const logger = require('../utils/logger');
+
+class NotificationService {
+  constructor() {
+    this.channels = [];
+
+    if (process.env.NODE_ENV === 'test') {
+      this.registerChannel(new MemoryChannel());
+    } else {
+      this.registerChannel(new SocketChannel());
+      this.registerChannel(new TelegramChannel());
+    }
+  }
+
+  // Channel management
+  registerChannel(channel) {
+    this.removeChannel(channel.name);
+    this.channels.push(channel);
+    return channel;
+  }
+
+  removeChannel(name) {
+    this.channels = this.channels.filter(channel => channel.name !== name);
+  }
+
+  getChannel(name) {
+    return this.channels.find(channel => channel.name === name) || null;
+  }
+
+  // Players who switched notifications off still get realtime updates,
+  // but push channels (e.g. Telegram messages) are skipped
+  wantsPushNotifications(player) {
+    return !player.settings || player.settings.notificationsEnabled !== false;
+  }
+
+  // Send a notification to a single player on every channel
+  async notifyPlayer(playerId, notification) {
+    try {
+      const player = await Player.findById(playerId);
+      if (!player) {
+        logger.warn(`Notification ${notification.type} skipped: player ${playerId} not found`);
+        return [];
+      }
+
+      const allowPush = this.wantsPushNotifications(player);
+      const channels = this.channels.filter(channel => allowPush || !channel.push);
+
+      return this.dispatch(channels, channel => channel.sendToPlayer(player, notification));
+    } catch (error) {
+      logger.error('Error notifying player:', error);
+      return [];
+    }
+  }
+
+  // Broadcast a notification to everyone in a game
+  async broadcastToGame(gameId, notification) {
+    try {
+      return await this.dispatch(this.channels, channel => channel.broadcastToGame(gameId, notification));
+    } catch (error) {
+      logger.error('Error broadcasting to game:', error);
+      return [];
+    }
+  }
+
+  // Send to the game's spectators only, on the channels that have them
+  async broadcastToSpectators(gameId, notification) {
+    try {
+      const channels = this.channels.filter(channel => channel.broadcastToSpectators);
+      return await this.dispatch(channels, channel => channel.broadcastToSpectators(gameId, notification));
+    } catch (error) {
+      logger.error('Error broadcasting to spectators:', error);
+      return [];
+    }
+  }
+
+  // Send to everyone following a tournament and to its registered players,
+  // on the channels that have them
+  async broadcastToTournament(roomId, playerIds, notification) {
+    try {
+      const channels = this.channels.filter(channel => channel.broadcastToTournament);
+      return await this.dispatch(channels, channel => channel.broadcastToTournament(roomId, playerIds, notification));
+    } catch (error) {
+      logger.error('Error broadcasting to tournament:', error);
+      return [];
+    }
+  }
+
+  // Send to a list of players at once, on the channels that can (push
+  // channels message players one by one, so they are left out)
+  async broadcastToPlayers(playerIds, notification) {
+    try {
+      const channels = this.channels.filter(channel => channel.broadcastToPlayers);
+      return await this.dispatch(channels, channel => channel.broadcastToPlayers(playerIds, notification));
+    } catch (error) {
+      logger.error('Error broadcasting to players:', error);
+      return [];
+    }
+  }
+
+  // A failing channel never blocks the others
+  async dispatch(channels, send) {
+    const results = await Promise.allSettled(channels.map(channel => send(channel)));
+
+    return results.map((result, index) => {
+      if (result.status === 'rejected') {
+        logger.error(`Notification channel ${channels[index].name} failed:`, result.reason);
+      }
+      return {
+        channel: channels[index].name,
+        delivered: result.status === 'fulfilled' && result.value !== false
+      };
+    });
+  }
+
+  // Game is starting
+  async notifyGameStart(gameId) {
+    const game = await Game.findById(gameId).populate('players.player', 'telegramUsername');
+    if (!game) {
+      return;
+    }
+
+    await this.broadcastToGame(game._id, {
+      type: 'game_start',
+      event: SOCKET_EVENTS.GAME_START,
+      data: {
+        game: {
+          id: game._id,
+          duration: game.config.duration,
+          startTime: game.actualStartTime,
+          players: game.players.map(p => ({
+            id: p.player._id,
+            username: p.player.telegramUsername
+          }))
+        },
+        fairness: {
+          serverSeedHash: game.fairness.serverSeedHash,
+          clientSeed: game.fairness.clientSeed
+        },
+        message: 'Game started!'
+      }
+    });
+
+    await Promise.all(game.players.map(p => this.notifyPlayer(p.player._id, {
+      type: 'game_starting',
+      event: SOCKET_EVENTS.GAME_STARTING,
+      data: { gameId: game._id, startTime: game.actualStartTime },
+      text: '🎯 Your bingo game is starting now!'
+    })));
+  }
+
+  // Game is over (or cancelled): results and the revealed draw seed
+  async notifyGameEnd(gameId, reason) {
+    const game = await Game.findById(gameId)
+      .select('+fairness.serverSeed')
+      .populate('winners.player', 'telegramUsername firstName');
+    if (!game) {
+      return;
+    }
+
+    const data = {
+      gameId: game._id,
+      reason,
+      status: game.status,
+      winners: game.winners.map(w => ({
+        id: w.player._id,
+        username: w.player.telegramUsername,
+        firstName: w.player.firstName,
+        pattern: w.pattern,
+        stage: w.stage,
+        prize: w.prize
+      })),
+      calledNumbers: game.calledNumbers.length,
+      duration: game.timeElapsed,
+      fairness: {
+        serverSeed: game.fairness.serverSeed,
+        serverSeedHash: game.fairness.serverSeedHash,
+        clientSeed: game.fairness.clientSeed
+      }
+    };
+
+    await this.broadcastToGame(game._id, { type: 'game_end', event: SOCKET_EVENTS.GAME_END, data });
+    await this.broadcastToSpectators(game._id, {
+      type: 'game_end',
+      event: SOCKET_EVENTS.GAME_END,
+      data: { ...data, winners: this.getSeats(game, data.winners) }
+    });
+  }
+
+  // A number was called
+  async notifyNumberCalled(gameId, calledNumber, calledNumbers = []) {
+    await this.broadcastToGame(gameId, {
+      type: 'number_called',
+      event: SOCKET_EVENTS.NUMBER_CALLED,
+      spectators: true,
+      data: {
+        gameId,
+        number: calledNumber.number,
+        letter: calledNumber.letter,
+        callOrder: calledNumber.callOrder,
+        totalCalls: calledNumber.callOrder,
+        timestamp: calledNumber.calledAt
+      }
+    });
+
+    // Event name and payload used by the original front end
+    await this.broadcastToGame(gameId, {
+      type: 'legacy_number_called',
+      event: LEGACY_SOCKET_EVENTS.NUMBER_CALLED,
+      spectators: true,
+      data: {
+        number: calledNumber.number,
+        totalCalled: calledNumbers.length,
+        calledNumbers
+      }
+    });
+  }
+
+  // A player left the game (also covers disconnects)
+  async notifyPlayerLeft(gameId, playerId, hostChanged = false) {
+    const game = await Game.findById(gameId).populate('players.player', 'firstName');
+    if (!game) {
+      return;
+    }
+
+    const isHost = entry => Boolean(game.host) && game.host.toString() === entry.player._id.toString();
+
+    await this.broadcastToGame(game._id, {
+      type: 'player_left',
+      event: SOCKET_EVENTS.PLAYER_LEFT,
+      data: {
+        playerId,
+        playerCount: game.players.length,
+        gameId: game._id
+      }
+    });
+
+    if (!game.code) {
+      return;
+    }
+
+    await this.broadcastToGame(game._id, {
+      type: 'legacy_player_left',
+      event: LEGACY_SOCKET_EVENTS.PLAYER_LEFT,
+      data: {
+        playerId,
+        players: game.players.map(p => ({
+          id: p.player._id,
+          name: p.player.firstName,
+          isHost: isHost(p),
+          hasSelectedCard: p.bingoCards.length > 0,
+          cardCount: p.bingoCards.length
+        }))
+      }
+    });
+
+    if (hostChanged && game.players.length > 0) {
+      const newHost = game.players.find(isHost) || game.players[0];
+      await this.broadcastToGame(game._id, {
+        type: 'legacy_new_host',
+        event: LEGACY_SOCKET_EVENTS.NEW_HOST,
+        data: {
+          hostId: newHost.player._id,
+          hostName: newHost.player.firstName
+        }
+      });
+    }
+  }
+
+  // A player's connection dropped; their seat is kept until expiresAt
+  async notifyPlayerDisconnected(gameId, playerId, expiresAt) {
+    await this.broadcastToGame(gameId, {
+      type: 'player_disconnected',
+      event: SOCKET_EVENTS.PLAYER_DISCONNECTED,
+      data: { gameId, playerId, expiresAt }
+    });
+  }
+
+  // A dropped player is back in their seat
+  async notifyPlayerReconnected(gameId, playerId) {
+    await this.broadcastToGame(gameId, {
+      type: 'player_reconnected',
+      event: SOCKET_EVENTS.PLAYER_RECONNECTED,
+      data: { gameId, playerId }
+    });
+  }
+
+  // Auto-daub changed one of the player's cards (realtime only, no text)
+  async notifyCardDaubed(gameId, playerId, result, calledNumber) {
+    await this.notifyPlayer(playerId, {
+      type: 'card_daubed',
+      event: SOCKET_EVENTS.CARD_DAUBED,
+      data: {
+        gameId,
+        cardId: result.card._id,
+        serial: result.card.serial,
+        number: calledNumber.number,
+        callOrder: calledNumber.callOrder,
+        newlyMarked: result.newlyMarked,
+        markedCount: result.card.markedNumbers.length,
+        hasBingo: result.hasBingo,
+        winningPattern: result.winningPattern
+      }
+    });
+  }
+
+  // A bingo claim joined the claim window; prizes follow when it closes
+  async notifyBingoClaimed(gameId, claim, winningNumbers, details = {}) {
+    const data = {
+      gameId,
+      winner: {
+        id: claim.winner._id,
+        username: claim.winner.telegramUsername,
+        firstName: claim.winner.firstName
+      },
+      cardId: claim.cardId,
+      pattern: claim.pattern,
+      stage: claim.stage,
+      closesAt: claim.closesAt,
+      winningNumbers,
+      timestamp: new Date(),
+      ...details
+    };
+
+    await this.broadcastToGame(gameId, { type: 'bingo_claimed', event: SOCKET_EVENTS.BINGO_CLAIMED, data });
+
+    const game = await Game.findById(gameId, 'players');
+    if (game) {
+      await this.broadcastToSpectators(gameId, {
+        type: 'bingo_claimed',
+        event: SOCKET_EVENTS.BINGO_CLAIMED,
+        data: { ...data, winner: this.getSeats(game, [data.winner])[0] }
+      });
+    }
+  }
+
+  // The player had a win on a card but did not claim it in time
+  async notifySleepingBingo(gameId, sleeper, card) {
+    await this.notifyPlayer(sleeper.player, {
+      type: 'sleeping_bingo',
+      event: SOCKET_EVENTS.SLEEPING_BINGO,
+      data: {
+        gameId,
+        cardId: card._id,
+        serial: card.serial,
+        pattern: sleeper.pattern,
+        stage: sleeper.stage,
+        callOrder: sleeper.callOrder,
+        timestamp: sleeper.detectedAt
+      }
+    });
+  }
+
+  // A false claim was penalised
+  async notifyClaimPenalty(gameId, playerId, penalty) {
+    const text = penalty.coins
+      ? `🚫 False bingo claim: you were fined ${penalty.coins} coins.`
+      : undefined;
+
+    await this.notifyPlayer(playerId, {
+      type: 'claim_penalty',
+      event: SOCKET_EVENTS.CLAIM_PENALTY,
+      data: { gameId, ...penalty, timestamp: new Date() },
+      text
+    });
+  }
+
+  // Anonymous progress of one seat, for spectators
+  async notifySpectatorProgress(gameId, progress) {
+    await this.broadcastToSpectators(gameId, {
+      type: 'spectator_progress',
+      event: SOCKET_EVENTS.SPECTATOR_PROGRESS,
+      data: { gameId, ...progress, timestamp: new Date() }
+    });
+  }
+
+  // Seats ranked by progress, for spectators
+  async notifySpectatorLeaderboard(gameId, standings) {
+    await this.broadcastToSpectators(gameId, {
+      type: 'spectator_leaderboard',
+      event: SOCKET_EVENTS.SPECTATOR_LEADERBOARD,
+      data: { gameId, ...standings, timestamp: new Date() }
+    });
+  }
+
+  // A claim window closed: announce everyone who shares the prize and, in a
+  // staged game that goes on, the stage that is played next
+  async notifyWinners(game, winnerEntries) {
+    const players = await Player.find(
+      { _id: { $in: winnerEntries.map(w => w.player) } },
+      'telegramUsername firstName'
+    );
+
+    const winners = winnerEntries.map(entry => {
+      const player = players.find(p => p._id.toString() === entry.player.toString());
+      return {
+        id: entry.player,
+        username: player && player.telegramUsername,
+        firstName: player && player.firstName,
+        pattern: entry.pattern,
+        prize: entry.prize,
+        winningNumbers: entry.winningNumbers
+      };
+    });
+
+    const stageIndex = winnerEntries[0].stage;
+    const gameOver = game.status !== GAME_CONSTANTS.STATUS.IN_PROGRESS;
+
+    const result = {
+      gameId: game._id,
+      stage: stageIndex,
+      winners,
+      // Kept for clients that show a single winner
+      winner: winners[0],
+      pattern: winners[0].pattern,
+      prize: winners.reduce((total, w) => total + w.prize, 0),
+      splitWith: winners.length,
+      gameOver,
+      timestamp: new Date()
+    };
+    const seats = this.getSeats(game, winners);
+
+    await this.broadcastToGame(game._id, { type: 'bingo_valid', event: SOCKET_EVENTS.BINGO_VALID, data: result });
+    await this.broadcastToSpectators(game._id, {
+      type: 'bingo_valid',
+      event: SOCKET_EVENTS.BINGO_VALID,
+      data: { ...result, winners: seats, winner: seats[0] }
+    });
+
+    const stage = game.config.stages[stageIndex];
+    const nextStage = game.config.stages[game.currentStage];
+    if (gameOver || !stage || !nextStage) {
+      return;
+    }
+
+    const completed = {
+      gameId: game._id,
+      stage: stageIndex,
+      name: stage.name || stage.pattern,
+      winners,
+      nextStage: {
+        stage: game.currentStage,
+        name: nextStage.name || nextStage.pattern,
+        pattern: nextStage.pattern
+      }
+    };
+
+    await this.broadcastToGame(game._id, { type: 'stage_complete', event: SOCKET_EVENTS.STAGE_COMPLETE, data: completed });
+    await this.broadcastToSpectators(game._id, {
+      type: 'stage_complete',
+      event: SOCKET_EVENTS.STAGE_COMPLETE,
+      data: { ...completed, winners: seats }
+    });
+  }
+
+  // Winners as spectators see them: by seat number, never by name
+  getSeats(game, winners) {
+    // Required here to avoid a circular import with the spectator service
+    const spectatorService = require('./spectatorService');
+
+    return winners.map(({ id, username, firstName, ...winner }) => ({
+      seat: spectatorService.getSeat(game, id),
+      ...winner
+    }));
+  }
+
+  // The bracket and standings of a tournament changed
+  async notifyTournamentUpdate(roomId, playerIds, update) {
+    await this.broadcastToTournament(roomId, playerIds, {
+      type: 'tournament_bracket',
+      event: SOCKET_EVENTS.TOURNAMENT_BRACKET,
+      data: { ...update.bracket, timestamp: new Date() }
+    });
+
+    await this.broadcastToTournament(roomId, playerIds, {
+      type: 'tournament_standings',
+      event: SOCKET_EVENTS.TOURNAMENT_STANDINGS,
+      data: { ...update.standings, timestamp: new Date() }
+    });
+  }
+
+  // A scheduled game is open for registration
+  async notifyUpcomingGame(playerIds, upcoming) {
+    return this.broadcastToPlayers(playerIds, {
+      type: 'upcoming_game',
+      event: SOCKET_EVENTS.UPCOMING_GAME,
+      data: { ...upcoming, timestamp: new Date() }
+    });
+  }
+
+  // Personal notification for a winner
+  async notifyBingoWinner(gameId, playerId, prize) {
+    await this.notifyPlayer(playerId, {
+      type: 'bingo_winner',
+      event: SOCKET_EVENTS.BINGO_WINNER,
+      data: { gameId, prize, timestamp: new Date() },
+      text: `🎉 BINGO! You won ${prize} coins!`
+    });
+  }
+
+  // Player reached a new level
+  async notifyLevelUp(playerId, oldLevel, newLevel) {
+    const player = await Player.findById(playerId);
+    if (!player) {
+      return;
+    }
+
+    await this.notifyPlayer(playerId, {
+      type: 'level_up',
+      event: SOCKET_EVENTS.LEVEL_UP,
+      data: {
+        oldLevel,
+        newLevel,
+        player: {
+          id: player._id,
+          username: player.telegramUsername
+        },
+        reward: newLevel * 10, // coins reward
+        timestamp: new Date()
+      },
+      text: `⭐ Level up! You reached level ${newLevel} and earned ${newLevel * 10} coins.`
+    });
+  }
+
+  // Player unlocked an achievement
+  async notifyAchievement(playerId, achievement) {
+    const player = await Player.findById(playerId);
+    if (!player) {
+      return;
+    }
+
+    const name = achievement.name || achievement;
+
+    await this.notifyPlayer(playerId, {
+      type: 'achievement',
+      event: SOCKET_EVENTS.ACHIEVEMENT_UNLOCKED,
+      data: {
+        achievement,
+        player: {
+          id: player._id,
+          username: player.telegramUsername
+        },
+        timestamp: new Date()
+      },
+      text: `🏆 Achievement unlocked: ${name}`
+    });
+  }
+}
+
+module.exports = new NotificationService();
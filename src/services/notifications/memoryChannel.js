@@ -0,0 +1,65 @@
+// Keeps notifications in memory so tests can assert on what would have been sent
+class MemoryChannel {
+  constructor({ push = true } = {}) {
+    this.name = 'memory';
+    this.push = push;
+    this.messages = [];
+  }
+
+  async sendToPlayer(player, notification) {
+    this.messages.push({
+      target: `user:${player._id}`,
+      ...notification,
+      sentAt: new Date()
+    });
+    return true;
+  }
+
+  async broadcastToGame(gameId, notification) {
+    this.messages.push({
+      target: `game:${gameId}`,
+      ...notification,
+      sentAt: new Date()
+    });
+    return true;
+  }
+
+  async broadcastToSpectators(gameId, notification) {
+    this.messages.push({
+      target: `spectate:${gameId}`,
+      ...notification,
+      sentAt: new Date()
+    });
+    return true;
+  }
+
+  async broadcastToTournament(roomId, playerIds, notification) {
+    this.messages.push({
+      target: `tournament:${roomId}`,
+      players: playerIds,
+      ...notification,
+      sentAt: new Date()
+    });
+    return true;
+  }
+
+  async broadcastToPlayers(playerIds, notification) {
+    this.messages.push({
+      target: 'players',
+      players: playerIds,
+      ...notification,
+      sentAt: new Date()
+    });
+    return true;
+  }
+
+  findByType(type) {
+    return this.messages.filter(message => message.type === type);
+  }
+
+  clear() {
+    this.messages = [];
+  }
+}
+
+module.exports = MemoryChannel;
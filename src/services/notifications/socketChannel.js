@@ -0,0 +1,69 @@
+const logger = require('../../utils/logger');
+
+// Delivers notifications over socket.io: players via their `user:<id>` room,
+// game broadcasts via the `game:<id>` room. Broadcasts marked `spectators`
+// also reach the game's `spectate:<id>` room. Tournament updates go to the
+// tournament's `tournament:<id>` room and to its registered players.
+// Announcements for many players go to each of their `user:<id>` rooms.
+class SocketChannel {
+  constructor() {
+    this.name = 'socket';
+    this.push = false;
+  }
+
+  getIO() {
+    try {
+      return require('../../config/socket').getIO();
+    } catch (error) {
+      logger.debug('Socket.io not initialized, skipping socket notification');
+      return null;
+    }
+  }
+
+  async sendToPlayer(player, notification) {
+    const io = this.getIO();
+    if (!io) return false;
+
+    io.to(`user:${player._id}`).emit(notification.event, notification.data);
+    return true;
+  }
+
+  async broadcastToGame(gameId, notification) {
+    const io = this.getIO();
+    if (!io) return false;
+
+    const rooms = notification.spectators
+      ? [`game:${gameId}`, `spectate:${gameId}`]
+      : `game:${gameId}`;
+    io.to(rooms).emit(notification.event, notification.data);
+    return true;
+  }
+
+  async broadcastToSpectators(gameId, notification) {
+    const io = this.getIO();
+    if (!io) return false;
+
+    io.to(`spectate:${gameId}`).emit(notification.event, notification.data);
+    return true;
+  }
+
+  async broadcastToTournament(roomId, playerIds, notification) {
+    const io = this.getIO();
+    if (!io) return false;
+
+    io.to([`tournament:${roomId}`, ...playerIds.map(id => `user:${id}`)])
+      .emit(notification.event, notification.data);
+    return true;
+  }
+
+  async broadcastToPlayers(playerIds, notification) {
+    const io = this.getIO();
+    if (!io) return false;
+    if (playerIds.length === 0) return true;
+
+    io.to(playerIds.map(id => `user:${id}`)).emit(notification.event, notification.data);
+    return true;
+  }
+}
+
+module.exports = SocketChannel;
@@ -0,0 +1,31 @@
+const axios = require('axios');
+const config = require('../../config/environment');
+
+// Sends notification text to the player's Telegram chat through the bot API
+class TelegramChannel {
+  constructor(botToken = config.telegram.botToken) {
+    this.name = 'telegram';
+    this.push = true;
+    this.botToken = botToken;
+  }
+
+  async sendToPlayer(player, notification) {
+    if (!notification.text || !player.telegramId) {
+      return false;
+    }
+
+    await axios.post(`https://api.telegram.org/bot${this.botToken}/sendMessage`, {
+      chat_id: player.telegramId,
+      text: notification.text
+    }, { timeout: 5000 });
+
+    return true;
+  }
+
+  // Game-wide updates are realtime only; they are not pushed to Telegram chats
+  async broadcastToGame() {
+    return false;
+  }
+}
+
+module.exports = TelegramChannel;
@@ -0,0 +1,273 @@
+const mongoose = require('mongoose');
+const { GAME_CONSTANTS } = require('../config/constants');
+const logger = require('../utils/logger');
+
+// Win detection works on 25-bit masks: bit (row * 5 + col) is set for every
+// cell a pattern needs. A card wins a pattern when one of the pattern's masks
+// is fully contained in the card's marked mask (the free centre always counts).
+const SIZE = GAME_CONSTANTS.CARD.SIZE;
+const FREE_CELL = GAME_CONSTANTS.CARD.FREE_SPACE.row * SIZE + GAME_CONSTANTS.CARD.FREE_SPACE.col;
+
+const bit = (row, col) => 1 << (row * SIZE + col);
+const combine = (cells) => cells.reduce((mask, [row, col]) => mask | bit(row, col), 0);
+const range = Array.from({ length: SIZE }, (_, i) => i);
+
+const ROWS = range.map(row => combine(range.map(col => [row, col])));
+const COLUMNS = range.map(col => combine(range.map(row => [row, col])));
+const MAIN_DIAGONAL = combine(range.map(i => [i, i]));
+const ANTI_DIAGONAL = combine(range.map(i => [i, SIZE - 1 - i]));
+const FULL_CARD = (1 << (SIZE * SIZE)) - 1;
+
+// Shapes a definition can refer to with `shape`
+const SHAPES = {
+  row: () => ROWS,
+  column: () => COLUMNS,
+  line: () => [...ROWS, ...COLUMNS],
+  diagonal: () => [MAIN_DIAGONAL, ANTI_DIAGONAL],
+  four_corners: () => [combine([[0, 0], [0, 4], [4, 0], [4, 4]])],
+  x: () => [MAIN_DIAGONAL | ANTI_DIAGONAL],
+  t: () => [ROWS[0] | COLUMNS[2]],
+  l: () => [COLUMNS[0] | ROWS[4]],
+  postage_stamp: () => [
+    combine([[0, 0], [0, 1], [1, 0], [1, 1]]),
+    combine([[0, 3], [0, 4], [1, 3], [1, 4]]),
+    combine([[3, 0], [3, 1], [4, 0], [4, 1]]),
+    combine([[3, 3], [3, 4], [4, 3], [4, 4]])
+  ],
+  blackout: () => [FULL_CARD]
+};
+
+const BUILT_IN_DEFINITIONS = [
+  { name: 'line', displayName: 'Row or Column', description: 'Complete one entire row or column', shape: 'line' },
+  { name: 'two_lines', displayName: 'Two Lines', description: 'Complete any two rows or columns', shape: 'line', minMatches: 2 },
+  { name: 'diagonal', displayName: 'Diagonal', description: 'Complete one diagonal line', shape: 'diagonal' },
+  { name: 'four_corners', displayName: 'Four Corners', description: 'Mark all four corner cells', shape: 'four_corners' },
+  { name: 'x', displayName: 'X', description: 'Complete both diagonals', shape: 'x' },
+  { name: 't', displayName: 'T', description: 'Top row and middle column', shape: 't' },
+  { name: 'l', displayName: 'L', description: 'Left column and bottom row', shape: 'l' },
+  { name: 'postage_stamp', displayName: 'Postage Stamp', description: 'A 2x2 block in any corner', shape: 'postage_stamp' },
+  { name: 'blackout', displayName: 'Blackout', description: 'Mark every cell on the card', shape: 'blackout' }
+];
+
+class PatternService {
+  constructor() {
+    this.patterns = new Map();
+    this.setDefinitions([]);
+  }
+
+  // Load definitions from the `configurations` collection (key `winning_patterns`).
+  // Stored definitions are added to, or replace, the built-in ones.
+  async load() {
+    try {
+      const db = mongoose.connection.db;
+      const config = db && await db.collection('configurations').findOne({ key: 'winning_patterns' });
+      const definitions = config && Array.isArray(config.value) ? config.value : [];
+
+      this.setDefinitions(definitions);
+      logger.info(`Loaded ${this.patterns.size} winning patterns`);
+    } catch (error) {
+      logger.error('Error loading winning patterns, using built-in patterns:', error);
+    }
+
+    return this.listPatterns();
+  }
+
+  setDefinitions(definitions) {
+    const patterns = new Map();
+
+    for (const definition of [...BUILT_IN_DEFINITIONS, ...definitions]) {
+      try {
+        const pattern = this.compile(definition);
+        patterns.set(pattern.name, pattern);
+      } catch (error) {
+        logger.warn(`Skipping winning pattern ${definition && definition.name}: ${error.message}`);
+      }
+    }
+
+    this.patterns = patterns;
+  }
+
+  // Turn a definition into { name, displayName, description, masks, minMatches }.
+  // A definition gives either a `shape` name or `masks`, each mask being a
+  // 25-bit number or five strings with `X` on the required cells. With
+  // `minMatches` the card must complete that many of the masks (e.g. two lines).
+  compile(definition) {
+    if (!definition || !definition.name) {
+      throw new Error('Pattern name is required');
+    }
+
+    let masks;
+    if (definition.shape) {
+      const shape = SHAPES[definition.shape];
+      if (!shape) {
+        throw new Error(`Unknown shape ${definition.shape}`);
+      }
+      masks = shape();
+    } else if (Array.isArray(definition.masks) && definition.masks.length > 0) {
+      masks = definition.masks.map(mask => this.parseMask(mask));
+    } else {
+      throw new Error('Pattern needs a shape or masks');
+    }
+
+    const minMatches = definition.minMatches === undefined ? 1 : definition.minMatches;
+    if (!Number.isInteger(minMatches) || minMatches < 1 || minMatches > masks.length) {
+      throw new Error(`minMatches must be between 1 and ${masks.length}`);
+    }
+
+    return {
+      name: definition.name,
+      displayName: definition.displayName || definition.name,
+      description: definition.description || '',
+      masks,
+      minMatches
+    };
+  }
+
+  parseMask(mask) {
+    if (Number.isInteger(mask)) {
+      if (mask <= 0 || mask > FULL_CARD) {
+        throw new Error(`Mask ${mask} is out of range`);
+      }
+      return mask;
+    }
+
+    if (Array.isArray(mask) && mask.length === SIZE && mask.every(row => typeof row === 'string' && row.length === SIZE)) {
+      const cells = [];
+      mask.forEach((row, rowIndex) => {
+        [...row].forEach((cell, colIndex) => {
+          if (cell.toUpperCase() === 'X') {
+            cells.push([rowIndex, colIndex]);
+          }
+        });
+      });
+
+      if (cells.length === 0) {
+        throw new Error('Mask has no cells');
+      }
+      return combine(cells);
+    }
+
+    throw new Error('Mask must be a number or five rows of five characters');
+  }
+
+  // Names must refer to a known pattern
+  validateNames(names) {
+    const unknown = names.filter(name => !this.patterns.has(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown winning pattern: ${unknown.join(', ')}`);
+    }
+    return names;
+  }
+
+  getPattern(name) {
+    return this.patterns.get(name) || null;
+  }
+
+  // Active patterns for a game or room, defaulting to the standard set
+  getPatterns(names = GAME_CONSTANTS.DEFAULT_PATTERNS) {
+    const active = names && names.length > 0 ? names : GAME_CONSTANTS.DEFAULT_PATTERNS;
+    return active.map(name => this.patterns.get(name)).filter(Boolean);
+  }
+
+  listPatterns() {
+    return Array.from(this.patterns.values()).map(({ name, displayName, description, masks, minMatches }) => ({
+      name,
+      displayName,
+      description,
+      minMatches,
+      cells: masks.map(mask => this.getPositions(mask))
+    }));
+  }
+
+  // Bitmask of the marked cells of a card
+  getMarkedMask(card) {
+    let mask = 1 << FREE_CELL;
+
+    for (const marked of card.markedNumbers) {
+      const position = marked.position && marked.position.row !== undefined
+        ? marked.position
+        : card.findNumberPosition(marked.number);
+      if (position) {
+        mask |= bit(position.row, position.col);
+      }
+    }
+
+    return mask;
+  }
+
+  getPositions(mask) {
+    const positions = [];
+    for (let row = 0; row < SIZE; row++) {
+      for (let col = 0; col < SIZE; col++) {
+        if (mask & bit(row, col)) {
+          positions.push({ row, col });
+        }
+      }
+    }
+    return positions;
+  }
+
+  // Every single mask of the active patterns, as used for card analysis
+  getCandidates(names) {
+    const candidates = [];
+    for (const pattern of this.getPatterns(names)) {
+      pattern.masks.forEach((mask, index) => {
+        candidates.push({
+          name: pattern.name,
+          type: pattern.displayName,
+          index,
+          mask,
+          positions: this.getPositions(mask)
+        });
+      });
+    }
+    return candidates;
+  }
+
+  // First active pattern the card has completed, or null
+  findWinningPattern(card, names) {
+    const marked = this.getMarkedMask(card);
+
+    for (const pattern of this.getPatterns(names)) {
+      const completed = pattern.masks.filter(mask => (marked & mask) === mask);
+      if (completed.length >= pattern.minMatches) {
+        const mask = completed
+          .slice(0, pattern.minMatches)
+          .reduce((union, candidate) => union | candidate, 0);
+        return this.describe(card, pattern, mask);
+      }
+    }
+
+    return null;
+  }
+
+  // A claim is valid when enough completed masks of the named pattern are
+  // made up of the claimed numbers
+  matchesClaim(card, name, winningNumbers) {
+    const pattern = this.patterns.get(name);
+    if (!pattern) {
+      return false;
+    }
+
+    const marked = this.getMarkedMask(card);
+    const covered = pattern.masks.filter(mask =>
+      (marked & mask) === mask &&
+      this.describe(card, pattern, mask).numbers.every(n => n === null || winningNumbers.includes(n))
+    );
+
+    return covered.length >= pattern.minMatches;
+  }
+
+  describe(card, pattern, mask) {
+    const positions = this.getPositions(mask);
+    return {
+      name: pattern.name,
+      displayName: pattern.displayName,
+      mask,
+      positions,
+      numbers: positions.map(({ row, col }) => card.getNumberAt(row, col))
+    };
+  }
+}
+
+module.exports = new PatternService();
@@ -0,0 +1,261 @@
+const Transaction = require('../models/Transaction');
+const { ERROR_MESSAGES } = require('../config/constants');
+const logger = require('../utils/logger');
+
+// Every coin movement goes through Transaction.createTransaction, which records
+// balanceBefore/balanceAfter and updates Player.coins atomically in one step.
+class PaymentService {
+  // Credit coins to a player
+  async credit(playerId, amount, type, description, details = {}) {
+    try {
+      if (amount <= 0) {
+        return null;
+      }
+
+      const transaction = await Transaction.createTransaction({
+        player: playerId,
+        type,
+        category: 'credit',
+        amount,
+        description,
+        ...details
+      });
+
+      if (!transaction.$locals.replayed) {
+        logger.info(`Credited ${amount} coins to player ${playerId} (${type})`);
+      }
+
+      return transaction;
+    } catch (error) {
+      logger.error('Error crediting coins:', error);
+      throw error;
+    }
+  }
+
+  // Debit coins from a player
+  async debit(playerId, amount, type, description, details = {}) {
+    try {
+      if (amount <= 0) {
+        return null;
+      }
+
+      const transaction = await Transaction.createTransaction({
+        player: playerId,
+        type,
+        category: 'debit',
+        amount,
+        description,
+        ...details
+      });
+
+      if (!transaction.$locals.replayed) {
+        logger.info(`Debited ${amount} coins from player ${playerId} (${type})`);
+      }
+
+      return transaction;
+    } catch (error) {
+      logger.error('Error debiting coins:', error);
+      if (error.message === 'Insufficient balance') {
+        throw new Error(ERROR_MESSAGES.PLAYER.INSUFFICIENT_COINS);
+      }
+      throw error;
+    }
+  }
+
+  // Charge the entry fee for one card in a game. The reference makes retried
+  // joins safe: a duplicate request returns the original charge (flagged as a
+  // replay). Each further card of the player has its own number.
+  async processEntryFee(playerId, amount, gameId, cardNumber = 0) {
+    const refunds = await Transaction.countDocuments({
+      player: playerId,
+      relatedGame: gameId,
+      type: 'refund'
+    });
+    const card = cardNumber > 0 ? `:${cardNumber}` : '';
+
+    return this.debit(playerId, amount, 'game_entry', `Entry fee for game ${gameId}`, {
+      relatedGame: gameId,
+      metadata: { cardNumber },
+      reference: `entry:${gameId}:${playerId}:${refunds}${card}`
+    });
+  }
+
+  // Pay out a prize to a game winner (one per card and prize stage)
+  async awardPrize(playerId, amount, gameId, metadata = {}) {
+    const stage = metadata.stage || 0;
+    const card = metadata.bingoCard ? `:${metadata.bingoCard}` : '';
+
+    return this.credit(playerId, amount, 'game_win', `Prize for game ${gameId}`, {
+      relatedGame: gameId,
+      metadata,
+      reference: `prize:${gameId}:${stage}:${playerId}${card}`
+    });
+  }
+
+  // Fine for a false bingo claim; the claim number makes each fine unique
+  async chargePenalty(playerId, amount, gameId, claimNumber) {
+    return this.debit(playerId, amount, 'penalty', `False bingo claim in game ${gameId}`, {
+      relatedGame: gameId,
+      metadata: { claimNumber },
+      reference: `penalty:${gameId}:${playerId}:${claimNumber}`
+    });
+  }
+
+  // Reward for reaching a new level
+  async awardLevelUpBonus(playerId, level) {
+    return this.credit(playerId, level * 10, 'level_up', `Level ${level} reached`, {
+      metadata: { level },
+      reference: `level_up:${playerId}:${level}`
+    });
+  }
+
+  // Charge the buy-in of a tournament. Counting earlier refunds lets a player
+  // who unregistered register again.
+  async processBuyIn(playerId, amount, roomId) {
+    const refunds = await Transaction.countDocuments({
+      player: playerId,
+      relatedRoom: roomId,
+      type: 'refund'
+    });
+
+    return this.debit(playerId, amount, 'tournament_entry', `Buy-in for tournament ${roomId}`, {
+      relatedRoom: roomId,
+      reference: `buyin:${roomId}:${playerId}:${refunds}`
+    });
+  }
+
+  // Pay out the prize for a final position of a tournament (once per player,
+  // so players tied on a position are each paid)
+  async awardTournamentPrize(playerId, amount, roomId, position) {
+    return this.credit(playerId, amount, 'tournament_prize', `Prize for position ${position} in tournament ${roomId}`, {
+      relatedRoom: roomId,
+      metadata: { position },
+      reference: `tournament_prize:${roomId}:${position}:${playerId}`
+    });
+  }
+
+  // Refund every buy-in a player paid into a tournament that has not been
+  // refunded yet
+  async refundBuyIn(playerId, roomId, reason = 'cancelled') {
+    try {
+      const entries = await Transaction.find({
+        player: playerId,
+        relatedRoom: roomId,
+        type: 'tournament_entry',
+        status: 'completed'
+      });
+
+      let refunded = null;
+      for (const entry of entries) {
+        const transaction = await this.credit(entry.player, entry.amount, 'refund', `Refund for tournament ${roomId} (${reason})`, {
+          relatedRoom: roomId,
+          metadata: { reason, entryTransaction: entry.transactionId },
+          reference: `refund:${entry.transactionId}`
+        });
+
+        if (transaction && !transaction.$locals.replayed) {
+          refunded = refunded || { amount: 0, transactions: [] };
+          refunded.amount += transaction.amount;
+          refunded.transactions.push(transaction);
+        }
+      }
+
+      return refunded;
+    } catch (error) {
+      logger.error('Error refunding buy-in:', error);
+      throw error;
+    }
+  }
+
+  // Refund every player who bought into a tournament
+  async refundTournament(roomId, reason = 'cancelled') {
+    try {
+      const playerIds = await Transaction.distinct('player', {
+        relatedRoom: roomId,
+        type: 'tournament_entry',
+        status: 'completed'
+      });
+
+      const refunds = [];
+      for (const playerId of playerIds) {
+        const refund = await this.refundBuyIn(playerId, roomId, reason);
+        if (refund) {
+          refunds.push({ player: playerId, amount: refund.amount });
+        }
+      }
+
+      logger.info(`Refunded ${refunds.length} player(s) for tournament ${roomId} (${reason})`);
+
+      return refunds;
+    } catch (error) {
+      logger.error('Error refunding tournament:', error);
+      throw error;
+    }
+  }
+
+  // Refund every entry fee a player paid into a game that has not been refunded yet.
+  // Each refund references the charge it reverses, so it can only happen once.
+  async refundEntryFee(playerId, gameId, reason = 'cancelled') {
+    try {
+      const entries = await Transaction.find({
+        player: playerId,
+        relatedGame: gameId,
+        type: 'game_entry',
+        status: 'completed'
+      });
+
+      let refunded = null;
+      for (const entry of entries) {
+        const transaction = await this.refundEntry(entry, reason);
+
+        if (transaction && !transaction.$locals.replayed) {
+          refunded = refunded || { amount: 0, transactions: [] };
+          refunded.amount += transaction.amount;
+          refunded.transactions.push(transaction);
+        }
+      }
+
+      return refunded;
+    } catch (error) {
+      logger.error('Error refunding entry fee:', error);
+      throw error;
+    }
+  }
+
+  // Refund a single entry charge (e.g. one card whose purchase failed)
+  async refundEntry(entry, reason = 'cancelled') {
+    return this.credit(entry.player, entry.amount, 'refund', `Refund for game ${entry.relatedGame} (${reason})`, {
+      relatedGame: entry.relatedGame,
+      metadata: { reason, entryTransaction: entry.transactionId },
+      reference: `refund:${entry.transactionId}`
+    });
+  }
+
+  // Refund every player who paid into a game
+  async refundGame(gameId, reason = 'cancelled') {
+    try {
+      const playerIds = await Transaction.distinct('player', {
+        relatedGame: gameId,
+        type: 'game_entry',
+        status: 'completed'
+      });
+
+      const refunds = [];
+      for (const playerId of playerIds) {
+        const refund = await this.refundEntryFee(playerId, gameId, reason);
+        if (refund) {
+          refunds.push({ player: playerId, amount: refund.amount });
+        }
+      }
+
+      logger.info(`Refunded ${refunds.length} player(s) for game ${gameId} (${reason})`);
+
+      return refunds;
+    } catch (error) {
+      logger.error('Error refunding game:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new PaymentService();
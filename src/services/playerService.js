@@ -1,41 +1,68 @@
 const Player = require('../models/Player');
 const Transaction = require('../models/Transaction');
-const { ERROR_MESSAGES } = require('../config/constants');
+const paymentService = require('./paymentService');
+const config = require('../config/environment');
+const { GAME_CONSTANTS, ERROR_MESSAGES } = require('../config/constants');
 const logger = require('../utils/logger');
 
+// What other players may see of a player
+const PUBLIC_PROFILE_FIELDS = 'telegramUsername firstName lastName avatar level experience totalGames gamesWon totalBingos longestStreak achievements createdAt';
+
 class PlayerService {
-  // Create or update player from Telegram data
+  // Create or update player from Telegram data. One upsert does both, so two
+  // first logins at once cannot create the player twice.
   async createOrUpdatePlayer(telegramUser) {
     try {
-      const { id, username, first_name, last_name, language_code } = telegramUser;
-
-      let player = await Player.findByTelegramId(id);
-
-      if (player) {
-        // Update existing player
-        player.telegramUsername = username || player.telegramUsername;
-        player.firstName = first_name || player.firstName;
-        player.lastName = last_name || player.lastName;
-        player.languageCode = language_code || player.languageCode;
-        player.lastActive = new Date();
-        player.isOnline = true;
-      } else {
-        // Create new player
-        player = new Player({
-          telegramId: id,
-          telegramUsername: username,
-          firstName: first_name,
-          lastName: last_name,
-          languageCode: language_code,
-          isOnline: true,
-          lastActive: new Date(),
-        });
+      const { id, username, first_name, last_name, language_code, photo_url } = telegramUser;
+
+      // Fields Telegram did not send keep their stored value
+      const profile = {
+        telegramUsername: username,
+        firstName: first_name,
+        lastName: last_name,
+        languageCode: language_code,
+        avatar: photo_url
+      };
+      const $set = { lastActive: new Date(), isOnline: true };
+      for (const [field, value] of Object.entries(profile)) {
+        if (value) {
+          $set[field] = value;
+        }
+      }
 
-        // Give welcome bonus
-        player.coins += 100;
+      // Admins are named in the environment
+      if (config.admin.telegramIds.includes(Number(id))) {
+        $set.role = GAME_CONSTANTS.PLAYER_ROLES.ADMIN;
       }
 
-      await player.save();
+      const upsert = () => Player.findOneAndUpdate(
+        { telegramId: id },
+        { $set, $setOnInsert: { referralCode: Player.generateReferralCode() } },
+        { new: true, upsert: true, setDefaultsOnInsert: true, includeResultMetadata: true }
+      );
+
+      // A login that lost the race to insert the player (or drew a referral
+      // code already taken) succeeds on a second try
+      let result;
+      try {
+        result = await upsert();
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+        result = await upsert();
+      }
+
+      const player = result.value;
+      const isNewPlayer = !result.lastErrorObject.updatedExisting;
+
+      // Give welcome bonus through the ledger
+      if (isNewPlayer) {
+        await paymentService.credit(player._id, 100, 'bonus', 'Welcome bonus', {
+          reference: `welcome:${player._id}`
+        });
+        player.coins = await Transaction.getPlayerBalance(player._id);
+      }
 
       logger.info(`Player ${player.telegramUsername} (${player.telegramId}) created/updated`);
 
@@ -70,6 +97,20 @@ class PlayerService {
     }
   }
 
+  // Get the public part of a player's profile
+  async getPublicProfile(playerId) {
+    try {
+      const player = await Player.findById(playerId).select(PUBLIC_PROFILE_FIELDS);
+      if (!player) {
+        throw new Error(ERROR_MESSAGES.PLAYER.NOT_FOUND);
+      }
+      return player;
+    } catch (error) {
+      logger.error('Error getting player profile:', error);
+      throw error;
+    }
+  }
+
   // Update player online status
   async updateOnlineStatus(playerId, isOnline) {
     try {
@@ -111,22 +152,13 @@ class PlayerService {
   // Add coins to player
   async addCoins(playerId, amount, reason = 'bonus') {
     try {
+      await paymentService.credit(playerId, amount, reason, `Received ${amount} coins for ${reason}`);
+
       const player = await Player.findById(playerId);
       if (!player) {
         throw new Error(ERROR_MESSAGES.PLAYER.NOT_FOUND);
       }
 
-      await player.addCoins(amount, reason);
-
-      // Record transaction
-      await Transaction.createTransaction({
-        player: playerId,
-        type: reason,
-        category: 'credit',
-        amount,
-        description: `Received ${amount} coins for ${reason}`,
-      });
-
       logger.info(`Added ${amount} coins to player ${playerId} for ${reason}`);
 
       return player;
@@ -139,26 +171,13 @@ class PlayerService {
   // Deduct coins from player
   async deductCoins(playerId, amount, reason = 'purchase') {
     try {
+      await paymentService.debit(playerId, amount, reason, `Spent ${amount} coins for ${reason}`);
+
       const player = await Player.findById(playerId);
       if (!player) {
         throw new Error(ERROR_MESSAGES.PLAYER.NOT_FOUND);
       }
 
-      if (player.coins < amount) {
-        throw new Error(ERROR_MESSAGES.PLAYER.INSUFFICIENT_COINS);
-      }
-
-      await player.deductCoins(amount, reason);
-
-      // Record transaction
-      await Transaction.createTransaction({
-        player: playerId,
-        type: reason,
-        category: 'debit',
-        amount,
-        description: `Spent ${amount} coins for ${reason}`,
-      });
-
       logger.info(`Deducted ${amount} coins from player ${playerId} for ${reason}`);
 
       return player;
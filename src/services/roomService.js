@@ -1,8 +1,9 @@
 const Room = require('../models/Room');
 const Player = require('../models/Player');
 const Game = require('../models/Game');
-const { ERROR_MESSAGES } = require('../config/constants');
+const { GAME_CONSTANTS, ERROR_MESSAGES } = require('../config/constants');
 const gameService = require('./gameService');
+const patternService = require('./patternService');
 const logger = require('../utils/logger');
 
 class RoomService {
@@ -11,6 +12,11 @@ class RoomService {
     try {
       const { name, description, config, creatorId } = data;
 
+      // Rooms may only activate patterns the engine knows about
+      if (config && config.patterns) {
+        patternService.validateNames(config.patterns);
+      }
+
       let room;
       if (config.type === 'private') {
         room = await Room.createPrivateRoom(name, config.password, creatorId);
@@ -19,9 +25,10 @@ class RoomService {
         await room.addPlayer(creatorId, true);
       }
 
-      // Apply additional configuration
+      // Apply additional configuration (merged path by path, so nested
+      // settings keep their defaults)
       if (config) {
-        room.config = { ...room.config, ...config };
+        room.set({ config });
         await room.save();
       }
 
@@ -43,7 +50,7 @@ class RoomService {
         .populate('bannedPlayers', 'telegramUsername firstName');
 
       if (!room) {
-        throw new Error('Room not found');
+        throw new Error(ERROR_MESSAGES.ROOM.NOT_FOUND);
       }
 
       return room;
@@ -55,32 +62,40 @@ class RoomService {
 
   // Get public rooms
   async getPublicRooms(limit = 20, page = 1) {
+    return this.listRooms({ type: 'public', status: 'waiting', limit, page });
+  }
+
+  // Page through rooms, busiest first. Private rooms are only listed when
+  // asked for by type.
+  async listRooms({ status, type, page = 1, limit = GAME_CONSTANTS.PAGINATION.DEFAULT_LIMIT } = {}) {
     try {
-      const skip = (page - 1) * limit;
+      const filter = {
+        'config.type': type || { $ne: 'private' }
+      };
+      if (status) {
+        filter.status = { $in: [].concat(status) };
+      }
 
-      const rooms = await Room.find({
-        'config.type': 'public',
-        status: 'waiting'
-      })
-        .populate('players.player', 'telegramUsername firstName lastName level')
-        .sort({ 'stats.activePlayers': -1, createdAt: -1 })
-        .skip(skip)
-        .limit(limit);
+      const [rooms, totalRooms] = await Promise.all([
+        Room.find(filter)
+          .populate('players.player', 'telegramUsername firstName lastName level')
+          .sort({ 'stats.activePlayers': -1, createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Room.countDocuments(filter)
+      ]);
 
-      const totalRooms = await Room.countDocuments({
-        'config.type': 'public',
-        status: 'waiting'
-      });
+      const totalPages = Math.ceil(totalRooms / limit);
 
       return {
         rooms,
         totalRooms,
         currentPage: page,
-        totalPages: Math.ceil(totalRooms / limit),
-        hasMore: page < Math.ceil(totalRooms / limit)
+        totalPages,
+        hasMore: page < totalPages
       };
     } catch (error) {
-      logger.error('Error getting public rooms:', error);
+      logger.error('Error listing rooms:', error);
       throw error;
     }
   }
@@ -90,22 +105,27 @@ class RoomService {
     try {
       const room = await Room.findById(roomId);
       if (!room) {
-        throw new Error('Room not found');
+        throw new Error(ERROR_MESSAGES.ROOM.NOT_FOUND);
+      }
+
+      // Tournament players pay a buy-in (see tournamentService)
+      if (room.tournament.isTournament) {
+        throw new Error(ERROR_MESSAGES.TOURNAMENT.REGISTRATION_REQUIRED);
       }
 
       // Check if room is accepting players
       if (room.status !== 'waiting') {
-        throw new Error('Room is not accepting players');
+        throw new Error(ERROR_MESSAGES.ROOM.NOT_ACCEPTING);
       }
 
       // Check password for private rooms
       if (room.config.type === 'private' && room.password !== password) {
-        throw new Error('Invalid password');
+        throw new Error(ERROR_MESSAGES.ROOM.INVALID_PASSWORD);
       }
 
       // Check if player is banned
       if (room.bannedPlayers.some(bp => bp.toString() === playerId.toString())) {
-        throw new Error('You are banned from this room');
+        throw new Error(ERROR_MESSAGES.ROOM.BANNED);
       }
 
       await room.addPlayer(playerId);
@@ -138,7 +158,11 @@ class RoomService {
     try {
       const room = await Room.findById(roomId);
       if (!room) {
-        throw new Error('Room not found');
+        throw new Error(ERROR_MESSAGES.ROOM.NOT_FOUND);
+      }
+
+      if (room.tournament.isTournament) {
+        throw new Error(ERROR_MESSAGES.TOURNAMENT.REGISTRATION_REQUIRED);
       }
 
       await room.removePlayer(playerId);
@@ -165,15 +189,15 @@ class RoomService {
     try {
       const room = await Room.findById(roomId);
       if (!room) {
-        throw new Error('Room not found');
+        throw new Error(ERROR_MESSAGES.ROOM.NOT_FOUND);
       }
 
       if (room.status !== 'waiting') {
-        throw new Error('Room is not in waiting state');
+        throw new Error(ERROR_MESSAGES.ROOM.NOT_WAITING);
       }
 
       if (!room.canStart) {
-        throw new Error('Not enough players to start game');
+        throw new Error(ERROR_MESSAGES.GAME.NOT_ENOUGH_PLAYERS);
       }
 
       // Create a new game for the room
@@ -196,12 +220,12 @@ class RoomService {
     try {
       const room = await Room.findById(roomId);
       if (!room) {
-        throw new Error('Room not found');
+        throw new Error(ERROR_MESSAGES.ROOM.NOT_FOUND);
       }
 
-      // If there's an active game, end it first
+      // If there's an active game, cancel it first (entry fees are refunded)
       if (room.currentGame) {
-        await gameService.endGame(room.currentGame, 'room_closed');
+        await gameService.cancelGame(room.currentGame, 'room_closed');
       }
 
       await room.closeRoom();
@@ -227,7 +251,7 @@ class RoomService {
     try {
       const room = await Room.findById(roomId);
       if (!room) {
-        throw new Error('Room not found');
+        throw new Error(ERROR_MESSAGES.ROOM.NOT_FOUND);
       }
 
       // Check if moderator is host or has permission
@@ -235,7 +259,7 @@ class RoomService {
         p.player.toString() === moderatorId.toString() && p.isHost
       );
       if (!moderator) {
-        throw new Error('Only room host can ban players');
+        throw new Error(ERROR_MESSAGES.ROOM.NOT_HOST);
       }
 
       // Add to banned players
@@ -265,21 +289,21 @@ class RoomService {
     try {
       const room = await Room.findById(roomId);
       if (!room) {
-        throw new Error('Room not found');
+        throw new Error(ERROR_MESSAGES.ROOM.NOT_FOUND);
       }
 
       const currentOwner = room.players.find(p => 
         p.player.toString() === currentOwnerId.toString() && p.isHost
       );
       if (!currentOwner) {
-        throw new Error('Only room host can transfer ownership');
+        throw new Error(ERROR_MESSAGES.ROOM.NOT_HOST);
       }
 
       const newOwner = room.players.find(p => 
         p.player.toString() === newOwnerId.toString()
       );
       if (!newOwner) {
-        throw new Error('New owner must be a player in the room');
+        throw new Error(ERROR_MESSAGES.ROOM.NEW_OWNER_NOT_IN_ROOM);
       }
 
       // Transfer ownership
@@ -302,7 +326,7 @@ class RoomService {
     try {
       const room = await Room.findById(roomId);
       if (!room) {
-        throw new Error('Room not found');
+        throw new Error(ERROR_MESSAGES.ROOM.NOT_FOUND);
       }
 
       const gameStats = await Game.aggregate([
@@ -340,14 +364,17 @@ class RoomService {
     }
   }
 
-  // Clean up inactive rooms
+  // Clean up inactive rooms (tournaments wait for registrations as long as
+  // they are open)
   async cleanupInactiveRooms() {
     const cutoffTime = new Date(Date.now() - 2 * 60 * 60 * 1000); // 2 hours ago
     
     const inactiveRooms = await Room.find({
       lastActivity: { $lt: cutoffTime },
       status: 'waiting',
-      'players.0': { $exists: false } // No players
+      'players.0': { $exists: false }, // No players
+      'tournament.isTournament': { $ne: true },
+      schedule: null // kept for the schedule's next game
     });
 
     for (const room of inactiveRooms) {
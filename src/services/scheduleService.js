@@ -0,0 +1,483 @@
+const cron = require('node-cron');
+const TimeMatcher = require('node-cron/src/time-matcher');
+const Schedule = require('../models/Schedule');
+const Room = require('../models/Room');
+const Game = require('../models/Game');
+const Player = require('../models/Player');
+const { GAME_CONSTANTS, ERROR_MESSAGES } = require('../config/constants');
+const gameService = require('./gameService');
+const patternService = require('./patternService');
+const notificationService = require('./notificationService');
+const leaderService = require('./leaderService');
+const logger = require('../utils/logger');
+
+const { STATUS } = GAME_CONSTANTS.SCHEDULE;
+const MINUTE = 60 * 1000;
+
+// Games started at set times. A schedule owns a public room with the games'
+// settings; registrationWindow before each start a game is opened in it,
+// the players online are told, and they join it like any other game. At the
+// start the game is played, or cancelled (and the entry fees refunded) when
+// too few joined.
+//
+// Schedules are kept in the database with their next start, and a node-cron
+// task looks for due ones every few seconds, so nothing is lost on a restart:
+// the first tick after boot opens or starts whatever fell due meanwhile.
+class ScheduleService {
+  constructor() {
+    this.task = null;
+    this.ticking = false;
+  }
+
+  // Look for due schedules on every tick, starting now
+  start() {
+    if (!this.task) {
+      this.task = cron.schedule(GAME_CONSTANTS.SCHEDULE.TICK, () => this.tick());
+    }
+    return this.tick();
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  // Create a schedule with a room of its own
+  async createSchedule(data) {
+    try {
+      const {
+        name,
+        description,
+        cron: expression,
+        timezone,
+        startsAt,
+        registrationWindow,
+        config = {},
+        creatorId
+      } = data;
+
+      if (config.patterns) {
+        patternService.validateNames(config.patterns);
+      }
+
+      const room = Room.createPublicRoom(name, description);
+      room.set({ config: { ...config, type: 'public' } });
+
+      const schedule = new Schedule({
+        name,
+        description,
+        room: room._id,
+        createdBy: creatorId,
+        cron: expression,
+        timezone,
+        startsAt,
+        registrationWindow
+      });
+
+      const nextRunAt = this.getNextRun(schedule);
+      if (!nextRunAt) {
+        throw new Error(ERROR_MESSAGES.SCHEDULE.NO_UPCOMING_START);
+      }
+      schedule.setNextRun(nextRunAt);
+
+      room.schedule = schedule._id;
+      await room.save();
+      await schedule.save();
+
+      logger.info(`Schedule created: ${schedule._id} by player ${creatorId}, first start at ${nextRunAt.toISOString()}`);
+
+      return this.getView(schedule, room);
+    } catch (error) {
+      logger.error('Error creating schedule:', error);
+      throw error;
+    }
+  }
+
+  // Cron expressions are read to the minute, in the schedule's time zone
+  getMatcher(expression, timezone) {
+    const fields = typeof expression === 'string' ? expression.trim().split(/\s+/) : [];
+    if (fields.length !== 5 || !cron.validate(expression)) {
+      throw new Error(ERROR_MESSAGES.SCHEDULE.INVALID_CRON);
+    }
+
+    try {
+      return new TimeMatcher(fields.join(' '), timezone);
+    } catch (error) {
+      throw new Error(ERROR_MESSAGES.SCHEDULE.INVALID_TIMEZONE);
+    }
+  }
+
+  // First start after `after`: the single start if it is still ahead, or the
+  // first minute the cron expression matches within the lookahead. Null when
+  // there is none.
+  getNextRun(schedule, after = new Date()) {
+    if (!schedule.cron) {
+      return schedule.startsAt && schedule.startsAt > after ? schedule.startsAt : null;
+    }
+
+    const matcher = this.getMatcher(schedule.cron, schedule.timezone);
+    const limit = after.getTime() + GAME_CONSTANTS.SCHEDULE.LOOKAHEAD_DAYS * 24 * 60 * MINUTE;
+
+    for (let time = (Math.floor(after.getTime() / MINUTE) + 1) * MINUTE; time <= limit; time += MINUTE) {
+      const date = new Date(time);
+      if (matcher.match(date)) {
+        return date;
+      }
+    }
+
+    return null;
+  }
+
+  async getScheduleDoc(scheduleId) {
+    const schedule = await Schedule.findById(scheduleId);
+    if (!schedule) {
+      throw new Error(ERROR_MESSAGES.SCHEDULE.NOT_FOUND);
+    }
+    return schedule;
+  }
+
+  // Get a schedule with its room's game settings
+  async getSchedule(scheduleId) {
+    try {
+      const schedule = await Schedule.findById(scheduleId).populate('room', 'roomId config');
+      if (!schedule) {
+        throw new Error(ERROR_MESSAGES.SCHEDULE.NOT_FOUND);
+      }
+      return this.getView(schedule);
+    } catch (error) {
+      logger.error('Error getting schedule:', error);
+      throw error;
+    }
+  }
+
+  // Page through schedules, next start first
+  async listSchedules({ status, page = 1, limit = GAME_CONSTANTS.PAGINATION.DEFAULT_LIMIT } = {}) {
+    try {
+      const filter = {};
+      if (status) {
+        filter.status = { $in: [].concat(status) };
+      }
+
+      const [schedules, totalSchedules] = await Promise.all([
+        Schedule.find(filter)
+          .sort({ nextRunAt: 1, createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate('room', 'roomId config'),
+        Schedule.countDocuments(filter)
+      ]);
+
+      const totalPages = Math.ceil(totalSchedules / limit);
+
+      return {
+        schedules: schedules.map(schedule => this.getView(schedule)),
+        totalSchedules,
+        currentPage: page,
+        totalPages,
+        hasMore: page < totalPages
+      };
+    } catch (error) {
+      logger.error('Error listing schedules:', error);
+      throw error;
+    }
+  }
+
+  // Stop starting games until resumed; a game open for registration is
+  // cancelled and its entry fees refunded
+  async pauseSchedule(scheduleId) {
+    try {
+      await this.getScheduleDoc(scheduleId);
+
+      const paused = await Schedule.findOneAndUpdate(
+        { _id: scheduleId, status: STATUS.ACTIVE },
+        { $set: { status: STATUS.PAUSED } },
+        { new: true }
+      );
+
+      if (!paused) {
+        throw new Error(ERROR_MESSAGES.SCHEDULE.NOT_ACTIVE);
+      }
+
+      await this.cancelOpenGame(paused, 'schedule_paused');
+
+      logger.info(`Schedule paused: ${scheduleId}`);
+
+      return this.getSchedule(scheduleId);
+    } catch (error) {
+      logger.error('Error pausing schedule:', error);
+      throw error;
+    }
+  }
+
+  // Carry on from the next start after now
+  async resumeSchedule(scheduleId) {
+    try {
+      const schedule = await this.getScheduleDoc(scheduleId);
+
+      if (schedule.status !== STATUS.PAUSED) {
+        throw new Error(ERROR_MESSAGES.SCHEDULE.NOT_PAUSED);
+      }
+
+      const nextRunAt = this.getNextRun(schedule);
+      if (!nextRunAt) {
+        throw new Error(ERROR_MESSAGES.SCHEDULE.NO_UPCOMING_START);
+      }
+      schedule.setNextRun(nextRunAt);
+
+      const resumed = await Schedule.findOneAndUpdate(
+        { _id: scheduleId, status: STATUS.PAUSED },
+        {
+          $set: {
+            status: STATUS.ACTIVE,
+            nextRunAt: schedule.nextRunAt,
+            opensAt: schedule.opensAt,
+            currentGame: null
+          }
+        },
+        { new: true }
+      );
+
+      if (!resumed) {
+        throw new Error(ERROR_MESSAGES.SCHEDULE.NOT_PAUSED);
+      }
+
+      logger.info(`Schedule resumed: ${scheduleId}, next start at ${nextRunAt.toISOString()}`);
+
+      return this.getSchedule(scheduleId);
+    } catch (error) {
+      logger.error('Error resuming schedule:', error);
+      throw error;
+    }
+  }
+
+  // End a schedule for good; a game open for registration is cancelled and
+  // its entry fees refunded
+  async cancelSchedule(scheduleId, reason = 'cancelled') {
+    try {
+      await this.getScheduleDoc(scheduleId);
+
+      const cancelled = await Schedule.findOneAndUpdate(
+        { _id: scheduleId, status: { $in: [STATUS.ACTIVE, STATUS.PAUSED] } },
+        { $set: { status: STATUS.CANCELLED, nextRunAt: null, opensAt: null } },
+        { new: true }
+      );
+
+      if (!cancelled) {
+        throw new Error(ERROR_MESSAGES.SCHEDULE.ALREADY_OVER);
+      }
+
+      await this.cancelOpenGame(cancelled, 'schedule_cancelled');
+      await this.releaseRoom(cancelled);
+
+      logger.info(`Schedule cancelled: ${scheduleId} - Reason: ${reason}`);
+
+      return this.getSchedule(scheduleId);
+    } catch (error) {
+      logger.error('Error cancelling schedule:', error);
+      throw error;
+    }
+  }
+
+  async cancelOpenGame(schedule, reason) {
+    if (!schedule.currentGame) {
+      return;
+    }
+
+    const game = await Game.findById(schedule.currentGame);
+    if (game && game.status === GAME_CONSTANTS.STATUS.WAITING) {
+      await gameService.cancelGame(game._id, reason);
+    }
+
+    schedule.currentGame = null;
+    await schedule.save();
+  }
+
+  // An ended schedule's room is closed, or left to the inactive room cleanup
+  // when a game is still being played in it
+  async releaseRoom(schedule) {
+    const room = await Room.findByIdAndUpdate(schedule.room, { $set: { schedule: null } }, { new: true });
+    if (room && !room.currentGame && room.status !== 'closed') {
+      await room.closeRoom();
+    }
+  }
+
+  // Open or start every schedule that is due. Only the node holding the
+  // scheduler lease does, so a start happens once however many instances run.
+  async tick() {
+    if (this.ticking) {
+      return 0;
+    }
+    this.ticking = true;
+
+    try {
+      const lease = GAME_CONSTANTS.TIMERS.SCHEDULER_LEASE * 1000;
+      if (!(await leaderService.acquire('scheduler', lease))) {
+        return 0;
+      }
+
+      const now = new Date();
+      const schedules = await Schedule.find({
+        status: STATUS.ACTIVE,
+        opensAt: { $lte: now },
+        $or: [{ currentGame: null }, { nextRunAt: { $lte: now } }]
+      }).sort({ opensAt: 1 });
+
+      for (const schedule of schedules) {
+        try {
+          await this.run(schedule, now);
+        } catch (error) {
+          logger.error(`Error running schedule ${schedule._id}:`, error);
+        }
+      }
+
+      return schedules.length;
+    } catch (error) {
+      logger.error('Error in schedule tick:', error);
+      return 0;
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  // Open registration for the next start, or play it once it is due and move
+  // on to the one after
+  async run(schedule, now = new Date()) {
+    if (now < schedule.nextRunAt) {
+      return this.openRegistration(schedule);
+    }
+
+    try {
+      await this.startRun(schedule);
+    } catch (error) {
+      logger.error(`Error starting the game of schedule ${schedule._id}:`, error);
+    }
+
+    return this.advance(schedule, now);
+  }
+
+  // Open a game in the schedule's room for the next start and tell the
+  // players online. Resolves to null while the room still has a game going.
+  async openRegistration(schedule) {
+    try {
+      const room = await Room.findById(schedule.room);
+      if (!room) {
+        throw new Error(ERROR_MESSAGES.ROOM.NOT_FOUND);
+      }
+
+      if (room.currentGame) {
+        logger.warn(`Schedule ${schedule._id} is waiting for game ${room.currentGame} to end`);
+        return null;
+      }
+
+      const game = await gameService.createGame(room._id, {
+        duration: room.config.gameDuration,
+        schedule: schedule._id,
+        scheduledFor: schedule.nextRunAt
+      });
+
+      schedule.currentGame = game._id;
+      await schedule.save();
+
+      await this.announce(schedule, game);
+
+      logger.info(`Schedule ${schedule._id} opened game ${game.gameId} for ${schedule.nextRunAt.toISOString()}`);
+
+      return game;
+    } catch (error) {
+      logger.error('Error opening scheduled game:', error);
+      throw error;
+    }
+  }
+
+  // Tell every player online, in their `user:<id>` room
+  async announce(schedule, game) {
+    try {
+      const players = await Player.find({ isOnline: true }).select('_id');
+
+      await notificationService.notifyUpcomingGame(players.map(p => p._id.toString()), {
+        scheduleId: schedule._id.toString(),
+        name: schedule.name,
+        gameId: game._id.toString(),
+        roomId: schedule.room.toString(),
+        startsAt: schedule.nextRunAt,
+        entryFee: game.config.entryFee,
+        maxPlayers: game.config.maxPlayers
+      });
+    } catch (error) {
+      logger.error('Error announcing scheduled game:', error);
+    }
+  }
+
+  // Play the game opened for this start, or cancel it when too few joined. A
+  // start without an open game (the server was down or the room busy through
+  // the registration window) is missed.
+  async startRun(schedule) {
+    const game = schedule.currentGame ? await Game.findById(schedule.currentGame) : null;
+
+    if (!game) {
+      logger.warn(`Schedule ${schedule._id} missed its start at ${schedule.nextRunAt.toISOString()}`);
+      return null;
+    }
+
+    // Already started when it filled up, or cancelled
+    if (game.status !== GAME_CONSTANTS.STATUS.WAITING) {
+      return game;
+    }
+
+    if (!game.canStart) {
+      return gameService.cancelGame(game._id, 'not_enough_players');
+    }
+
+    return gameService.startGame(game._id);
+  }
+
+  // Move on to the first start after now; a schedule without one is over
+  async advance(schedule, now = new Date()) {
+    schedule.lastRunAt = schedule.nextRunAt;
+    schedule.runCount += 1;
+    schedule.currentGame = null;
+    schedule.setNextRun(this.getNextRun(schedule, now));
+    await schedule.save();
+
+    if (schedule.status === STATUS.COMPLETED) {
+      await this.releaseRoom(schedule);
+      logger.info(`Schedule completed: ${schedule._id}`);
+    }
+
+    return schedule;
+  }
+
+  // What players and admins see of a schedule; `room` is the schedule's room
+  // when it is not populated
+  getView(schedule, room = schedule.room) {
+    const config = room && room.config;
+
+    return {
+      id: schedule._id,
+      name: schedule.name,
+      description: schedule.description,
+      status: schedule.status,
+      cron: schedule.cron || null,
+      timezone: schedule.timezone || null,
+      startsAt: schedule.startsAt || null,
+      registrationWindow: schedule.registrationWindow,
+      nextRunAt: schedule.nextRunAt || null,
+      opensAt: schedule.opensAt || null,
+      lastRunAt: schedule.lastRunAt || null,
+      runCount: schedule.runCount,
+      roomId: room && room._id ? room._id : room,
+      currentGame: schedule.currentGame || null,
+      config: config ? {
+        entryFee: config.entryFee,
+        maxPlayers: config.maxPlayers,
+        minPlayersToStart: config.minPlayersToStart,
+        maxCardsPerPlayer: config.maxCardsPerPlayer,
+        gameDuration: config.gameDuration
+      } : null
+    };
+  }
+}
+
+module.exports = new ScheduleService();
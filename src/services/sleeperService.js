@@ -0,0 +1,109 @@
+const Game = require('../models/Game');
+const BingoCard = require('../models/BingoCard');
+const { GAME_EVENT_TYPES } = require('../config/constants');
+const bingoService = require('./bingoService');
+const notificationService = require('./notificationService');
+const eventLogService = require('./eventLogService');
+const logger = require('../utils/logger');
+
+// Finds "sleeping" bingos: cards that completed a pattern with the numbers
+// called before the latest one, yet were not claimed while that number was
+// up. Each sleeper is recorded on the game once and its owner is told.
+class SleeperService {
+  // Check every card of the game after a number was called
+  async checkGame(game) {
+    try {
+      if (game.calledNumbers.length < 2) {
+        return [];
+      }
+
+      // The player had a whole call to claim these
+      const previousCalls = game.calledNumbers.slice(0, -1).map(cn => cn.number);
+      const callOrder = previousCalls.length;
+      const patterns = game.getActivePatterns();
+
+      const cards = await BingoCard.find({ game: game._id, player: { $ne: null } });
+      const sleepers = [];
+
+      for (const card of cards) {
+        if (this.isClaimed(game, card._id)) {
+          continue;
+        }
+
+        const analysis = await bingoService.analyzeCardPotential(card, previousCalls, patterns);
+        const complete = [
+          ...analysis.sleepingWins,
+          ...analysis.potentialWins.filter(win => win.isComplete)
+        ];
+
+        for (const win of complete) {
+          const sleeper = await this.record(game, card, win.pattern, callOrder);
+          if (sleeper) {
+            sleepers.push(sleeper);
+          }
+        }
+      }
+
+      return sleepers;
+    } catch (error) {
+      logger.error('Error checking for sleeping bingos:', error);
+      return [];
+    }
+  }
+
+  // Cards already claiming (or paid) in the current stage are not sleeping
+  isClaimed(game, cardId) {
+    const id = cardId.toString();
+    const inWindow = game.claimWindow &&
+      game.claimWindow.claims.some(claim => claim.bingoCard.toString() === id);
+    const pending = game.claims.some(
+      claim => claim.status === 'pending' && claim.bingoCard && claim.bingoCard.toString() === id
+    );
+    const won = game.winners.some(
+      winner => winner.stage === game.currentStage && winner.bingoCard && winner.bingoCard.toString() === id
+    );
+
+    return inWindow || pending || won;
+  }
+
+  // Record a sleeper unless this card, pattern and stage already has one
+  async record(game, card, pattern, callOrder) {
+    const sleeper = {
+      player: card.player,
+      bingoCard: card._id,
+      pattern,
+      stage: game.currentStage,
+      callOrder,
+      detectedAt: new Date()
+    };
+
+    const result = await Game.updateOne(
+      {
+        _id: game._id,
+        sleepers: {
+          $not: { $elemMatch: { bingoCard: card._id, pattern, stage: game.currentStage } }
+        }
+      },
+      { $push: { sleepers: sleeper } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return null;
+    }
+
+    logger.info(`Sleeping bingo (${pattern}) on card ${card._id} in game ${game._id}`);
+
+    await eventLogService.record(game, GAME_EVENT_TYPES.SLEEPING_BINGO, {
+      player: card.player,
+      bingoCard: card._id,
+      callOrder,
+      data: { pattern, stage: sleeper.stage }
+    });
+
+    await notificationService.notifySleepingBingo(game._id, sleeper, card);
+
+    return sleeper;
+  }
+}
+
+module.exports = new SleeperService();
@@ -0,0 +1,127 @@
+const Game = require('../models/Game');
+const BingoCard = require('../models/BingoCard');
+const { GAME_CONSTANTS, ERROR_MESSAGES } = require('../config/constants');
+const notificationService = require('./notificationService');
+const logger = require('../utils/logger');
+
+// Spectators watch a game read-only from their own socket room,
+// `spectate:<gameId>`. They hold no seat (so they never count towards
+// `config.maxPlayers`), cannot mark or claim, and only chat when the game
+// allows it. Players are shown to them by seat number, never by name or card.
+class SpectatorService {
+  getRoom(gameId) {
+    return `spectate:${gameId}`;
+  }
+
+  // Check that the game can be watched by this user and return what a
+  // spectator sees of it
+  async spectate(gameId, playerId) {
+    try {
+      const game = await Game.findById(gameId);
+      if (!game) {
+        throw new Error(ERROR_MESSAGES.GAME.NOT_FOUND);
+      }
+
+      if (!game.config.spectators.enabled) {
+        throw new Error(ERROR_MESSAGES.GAME.SPECTATING_DISABLED);
+      }
+
+      // Players follow their own game from the game room
+      if (this.getSeat(game, playerId)) {
+        throw new Error(ERROR_MESSAGES.PLAYER.ALREADY_IN_GAME);
+      }
+
+      return this.getSpectatorView(game);
+    } catch (error) {
+      logger.error('Error spectating game:', error);
+      throw error;
+    }
+  }
+
+  // Players are numbered by join order
+  getSeat(game, playerId) {
+    const index = game.players.findIndex(
+      p => (p.player._id || p.player).toString() === playerId.toString()
+    );
+    return index === -1 ? null : index + 1;
+  }
+
+  async getSpectatorView(game) {
+    return {
+      gameId: game._id,
+      code: game.code,
+      status: game.status,
+      patterns: game.getActivePatterns(),
+      stage: game.currentStage,
+      calledNumbers: game.calledNumbers.map(cn => cn.number),
+      currentNumber: game.currentNumber,
+      playerCount: game.players.length,
+      prizePool: game.config.prizePool,
+      winners: game.winners.map(w => ({
+        seat: this.getSeat(game, w.player),
+        pattern: w.pattern,
+        stage: w.stage,
+        prize: w.prize
+      })),
+      leaderboard: await this.getLeaderboard(game),
+      allowChat: game.config.spectators.allowChat
+    };
+  }
+
+  // Seats ranked by the progress of their best card
+  async getLeaderboard(game) {
+    const cards = await BingoCard.find(
+      { game: game._id, player: { $ne: null } },
+      'player markedNumbers'
+    );
+
+    const progress = new Map();
+    for (const card of cards) {
+      const seat = this.getSeat(game, card.player);
+      if (seat) {
+        progress.set(seat, Math.max(progress.get(seat) || 0, card.markedNumbers.length));
+      }
+    }
+
+    return [...progress]
+      .map(([seat, markedCount]) => ({ seat, markedCount }))
+      .sort((a, b) => b.markedCount - a.markedCount || a.seat - b.seat)
+      .slice(0, GAME_CONSTANTS.SPECTATORS.LEADERBOARD_SIZE);
+  }
+
+  // A player marked a card
+  async publishProgress(game, playerId, card) {
+    try {
+      const seat = this.getSeat(game, playerId);
+      if (!game.config.spectators.enabled || !seat) {
+        return;
+      }
+
+      await notificationService.notifySpectatorProgress(game._id, {
+        seat,
+        markedCount: card.markedNumbers.length,
+        callOrder: game.calledNumbers.length
+      });
+    } catch (error) {
+      logger.error('Error publishing spectator progress:', error);
+    }
+  }
+
+  // Standings after a call, once auto-daub has marked the cards
+  async publishLeaderboard(game) {
+    try {
+      if (!game.config.spectators.enabled) {
+        return;
+      }
+
+      await notificationService.notifySpectatorLeaderboard(game._id, {
+        callOrder: game.calledNumbers.length,
+        leaderboard: await this.getLeaderboard(game)
+      });
+    } catch (error) {
+      logger.error('Error publishing spectator leaderboard:', error);
+    }
+  }
+}
+
+module.exports = new SpectatorService();
@@ -0,0 +1,76 @@
+const MemoryStore = require('./stateStores/memoryStore');
+const RedisStore = require('./stateStores/redisStore');
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+
+// Live state that every server instance has to agree on: leader leases and
+// pub/sub between instances. With REDIS_URL set it lives in Redis and any
+// number of instances can run; otherwise it stays in this process, which is
+// only right for a single instance.
+class StateStore {
+  constructor() {
+    if (config.redis.url && config.env !== 'test') {
+      this.use(new RedisStore(config.redis));
+    } else {
+      this.use(new MemoryStore());
+    }
+  }
+
+  // Swap the implementation (e.g. a Redis store against ioredis-mock in tests)
+  use(store) {
+    this.store = store;
+    logger.info(`State store: ${store.name}`);
+    return store;
+  }
+
+  // True when other server instances see the same state
+  get shared() {
+    return this.store.shared;
+  }
+
+  get(key) {
+    return this.store.get(key);
+  }
+
+  // `ttl` in milliseconds; no ttl keeps the key until it is deleted
+  set(key, value, ttl) {
+    return this.store.set(key, value, ttl);
+  }
+
+  // Resolves to true when the key was free and is now set
+  setIfAbsent(key, value, ttl) {
+    return this.store.setIfAbsent(key, value, ttl);
+  }
+
+  // Renew a key only while it still holds this value
+  extendIfEqual(key, value, ttl) {
+    return this.store.extendIfEqual(key, value, ttl);
+  }
+
+  // Delete a key only while it still holds this value
+  deleteIfEqual(key, value) {
+    return this.store.deleteIfEqual(key, value);
+  }
+
+  delete(key) {
+    return this.store.delete(key);
+  }
+
+  publish(channel, message) {
+    return this.store.publish(channel, message);
+  }
+
+  subscribe(channel, handler) {
+    return this.store.subscribe(channel, handler);
+  }
+
+  unsubscribe(channel, handler) {
+    return this.store.unsubscribe(channel, handler);
+  }
+
+  close() {
+    return this.store.close();
+  }
+}
+
+module.exports = new StateStore();
@@ -0,0 +1,90 @@
+const { EventEmitter } = require('events');
+
+// Keeps state in this process: enough for a single server instance, and the
+// stand-in for Redis in tests. Values are copied through JSON like they would
+// be over the network, so callers never share objects with the store.
+class MemoryStore {
+  constructor() {
+    this.name = 'memory';
+    this.shared = false;
+    this.entries = new Map();
+    this.channels = new EventEmitter();
+    this.channels.setMaxListeners(0);
+  }
+
+  // The stored JSON, or undefined once it expired
+  read(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  write(key, value, ttl) {
+    this.entries.set(key, {
+      value: JSON.stringify(value),
+      expiresAt: ttl ? Date.now() + ttl : null
+    });
+  }
+
+  async get(key) {
+    const entry = this.read(key);
+    return entry ? JSON.parse(entry.value) : null;
+  }
+
+  async set(key, value, ttl) {
+    this.write(key, value, ttl);
+  }
+
+  async setIfAbsent(key, value, ttl) {
+    if (this.read(key)) {
+      return false;
+    }
+    this.write(key, value, ttl);
+    return true;
+  }
+
+  async extendIfEqual(key, value, ttl) {
+    const entry = this.read(key);
+    if (!entry || entry.value !== JSON.stringify(value)) {
+      return false;
+    }
+    entry.expiresAt = Date.now() + ttl;
+    return true;
+  }
+
+  async deleteIfEqual(key, value) {
+    const entry = this.read(key);
+    if (!entry || entry.value !== JSON.stringify(value)) {
+      return false;
+    }
+    this.entries.delete(key);
+    return true;
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  // Delivered asynchronously, like a message from another server
+  async publish(channel, message) {
+    setImmediate(() => this.channels.emit(channel, message));
+  }
+
+  async subscribe(channel, handler) {
+    this.channels.on(channel, handler);
+  }
+
+  async unsubscribe(channel, handler) {
+    this.channels.off(channel, handler);
+  }
+
+  async close() {
+    this.entries.clear();
+    this.channels.removeAllListeners();
+  }
+}
+
+module.exports = MemoryStore;
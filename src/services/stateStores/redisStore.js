@@ -0,0 +1,114 @@
+const Redis = require('ioredis');
+const logger = require('../../utils/logger');
+
+// Compare-and-set on a key's value, so only the owner of a lease can renew or
+// release it
+const SCRIPTS = {
+  extendIfEqual: "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('pexpire', KEYS[1], ARGV[2]) else return 0 end",
+  deleteIfEqual: "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end"
+};
+
+// State shared by every server instance through Redis (rediss:// URLs connect
+// over TLS). Values are stored as JSON under a key prefix. ioredis reconnects
+// on its own and restores the subscriptions once it is back.
+class RedisStore {
+  constructor({ url, prefix = 'bingo:' }) {
+    this.name = 'redis';
+    this.shared = true;
+    this.prefix = prefix;
+    this.client = new Redis(url);
+    // A connection in subscriber mode cannot run other commands; its
+    // subscribe calls wait for a reconnect rather than fail
+    this.subscriber = this.client.duplicate({ maxRetriesPerRequest: null });
+    this.handlers = new Map();
+
+    for (const [name, lua] of Object.entries(SCRIPTS)) {
+      this.client.defineCommand(name, { numberOfKeys: 1, lua });
+    }
+
+    this.client.on('error', error => logger.error('Redis error:', error));
+    this.subscriber.on('error', error => logger.error('Redis subscriber error:', error));
+    this.subscriber.on('message', (channel, message) => {
+      for (const handler of this.handlers.get(channel) || []) {
+        handler(message);
+      }
+    });
+  }
+
+  key(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  // New connection to the same server, e.g. for the socket.io adapter
+  duplicate(options) {
+    const client = this.client.duplicate(options);
+    client.on('error', error => logger.error('Redis error:', error));
+    return client;
+  }
+
+  async get(key) {
+    const value = await this.client.get(this.key(key));
+    return value === null ? null : JSON.parse(value);
+  }
+
+  async set(key, value, ttl) {
+    if (ttl) {
+      await this.client.set(this.key(key), JSON.stringify(value), 'PX', Math.ceil(ttl));
+    } else {
+      await this.client.set(this.key(key), JSON.stringify(value));
+    }
+  }
+
+  async setIfAbsent(key, value, ttl) {
+    const result = ttl
+      ? await this.client.set(this.key(key), JSON.stringify(value), 'PX', Math.ceil(ttl), 'NX')
+      : await this.client.set(this.key(key), JSON.stringify(value), 'NX');
+    return result === 'OK';
+  }
+
+  async extendIfEqual(key, value, ttl) {
+    return (await this.client.extendIfEqual(this.key(key), JSON.stringify(value), Math.ceil(ttl))) === 1;
+  }
+
+  async deleteIfEqual(key, value) {
+    return (await this.client.deleteIfEqual(this.key(key), JSON.stringify(value))) === 1;
+  }
+
+  async delete(key) {
+    await this.client.del(this.key(key));
+  }
+
+  async publish(channel, message) {
+    await this.client.publish(this.key(channel), message);
+  }
+
+  async subscribe(channel, handler) {
+    const name = this.key(channel);
+    if (!this.handlers.has(name)) {
+      this.handlers.set(name, new Set());
+      await this.subscriber.subscribe(name);
+    }
+    this.handlers.get(name).add(handler);
+  }
+
+  async unsubscribe(channel, handler) {
+    const name = this.key(channel);
+    const handlers = this.handlers.get(name);
+    if (!handlers) {
+      return;
+    }
+
+    handlers.delete(handler);
+    if (handlers.size === 0) {
+      this.handlers.delete(name);
+      await this.subscriber.unsubscribe(name);
+    }
+  }
+
+  async close() {
+    await Promise.all([this.client.quit(), this.subscriber.quit()]);
+  }
+}
+
+module.exports = RedisStore;
+module.exports.SCRIPTS = SCRIPTS;
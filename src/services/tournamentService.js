@@ -0,0 +1,735 @@
+const Room = require('../models/Room');
+const Player = require('../models/Player');
+const BingoCard = require('../models/BingoCard');
+const { GAME_CONSTANTS, ERROR_MESSAGES } = require('../config/constants');
+const gameService = require('./gameService');
+const paymentService = require('./paymentService');
+const patternService = require('./patternService');
+const notificationService = require('./notificationService');
+const leaderService = require('./leaderService');
+const logger = require('../utils/logger');
+
+const { STATUS } = GAME_CONSTANTS.TOURNAMENT;
+
+// Knock-out tournaments played in a room of type 'tournament'. Players
+// register with a buy-in (the room's players are the registered players)
+// until the tournament starts. Each round is one game in the room between
+// the players still in, and the top finishers go through to the next round.
+// After the last round the prize pool is shared out by final position.
+//
+// Round games are free and pay no prizes of their own. gameService reports
+// every game that ends in the room to handleGameOver, which decides the
+// round and moves the room on to the next one.
+class TournamentService {
+  constructor() {
+    this.roundTimers = new Map();
+  }
+
+  getRoom(roomId) {
+    return `tournament:${roomId}`;
+  }
+
+  // Create a tournament open for registration
+  async createTournament(data) {
+    try {
+      const {
+        name,
+        description,
+        buyIn = 0,
+        guarantee = 0,
+        maxRounds = GAME_CONSTANTS.TOURNAMENT.MAX_ROUNDS,
+        advancing,
+        prizes = GAME_CONSTANTS.TOURNAMENT.DEFAULT_PRIZES,
+        config = {},
+        creatorId
+      } = data;
+
+      this.validatePrizes(prizes);
+      if (config.patterns) {
+        patternService.validateNames(config.patterns);
+      }
+
+      const room = Room.createTournamentRoom(name, description);
+
+      // The buy-in pays for every round, and prizes come from the
+      // tournament's own pool
+      room.set({ config: { ...config, type: 'tournament', entryFee: 0, prizePool: 0 } });
+
+      const { tournament } = room;
+      tournament.buyIn = buyIn;
+      tournament.guarantee = guarantee;
+      tournament.maxRounds = maxRounds;
+      tournament.advancing = advancing;
+      tournament.prizes = prizes;
+
+      await room.save();
+
+      logger.info(`Tournament created: ${room.roomId} by player ${creatorId}`);
+
+      return this.getView(room);
+    } catch (error) {
+      logger.error('Error creating tournament:', error);
+      throw error;
+    }
+  }
+
+  // One share per position, and no more than the whole pool
+  validatePrizes(prizes = []) {
+    const positions = new Set(prizes.map(prize => prize.position));
+    const total = prizes.reduce((sum, prize) => sum + prize.share, 0);
+
+    if (positions.size !== prizes.length || total > 100) {
+      throw new Error(ERROR_MESSAGES.TOURNAMENT.INVALID_PRIZES);
+    }
+  }
+
+  async getTournamentRoom(roomId) {
+    const room = await Room.findById(roomId);
+    if (!room || !room.tournament.isTournament) {
+      throw new Error(ERROR_MESSAGES.TOURNAMENT.NOT_FOUND);
+    }
+    return room;
+  }
+
+  // Get a tournament with its bracket and standings
+  async getTournament(roomId) {
+    try {
+      const room = await this.getTournamentRoom(roomId);
+      return this.getView(room);
+    } catch (error) {
+      logger.error('Error getting tournament:', error);
+      throw error;
+    }
+  }
+
+  // Page through tournaments, newest first
+  async listTournaments({ status, page = 1, limit = GAME_CONSTANTS.PAGINATION.DEFAULT_LIMIT } = {}) {
+    try {
+      const filter = { 'tournament.isTournament': true };
+      if (status) {
+        filter['tournament.status'] = { $in: [].concat(status) };
+      }
+
+      const [rooms, totalTournaments] = await Promise.all([
+        Room.find(filter)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Room.countDocuments(filter)
+      ]);
+
+      const totalPages = Math.ceil(totalTournaments / limit);
+
+      return {
+        tournaments: rooms.map(room => this.getSummary(room)),
+        totalTournaments,
+        currentPage: page,
+        totalPages,
+        hasMore: page < totalPages
+      };
+    } catch (error) {
+      logger.error('Error listing tournaments:', error);
+      throw error;
+    }
+  }
+
+  // Register a player and charge the buy-in
+  async register(roomId, playerId) {
+    try {
+      const room = await this.getTournamentRoom(roomId);
+
+      if (room.tournament.status !== STATUS.REGISTRATION) {
+        throw new Error(ERROR_MESSAGES.TOURNAMENT.REGISTRATION_CLOSED);
+      }
+
+      if (room.players.some(p => p.player.toString() === playerId.toString())) {
+        throw new Error(ERROR_MESSAGES.TOURNAMENT.ALREADY_REGISTERED);
+      }
+
+      if (room.bannedPlayers.some(bp => bp.toString() === playerId.toString())) {
+        throw new Error(ERROR_MESSAGES.ROOM.BANNED);
+      }
+
+      if (room.isFull) {
+        throw new Error(ERROR_MESSAGES.ROOM.FULL);
+      }
+
+      const charge = await paymentService.processBuyIn(playerId, room.tournament.buyIn, room._id);
+
+      // Only taken while registration is open and a place is left, so the
+      // start or other registrations in the meantime cannot be overrun
+      const registered = await Room.findOneAndUpdate(
+        {
+          _id: room._id,
+          'tournament.status': STATUS.REGISTRATION,
+          'players.player': { $ne: playerId },
+          [`players.${room.config.maxPlayers - 1}`]: { $exists: false }
+        },
+        {
+          $push: { players: { player: playerId, joinedAt: new Date() } },
+          $inc: { 'stats.activePlayers': 1 },
+          $set: { lastActivity: new Date() }
+        },
+        { new: true }
+      );
+
+      if (!registered) {
+        if (charge && !charge.$locals.replayed) {
+          await paymentService.refundBuyIn(playerId, room._id, 'registration_failed');
+        }
+        throw new Error(ERROR_MESSAGES.TOURNAMENT.REGISTRATION_FAILED);
+      }
+
+      // Start once every place is taken
+      if (registered.isFull && registered.config.autoStart) {
+        setTimeout(async () => {
+          try {
+            await this.startTournament(registered._id);
+          } catch (error) {
+            logger.error('Error auto-starting tournament:', error);
+          }
+        }, GAME_CONSTANTS.TIMERS.AUTO_START_DELAY * 1000);
+      }
+
+      await this.publish(registered);
+
+      logger.info(`Player ${playerId} registered for tournament: ${roomId}`);
+
+      return this.getView(registered);
+    } catch (error) {
+      logger.error('Error registering for tournament:', error);
+      throw error;
+    }
+  }
+
+  // Withdraw before the start; the buy-in is refunded
+  async unregister(roomId, playerId) {
+    try {
+      const room = await this.getTournamentRoom(roomId);
+
+      if (room.tournament.status !== STATUS.REGISTRATION) {
+        throw new Error(ERROR_MESSAGES.TOURNAMENT.REGISTRATION_CLOSED);
+      }
+
+      if (!room.players.some(p => p.player.toString() === playerId.toString())) {
+        throw new Error(ERROR_MESSAGES.TOURNAMENT.NOT_REGISTERED);
+      }
+
+      await room.removePlayer(playerId);
+      await paymentService.refundBuyIn(playerId, room._id, 'unregistered');
+
+      await this.publish(room);
+
+      logger.info(`Player ${playerId} unregistered from tournament: ${roomId}`);
+
+      return this.getView(room);
+    } catch (error) {
+      logger.error('Error unregistering from tournament:', error);
+      throw error;
+    }
+  }
+
+  // Close registration, fix the prize pool and play the first round
+  async startTournament(roomId) {
+    try {
+      const room = await this.getTournamentRoom(roomId);
+      const { status } = room.tournament;
+
+      if (status === STATUS.IN_PROGRESS) {
+        throw new Error(ERROR_MESSAGES.TOURNAMENT.ALREADY_STARTED);
+      }
+
+      if (status !== STATUS.REGISTRATION) {
+        throw new Error(ERROR_MESSAGES.TOURNAMENT.ALREADY_OVER);
+      }
+
+      if (room.players.length < room.config.minPlayersToStart) {
+        throw new Error(ERROR_MESSAGES.TOURNAMENT.NOT_ENOUGH_PLAYERS);
+      }
+
+      // Closes registration first, so the pool counts every player in
+      const started = await Room.findOneAndUpdate(
+        { _id: room._id, 'tournament.status': STATUS.REGISTRATION },
+        {
+          $set: {
+            'tournament.status': STATUS.IN_PROGRESS,
+            'tournament.currentRound': 1,
+            'tournament.startedAt': new Date()
+          }
+        },
+        { new: true }
+      );
+
+      if (!started) {
+        throw new Error(ERROR_MESSAGES.TOURNAMENT.ALREADY_STARTED);
+      }
+
+      started.tournament.prizePool = started.tournament.guarantee +
+        started.tournament.buyIn * started.players.length;
+      await started.save();
+
+      logger.info(`Tournament started: ${roomId} with ${started.players.length} player(s)`);
+
+      await this.startRound(started._id);
+
+      return this.getView(await Room.findById(started._id));
+    } catch (error) {
+      logger.error('Error starting tournament:', error);
+      throw error;
+    }
+  }
+
+  // Cancel a tournament that is not over and refund every buy-in
+  async cancelTournament(roomId, reason = 'cancelled') {
+    try {
+      const room = await this.getTournamentRoom(roomId);
+
+      const cancelled = await Room.findOneAndUpdate(
+        {
+          _id: room._id,
+          'tournament.status': { $in: [STATUS.REGISTRATION, STATUS.IN_PROGRESS] }
+        },
+        {
+          $set: {
+            'tournament.status': STATUS.CANCELLED,
+            'tournament.finishedAt': new Date()
+          }
+        },
+        { new: true }
+      );
+
+      if (!cancelled) {
+        throw new Error(ERROR_MESSAGES.TOURNAMENT.ALREADY_OVER);
+      }
+
+      this.stopRound(room._id);
+
+      // The tournament is no longer in progress, so the round is not played again
+      if (cancelled.currentGame) {
+        await gameService.cancelGame(cancelled.currentGame, 'tournament_cancelled');
+      }
+
+      await paymentService.refundTournament(room._id, reason);
+
+      const closed = await Room.findById(room._id);
+      await closed.closeRoom();
+
+      await this.publish(closed);
+
+      logger.info(`Tournament cancelled: ${roomId} - Reason: ${reason}`);
+
+      return this.getView(closed);
+    } catch (error) {
+      logger.error('Error cancelling tournament:', error);
+      throw error;
+    }
+  }
+
+  // Play the current round: one game in the tournament room between the
+  // players still in, who are seated for it. Resolves to null when there is
+  // nothing to start.
+  async startRound(roomId) {
+    try {
+      const room = await Room.findById(roomId);
+      if (!room || room.tournament.status !== STATUS.IN_PROGRESS || room.currentGame) {
+        return null;
+      }
+
+      const round = room.tournament.currentRound;
+      const players = this.getRoundPlayers(room, round);
+
+      const game = await gameService.createGame(room._id, {
+        duration: room.config.gameDuration,
+        minPlayers: 1,
+        tournamentRound: round
+      });
+
+      // A round that was cancelled is played again by the same players
+      const current = await Room.findById(room._id);
+      const entry = current.tournament.rounds.find(r => r.round === round);
+      if (entry) {
+        entry.game = game._id;
+        entry.startedAt = new Date();
+      } else {
+        current.tournament.rounds.push({ round, game: game._id, players, startedAt: new Date() });
+      }
+      await current.save();
+
+      // A player who cannot be seated loses the round
+      for (const playerId of players) {
+        try {
+          await gameService.joinGame(game._id, playerId, 1, { tournament: true });
+        } catch (error) {
+          logger.warn(`Player ${playerId} could not be seated in round ${round} of tournament ${roomId}: ${error.message}`);
+        }
+      }
+
+      await gameService.startGame(game._id);
+
+      await this.publish(current);
+
+      logger.info(`Round ${round} of tournament ${roomId} started with ${players.length} player(s)`);
+
+      return game;
+    } catch (error) {
+      logger.error('Error starting tournament round:', error);
+      throw error;
+    }
+  }
+
+  // Everyone registered plays the first round; after that, the players who
+  // went through from the round before, best first
+  getRoundPlayers(room, round) {
+    if (round === 1) {
+      return room.players.map(p => p.player);
+    }
+
+    const previous = room.tournament.rounds.find(r => r.round === round - 1);
+    return previous.results.filter(r => r.advanced).map(r => r.player);
+  }
+
+  // Next round after a break, so players can see the standings first
+  scheduleRound(roomId) {
+    this.stopRound(roomId);
+
+    const timer = setTimeout(async () => {
+      this.roundTimers.delete(roomId.toString());
+      try {
+        await this.startRound(roomId);
+      } catch (error) {
+        logger.error('Error in tournament round timer:', error);
+      }
+    }, GAME_CONSTANTS.TIMERS.ROUND_BREAK * 1000);
+
+    this.roundTimers.set(roomId.toString(), timer);
+  }
+
+  stopRound(roomId) {
+    const timer = this.roundTimers.get(roomId.toString());
+    if (timer) {
+      clearTimeout(timer);
+      this.roundTimers.delete(roomId.toString());
+    }
+  }
+
+  // Called by gameService once a game in a tournament room is over (the room
+  // is saved already). A finished game decides its round; a cancelled one is
+  // played again.
+  async handleGameOver(room, game) {
+    try {
+      const { tournament } = room;
+      const entry = tournament.rounds.find(r => r.game && r.game.toString() === game._id.toString());
+      if (tournament.status !== STATUS.IN_PROGRESS || !entry || entry.finishedAt) {
+        return;
+      }
+
+      if (game.status === GAME_CONSTANTS.STATUS.CANCELLED) {
+        logger.info(`Round ${entry.round} of tournament ${room._id} was cancelled and is played again`);
+        this.scheduleRound(room._id);
+        return;
+      }
+
+      const ranking = await this.rankPlayers(game, entry.players);
+      const advancing = this.countAdvancing(tournament, ranking.length);
+      const final = entry.round >= (tournament.maxRounds || GAME_CONSTANTS.TOURNAMENT.MAX_ROUNDS) ||
+        advancing < 2;
+
+      entry.results = ranking.map((player, index) => ({
+        player,
+        position: index + 1,
+        advanced: !final && index < advancing
+      }));
+      entry.finishedAt = new Date();
+
+      if (!final) {
+        tournament.currentRound = entry.round + 1;
+      }
+      await room.save();
+
+      logger.info(`Round ${entry.round} of tournament ${room._id} decided: ${final ? 'final' : `${advancing} of ${ranking.length} go through`}`);
+
+      if (final) {
+        await this.finish(room);
+        return;
+      }
+
+      await this.publish(room);
+      this.scheduleRound(room._id);
+    } catch (error) {
+      logger.error('Error completing tournament round:', error);
+    }
+  }
+
+  // Players going through from a round of `count`; one fewer at most, so
+  // every round knocks someone out
+  countAdvancing(tournament, count) {
+    return Math.min(tournament.advancing || Math.ceil(count / 2), count - 1);
+  }
+
+  // Finishing order of a round game: its winners first (later stages before
+  // earlier ones, then in the order they won), then the other seated players
+  // by the progress of their best card, then players who had no seat. Ties
+  // keep the order the players came into the round in.
+  async rankPlayers(game, players) {
+    const winners = game.winners
+      .map((winner, index) => ({ winner, index }))
+      .sort((a, b) => b.winner.stage - a.winner.stage || a.index - b.index)
+      .map(({ winner }) => winner.player.toString());
+
+    const seated = new Set(game.players.map(p => (p.player._id || p.player).toString()));
+
+    const cards = await BingoCard.find(
+      { game: game._id, player: { $in: players } },
+      'player markedNumbers'
+    );
+    const progress = new Map();
+    for (const card of cards) {
+      const key = card.player.toString();
+      progress.set(key, Math.max(progress.get(key) || 0, card.markedNumbers.length));
+    }
+
+    const standing = (player) => {
+      const key = player.toString();
+      const place = winners.indexOf(key);
+      return {
+        place: place === -1 ? winners.length : place,
+        absent: seated.has(key) ? 0 : 1,
+        markedCount: progress.get(key) || 0
+      };
+    };
+
+    return [...players].sort((a, b) => {
+      const x = standing(a);
+      const y = standing(b);
+      return x.place - y.place || x.absent - y.absent || y.markedCount - x.markedCount;
+    });
+  }
+
+  // Share out the prize pool by final position and close the tournament.
+  // Each prize references its position, so finishing again pays nobody twice.
+  async finish(room) {
+    const { tournament } = room;
+    const standings = this.getStandings(room);
+
+    tournament.winners = [];
+    for (const { position, share } of [...tournament.prizes].sort((a, b) => a.position - b.position)) {
+      const standing = standings[position - 1];
+      if (!standing) {
+        continue;
+      }
+
+      const prize = Math.floor(tournament.prizePool * share / 100);
+      await paymentService.awardTournamentPrize(standing.player, prize, room._id, position);
+
+      tournament.winners.push({ player: standing.player, round: standing.round, position, prize });
+    }
+
+    tournament.status = STATUS.FINISHED;
+    tournament.finishedAt = new Date();
+    room.status = 'finished';
+    room.lastActivity = new Date();
+    await room.save();
+
+    await this.publish(room);
+
+    logger.info(`Tournament finished: ${room._id} - ${tournament.winners.length} prize(s) paid`);
+  }
+
+  // On boot, carry on with the tournaments that were between rounds. Round
+  // games that were running are recovered by gameService and come back
+  // through handleGameOver.
+  async recoverTournaments() {
+    try {
+      const rooms = await Room.find({
+        'tournament.isTournament': true,
+        'tournament.status': STATUS.IN_PROGRESS,
+        currentGame: null
+      });
+
+      const lease = GAME_CONSTANTS.TIMERS.LEADER_LEASE * 1000;
+      let resumed = 0;
+      for (const room of rooms) {
+        try {
+          // A cancelled round is already waiting for its break, and another
+          // instance sharing the state store may have taken the tournament
+          if (this.roundTimers.has(room._id.toString()) ||
+            !(await leaderService.acquire(`tournament:${room._id}`, lease))) {
+            continue;
+          }
+
+          await this.resume(room);
+          resumed++;
+        } catch (error) {
+          logger.error(`Error recovering tournament ${room._id}:`, error);
+        }
+      }
+
+      logger.info(`Recovered ${resumed} of ${rooms.length} tournament(s) between rounds`);
+
+      return resumed;
+    } catch (error) {
+      logger.error('Error recovering tournaments:', error);
+      throw error;
+    }
+  }
+
+  // A decided round that is still the current one was the last
+  async resume(room) {
+    const { tournament } = room;
+    const entry = tournament.rounds.find(r => r.round === tournament.currentRound);
+
+    if (entry && entry.finishedAt) {
+      return this.finish(room);
+    }
+
+    return this.startRound(room._id);
+  }
+
+  // Until the start the pool grows with every registration
+  getPrizePool(room) {
+    const { tournament } = room;
+    return tournament.status === STATUS.REGISTRATION
+      ? tournament.guarantee + tournament.buyIn * room.players.length
+      : tournament.prizePool;
+  }
+
+  // What a tournament is about, without its rounds
+  getSummary(room) {
+    const { tournament } = room;
+
+    return {
+      id: room._id,
+      roomId: room.roomId,
+      name: room.name,
+      description: room.description,
+      status: tournament.status,
+      buyIn: tournament.buyIn,
+      prizePool: this.getPrizePool(room),
+      prizes: tournament.prizes.map(({ position, share }) => ({ position, share })),
+      maxRounds: tournament.maxRounds,
+      currentRound: tournament.currentRound,
+      advancing: tournament.advancing,
+      registered: room.players.length,
+      minPlayers: room.config.minPlayersToStart,
+      maxPlayers: room.config.maxPlayers,
+      startedAt: tournament.startedAt,
+      finishedAt: tournament.finishedAt
+    };
+  }
+
+  // Registered players ordered by how far they got: the latest round first,
+  // by position, then the players knocked out before it, then players who
+  // have not played yet. Each has the last round they reached.
+  getStandings(room) {
+    const { tournament } = room;
+    const prizes = new Map(tournament.winners.map(w => [w.player.toString(), w.prize]));
+    const rounds = [...tournament.rounds].sort((a, b) => b.round - a.round);
+    const over = tournament.status === STATUS.FINISHED;
+
+    const standings = [];
+    const placed = new Set();
+    const place = (player, round, status) => {
+      const key = player.toString();
+      if (!placed.has(key)) {
+        placed.add(key);
+        standings.push({ player, round, status });
+      }
+    };
+
+    rounds.forEach((entry, index) => {
+      if (!entry.finishedAt) {
+        entry.players.forEach(player => place(player, entry.round, 'playing'));
+        return;
+      }
+
+      const final = over && index === 0;
+      entry.results.forEach(result => place(
+        result.player,
+        entry.round,
+        result.advanced ? 'through' : (final ? 'finished' : 'eliminated')
+      ));
+    });
+
+    room.players.forEach(p => place(p.player, null, 'registered'));
+
+    return standings.map((standing, index) => ({
+      position: index + 1,
+      ...standing,
+      prize: prizes.get(standing.player.toString()) || 0
+    }));
+  }
+
+  // The tournament with its rounds (the bracket) and standings, players
+  // shown by name
+  async getView(room) {
+    const players = await Player.find(
+      { _id: { $in: room.players.map(p => p.player) } },
+      'telegramUsername firstName'
+    );
+    const names = new Map(players.map(player => [player._id.toString(), player]));
+    const describe = (id) => {
+      const player = names.get(id.toString());
+      return {
+        id,
+        username: player ? player.telegramUsername : null,
+        firstName: player ? player.firstName : null
+      };
+    };
+
+    return {
+      ...this.getSummary(room),
+      currentGame: room.currentGame || null,
+      bracket: room.tournament.rounds.map(entry => ({
+        round: entry.round,
+        game: entry.game,
+        status: entry.finishedAt ? 'finished' : 'playing',
+        players: entry.players.map(describe),
+        results: entry.results.map(result => ({
+          position: result.position,
+          player: describe(result.player),
+          advanced: result.advanced
+        })),
+        startedAt: entry.startedAt,
+        finishedAt: entry.finishedAt
+      })),
+      standings: this.getStandings(room).map(standing => ({
+        ...standing,
+        player: describe(standing.player)
+      }))
+    };
+  }
+
+  // The payloads of tournament_bracket and tournament_standings
+  getUpdate(view) {
+    const { id: roomId, status, currentRound } = view;
+
+    return {
+      bracket: {
+        roomId,
+        status,
+        currentRound,
+        maxRounds: view.maxRounds,
+        rounds: view.bracket
+      },
+      standings: {
+        roomId,
+        status,
+        currentRound,
+        prizePool: view.prizePool,
+        standings: view.standings
+      }
+    };
+  }
+
+  // Send the bracket and standings to everyone following the tournament
+  async publish(room) {
+    try {
+      const update = this.getUpdate(await this.getView(room));
+      await notificationService.notifyTournamentUpdate(room._id, room.players.map(p => p.player), update);
+    } catch (error) {
+      logger.error('Error publishing tournament update:', error);
+    }
+  }
+}
+
+module.exports = new TournamentService();
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+
+// Seedable pseudo-random numbers (sfc32) for reproducible card generation:
+// the same seed always gives the same sequence, so a card or a whole card pool
+// can be regenerated from its seed. Not for secrets; number draws use the
+// commit-reveal scheme in fairnessService.
+
+const UINT32_RANGE = 2 ** 32;
+
+// Random seed for a new card or pool
+function randomSeed() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+function createPrng(seed) {
+  // Any string works as a seed; SHA-256 spreads it over the 128-bit state
+  const digest = crypto.createHash('sha256').update(String(seed)).digest();
+  let a = digest.readUInt32BE(0);
+  let b = digest.readUInt32BE(4);
+  let c = digest.readUInt32BE(8);
+  let d = digest.readUInt32BE(12);
+
+  const nextUint32 = () => {
+    const t = (((a + b) | 0) + d) | 0;
+    d = (d + 1) | 0;
+    a = b ^ (b >>> 9);
+    b = (c + (c << 3)) | 0;
+    c = (c << 21) | (c >>> 11);
+    c = (c + t) | 0;
+    return t >>> 0;
+  };
+
+  // Float in [0, 1)
+  const next = () => nextUint32() / UINT32_RANGE;
+
+  // Integer in [0, max), without modulo bias
+  const nextInt = (max) => {
+    const limit = Math.floor(UINT32_RANGE / max) * max;
+    let value = nextUint32();
+    while (value >= limit) {
+      value = nextUint32();
+    }
+    return value % max;
+  };
+
+  // Shuffled copy (Fisher-Yates)
+  const shuffle = (items) => {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = nextInt(i + 1);
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  };
+
+  // Mix the state away from the raw seed digest
+  for (let i = 0; i < 12; i++) {
+    nextUint32();
+  }
+
+  return { next, nextInt, nextUint32, shuffle };
+}
+
+module.exports = {
+  randomSeed,
+  createPrng
+};
@@ -0,0 +1,339 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const request = require('supertest');
+const app = require('../../src/app');
+const config = require('../../src/config/environment');
+const { spec, operations, validateResponse } = require('../../src/midlleware/openapi');
+const { Game, Room, Player, Schedule } = require('../../src/models');
+const authService = require('../../src/services/authService');
+const gameService = require('../../src/services/gameService');
+const roomService = require('../../src/services/roomService');
+const tournamentService = require('../../src/services/tournamentService');
+const scheduleService = require('../../src/services/scheduleService');
+const playerService = require('../../src/services/playerService');
+const DatabaseService = require('../../src/services/databaseService');
+const { ERROR_MESSAGES } = require('../../src/config/constants');
+
+// Every documented operation is called against the real app with the services
+// stubbed out, and every response is checked against the OpenAPI document.
+
+const player = new Player({ telegramId: 1001, firstName: 'Ada', telegramUsername: 'ada', coins: 100 });
+const admin = new Player({ telegramId: 1002, firstName: 'Root', role: 'admin' });
+const other = new Player({ telegramId: 1003, firstName: 'Bob' });
+
+const room = Room.createPublicRoom('Lobby', 'Everyone welcome');
+const game = new Game({
+  gameId: 'GAME_1_test',
+  room: room._id,
+  config: { entryFee: 10, prizePool: 100 },
+  fairness: { serverSeed: 'seed', serverSeedHash: 'hash' }
+});
+
+const cup = Room.createTournamentRoom('Sunday Cup');
+cup.players.push({ player: player._id }, { player: other._id });
+const tournament = {
+  ...tournamentService.getSummary(cup),
+  currentGame: null,
+  bracket: [],
+  standings: tournamentService.getStandings(cup).map(standing => ({
+    ...standing,
+    player: { id: standing.player, username: null, firstName: null }
+  }))
+};
+
+const hourly = new Schedule({ name: 'Hourly', room: room._id, cron: '0 * * * *' })
+  .setNextRun(new Date(Date.now() + 60 * 60 * 1000));
+const schedule = scheduleService.getView(hourly, room);
+
+const tokens = {
+  accessToken: 'access',
+  refreshToken: 'refresh',
+  tokenType: 'Bearer',
+  expiresAt: new Date(),
+  refreshExpiresAt: new Date()
+};
+
+const page = (key, items) => ({
+  [key]: items,
+  [`total${key[0].toUpperCase()}${key.slice(1)}`]: items.length,
+  currentPage: 1,
+  totalPages: 1,
+  hasMore: false
+});
+
+// Telegram initData signed with the test bot token
+function signInitData(user) {
+  const params = new URLSearchParams({
+    auth_date: String(Math.floor(Date.now() / 1000)),
+    user: JSON.stringify(user)
+  });
+  const dataCheckString = [...params.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('\n');
+  const secretKey = crypto.createHmac('sha256', 'WebAppData').update(config.telegram.botToken).digest();
+  params.set('hash', crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex'));
+  return params.toString();
+}
+
+beforeAll(() => {
+  jest.spyOn(authService, 'verifyAccessToken').mockImplementation(async (token) => {
+    const players = { player, admin };
+    if (!players[token]) {
+      throw new Error(ERROR_MESSAGES.AUTH.INVALID_TOKEN);
+    }
+    return players[token];
+  });
+  jest.spyOn(authService, 'issueTokens').mockResolvedValue(tokens);
+  jest.spyOn(authService, 'refreshTokens').mockResolvedValue(tokens);
+  jest.spyOn(authService, 'revokeTokens').mockResolvedValue();
+  jest.spyOn(playerService, 'createOrUpdatePlayer').mockResolvedValue(player);
+  jest.spyOn(playerService, 'getPlayer').mockResolvedValue(player);
+  jest.spyOn(playerService, 'getPublicProfile').mockResolvedValue(other);
+  jest.spyOn(playerService, 'getLeaderboard').mockResolvedValue({ players: [other], totalPlayers: 1, hasMore: false });
+  jest.spyOn(playerService, 'getPlayerStats').mockResolvedValue({
+    player: player.toJSON(),
+    transactions: [],
+    leaderboardPosition: 1
+  });
+
+  jest.spyOn(gameService, 'getLiveStats').mockResolvedValue({ activeGames: 1, totalPlayers: 2 });
+  jest.spyOn(gameService, 'createHostedGame').mockResolvedValue({ code: 'ABC123' });
+  jest.spyOn(gameService, 'listGames').mockResolvedValue(page('games', [game]));
+  jest.spyOn(gameService, 'getGame').mockImplementation(async id => (id === game.id ? game : null));
+  jest.spyOn(gameService, 'getDrawVerification').mockResolvedValue({
+    gameId: game.gameId,
+    status: 'waiting',
+    serverSeedHash: 'hash',
+    clientSeed: null,
+    calledNumbers: [],
+    algorithm: { name: 'sha256' },
+    revealed: false
+  });
+  jest.spyOn(gameService, 'getReplay').mockImplementation(async (id) => {
+    if (id === 'GAME_running') {
+      throw new Error(ERROR_MESSAGES.GAME.REPLAY_NOT_AVAILABLE);
+    }
+    return { header: { gameId: id }, events: Readable.from([{ sequence: 1, type: 'game_created' }]) };
+  });
+  jest.spyOn(gameService, 'joinGame').mockResolvedValue(game);
+  jest.spyOn(gameService, 'leaveGame').mockResolvedValue(game);
+  jest.spyOn(gameService, 'cancelGame').mockImplementation(async (id) => {
+    if (id !== game.id) {
+      throw new Error(ERROR_MESSAGES.GAME.ALREADY_OVER);
+    }
+    return game;
+  });
+
+  jest.spyOn(roomService, 'listRooms').mockResolvedValue(page('rooms', [room]));
+  jest.spyOn(roomService, 'createRoom').mockResolvedValue(room);
+  jest.spyOn(roomService, 'getRoom').mockResolvedValue(room);
+  jest.spyOn(roomService, 'getRoomStats').mockResolvedValue({
+    room: room.stats,
+    games: { totalGames: 0, totalPlayers: 0, totalWinners: 0, totalPrize: 0, averageGameDuration: null }
+  });
+  jest.spyOn(roomService, 'joinRoom').mockResolvedValue(room);
+  jest.spyOn(roomService, 'leaveRoom').mockResolvedValue(room);
+
+  // Another tournament id stands for one that refuses the request
+  const forCup = error => async (id) => {
+    if (id !== cup.id) {
+      throw new Error(error);
+    }
+    return tournament;
+  };
+  jest.spyOn(tournamentService, 'listTournaments').mockResolvedValue(page('tournaments', [tournamentService.getSummary(cup)]));
+  jest.spyOn(tournamentService, 'getTournament').mockImplementation(forCup(ERROR_MESSAGES.TOURNAMENT.NOT_FOUND));
+  jest.spyOn(tournamentService, 'register').mockImplementation(forCup(ERROR_MESSAGES.PLAYER.INSUFFICIENT_COINS));
+  jest.spyOn(tournamentService, 'unregister').mockImplementation(forCup(ERROR_MESSAGES.TOURNAMENT.REGISTRATION_CLOSED));
+  jest.spyOn(tournamentService, 'createTournament').mockResolvedValue(tournament);
+  jest.spyOn(tournamentService, 'startTournament').mockImplementation(forCup(ERROR_MESSAGES.TOURNAMENT.ALREADY_STARTED));
+  jest.spyOn(tournamentService, 'cancelTournament').mockImplementation(forCup(ERROR_MESSAGES.TOURNAMENT.ALREADY_OVER));
+
+  // Another schedule id stands for one that refuses the request
+  const forHourly = error => async (id) => {
+    if (id !== hourly.id) {
+      throw new Error(error);
+    }
+    return schedule;
+  };
+  jest.spyOn(scheduleService, 'listSchedules').mockResolvedValue(page('schedules', [schedule]));
+  jest.spyOn(scheduleService, 'getSchedule').mockImplementation(forHourly(ERROR_MESSAGES.SCHEDULE.NOT_FOUND));
+  jest.spyOn(scheduleService, 'createSchedule').mockResolvedValue(schedule);
+  jest.spyOn(scheduleService, 'pauseSchedule').mockImplementation(forHourly(ERROR_MESSAGES.SCHEDULE.NOT_ACTIVE));
+  jest.spyOn(scheduleService, 'resumeSchedule').mockImplementation(forHourly(ERROR_MESSAGES.SCHEDULE.NOT_PAUSED));
+  jest.spyOn(scheduleService, 'cancelSchedule').mockImplementation(forHourly(ERROR_MESSAGES.SCHEDULE.ALREADY_OVER));
+
+  jest.spyOn(DatabaseService, 'getGameAnalytics').mockResolvedValue({
+    totalGames: 3, activeGames: 1, totalPlayers: 2, totalPot: 300
+  });
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+// [operation, concrete path, status, request options]
+const cases = [
+  ['GET /health', '/health', 200],
+  ['GET /api', '/api', 200],
+  ['GET /api/docs', '/api/docs', 200],
+  ['GET /api/docs/socket', '/api/docs/socket', 200],
+  ['GET /api/stats', '/api/stats', 200],
+
+  ['POST /api/auth/telegram', '/api/auth/telegram', 200, { body: { initData: signInitData({ id: 1001, first_name: 'Ada' }) } }],
+  ['POST /api/auth/telegram', '/api/auth/telegram', 400, { body: {} }],
+  ['POST /api/auth/telegram', '/api/auth/telegram', 401, { body: { initData: 'hash=00' } }],
+  ['POST /api/auth/refresh', '/api/auth/refresh', 200, { body: { refreshToken: 'refresh' } }],
+  ['POST /api/auth/logout', '/api/auth/logout', 200, { token: 'player' }],
+  ['POST /api/auth/logout', '/api/auth/logout', 401, {}],
+
+  ['POST /api/game/create', '/api/game/create', 200, { token: 'player' }],
+
+  ['GET /api/games', '/api/games', 200, { token: 'player', query: { status: ['waiting', 'in_progress'], limit: 5 } }],
+  ['GET /api/games', '/api/games', 400, { token: 'player', query: { status: 'paused' } }],
+  ['GET /api/games', '/api/games', 401, {}],
+  ['GET /api/games/{id}', `/api/games/${game.id}`, 200, { token: 'player' }],
+  ['GET /api/games/{id}', `/api/games/${'0'.repeat(24)}`, 404, { token: 'player' }],
+  ['GET /api/games/{id}', '/api/games/not-an-id', 400, { token: 'player' }],
+  ['GET /api/games/{id}', '/api/games/%E0', 400, { token: 'player' }],
+  ['GET /api/games/{id}/verify', `/api/games/${game.gameId}/verify`, 200, { token: 'player' }],
+  ['GET /api/games/{id}/replay', `/api/games/${game.gameId}/replay`, 200, { token: 'player' }],
+  ['GET /api/games/{id}/replay', '/api/games/GAME_running/replay', 409, { token: 'player' }],
+  ['POST /api/games/{id}/join', `/api/games/${game.id}/join`, 200, { token: 'player', body: { cardCount: 2 } }],
+  ['POST /api/games/{id}/join', `/api/games/${game.id}/join`, 400, { token: 'player', body: { cardCount: 0 } }],
+  ['POST /api/games/{id}/leave', `/api/games/${game.id}/leave`, 200, { token: 'player' }],
+
+  ['GET /api/rooms', '/api/rooms', 200, { token: 'player', query: { type: 'public', page: 2 } }],
+  ['POST /api/rooms', '/api/rooms', 201, { token: 'player', body: { name: 'Friends', config: { type: 'private', password: 'secret' } } }],
+  ['POST /api/rooms', '/api/rooms', 400, { token: 'player', body: { name: 'Friends', config: { type: 'private' } } }],
+  ['GET /api/rooms/{id}', `/api/rooms/${room.id}`, 200, { token: 'player' }],
+  ['GET /api/rooms/{id}/stats', `/api/rooms/${room.id}/stats`, 200, { token: 'player' }],
+  ['POST /api/rooms/{id}/join', `/api/rooms/${room.id}/join`, 200, { token: 'player', body: {} }],
+  ['POST /api/rooms/{id}/leave', `/api/rooms/${room.id}/leave`, 200, { token: 'player' }],
+
+  ['GET /api/tournaments', '/api/tournaments', 200, { token: 'player', query: { status: ['registration', 'in_progress'], limit: 5 } }],
+  ['GET /api/tournaments', '/api/tournaments', 400, { token: 'player', query: { status: 'paused' } }],
+  ['GET /api/tournaments/{id}', `/api/tournaments/${cup.id}`, 200, { token: 'player' }],
+  ['GET /api/tournaments/{id}', `/api/tournaments/${room.id}`, 404, { token: 'player' }],
+  ['POST /api/tournaments/{id}/register', `/api/tournaments/${cup.id}/register`, 200, { token: 'player' }],
+  ['POST /api/tournaments/{id}/register', `/api/tournaments/${room.id}/register`, 402, { token: 'player' }],
+  ['POST /api/tournaments/{id}/unregister', `/api/tournaments/${cup.id}/unregister`, 200, { token: 'player' }],
+  ['POST /api/tournaments/{id}/unregister', `/api/tournaments/${room.id}/unregister`, 409, { token: 'player' }],
+
+  ['GET /api/schedules', '/api/schedules', 200, { token: 'player', query: { limit: 5 } }],
+  ['GET /api/schedules/{id}', `/api/schedules/${hourly.id}`, 200, { token: 'player' }],
+  ['GET /api/schedules/{id}', `/api/schedules/${room.id}`, 404, { token: 'player' }],
+
+  ['GET /api/players/me', '/api/players/me', 200, { token: 'player' }],
+  ['GET /api/players/leaderboard', '/api/players/leaderboard', 200, { token: 'player' }],
+  ['GET /api/players/{id}', `/api/players/${other.id}`, 200, { token: 'player' }],
+  ['GET /api/players/{id}/stats', `/api/players/${player.id}/stats`, 200, { token: 'player' }],
+  ['GET /api/players/{id}/stats', `/api/players/${other.id}/stats`, 403, { token: 'player' }],
+
+  ['GET /api/admin/stats', '/api/admin/stats', 200, { token: 'admin' }],
+  ['GET /api/admin/stats', '/api/admin/stats', 403, { token: 'player' }],
+  ['GET /api/admin/games', '/api/admin/games', 200, { token: 'admin', query: { type: 'private' } }],
+  ['POST /api/admin/games/{id}/cancel', `/api/admin/games/${game.id}/cancel`, 200, { token: 'admin', body: { reason: 'maintenance' } }],
+  ['POST /api/admin/games/{id}/cancel', `/api/admin/games/${room.id}/cancel`, 409, { token: 'admin' }],
+  ['POST /api/admin/tournaments', '/api/admin/tournaments', 201, {
+    token: 'admin',
+    body: { name: 'Sunday Cup', buyIn: 10, prizes: [{ position: 1, share: 70 }, { position: 2, share: 30 }], config: { maxPlayers: 16 } }
+  }],
+  ['POST /api/admin/tournaments', '/api/admin/tournaments', 400, { token: 'admin', body: { name: 'Sunday Cup', config: { entryFee: 5 } } }],
+  ['POST /api/admin/tournaments', '/api/admin/tournaments', 403, { token: 'player', body: { name: 'Sunday Cup' } }],
+  ['POST /api/admin/tournaments/{id}/start', `/api/admin/tournaments/${cup.id}/start`, 200, { token: 'admin' }],
+  ['POST /api/admin/tournaments/{id}/start', `/api/admin/tournaments/${room.id}/start`, 409, { token: 'admin' }],
+  ['POST /api/admin/tournaments/{id}/cancel', `/api/admin/tournaments/${cup.id}/cancel`, 200, { token: 'admin', body: { reason: 'weather' } }],
+  ['GET /api/admin/schedules', '/api/admin/schedules', 200, { token: 'admin', query: { status: ['active', 'paused'] } }],
+  ['GET /api/admin/schedules', '/api/admin/schedules', 400, { token: 'admin', query: { status: 'running' } }],
+  ['POST /api/admin/schedules', '/api/admin/schedules', 201, {
+    token: 'admin',
+    body: { name: 'Hourly', cron: '0 * * * *', timezone: 'Africa/Addis_Ababa', config: { entryFee: 10, maxPlayers: 100 } }
+  }],
+  ['POST /api/admin/schedules', '/api/admin/schedules', 400, {
+    token: 'admin',
+    body: { name: 'Hourly', cron: '0 * * * *', startsAt: new Date(Date.now() + 60 * 60 * 1000).toISOString() }
+  }],
+  ['POST /api/admin/schedules', '/api/admin/schedules', 403, { token: 'player', body: { name: 'Hourly', cron: '0 * * * *' } }],
+  ['POST /api/admin/schedules/{id}/pause', `/api/admin/schedules/${hourly.id}/pause`, 200, { token: 'admin' }],
+  ['POST /api/admin/schedules/{id}/pause', `/api/admin/schedules/${room.id}/pause`, 409, { token: 'admin' }],
+  ['POST /api/admin/schedules/{id}/resume', `/api/admin/schedules/${hourly.id}/resume`, 200, { token: 'admin' }],
+  ['POST /api/admin/schedules/{id}/cancel', `/api/admin/schedules/${hourly.id}/cancel`, 200, { token: 'admin', body: { reason: 'holiday' } }],
+
+  ['POST /webhook/telegram', '/webhook/telegram', 200, { body: { update_id: 1 } }],
+  ['POST /webhook/payment', '/webhook/payment', 200, { body: {} }]
+];
+
+describe('HTTP API contract', () => {
+  test.each(cases)('%s (%s) responds %i as documented', async (operation, path, status, options = {}) => {
+    const [method] = operation.split(' ');
+    let call = request(app)[method.toLowerCase()](path);
+    if (options.token) {
+      call = call.set('Authorization', `Bearer ${options.token}`);
+    }
+    if (options.query) {
+      call = call.query(options.query);
+    }
+    if (options.body) {
+      call = call.send(options.body);
+    }
+
+    const res = await call;
+
+    expect(res.status).toBe(status);
+    if (res.type === 'application/json') {
+      expect(validateResponse(method, path, res.status, res.body)).toBeNull();
+    } else {
+      expect(res.type).toBe('application/x-ndjson');
+      expect(res.text.trim().split('\n').map(line => JSON.parse(line))).toHaveLength(2);
+    }
+  });
+
+  test('every documented operation is exercised with a successful call', () => {
+    const exercised = new Set(cases.filter(([, , status]) => status < 300).map(([operation]) => operation));
+    const documented = operations.map(operation => `${operation.method} ${operation.path}`);
+
+    expect(documented.filter(operation => !exercised.has(operation))).toEqual([]);
+  });
+
+  test('every route the app serves is documented', () => {
+    const documented = new Set(operations.map(operation => `${operation.method} ${operation.path}`));
+    const served = listRoutes(app._router.stack);
+
+    expect(served.filter(route => !documented.has(route))).toEqual([]);
+  });
+
+  test('errors use the error envelope', async () => {
+    const res = await request(app).get('/api/nowhere');
+
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ status: 'error', message: expect.any(String) });
+  });
+
+  test('the document is served at /api/docs', async () => {
+    const res = await request(app).get('/api/docs');
+
+    expect(res.body.openapi).toBe(spec.openapi);
+    expect(Object.keys(res.body.paths)).toEqual(Object.keys(spec.paths));
+  });
+});
+
+// "METHOD /path/{param}" for every route registered on the Express stack
+function listRoutes(stack, prefix = '') {
+  return stack.flatMap((layer) => {
+    if (layer.route) {
+      const path = `${prefix}${layer.route.path === '/' && prefix ? '' : layer.route.path}`
+        .replace(/:(\w+)/g, '{$1}');
+      return Object.keys(layer.route.methods).map(method => `${method.toUpperCase()} ${path}`);
+    }
+    if (layer.name === 'router' && layer.handle.stack) {
+      const mount = layer.regexp.source
+        .replace(/^\^/, '')
+        .replace(/\\\/\?\(\?=\\\/\|\$\)$/, '')
+        .replace(/\\\//g, '/');
+      return listRoutes(layer.handle.stack, `${prefix}${mount === '/' ? '' : mount}`);
+    }
+    return [];
+  });
+}
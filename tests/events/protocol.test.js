@@ -0,0 +1,191 @@
+const Ajv = require('ajv');
+const registerSocketEvents = require('../../src/events/socketEvents');
+const asyncapi = require('../../src/docs/asyncapi');
+const { inbound, outbound, PROTOCOL_VERSION } = require('../../src/events/protocol');
+const {
+  checkProtocolVersion,
+  createAck,
+  validateOutgoing
+} = require('../../src/midlleware/socketProtocol');
+const gameService = require('../../src/services/gameService');
+const playerService = require('../../src/services/playerService');
+const { SOCKET_EVENTS, LEGACY_SOCKET_EVENTS, ERROR_MESSAGES } = require('../../src/config/constants');
+
+// Inbound events are sent to a stand-in socket with the real handlers
+// registered and the services stubbed out; acknowledgements are checked
+// against the generated AsyncAPI document.
+
+const gameId = 'a'.repeat(24);
+const playerId = 'b'.repeat(24);
+
+function createSocket(userId) {
+  const listeners = {};
+  const socket = {
+    id: 'socket-1',
+    userId,
+    emitted: [],
+    on: (event, listener) => {
+      listeners[event] = listener;
+    },
+    emit: (event, payload) => socket.emitted.push([event, payload]),
+    join: () => {},
+    leave: () => {},
+    to: () => ({ emit: () => {} }),
+    listeners
+  };
+
+  registerSocketEvents(socket, {});
+  return socket;
+}
+
+// Send an event and resolve with its acknowledgement
+function send(socket, event, payload) {
+  return new Promise((resolve) => {
+    socket.listeners[event](payload, resolve);
+  });
+}
+
+const ajv = new Ajv({ allErrors: true });
+ajv.addSchema(asyncapi, 'asyncapi.json');
+const ackValidator = event => ajv.compile({ $ref: `asyncapi.json#/components/messages/client.${event}/x-ack` });
+
+beforeAll(() => {
+  jest.spyOn(playerService, 'updateOnlineStatus').mockResolvedValue(null);
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('socket protocol', () => {
+  test('every event the server listens for is described, and every described event is handled', () => {
+    const socket = createSocket(playerId);
+    const handled = Object.keys(socket.listeners)
+      .filter(event => ![SOCKET_EVENTS.ERROR, SOCKET_EVENTS.DISCONNECT].includes(event));
+
+    expect(handled.filter(event => !inbound[event])).toEqual([]);
+    expect(Object.keys(inbound).filter(event => !handled.includes(event))).toEqual([]);
+  });
+
+  test('an invalid payload is refused before it reaches the handler', async () => {
+    const buyCards = jest.spyOn(gameService, 'buyCards');
+    const socket = createSocket(playerId);
+
+    const ack = await send(socket, SOCKET_EVENTS.BUY_CARDS, { gameId: 'z'.repeat(24), count: 0 });
+
+    expect(buyCards).not.toHaveBeenCalled();
+    expect(ack).toMatchObject({ success: false, code: 'VALIDATION_ERROR' });
+    expect(ack.errors.map(error => error.field)).toEqual(['gameId', 'count']);
+    expect(ackValidator(SOCKET_EVENTS.BUY_CARDS)(ack)).toBe(true);
+  });
+
+  test('a valid payload reaches the handler with defaults applied', async () => {
+    const buyCards = jest.spyOn(gameService, 'buyCards').mockResolvedValue({
+      players: [{ player: playerId, cardCount: 2 }],
+      config: { prizePool: 40 }
+    });
+    const socket = createSocket(playerId);
+
+    const ack = await send(socket, SOCKET_EVENTS.BUY_CARDS, { gameId, extra: true });
+
+    expect(buyCards).toHaveBeenCalledWith(gameId, playerId, 1);
+    expect(ack).toEqual({ success: true, cardCount: 2, prizePool: 40 });
+    expect(ackValidator(SOCKET_EVENTS.BUY_CARDS)(ack)).toBe(true);
+  });
+
+  test('a failed event is acknowledged with the code of the error', async () => {
+    jest.spyOn(gameService, 'buyCards').mockRejectedValue(new Error(ERROR_MESSAGES.PLAYER.INSUFFICIENT_COINS));
+    const socket = createSocket(playerId);
+
+    const ack = await send(socket, SOCKET_EVENTS.BUY_CARDS, { gameId });
+
+    expect(ack).toEqual({
+      success: false,
+      error: ERROR_MESSAGES.PLAYER.INSUFFICIENT_COINS,
+      code: 'PLAYER_INSUFFICIENT_COINS'
+    });
+    expect(ackValidator(SOCKET_EVENTS.BUY_CARDS)(ack)).toBe(true);
+  });
+
+  test('an event the handler does not acknowledge is acknowledged once it completes', async () => {
+    const socket = createSocket(playerId);
+
+    const ack = await send(socket, SOCKET_EVENTS.PING, { nonce: 7 });
+
+    expect(ack).toEqual({ success: true });
+    expect(socket.emitted).toContainEqual([SOCKET_EVENTS.PONG, { timestamp: expect.any(Number), nonce: 7 }]);
+  });
+
+  test('without a callback, failures arrive as error events', async () => {
+    jest.spyOn(gameService, 'getGameByCode').mockRejectedValue(new Error(ERROR_MESSAGES.GAME.NOT_FOUND));
+    const socket = createSocket(playerId);
+
+    await socket.listeners[LEGACY_SOCKET_EVENTS.MARK_CELL]({ gameId: 'ABC123', cellIndex: 25 });
+    await socket.listeners[LEGACY_SOCKET_EVENTS.JOIN_GAME]({ gameId: 'ABC123' });
+
+    const errors = socket.emitted.filter(([event]) => event === SOCKET_EVENTS.ERROR).map(([, payload]) => payload);
+    expect(errors).toEqual([
+      expect.objectContaining({ type: 'validation_error', event: 'mark-cell', code: 'VALIDATION_ERROR' }),
+      expect.objectContaining({ type: 'event_error', event: 'join-game', code: 'GAME_NOT_FOUND' })
+    ]);
+    errors.forEach(error => expect(validateOutgoing(SOCKET_EVENTS.ERROR, error)).toBeNull());
+  });
+
+  test('an acknowledgement is sent once', () => {
+    const callback = jest.fn();
+    const ack = createAck(callback);
+
+    ack({ success: false, error: ERROR_MESSAGES.GAME.FULL });
+    ack({ success: true });
+
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(callback).toHaveBeenCalledWith({ success: false, error: ERROR_MESSAGES.GAME.FULL, code: 'GAME_FULL' });
+  });
+
+  test('clients speaking another major version are refused', () => {
+    const connect = (auth) => {
+      const socket = { id: 'socket-1', handshake: { auth, query: {} } };
+      const next = jest.fn();
+      checkProtocolVersion(socket, next);
+      return { socket, error: next.mock.calls[0][0] };
+    };
+
+    expect(connect({}).socket.protocolVersion).toBe(PROTOCOL_VERSION);
+    expect(connect({ protocolVersion: `${PROTOCOL_VERSION.split('.')[0]}.9.0` }).error).toBeUndefined();
+    expect(connect({ protocolVersion: '0.1.0' }).error.message).toBe(ERROR_MESSAGES.SOCKET.UNSUPPORTED_PROTOCOL);
+  });
+
+  test('outbound payloads are checked against the protocol', () => {
+    const called = {
+      gameId,
+      number: 42,
+      letter: 'N',
+      callOrder: 3,
+      totalCalls: 3,
+      timestamp: new Date()
+    };
+
+    expect(validateOutgoing(SOCKET_EVENTS.NUMBER_CALLED, called)).toBeNull();
+    expect(validateOutgoing(SOCKET_EVENTS.NUMBER_CALLED, { ...called, number: 99 })).toEqual([
+      expect.objectContaining({ field: 'number' })
+    ]);
+    expect(validateOutgoing('numberCalled', called)).toEqual([
+      { message: 'Socket event numberCalled is not described in the protocol' }
+    ]);
+  });
+
+  test('the AsyncAPI document describes every event both ways', () => {
+    const names = prefix => Object.keys(asyncapi.components.messages)
+      .filter(id => id.startsWith(prefix))
+      .map(id => asyncapi.components.messages[id].name);
+
+    expect(asyncapi.info.version).toBe(PROTOCOL_VERSION);
+    expect(names('client.')).toEqual(Object.keys(inbound));
+    expect(names('server.')).toEqual(Object.keys(outbound));
+    expect(asyncapi.channels['/'].publish.message.oneOf).toHaveLength(Object.keys(inbound).length);
+  });
+});
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const config = require('../../src/config/environment');
+const { verifyInitData } = require('../../src/midlleware/auth');
+
+// initData is signed the way Telegram signs it, with the test bot token
+// unless another is given
+
+const now = () => Math.floor(Date.now() / 1000);
+const user = { id: 1001, first_name: 'Ada', username: 'ada' };
+
+function sign(fields, botToken = config.telegram.botToken) {
+  const params = new URLSearchParams(fields);
+  const dataCheckString = [...params.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('\n');
+  const secretKey = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+  params.set('hash', crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex'));
+  return params.toString();
+}
+
+describe('verifyInitData', () => {
+  test('signed initData is read back with its user and fields', () => {
+    const authDate = now();
+    const initData = sign({
+      auth_date: String(authDate),
+      query_id: 'AAHdF6IQ',
+      start_param: 'ref_42',
+      user: JSON.stringify(user)
+    });
+
+    expect(verifyInitData(initData)).toEqual({
+      user,
+      authDate: new Date(authDate * 1000),
+      queryId: 'AAHdF6IQ',
+      startParam: 'ref_42'
+    });
+  });
+
+  test('a field changed after signing breaks the signature', () => {
+    const params = new URLSearchParams(sign({ auth_date: String(now()), user: JSON.stringify(user) }));
+    params.set('user', JSON.stringify({ ...user, id: 1002 }));
+
+    expect(() => verifyInitData(params.toString())).toThrow('Invalid Telegram initData signature');
+  });
+
+  test('initData signed for another bot is refused', () => {
+    const initData = sign({ auth_date: String(now()), user: JSON.stringify(user) }, '654321:other-bot-token');
+
+    expect(() => verifyInitData(initData)).toThrow('Invalid Telegram initData signature');
+  });
+
+  test('initData older than the allowed age has expired', () => {
+    const maxAge = config.telegram.initDataMaxAge;
+
+    expect(() => verifyInitData(sign({ auth_date: String(now() - maxAge - 60), user: JSON.stringify(user) })))
+      .toThrow('Telegram initData has expired');
+    expect(() => verifyInitData(sign({ user: JSON.stringify(user) })))
+      .toThrow('Telegram initData has expired');
+    expect(verifyInitData(sign({ auth_date: String(now() - maxAge + 60), user: JSON.stringify(user) })).user)
+      .toEqual(user);
+  });
+
+  test('initData without a hash or a user is refused', () => {
+    expect(() => verifyInitData('')).toThrow('Missing Telegram initData');
+    expect(() => verifyInitData(`auth_date=${now()}`)).toThrow('hash is missing');
+    expect(() => verifyInitData(sign({ auth_date: String(now()) }))).toThrow('user is missing');
+    expect(() => verifyInitData(sign({ auth_date: String(now()), user: '{' }))).toThrow('malformed user');
+  });
+});
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const { Game, BingoCard } = require('../../src/models');
+const autoDaubService = require('../../src/services/autoDaubService');
+const cardService = require('../../src/services/cardService');
+const gameService = require('../../src/services/gameService');
+const notificationService = require('../../src/services/notificationService');
+const { GAME_CONSTANTS, ERROR_MESSAGES } = require('../../src/config/constants');
+
+// One stored card, marked through a stubbed card service: every call
+// completes its pattern, the way a card one number short of a line would.
+
+const playerId = new mongoose.Types.ObjectId();
+
+let card;
+let game;
+
+beforeEach(() => {
+  game = new Game({
+    gameId: 'GAME_1_test',
+    status: GAME_CONSTANTS.STATUS.IN_PROGRESS,
+    config: { autoDaub: true, claimPolicy: GAME_CONSTANTS.CLAIM_POLICIES.INSTANT }
+  });
+  card = BingoCard.generateCard(playerId, game._id, 'auto-daub-test');
+
+  jest.spyOn(BingoCard, 'findById').mockImplementation(async () => card);
+  jest.spyOn(BingoCard, 'updateOne').mockImplementation(async (filter, update) => {
+    card.set(update.$set);
+    return { modifiedCount: 1 };
+  });
+  jest.spyOn(cardService, 'autoMarkNumbers').mockImplementation(async () => {
+    card.hasBingo = true;
+    return {
+      card,
+      markedCount: 1,
+      hasBingo: true,
+      winningPattern: { name: 'line', numbers: [card.getNumberAt(0, 0)] }
+    };
+  });
+  jest.spyOn(notificationService, 'notifyCardDaubed').mockResolvedValue();
+  jest.spyOn(notificationService, 'notifyBingoClaimed').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// Call a number that is on the card
+function daub() {
+  const number = card.getNumberAt(0, 0);
+  return autoDaubService.daubCard(game, playerId, card._id, { number, letter: 'B' });
+}
+
+describe('instant claims', () => {
+  test('a card whose claim was refused during a lockout is marked and claimed again later', async () => {
+    const claim = jest.spyOn(gameService, 'processBingoClaim')
+      .mockRejectedValueOnce(new Error(ERROR_MESSAGES.BINGO.LOCKED_OUT))
+      .mockResolvedValueOnce({ player: playerId });
+
+    const refused = await daub();
+    expect(refused.claim).toBeNull();
+    expect(card.hasBingo).toBe(false);
+
+    const accepted = await daub();
+    expect(accepted.claim).toEqual({ player: playerId });
+    expect(card.hasBingo).toBe(true);
+
+    expect(await daub()).toBeNull();
+    expect(claim).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const { BingoCard } = require('../../src/models');
+const cardService = require('../../src/services/cardService');
+const { GAME_CONSTANTS } = require('../../src/config/constants');
+
+// Cards are generated in memory; nothing is saved
+
+const gameId = new mongoose.Types.ObjectId();
+const LETTERS = ['B', 'I', 'N', 'G', 'O'];
+
+describe('seeded cards', () => {
+  test('the same seed gives the same card and serial number', () => {
+    const card = BingoCard.generateCard(null, gameId, 'seed-1');
+    const again = BingoCard.generateCard(null, gameId, 'seed-1');
+
+    expect(again.numbers.toObject()).toEqual(card.numbers.toObject());
+    expect(again.signature).toBe(card.signature);
+    expect(again.serial).toBe(card.serial);
+    expect(card.serial).toMatch(/^[0-9A-Z]{4}-[0-9A-Z]{4}-[0-9A-Z]{4}$/);
+    expect(BingoCard.generateCard(null, gameId, 'seed-2').signature).not.toBe(card.signature);
+  });
+
+  test('each column holds five different numbers from its range, with the free centre', () => {
+    for (let i = 0; i < 50; i++) {
+      const card = BingoCard.generateCard(null, gameId, `range-${i}`);
+
+      for (const letter of LETTERS) {
+        const { min, max } = GAME_CONSTANTS.CARD.NUMBER_RANGES[letter];
+        const column = card.numbers[letter].filter(n => n !== null);
+
+        expect(new Set(column).size).toBe(column.length);
+        for (const number of column) {
+          expect(number).toBeGreaterThanOrEqual(min);
+          expect(number).toBeLessThanOrEqual(max);
+        }
+      }
+      expect(card.numbers.N[2]).toBeNull();
+      expect(card.numbers.N.filter(n => n !== null)).toHaveLength(4);
+    }
+  });
+});
+
+describe('card pools', () => {
+  test('a pool seed always gives the same pool of different cards', () => {
+    const pool = cardService.buildPool(gameId, 'pool-seed', 20);
+
+    expect(pool.map(card => card.poolIndex)).toEqual(Array.from({ length: 20 }, (_, i) => i));
+    expect(new Set(pool.map(card => card.signature)).size).toBe(20);
+    expect(cardService.buildPool(gameId, 'pool-seed', 20).map(card => card.signature))
+      .toEqual(pool.map(card => card.signature));
+  });
+});
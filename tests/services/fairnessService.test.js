@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const { Game } = require('../../src/models');
+const fairnessService = require('../../src/services/fairnessService');
+const { GAME_CONSTANTS } = require('../../src/config/constants');
+
+// A fixed pair of seeds, so the draw below is always the same
+const serverSeed = '9f2c4e7a1b3d5f60718293a4b5c6d7e8f90a1b2c3d4e5f60718293a4b5c6d7e8';
+const serverSeedHash = '02b7760a53efab0daa0471a41d1d2de268406db75dedb9010ff5da3360c22d59';
+const clientSeed = 'GAME_1_test:alice:bob';
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('commitment', () => {
+  test('the seed hash is the SHA-256 of the seed', () => {
+    expect(fairnessService.hashSeed('abc')).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    expect(fairnessService.hashSeed(serverSeed)).toBe(serverSeedHash);
+  });
+
+  test('a new commitment publishes the hash of a fresh seed', () => {
+    const first = fairnessService.createCommitment();
+    const second = fairnessService.createCommitment();
+
+    expect(first.serverSeed).toMatch(/^[0-9a-f]{64}$/);
+    expect(first.serverSeedHash).toBe(fairnessService.hashSeed(first.serverSeed));
+    expect(second.serverSeed).not.toBe(first.serverSeed);
+  });
+});
+
+describe('draw order', () => {
+  test('both seeds fix the order of all 75 numbers', () => {
+    const sequence = fairnessService.deriveSequence(serverSeed, clientSeed);
+
+    expect(sequence.slice(0, 10)).toEqual([24, 42, 70, 29, 64, 7, 74, 25, 35, 31]);
+    expect([...sequence].sort((a, b) => a - b)).toEqual(Array.from({ length: 75 }, (_, i) => i + 1));
+    expect(fairnessService.deriveSequence(serverSeed, clientSeed)).toEqual(sequence);
+    expect(fairnessService.deriveSequence(serverSeed, 'GAME_1_test:alice:carol')).not.toEqual(sequence);
+  });
+
+  test('the order can be recomputed from the published algorithm', () => {
+    // The first swap moves position v % 75 of [1..75] to the end
+    const v = crypto.createHmac('sha256', serverSeed).update(`${clientSeed}:0`).digest().readUInt32BE(0);
+    expect(v).toBeLessThan(Math.floor(2 ** 32 / 75) * 75);
+
+    expect(fairnessService.deriveSequence(serverSeed, clientSeed)[74]).toBe((v % 75) + 1);
+  });
+});
+
+describe('verification', () => {
+  // A running game that calls its numbers without saving
+  async function callNumbers(count) {
+    const game = new Game({
+      gameId: 'GAME_1_test',
+      status: GAME_CONSTANTS.STATUS.IN_PROGRESS,
+      fairness: { serverSeed, serverSeedHash, clientSeed }
+    });
+    jest.spyOn(game, 'save').mockImplementation(async () => game);
+
+    for (let i = 0; i < count; i++) {
+      await game.callNumber();
+    }
+    return game.calledNumbers.map(cn => cn.number);
+  }
+
+  test('the numbers a game called are the start of the committed draw', async () => {
+    const calledNumbers = await callNumbers(10);
+
+    expect(calledNumbers).toEqual([24, 42, 70, 29, 64, 7, 74, 25, 35, 31]);
+    expect(fairnessService.verify({ serverSeed, serverSeedHash, clientSeed, calledNumbers })).toMatchObject({
+      hashMatches: true,
+      callsMatch: true,
+      valid: true
+    });
+  });
+
+  test('a swapped seed or call is caught', async () => {
+    const calledNumbers = await callNumbers(5);
+    const otherSeed = fairnessService.createCommitment().serverSeed;
+
+    expect(fairnessService.verify({ serverSeed: otherSeed, serverSeedHash, clientSeed, calledNumbers }))
+      .toMatchObject({ hashMatches: false, valid: false });
+    expect(fairnessService.verify({ serverSeed, serverSeedHash, clientSeed, calledNumbers: [...calledNumbers].reverse() }))
+      .toMatchObject({ hashMatches: true, callsMatch: false, valid: false });
+  });
+});
@@ -0,0 +1,464 @@
+const mongoose = require('mongoose');
+const { Game, Room, Player, BingoCard } = require('../../src/models');
+const gameService = require('../../src/services/gameService');
+const paymentService = require('../../src/services/paymentService');
+const eventLogService = require('../../src/services/eventLogService');
+const notificationService = require('../../src/services/notificationService');
+const leaderService = require('../../src/services/leaderService');
+const stateStore = require('../../src/services/stateStore');
+const { GAME_CONSTANTS, ERROR_MESSAGES } = require('../../src/config/constants');
+
+// Games are played out in memory; the queries the service makes are stubbed
+// out.
+
+function createGame(fields = {}) {
+  return new Game({
+    gameId: 'GAME_1_test',
+    room: new mongoose.Types.ObjectId(),
+    config: { entryFee: 10, prizePool: 100 },
+    fairness: { serverSeed: 'seed', serverSeedHash: 'hash' },
+    ...fields
+  });
+}
+
+beforeEach(() => {
+  jest.spyOn(eventLogService, 'record').mockResolvedValue(null);
+  jest.spyOn(notificationService, 'notifyGameEnd').mockResolvedValue();
+  jest.spyOn(Room, 'findById').mockResolvedValue(null);
+  jest.spyOn(Player, 'updateMany').mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('cancelling a game', () => {
+  test('a game that is over keeps its entry fees', async () => {
+    const game = createGame({ status: GAME_CONSTANTS.STATUS.FINISHED });
+    jest.spyOn(Game, 'findById').mockResolvedValue(game);
+    const update = jest.spyOn(Game, 'findOneAndUpdate').mockResolvedValue(null);
+    const refund = jest.spyOn(paymentService, 'refundGame');
+
+    await expect(gameService.cancelGame(game._id, 'admin')).rejects.toThrow(ERROR_MESSAGES.GAME.ALREADY_OVER);
+
+    expect(update.mock.calls[0][0]).toEqual({
+      _id: game._id,
+      status: { $nin: [GAME_CONSTANTS.STATUS.FINISHED, GAME_CONSTANTS.STATUS.CANCELLED] }
+    });
+    expect(refund).not.toHaveBeenCalled();
+  });
+
+  test('entry fees are refunded once the game is marked cancelled', async () => {
+    const game = createGame({ status: GAME_CONSTANTS.STATUS.IN_PROGRESS });
+    const cancelled = createGame({ _id: game._id, status: GAME_CONSTANTS.STATUS.CANCELLED, cancelReason: 'admin' });
+    jest.spyOn(Game, 'findById').mockResolvedValue(game);
+    const update = jest.spyOn(Game, 'findOneAndUpdate').mockResolvedValue(cancelled);
+    const refund = jest.spyOn(paymentService, 'refundGame').mockResolvedValue([]);
+
+    expect(await gameService.cancelGame(game._id, 'admin')).toBe(cancelled);
+
+    expect(refund).toHaveBeenCalledWith(game._id, 'admin');
+    expect(update.mock.invocationCallOrder[0]).toBeLessThan(refund.mock.invocationCallOrder[0]);
+  });
+});
+
+describe('player view', () => {
+  test('a player sees only their own cards until the game is over', async () => {
+    const [me, other] = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+    const [myCard, otherCard] = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+    const game = createGame({
+      status: GAME_CONSTANTS.STATUS.IN_PROGRESS,
+      players: [
+        { player: me, cardCount: 1, bingoCards: [myCard] },
+        { player: other, cardCount: 1, bingoCards: [otherCard] }
+      ]
+    });
+    jest.spyOn(gameService, 'getGame').mockResolvedValue(game);
+
+    const view = await gameService.getGameForPlayer(game._id, me);
+
+    expect(view.players.map(p => p.bingoCards)).toEqual([[myCard], undefined]);
+    expect(view.players.map(p => p.cardCount)).toEqual([1, 1]);
+
+    game.status = GAME_CONSTANTS.STATUS.FINISHED;
+    expect(gameService.getPlayerView(game, me).players.map(p => p.bingoCards)).toEqual([[myCard], [otherCard]]);
+  });
+});
+
+describe('prize pool', () => {
+  // The stored pool, changed only through the updates the game sends; the
+  // games are hydrated, so a save only writes what changed since loading
+  let storedPool;
+  let saved;
+
+  function storeGame(game) {
+    storedPool = game.config.prizePool;
+    saved = [];
+    jest.spyOn(Game, 'findById').mockResolvedValue(game);
+    jest.spyOn(Game, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      storedPool = Array.isArray(update)
+        ? Math.max(0, storedPool + update[0].$set['config.prizePool'].$max[1].$add[1])
+        : storedPool + update.$inc['config.prizePool'];
+      return { config: { prizePool: storedPool } };
+    });
+    jest.spyOn(game, 'save').mockImplementation(async () => {
+      saved.push(game.isModified('config.prizePool'));
+      return game;
+    });
+    jest.spyOn(Player, 'findByIdAndUpdate').mockResolvedValue(null);
+  }
+
+  test('a join adds its fees to the stored pool instead of writing back the pool it read', async () => {
+    const game = Game.hydrate(createGame({ config: { entryFee: 10, prizePool: 100, maxPlayers: 10 } }).toObject());
+    storeGame(game);
+    jest.spyOn(paymentService, 'processEntryFee').mockImplementation(async () => ({ $locals: {} }));
+    // Another join lands between this one's read and its update
+    storedPool = 120;
+
+    await gameService.joinGame(game._id, new mongoose.Types.ObjectId(), 2);
+
+    expect(storedPool).toBe(140);
+    expect(game.config.prizePool).toBe(140);
+    expect(saved).toEqual([false]);
+  });
+
+  test('a refund takes its fee off the stored pool, never below zero', async () => {
+    const playerId = new mongoose.Types.ObjectId();
+    const game = Game.hydrate(createGame({
+      config: { entryFee: 10, prizePool: 100 },
+      players: [{ player: playerId }, { player: new mongoose.Types.ObjectId() }]
+    }).toObject());
+    storeGame(game);
+    jest.spyOn(paymentService, 'refundEntryFee').mockResolvedValue({ amount: 30 });
+    jest.spyOn(notificationService, 'notifyPlayerLeft').mockResolvedValue();
+    storedPool = 20;
+
+    await gameService.leaveGame(game._id, playerId);
+
+    expect(storedPool).toBe(0);
+    expect(saved).toEqual([false]);
+  });
+});
+
+describe('watching the running games', () => {
+  const SECOND = 1000;
+
+  // A game resumed after a restart, with a claim window open and a seat held
+  function createRunningGame() {
+    const game = createGame({
+      status: GAME_CONSTANTS.STATUS.IN_PROGRESS,
+      endTime: new Date(Date.now() + 60 * SECOND),
+      claimWindow: { stage: 0, callOrder: 5, closesAt: new Date(Date.now() + 3 * SECOND), claims: [] },
+      players: [{ player: new mongoose.Types.ObjectId(), disconnectedAt: new Date() }]
+    });
+    jest.spyOn(Game, 'find').mockResolvedValue([game]);
+    return game;
+  }
+
+  const timersOf = game => [...gameService.gameTimers.keys()].filter(key => key.includes(game._id.toString()));
+
+  let game;
+
+  afterEach(async () => {
+    gameService.disarmGame(game._id);
+    await stateStore.delete(`lease:game:${game._id}`);
+  });
+
+  test('a game whose lease lapsed is taken over with the timers its document records', async () => {
+    game = createRunningGame();
+
+    expect(await gameService.sweepGames()).toBe(1);
+
+    expect(await leaderService.getLeader(`game:${game._id}`)).toBe(leaderService.nodeId);
+    expect(timersOf(game).sort()).toEqual([
+      `claim_${game._id}`,
+      `game_${game._id}`,
+      `grace_${game._id}_${game.players[0].player}`
+    ]);
+  });
+
+  test('a game another node still drives is left to it', async () => {
+    game = createRunningGame();
+    await stateStore.setIfAbsent(`lease:game:${game._id}`, 'node-b', 10 * SECOND);
+
+    expect(await gameService.sweepGames()).toBe(0);
+    expect(timersOf(game)).toEqual([]);
+  });
+
+  test('the driving node settles a claim window opened through another node', async () => {
+    game = createRunningGame();
+    const { claimWindow } = game;
+    game.claimWindow = null;
+    await gameService.sweepGames();
+    expect(timersOf(game)).not.toContain(`claim_${game._id}`);
+
+    game.claimWindow = claimWindow;
+    expect(await gameService.sweepGames()).toBe(0);
+    expect(timersOf(game)).toContain(`claim_${game._id}`);
+  });
+
+  test('a node that lost the lease stops driving the game', async () => {
+    game = createRunningGame();
+    await gameService.sweepGames();
+    await stateStore.set(`lease:game:${game._id}`, 'node-b', 10 * SECOND);
+
+    await gameService.sweepGames();
+
+    expect(gameService.isDriving(game._id)).toBe(false);
+    expect(timersOf(game)).toEqual([]);
+  });
+
+  test('a game settling its claim window is neither recovered nor re-armed meanwhile', async () => {
+    game = createRunningGame();
+    game.config.recoveryPolicy = GAME_CONSTANTS.RECOVERY_POLICIES.CANCEL;
+    await stateStore.set(`lease:game:${game._id}`, leaderService.nodeId, 10 * SECOND);
+    jest.spyOn(Game, 'findById').mockResolvedValue(game);
+    jest.spyOn(notificationService, 'notifyWinners').mockResolvedValue();
+    jest.spyOn(BingoCard, 'updateMany').mockResolvedValue({});
+    const cancel = jest.spyOn(gameService, 'cancelGame');
+    let settle;
+    jest.spyOn(game, 'settleClaimWindow').mockReturnValue(new Promise(resolve => { settle = resolve; }));
+
+    const settling = gameService.settleClaimWindow(game._id);
+    await gameService.sweepGames();
+
+    expect(cancel).not.toHaveBeenCalled();
+    expect(gameService.isDriving(game._id)).toBe(true);
+    expect(timersOf(game)).toEqual([`settling_${game._id}`]);
+
+    settle({ game, winners: [] });
+    await settling;
+
+    expect(timersOf(game)).toEqual([`number_${game._id}`]);
+  });
+
+  test('a game this node still holds the lease of is re-armed rather than recovered', async () => {
+    game = createRunningGame();
+    game.config.recoveryPolicy = GAME_CONSTANTS.RECOVERY_POLICIES.CANCEL;
+    await stateStore.set(`lease:game:${game._id}`, leaderService.nodeId, 10 * SECOND);
+    const cancel = jest.spyOn(gameService, 'cancelGame');
+
+    expect(await gameService.sweepGames()).toBe(0);
+
+    expect(cancel).not.toHaveBeenCalled();
+    expect(timersOf(game)).toContain(`claim_${game._id}`);
+  });
+});
+
+describe('claim windows', () => {
+  // Values are compared the way MongoDB compares ObjectIds and dates
+  const key = value => (value instanceof Date ? value.getTime() : String(value));
+  const same = (a, b) => (a == null || b == null ? a == b : key(a) === key(b));
+
+  // Values at a dotted path, looking into arrays on the way
+  function valuesAt(value, path) {
+    if (path.length === 0) {
+      return [value];
+    }
+    if (Array.isArray(value)) {
+      return value.flatMap(item => valuesAt(item, path));
+    }
+    return value == null ? [undefined] : valuesAt(value[path[0]], path.slice(1));
+  }
+
+  // The query operators the game model's conditional updates use
+  function matches(doc, filter) {
+    const object = doc.toObject();
+    return Object.entries(filter).every(([path, condition]) => {
+      const values = valuesAt(object, path.split('.'));
+      const [operator] = condition && condition.constructor === Object ? Object.keys(condition) : [];
+      const operand = operator && condition[operator];
+      switch (operator) {
+        case undefined:
+          return values.some(value => same(value, condition));
+        case '$ne':
+          return !values.some(value => same(value, operand));
+        case '$in':
+          return values.some(value => operand.some(candidate => same(value, candidate)));
+        case '$gt':
+          return values.some(value => value > operand);
+        case '$size':
+          return values.some(value => Array.isArray(value) && value.length === operand);
+        default:
+          throw new Error(`Operator not supported in tests: ${operator}`);
+      }
+    });
+  }
+
+  function applyUpdate(doc, update, arrayFilters = []) {
+    for (const [path, value] of Object.entries(update.$set || {})) {
+      const filtered = path.match(/^(\w+)\.\$\[(\w+)\]\.(.+)$/);
+      if (!filtered) {
+        doc.set(path, value);
+        continue;
+      }
+      const [, array, name, field] = filtered;
+      const [[filterPath, condition]] = Object.entries(arrayFilters.find(f => Object.keys(f)[0].startsWith(`${name}.`)));
+      doc[array]
+        .filter(item => matches(item, { [filterPath.slice(name.length + 1)]: condition }))
+        .forEach(item => item.set(field, value));
+    }
+    for (const [path, value] of Object.entries(update.$push || {})) {
+      doc.get(path).push(...(value.$each || [value]));
+    }
+  }
+
+  // The games collection holds just this game; the model's conditional
+  // updates apply to it in place when their filter matches
+  function storeGame(game) {
+    jest.spyOn(Game, 'findById').mockResolvedValue(game);
+    jest.spyOn(Game, 'updateOne').mockImplementation(async (filter, update) => {
+      if (!matches(game, filter)) {
+        return { modifiedCount: 0 };
+      }
+      applyUpdate(game, update);
+      return { modifiedCount: 1 };
+    });
+    jest.spyOn(Game, 'findOneAndUpdate').mockImplementation(async (filter, update, options = {}) => {
+      if (!matches(game, filter)) {
+        return null;
+      }
+      applyUpdate(game, update, options.arrayFilters);
+      return game;
+    });
+    return game;
+  }
+
+  // A running game with one card for each of three players
+  function createClaimGame(config) {
+    const game = createGame({
+      status: GAME_CONSTANTS.STATUS.IN_PROGRESS,
+      actualStartTime: new Date(),
+      config: { entryFee: 10, ...config },
+      players: [0, 1, 2].map(() => ({
+        player: new mongoose.Types.ObjectId(),
+        bingoCards: [new mongoose.Types.ObjectId()]
+      }))
+    });
+    return storeGame(game);
+  }
+
+  const claim = (game, index) => {
+    const { player, bingoCards: [card] } = game.players[index];
+    return gameService.processBingoClaim(game._id, player, 'line', [1, 2, 3, 4, 5], card);
+  };
+
+  let game;
+  let players;
+  let credit;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-03-01T12:00:00Z') });
+
+    players = new Map();
+    jest.spyOn(Player, 'findById').mockImplementation(async (id) => {
+      if (!players.has(String(id))) {
+        players.set(String(id), {
+          _id: id,
+          level: 1,
+          updateStats: jest.fn().mockResolvedValue(),
+          recordExtraBingo: jest.fn().mockResolvedValue()
+        });
+      }
+      return players.get(String(id));
+    });
+    jest.spyOn(gameService, 'validateBingoClaim').mockResolvedValue(true);
+    jest.spyOn(gameService, 'startNumberCalling').mockImplementation(() => {});
+    jest.spyOn(gameService, 'endGame').mockResolvedValue(null);
+    jest.spyOn(notificationService, 'notifyWinners').mockResolvedValue();
+    jest.spyOn(notificationService, 'notifyBingoWinner').mockResolvedValue();
+    jest.spyOn(BingoCard, 'updateMany').mockResolvedValue({});
+    credit = jest.spyOn(paymentService, 'credit').mockResolvedValue({ $locals: {} });
+  });
+
+  afterEach(() => {
+    gameService.disarmGame(game._id);
+    jest.useRealTimers();
+  });
+
+  // Prizes paid, as [player index, amount, ledger reference]
+  const payouts = () => credit.mock.calls.map(([player, amount, , , { reference }]) => [
+    game.players.findIndex(p => p.player.equals(player)),
+    amount,
+    reference
+  ]);
+  const reference = (stage, index) => `prize:${game._id}:${stage}:${game.players[index].player}:${game.players[index].bingoCards[0]}`;
+
+  test('claims on the same number split the prize, the earliest taking the odd coin', async () => {
+    game = createClaimGame({ prizePool: 101, stages: [{ pattern: 'line', share: 100 }] });
+
+    const first = await claim(game, 0);
+    jest.advanceTimersByTime(1000);
+    const second = await claim(game, 1);
+
+    expect(first.closesAt).toEqual(second.closesAt);
+    expect(second.callOrder).toBe(first.callOrder);
+    expect(gameService.gameTimers.has(`claim_${game._id}`)).toBe(true);
+
+    const settled = await gameService.settleClaimWindow(game._id);
+
+    expect(settled.gameOver).toBe(true);
+    expect(settled.winners.map(w => [w.prize, w.splitWith])).toEqual([[51, 2], [50, 2]]);
+    expect(payouts()).toEqual([[0, 51, reference(0, 0)], [1, 50, reference(0, 1)]]);
+    expect(gameService.endGame).toHaveBeenCalledWith(game._id, 'bingo');
+  });
+
+  test('a tournament round win pays nothing; the tournament pays by final position', async () => {
+    game = createClaimGame({});
+    game.tournamentRound = 1;
+
+    await claim(game, 0);
+    const settled = await gameService.settleClaimWindow(game._id);
+
+    expect(settled.winners.map(w => w.prize)).toEqual([0]);
+    expect(credit).not.toHaveBeenCalled();
+    expect(players.get(String(game.players[0].player)).updateStats).toHaveBeenCalledWith(true, 1, 0);
+  });
+
+  test('a claim after the window closed is refused, settled or not', async () => {
+    game = createClaimGame({ prizePool: 100, stages: [{ pattern: 'line', share: 100 }] });
+
+    await claim(game, 0);
+    jest.setSystemTime(new Date(Date.now() + GAME_CONSTANTS.TIMERS.BINGO_CLAIM_TIMEOUT * 1000));
+
+    await expect(claim(game, 1)).rejects.toThrow('Bingo already claimed in this game');
+
+    await gameService.settleClaimWindow(game._id);
+    await expect(claim(game, 2)).rejects.toThrow('Game is not in progress');
+
+    expect(payouts()).toEqual([[0, 100, reference(0, 0)]]);
+  });
+
+  test('each prize stage is paid its share and calling goes on until the last one', async () => {
+    game = createClaimGame({
+      prizePool: 100,
+      stages: [{ pattern: 'line', share: 30 }, { pattern: 'line', share: 70 }]
+    });
+
+    await claim(game, 0);
+    const first = await gameService.settleClaimWindow(game._id);
+
+    expect(first.gameOver).toBe(false);
+    expect(game.currentStage).toBe(1);
+    expect(gameService.startNumberCalling).toHaveBeenCalledWith(game._id, game.config.callInterval);
+    expect(gameService.endGame).not.toHaveBeenCalled();
+
+    // The same card can win the next stage
+    await claim(game, 0);
+    await claim(game, 2);
+    const last = await gameService.settleClaimWindow(game._id);
+
+    expect(last.gameOver).toBe(true);
+    expect(payouts()).toEqual([
+      [0, 30, reference(0, 0)],
+      [0, 35, reference(1, 0)],
+      [2, 35, reference(1, 2)]
+    ]);
+    expect(game.winners.map(w => w.stage)).toEqual([0, 1, 1]);
+
+    // A game only counts once in a player's stats
+    const winner = players.get(String(game.players[0].player));
+    expect(winner.updateStats).toHaveBeenCalledTimes(1);
+    expect(winner.recordExtraBingo).toHaveBeenCalledWith(35);
+  });
+});
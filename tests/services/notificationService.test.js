@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { Game, Player } = require('../../src/models');
+const notificationService = require('../../src/services/notificationService');
+const { GAME_CONSTANTS } = require('../../src/config/constants');
+
+// Notifications land in the memory channel the service uses under test
+
+const channel = notificationService.getChannel('memory');
+
+afterEach(() => {
+  channel.clear();
+  jest.restoreAllMocks();
+});
+
+describe('spectators', () => {
+  test('winners are announced to spectators by seat, without their names', async () => {
+    const [first, second] = [
+      new Player({ telegramId: 1001, firstName: 'Ada', telegramUsername: 'ada' }),
+      new Player({ telegramId: 1002, firstName: 'Bob', telegramUsername: 'bob' })
+    ];
+    const game = new Game({
+      gameId: 'GAME_1_test',
+      status: GAME_CONSTANTS.STATUS.FINISHED,
+      players: [{ player: first._id }, { player: second._id }]
+    });
+    jest.spyOn(Player, 'find').mockResolvedValue([second]);
+
+    await notificationService.notifyWinners(game, [
+      { player: second._id, pattern: 'line', stage: 0, prize: 50, winningNumbers: [1, 2, 3, 4, 5] }
+    ]);
+
+    const [toGame, toSpectators] = channel.findByType('bingo_valid');
+    expect(toGame.target).toBe(`game:${game._id}`);
+    expect(toGame.data.winners[0]).toMatchObject({ id: second._id, username: 'bob', firstName: 'Bob' });
+
+    expect(toSpectators.target).toBe(`spectate:${game._id}`);
+    expect(toSpectators.data.winners).toEqual([
+      { seat: 2, pattern: 'line', prize: 50, winningNumbers: [1, 2, 3, 4, 5] }
+    ]);
+    expect(toSpectators.data.winner).toEqual(toSpectators.data.winners[0]);
+    expect(JSON.stringify(toSpectators.data)).not.toMatch(/bob|Bob|1002/);
+  });
+
+  test('a claim is announced to spectators by seat', async () => {
+    const player = new Player({ telegramId: 1001, firstName: 'Ada', telegramUsername: 'ada' });
+    const game = new Game({ gameId: 'GAME_1_test', players: [{ player: new mongoose.Types.ObjectId() }, { player: player._id }] });
+    jest.spyOn(Game, 'findById').mockResolvedValue(game);
+
+    await notificationService.notifyBingoClaimed(game._id, { winner: player, pattern: 'line', stage: 0 }, [1, 2, 3, 4, 5]);
+
+    const spectated = channel.findByType('bingo_claimed').find(message => message.target.startsWith('spectate:'));
+    expect(spectated.data.winner).toEqual({ seat: 2 });
+  });
+});
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const { BingoCard } = require('../../src/models');
+const patternService = require('../../src/services/patternService');
+
+// Cards come from a fixed seed and are marked by position, without saving
+
+function createCard() {
+  return BingoCard.generateCard(new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId(), 'pattern-test');
+}
+
+// Mark the numbers at the given [row, col] cells; the free centre is skipped
+function mark(card, cells) {
+  for (const [row, col] of cells) {
+    const number = card.getNumberAt(row, col);
+    if (number !== null) {
+      card.markedNumbers.push({ number, position: { row, col } });
+    }
+  }
+  return card;
+}
+
+const row = r => [0, 1, 2, 3, 4].map(col => [r, col]);
+const column = c => [0, 1, 2, 3, 4].map(r => [r, c]);
+const corners = [[0, 0], [0, 4], [4, 0], [4, 4]];
+
+afterEach(() => {
+  patternService.setDefinitions([]);
+});
+
+describe('lines', () => {
+  test('a complete row or column wins a line', () => {
+    const card = mark(createCard(), row(0));
+
+    const win = patternService.findWinningPattern(card, ['line']);
+
+    expect(win.name).toBe('line');
+    expect(win.positions).toEqual(row(0).map(([r, col]) => ({ row: r, col })));
+    expect(win.numbers).toEqual(row(0).map(([r, col]) => card.getNumberAt(r, col)));
+    expect(patternService.findWinningPattern(mark(createCard(), column(4)), ['line']).name).toBe('line');
+  });
+
+  test('a line one cell short does not win', () => {
+    const card = mark(createCard(), row(0).slice(1));
+
+    expect(patternService.findWinningPattern(card, ['line', 'diagonal', 'four_corners'])).toBeNull();
+  });
+
+  test('two lines need two complete lines', () => {
+    const card = mark(createCard(), row(1));
+    expect(patternService.findWinningPattern(card, ['two_lines'])).toBeNull();
+
+    mark(card, column(3));
+    const win = patternService.findWinningPattern(card, ['two_lines']);
+
+    expect(win.name).toBe('two_lines');
+    expect(win.positions).toHaveLength(9);
+  });
+});
+
+describe('free centre', () => {
+  test('the middle row and column only need their four numbers', () => {
+    const card = mark(createCard(), row(2));
+
+    expect(card.markedNumbers).toHaveLength(4);
+    expect(patternService.findWinningPattern(card, ['line']).numbers).toContain(null);
+    expect(patternService.findWinningPattern(mark(createCard(), column(2)), ['line']).name).toBe('line');
+  });
+
+  test('both diagonals run through it', () => {
+    const diagonal = [[0, 0], [1, 1], [3, 3], [4, 4]];
+    const anti = [[0, 4], [1, 3], [3, 1], [4, 0]];
+
+    expect(patternService.findWinningPattern(mark(createCard(), diagonal), ['diagonal']).name).toBe('diagonal');
+    expect(patternService.findWinningPattern(mark(createCard(), [...diagonal, ...anti]), ['x']).name).toBe('x');
+  });
+});
+
+describe('corners', () => {
+  test('the four corners win on their own', () => {
+    const card = mark(createCard(), corners);
+
+    const win = patternService.findWinningPattern(card, ['four_corners']);
+
+    expect(win.name).toBe('four_corners');
+    expect(win.positions).toEqual(corners.map(([r, col]) => ({ row: r, col })));
+  });
+
+  test('three corners do not', () => {
+    expect(patternService.findWinningPattern(mark(createCard(), corners.slice(1)), ['four_corners'])).toBeNull();
+  });
+});
+
+describe('custom masks', () => {
+  test('masks drawn as rows of cells or given as numbers are played like the built-in shapes', () => {
+    patternService.setDefinitions([
+      {
+        name: 'plus',
+        displayName: 'Plus',
+        masks: [[
+          '..X..',
+          '..X..',
+          'XXXXX',
+          '..X..',
+          '..X..'
+        ]]
+      },
+      // Top-left and bottom-right cells
+      { name: 'opposite_corners', masks: [1 | (1 << 24)] }
+    ]);
+
+    const plus = patternService.getPattern('plus');
+    expect(plus.displayName).toBe('Plus');
+    expect(patternService.getPositions(plus.masks[0])).toHaveLength(9);
+
+    expect(patternService.findWinningPattern(mark(createCard(), row(2)), ['plus'])).toBeNull();
+    expect(patternService.findWinningPattern(mark(createCard(), [...row(2), ...column(2)]), ['plus']).name).toBe('plus');
+    expect(patternService.findWinningPattern(mark(createCard(), [[0, 0], [4, 4]]), ['opposite_corners']).name)
+      .toBe('opposite_corners');
+  });
+
+  test('a stored definition replaces the built-in pattern of the same name', () => {
+    patternService.setDefinitions([{ name: 'line', shape: 'row' }]);
+
+    expect(patternService.findWinningPattern(mark(createCard(), column(0)), ['line'])).toBeNull();
+    expect(patternService.findWinningPattern(mark(createCard(), row(0)), ['line']).name).toBe('line');
+  });
+
+  test('definitions that cannot be played are skipped', () => {
+    patternService.setDefinitions([
+      { name: 'unknown_shape', shape: 'star' },
+      { name: 'empty', masks: [['.....', '.....', '.....', '.....', '.....']] },
+      { name: 'too_big', masks: [1 << 25] },
+      { name: 'too_many', shape: 'diagonal', minMatches: 3 }
+    ]);
+
+    for (const name of ['unknown_shape', 'empty', 'too_big', 'too_many']) {
+      expect(patternService.getPattern(name)).toBeNull();
+    }
+    expect(patternService.getPattern('line')).not.toBeNull();
+    expect(() => patternService.validateNames(['line', 'empty'])).toThrow('Unknown winning pattern: empty');
+  });
+});
+
+describe('claims', () => {
+  test('a claim must be made up of the numbers of the completed pattern', () => {
+    const card = mark(createCard(), row(0));
+    const numbers = row(0).map(([r, col]) => card.getNumberAt(r, col));
+
+    expect(patternService.matchesClaim(card, 'line', numbers)).toBe(true);
+    expect(patternService.matchesClaim(card, 'line', numbers.slice(1))).toBe(false);
+    expect(patternService.matchesClaim(card, 'four_corners', numbers)).toBe(false);
+    expect(patternService.matchesClaim(card, 'no_such_pattern', numbers)).toBe(false);
+  });
+});
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const { Player, Transaction } = require('../../src/models');
+const paymentService = require('../../src/services/paymentService');
+const { ERROR_MESSAGES } = require('../../src/config/constants');
+
+// Coins move through an in-memory ledger: one player's balance and the
+// transactions recorded against it, behind the model calls the ledger makes.
+
+const playerId = new mongoose.Types.ObjectId();
+const gameId = new mongoose.Types.ObjectId();
+
+let balance;
+let ledger;
+
+const matches = (transaction, filter) => Object.entries(filter).every(([field, value]) => (
+  String(transaction[field]) === String(value)
+));
+
+beforeEach(() => {
+  balance = 50;
+  ledger = [];
+
+  jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+    withTransaction: work => work(),
+    endSession: async () => {}
+  });
+  jest.spyOn(Player, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    if (filter.coins && balance < filter.coins.$gte) {
+      return null;
+    }
+    balance += update.$inc.coins;
+    return { coins: balance };
+  });
+  jest.spyOn(Player, 'exists').mockReturnValue({ session: async () => ({ _id: playerId }) });
+
+  jest.spyOn(Transaction, 'create').mockImplementation(async ([data]) => {
+    const transaction = new Transaction(data);
+    ledger.push(transaction);
+    return [transaction];
+  });
+  jest.spyOn(Transaction, 'findOne').mockImplementation(async (filter) => {
+    const transaction = ledger.find(t => matches(t, filter));
+    return transaction ? Transaction.hydrate(transaction.toObject()) : null;
+  });
+  jest.spyOn(Transaction, 'find').mockImplementation(async filter => ledger.filter(t => matches(t, filter)));
+  jest.spyOn(Transaction, 'countDocuments').mockImplementation(async filter => ledger.filter(t => matches(t, filter)).length);
+  jest.spyOn(Transaction, 'distinct').mockImplementation(async (field, filter) => (
+    [...new Set(ledger.filter(t => matches(t, filter)).map(t => t[field]))]
+  ));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('entry fees', () => {
+  test('a retried charge with the same reference is only debited once', async () => {
+    const charge = await paymentService.processEntryFee(playerId, 10, gameId);
+    const retry = await paymentService.processEntryFee(playerId, 10, gameId);
+
+    expect(retry._id).toEqual(charge._id);
+    expect(retry.$locals.replayed).toBe(true);
+    expect(charge.$locals.replayed).toBeUndefined();
+    expect(balance).toBe(40);
+    expect(ledger).toHaveLength(1);
+  });
+
+  test('each further card is a charge of its own', async () => {
+    await paymentService.processEntryFee(playerId, 10, gameId, 0);
+    await paymentService.processEntryFee(playerId, 10, gameId, 1);
+
+    expect(balance).toBe(30);
+    expect(ledger.map(t => t.reference)).toEqual([
+      `entry:${gameId}:${playerId}:0`,
+      `entry:${gameId}:${playerId}:0:1`
+    ]);
+  });
+
+  test('a player without enough coins is refused and nothing is recorded', async () => {
+    balance = 5;
+
+    await expect(paymentService.processEntryFee(playerId, 10, gameId))
+      .rejects.toThrow(ERROR_MESSAGES.PLAYER.INSUFFICIENT_COINS);
+
+    expect(balance).toBe(5);
+    expect(ledger).toEqual([]);
+  });
+});
+
+describe('refunds', () => {
+  test('refunding a game again pays nobody twice', async () => {
+    await paymentService.processEntryFee(playerId, 10, gameId, 0);
+    await paymentService.processEntryFee(playerId, 10, gameId, 1);
+
+    expect(await paymentService.refundGame(gameId, 'admin')).toEqual([{ player: playerId, amount: 20 }]);
+    expect(await paymentService.refundGame(gameId, 'admin')).toEqual([]);
+
+    expect(balance).toBe(50);
+    expect(ledger.filter(t => t.type === 'refund')).toHaveLength(2);
+  });
+
+  test('a player refunded out of a game pays a new charge to join again', async () => {
+    await paymentService.processEntryFee(playerId, 10, gameId);
+    await paymentService.refundEntryFee(playerId, gameId, 'left_lobby');
+
+    const rejoin = await paymentService.processEntryFee(playerId, 10, gameId);
+
+    expect(rejoin.$locals.replayed).toBeUndefined();
+    expect(rejoin.reference).toBe(`entry:${gameId}:${playerId}:1`);
+    expect(balance).toBe(40);
+  });
+});
+
+describe('tournament prizes', () => {
+  test('players tied on a position are each paid, once', async () => {
+    const roomId = new mongoose.Types.ObjectId();
+    const other = new mongoose.Types.ObjectId();
+
+    const first = await paymentService.awardTournamentPrize(playerId, 15, roomId, 2);
+    const tied = await paymentService.awardTournamentPrize(other, 15, roomId, 2);
+    const retry = await paymentService.awardTournamentPrize(playerId, 15, roomId, 2);
+
+    expect(tied.$locals.replayed).toBeUndefined();
+    expect(retry._id).toEqual(first._id);
+    expect(ledger).toHaveLength(2);
+  });
+});
@@ -0,0 +1,62 @@
+const { Player, Transaction } = require('../../src/models');
+const playerService = require('../../src/services/playerService');
+const paymentService = require('../../src/services/paymentService');
+
+// The players collection is a map from Telegram id to the stored player,
+// behind the one upsert a login makes
+
+const user = { id: 1001, first_name: 'Ada', username: 'ada' };
+
+let stored;
+
+beforeEach(() => {
+  stored = new Map();
+
+  jest.spyOn(Player, 'findOneAndUpdate').mockImplementation(async ({ telegramId }, update, options) => {
+    const existing = stored.get(telegramId);
+    const player = existing || new Player({ telegramId, ...update.$setOnInsert });
+    player.set(update.$set);
+    stored.set(telegramId, player);
+    return options.includeResultMetadata
+      ? { value: player, lastErrorObject: { updatedExisting: Boolean(existing) } }
+      : player;
+  });
+  jest.spyOn(paymentService, 'credit').mockResolvedValue(null);
+  jest.spyOn(Transaction, 'getPlayerBalance').mockResolvedValue(100);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('logging in', () => {
+  test('a first login creates the player with a referral code and the welcome bonus, later ones only update it', async () => {
+    const created = await playerService.createOrUpdatePlayer(user);
+
+    expect(created.referralCode).toMatch(/^BINGO[A-Z0-9]{6}$/);
+    expect(created.coins).toBe(100);
+
+    const updated = await playerService.createOrUpdatePlayer({ id: 1001, first_name: 'Ada L.' });
+
+    expect(updated.firstName).toBe('Ada L.');
+    expect(updated.telegramUsername).toBe('ada');
+    expect(paymentService.credit).toHaveBeenCalledTimes(1);
+    expect(paymentService.credit).toHaveBeenCalledWith(created._id, 100, 'bonus', 'Welcome bonus', {
+      reference: `welcome:${created._id}`
+    });
+  });
+
+  test('a login that lost the race to insert the player updates the one that won', async () => {
+    const upsert = Player.findOneAndUpdate.getMockImplementation();
+    Player.findOneAndUpdate.mockImplementationOnce(async (filter, update, options) => {
+      await upsert(filter, update, options);
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    });
+
+    const player = await playerService.createOrUpdatePlayer(user);
+
+    expect(Player.findOneAndUpdate).toHaveBeenCalledTimes(2);
+    expect(stored.get(1001)).toBe(player);
+    expect(paymentService.credit).not.toHaveBeenCalled();
+  });
+});
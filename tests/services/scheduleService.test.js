@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+const { Game, Room, Player, Schedule } = require('../../src/models');
+const scheduleService = require('../../src/services/scheduleService');
+const gameService = require('../../src/services/gameService');
+const leaderService = require('../../src/services/leaderService');
+const notificationService = require('../../src/services/notificationService');
+const { validateOutgoing } = require('../../src/midlleware/socketProtocol');
+const { GAME_CONSTANTS, SOCKET_EVENTS, ERROR_MESSAGES } = require('../../src/config/constants');
+
+// Schedules are run against in-memory rooms and games; the queries the
+// service makes are stubbed out.
+
+const { STATUS } = GAME_CONSTANTS.SCHEDULE;
+const HOUR = 60 * 60 * 1000;
+const at = iso => new Date(iso);
+
+function createSchedule(fields, nextRunAt) {
+  const room = Room.createPublicRoom('Hourly');
+  room.set({ config: { entryFee: 10, maxPlayers: 100 } });
+  const schedule = new Schedule({ name: 'Hourly', room: room._id, ...fields }).setNextRun(nextRunAt);
+  room.schedule = schedule._id;
+
+  jest.spyOn(schedule, 'save').mockResolvedValue(schedule);
+  jest.spyOn(room, 'closeRoom').mockResolvedValue(room);
+  jest.spyOn(Room, 'findById').mockResolvedValue(room);
+  jest.spyOn(Room, 'findByIdAndUpdate').mockImplementation(async () => {
+    room.schedule = null;
+    return room;
+  });
+  return { schedule, room };
+}
+
+// A game opened by the schedule, with the given number of players joined
+function openGame(schedule, room, players = 0) {
+  const game = new Game({
+    gameId: 'GAME_1_test',
+    room: room._id,
+    schedule: schedule._id,
+    scheduledFor: schedule.nextRunAt,
+    config: { entryFee: 10, maxPlayers: 100, minPlayers: 2 },
+    players: Array.from({ length: players }, () => ({ player: new mongoose.Types.ObjectId() })),
+    fairness: { serverSeed: 'seed', serverSeedHash: 'hash' }
+  });
+  schedule.currentGame = game._id;
+  jest.spyOn(Game, 'findById').mockResolvedValue(game);
+  return game;
+}
+
+const memory = notificationService.getChannel('memory');
+
+beforeEach(() => {
+  memory.clear();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('next start', () => {
+  test('a cron expression starts at the next matching minute', () => {
+    const hourly = { cron: '0 * * * *' };
+
+    expect(scheduleService.getNextRun(hourly, at('2026-03-01T10:00:00Z'))).toEqual(at('2026-03-01T11:00:00Z'));
+    expect(scheduleService.getNextRun(hourly, at('2026-03-01T10:59:30Z'))).toEqual(at('2026-03-01T11:00:00Z'));
+  });
+
+  test('a cron expression is read in the schedule\'s time zone', () => {
+    const mornings = { cron: '30 9 * * 1', timezone: 'Africa/Addis_Ababa' };
+
+    // Sunday 1 March 2026; 09:30 in Addis Ababa is 06:30 UTC
+    expect(scheduleService.getNextRun(mornings, at('2026-03-01T12:00:00Z'))).toEqual(at('2026-03-02T06:30:00Z'));
+  });
+
+  test('a single start is only ahead until it has passed', () => {
+    const once = { startsAt: at('2026-03-01T12:00:00Z') };
+
+    expect(scheduleService.getNextRun(once, at('2026-03-01T11:00:00Z'))).toEqual(once.startsAt);
+    expect(scheduleService.getNextRun(once, at('2026-03-01T12:00:00Z'))).toBeNull();
+  });
+
+  test('expressions are read to the minute, in a known time zone', () => {
+    expect(() => scheduleService.getNextRun({ cron: '*/30 * * * * *' }))
+      .toThrow(ERROR_MESSAGES.SCHEDULE.INVALID_CRON);
+    expect(() => scheduleService.getNextRun({ cron: '0 25 * * *' }))
+      .toThrow(ERROR_MESSAGES.SCHEDULE.INVALID_CRON);
+    expect(() => scheduleService.getNextRun({ cron: '0 * * * *', timezone: 'Mars/Olympus_Mons' }))
+      .toThrow(ERROR_MESSAGES.SCHEDULE.INVALID_TIMEZONE);
+  });
+});
+
+describe('running a schedule', () => {
+  test('registration opens before the start and the players online are told', async () => {
+    const start = new Date(Date.now() + 2 * 60 * 1000);
+    const { schedule, room } = createSchedule({ cron: '0 * * * *' }, start);
+    const game = openGame(schedule, room);
+    schedule.currentGame = null;
+    const createGame = jest.spyOn(gameService, 'createGame').mockResolvedValue(game);
+    const online = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+    jest.spyOn(Player, 'find').mockReturnValue({ select: async () => online.map(_id => ({ _id })) });
+
+    await scheduleService.run(schedule, new Date());
+
+    expect(createGame).toHaveBeenCalledWith(room._id, expect.objectContaining({ schedule: schedule._id, scheduledFor: start }));
+    expect(schedule.currentGame).toEqual(game._id);
+
+    const [upcoming] = memory.findByType('upcoming_game');
+    expect(upcoming.players).toEqual(online.map(id => id.toString()));
+    expect(upcoming.data).toMatchObject({ gameId: game.id, startsAt: start, entryFee: 10, maxPlayers: 100 });
+    expect(validateOutgoing(SOCKET_EVENTS.UPCOMING_GAME, upcoming.data)).toBeNull();
+  });
+
+  test('registration waits while the room still has a game going', async () => {
+    const { schedule, room } = createSchedule({ cron: '0 * * * *' }, new Date(Date.now() + 60 * 1000));
+    room.currentGame = new mongoose.Types.ObjectId();
+    const createGame = jest.spyOn(gameService, 'createGame');
+
+    expect(await scheduleService.run(schedule, new Date())).toBeNull();
+    expect(createGame).not.toHaveBeenCalled();
+    expect(schedule.currentGame).toBeNull();
+  });
+
+  test('a due game starts and the schedule moves on to its next start', async () => {
+    const { schedule, room } = createSchedule({ cron: '0 * * * *' }, at('2026-03-01T11:00:00Z'));
+    const game = openGame(schedule, room, 3);
+    const startGame = jest.spyOn(gameService, 'startGame').mockResolvedValue(game);
+
+    await scheduleService.run(schedule, at('2026-03-01T11:00:10Z'));
+
+    expect(startGame).toHaveBeenCalledWith(game._id);
+    expect(schedule.currentGame).toBeNull();
+    expect(schedule.lastRunAt).toEqual(at('2026-03-01T11:00:00Z'));
+    expect(schedule.runCount).toBe(1);
+    expect(schedule.nextRunAt).toEqual(at('2026-03-01T12:00:00Z'));
+    expect(schedule.opensAt).toEqual(at('2026-03-01T11:55:00Z'));
+    expect(schedule.status).toBe(STATUS.ACTIVE);
+  });
+
+  test('a game too few joined is cancelled, and a single start completes the schedule', async () => {
+    const startsAt = at('2026-03-01T11:00:00Z');
+    const { schedule, room } = createSchedule({ startsAt }, startsAt);
+    const game = openGame(schedule, room, 1);
+    const cancelGame = jest.spyOn(gameService, 'cancelGame').mockResolvedValue(game);
+    const startGame = jest.spyOn(gameService, 'startGame');
+
+    await scheduleService.run(schedule, at('2026-03-01T11:00:10Z'));
+
+    expect(startGame).not.toHaveBeenCalled();
+    expect(cancelGame).toHaveBeenCalledWith(game._id, 'not_enough_players');
+    expect(schedule.status).toBe(STATUS.COMPLETED);
+    expect(schedule.nextRunAt).toBeNull();
+    expect(room.schedule).toBeNull();
+    expect(room.closeRoom).toHaveBeenCalled();
+  });
+
+  test('a start that fell due while nothing was open is skipped', async () => {
+    const { schedule } = createSchedule({ cron: '0 * * * *' }, at('2026-03-01T08:00:00Z'));
+    const startGame = jest.spyOn(gameService, 'startGame');
+
+    // The server was down from 07:50 to 10:20
+    await scheduleService.run(schedule, at('2026-03-01T10:20:00Z'));
+
+    expect(startGame).not.toHaveBeenCalled();
+    expect(schedule.nextRunAt).toEqual(at('2026-03-01T11:00:00Z'));
+  });
+
+  test('only the node holding the scheduler lease runs the schedules', async () => {
+    jest.spyOn(leaderService, 'acquire').mockResolvedValue(false);
+    const find = jest.spyOn(Schedule, 'find');
+
+    expect(await scheduleService.tick()).toBe(0);
+    expect(find).not.toHaveBeenCalled();
+  });
+});
+
+describe('managing a schedule', () => {
+  test('pausing refunds the game open for registration', async () => {
+    const { schedule, room } = createSchedule({ cron: '0 * * * *' }, new Date(Date.now() + 60 * 1000));
+    const game = openGame(schedule, room, 3);
+    jest.spyOn(Schedule, 'findById').mockReturnValue({ populate: async () => schedule, then: resolve => resolve(schedule) });
+    jest.spyOn(Schedule, 'findOneAndUpdate').mockImplementation(async () => {
+      schedule.status = STATUS.PAUSED;
+      return schedule;
+    });
+    const cancelGame = jest.spyOn(gameService, 'cancelGame').mockResolvedValue(game);
+
+    const view = await scheduleService.pauseSchedule(schedule._id);
+
+    expect(cancelGame).toHaveBeenCalledWith(game._id, 'schedule_paused');
+    expect(view).toMatchObject({ status: STATUS.PAUSED, currentGame: null });
+  });
+
+  test('a schedule without a start ahead is refused', async () => {
+    const save = jest.spyOn(Room.prototype, 'save');
+
+    await expect(scheduleService.createSchedule({ name: 'Yesterday', startsAt: new Date(Date.now() - HOUR) }))
+      .rejects.toThrow(ERROR_MESSAGES.SCHEDULE.NO_UPCOMING_START);
+    expect(save).not.toHaveBeenCalled();
+  });
+});
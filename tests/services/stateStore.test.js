@@ -0,0 +1,109 @@
+jest.mock('ioredis', () => require('ioredis-mock'));
+
+const MemoryStore = require('../../src/services/stateStores/memoryStore');
+const RedisStore = require('../../src/services/stateStores/redisStore');
+const stateStore = require('../../src/services/stateStore');
+const leaderService = require('../../src/services/leaderService');
+
+// Both stores are held to the same behaviour; Redis runs against ioredis-mock,
+// which shares its data between every connection to the same URL.
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const stores = [
+  ['memory', () => new MemoryStore()],
+  ['redis', () => new RedisStore({ url: 'redis://localhost:6379/0' })]
+];
+
+describe.each(stores)('%s store', (name, createStore) => {
+  let store;
+  let previous;
+
+  beforeEach(() => {
+    previous = stateStore.store;
+    store = stateStore.use(createStore());
+  });
+
+  afterEach(async () => {
+    if (store.client) {
+      await store.client.flushall();
+    }
+    await store.close();
+    stateStore.use(previous);
+  });
+
+  test('values come back as they were stored and expire with their ttl', async () => {
+    await stateStore.set('game:1', { calledNumbers: [7, 42] });
+    await stateStore.set('game:2', 'draw', 30);
+
+    expect(await stateStore.get('game:1')).toEqual({ calledNumbers: [7, 42] });
+    expect(await stateStore.get('game:2')).toBe('draw');
+
+    await sleep(60);
+    expect(await stateStore.get('game:2')).toBeNull();
+
+    await stateStore.delete('game:1');
+    expect(await stateStore.get('game:1')).toBeNull();
+  });
+
+  test('only the holder of a value renews or deletes it', async () => {
+    expect(await stateStore.setIfAbsent('claim', 'node-a', 1000)).toBe(true);
+    expect(await stateStore.setIfAbsent('claim', 'node-b', 1000)).toBe(false);
+
+    expect(await stateStore.extendIfEqual('claim', 'node-b', 1000)).toBe(false);
+    expect(await stateStore.deleteIfEqual('claim', 'node-b')).toBe(false);
+    expect(await stateStore.extendIfEqual('claim', 'node-a', 1000)).toBe(true);
+    expect(await stateStore.deleteIfEqual('claim', 'node-a')).toBe(true);
+
+    expect(await stateStore.get('claim')).toBeNull();
+  });
+
+  test('messages reach every subscriber of the channel until they unsubscribe', async () => {
+    const received = [];
+    const handler = message => received.push(message);
+    await stateStore.subscribe('events', handler);
+
+    await stateStore.publish('events', 'first');
+    await stateStore.publish('other', 'elsewhere');
+    await sleep(10);
+    await stateStore.unsubscribe('events', handler);
+    await stateStore.publish('events', 'second');
+    await sleep(10);
+
+    expect(received).toEqual(['first']);
+  });
+
+  describe('leader leases', () => {
+    const nodeId = leaderService.nodeId;
+
+    afterEach(() => {
+      leaderService.nodeId = nodeId;
+    });
+
+    // Run a lease call as the given node
+    async function as(node, call) {
+      leaderService.nodeId = node;
+      return call();
+    }
+
+    test('one node leads a resource until it releases it', async () => {
+      expect(await as('node-a', () => leaderService.acquire('game:1', 1000))).toBe(true);
+      expect(await as('node-b', () => leaderService.acquire('game:1', 1000))).toBe(false);
+      expect(await as('node-a', () => leaderService.acquire('game:1', 1000))).toBe(true);
+      expect(await leaderService.getLeader('game:1')).toBe('node-a');
+
+      expect(await as('node-b', () => leaderService.release('game:1'))).toBe(false);
+      expect(await as('node-a', () => leaderService.release('game:1'))).toBe(true);
+      expect(await as('node-b', () => leaderService.acquire('game:1', 1000))).toBe(true);
+    });
+
+    test('another node takes over once the lease lapses', async () => {
+      await as('node-a', () => leaderService.acquire('game:1', 30));
+      await sleep(60);
+
+      expect(await as('node-b', () => leaderService.acquire('game:1', 1000))).toBe(true);
+      expect(await as('node-a', () => leaderService.acquire('game:1', 1000))).toBe(false);
+      expect(await leaderService.getLeader('game:1')).toBe('node-b');
+    });
+  });
+});
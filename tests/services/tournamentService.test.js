@@ -0,0 +1,208 @@
+const mongoose = require('mongoose');
+const { Game, Room, Player, BingoCard } = require('../../src/models');
+const tournamentService = require('../../src/services/tournamentService');
+const gameService = require('../../src/services/gameService');
+const roomService = require('../../src/services/roomService');
+const paymentService = require('../../src/services/paymentService');
+const notificationService = require('../../src/services/notificationService');
+const { validateOutgoing } = require('../../src/midlleware/socketProtocol');
+const { GAME_CONSTANTS, SOCKET_EVENTS, ERROR_MESSAGES } = require('../../src/config/constants');
+
+// Rounds are decided from in-memory rooms and games; the queries the service
+// makes are stubbed out.
+
+const { STATUS } = GAME_CONSTANTS.TOURNAMENT;
+const ids = count => Array.from({ length: count }, () => new mongoose.Types.ObjectId());
+
+function createTournament(players, settings = {}) {
+  const room = Room.createTournamentRoom('Sunday Cup');
+  players.forEach(player => room.players.push({ player }));
+  room.set({
+    tournament: {
+      isTournament: true,
+      status: STATUS.IN_PROGRESS,
+      buyIn: 10,
+      prizePool: 100,
+      prizes: GAME_CONSTANTS.TOURNAMENT.DEFAULT_PRIZES,
+      maxRounds: 3,
+      ...settings
+    }
+  });
+  jest.spyOn(room, 'save').mockResolvedValue(room);
+  return room;
+}
+
+// The game of the current round, entered in the bracket
+function playRound(room, players, { winners = [], status = GAME_CONSTANTS.STATUS.FINISHED } = {}) {
+  const game = new Game({
+    gameId: `GAME_${room.tournament.currentRound}_test`,
+    room: room._id,
+    status,
+    tournamentRound: room.tournament.currentRound,
+    players: players.map(player => ({ player, cardCount: 1 })),
+    winners: winners.map(player => ({ player, stage: 0, prize: 0 })),
+    fairness: { serverSeed: 'seed', serverSeedHash: 'hash' }
+  });
+  room.tournament.rounds.push({ round: room.tournament.currentRound, game: game._id, players });
+  return game;
+}
+
+// Cards with the given number of marks per player
+const markCards = marks => jest.spyOn(BingoCard, 'find').mockResolvedValue(
+  marks.map(([player, count]) => ({ player, markedNumbers: Array.from({ length: count }, (_, i) => i + 1) }))
+);
+
+const memory = notificationService.getChannel('memory');
+
+beforeEach(() => {
+  jest.spyOn(Player, 'find').mockResolvedValue([]);
+  jest.spyOn(tournamentService, 'scheduleRound').mockImplementation(() => {});
+  memory.clear();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('tournament rounds', () => {
+  test('winners finish first, then the others by progress; players without a seat come last', async () => {
+    const [a, b, c, d, e] = ids(5);
+    const room = createTournament([a, b, c, d, e]);
+    const game = playRound(room, [a, b, c, d], { winners: [c] });
+    markCards([[a, 10], [b, 12], [c, 14], [d, 10]]);
+
+    // e was never seated; a and d are tied and keep their order
+    expect(await tournamentService.rankPlayers(game, [a, b, c, d, e])).toEqual([c, b, a, d, e]);
+  });
+
+  test('the top half goes through and the room moves on to the next round', async () => {
+    const players = ids(5);
+    const room = createTournament(players);
+    const game = playRound(room, players, { winners: [players[4]] });
+    markCards(players.map((player, index) => [player, index]));
+
+    await tournamentService.handleGameOver(room, game);
+
+    const [round] = room.tournament.rounds;
+    expect(round.finishedAt).toBeInstanceOf(Date);
+    expect(round.results.map(r => [r.player, r.position, r.advanced])).toEqual([
+      [players[4], 1, true],
+      [players[3], 2, true],
+      [players[2], 3, true],
+      [players[1], 4, false],
+      [players[0], 5, false]
+    ]);
+    expect(room.tournament.currentRound).toBe(2);
+    expect(tournamentService.getRoundPlayers(room, 2)).toEqual([players[4], players[3], players[2]]);
+    expect(tournamentService.scheduleRound).toHaveBeenCalledWith(room._id);
+
+    const [bracket] = memory.findByType('tournament_bracket');
+    const [standings] = memory.findByType('tournament_standings');
+    expect(bracket.target).toBe(`tournament:${room._id}`);
+    expect(standings.data.standings.map(s => s.status)).toEqual(['through', 'through', 'through', 'eliminated', 'eliminated']);
+    expect(validateOutgoing(SOCKET_EVENTS.TOURNAMENT_BRACKET, bracket.data)).toBeNull();
+    expect(validateOutgoing(SOCKET_EVENTS.TOURNAMENT_STANDINGS, standings.data)).toBeNull();
+  });
+
+  test('the last round pays the prize table by final position', async () => {
+    const award = jest.spyOn(paymentService, 'awardTournamentPrize').mockResolvedValue({});
+    const [a, b, c, d] = ids(4);
+    const room = createTournament([a, b, c, d], { currentRound: 2, maxRounds: 2 });
+    room.tournament.rounds.push({
+      round: 1,
+      players: [a, b, c, d],
+      results: [
+        { player: c, position: 1, advanced: true },
+        { player: a, position: 2, advanced: true },
+        { player: d, position: 3, advanced: false },
+        { player: b, position: 4, advanced: false }
+      ],
+      finishedAt: new Date()
+    });
+    const game = playRound(room, [c, a], { winners: [a] });
+    markCards([]);
+
+    await tournamentService.handleGameOver(room, game);
+
+    expect(room.tournament.status).toBe(STATUS.FINISHED);
+    expect(room.status).toBe('finished');
+    expect(award.mock.calls).toEqual([
+      [a, 50, room._id, 1],
+      [c, 30, room._id, 2],
+      [d, 20, room._id, 3]
+    ]);
+    expect(room.tournament.winners.map(w => [w.player, w.round, w.position, w.prize])).toEqual([
+      [a, 2, 1, 50],
+      [c, 2, 2, 30],
+      [d, 1, 3, 20]
+    ]);
+    expect(tournamentService.getStandings(room).map(s => [s.player, s.status, s.prize])).toEqual([
+      [a, 'finished', 50],
+      [c, 'finished', 30],
+      [d, 'eliminated', 20],
+      [b, 'eliminated', 0]
+    ]);
+    expect(tournamentService.scheduleRound).not.toHaveBeenCalled();
+  });
+
+  test('a round down to two players is the final', async () => {
+    jest.spyOn(paymentService, 'awardTournamentPrize').mockResolvedValue({});
+    const players = ids(2);
+    const room = createTournament(players, { maxRounds: 5 });
+    const game = playRound(room, players, { winners: [players[1]] });
+    markCards([]);
+
+    await tournamentService.handleGameOver(room, game);
+
+    expect(room.tournament.currentRound).toBe(1);
+    expect(room.tournament.status).toBe(STATUS.FINISHED);
+    expect(room.tournament.rounds[0].results.every(r => !r.advanced)).toBe(true);
+  });
+
+  test('a cancelled round game is played again', async () => {
+    const players = ids(4);
+    const room = createTournament(players);
+    const game = playRound(room, players, { status: GAME_CONSTANTS.STATUS.CANCELLED });
+
+    await tournamentService.handleGameOver(room, game);
+
+    expect(room.tournament.rounds[0].finishedAt).toBeUndefined();
+    expect(room.tournament.currentRound).toBe(1);
+    expect(tournamentService.scheduleRound).toHaveBeenCalledWith(room._id);
+  });
+});
+
+describe('tournament registration', () => {
+  test('the buy-in is refunded when the last place went in the meantime', async () => {
+    const [playerId] = ids(1);
+    const room = createTournament([], { status: STATUS.REGISTRATION });
+    jest.spyOn(Room, 'findById').mockResolvedValue(room);
+    jest.spyOn(Room, 'findOneAndUpdate').mockResolvedValue(null);
+    const charge = { $locals: {} };
+    jest.spyOn(paymentService, 'processBuyIn').mockResolvedValue(charge);
+    const refund = jest.spyOn(paymentService, 'refundBuyIn').mockResolvedValue(null);
+
+    await expect(tournamentService.register(room._id, playerId))
+      .rejects.toThrow(ERROR_MESSAGES.TOURNAMENT.REGISTRATION_FAILED);
+    expect(refund).toHaveBeenCalledWith(playerId, room._id, 'registration_failed');
+  });
+
+  test('tournament rooms and round games are not entered without registering', async () => {
+    const room = createTournament([], { status: STATUS.REGISTRATION });
+    jest.spyOn(Room, 'findById').mockResolvedValue(room);
+    jest.spyOn(Game, 'findById').mockResolvedValue(playRound(room, [], { status: GAME_CONSTANTS.STATUS.WAITING }));
+
+    await expect(roomService.joinRoom(room._id, ids(1)[0]))
+      .rejects.toThrow(ERROR_MESSAGES.TOURNAMENT.REGISTRATION_REQUIRED);
+    await expect(gameService.joinGame(room.tournament.rounds[0].game, ids(1)[0]))
+      .rejects.toThrow(ERROR_MESSAGES.TOURNAMENT.REGISTRATION_REQUIRED);
+  });
+
+  test('prize tables need distinct positions and at most the whole pool', () => {
+    expect(() => tournamentService.validatePrizes([{ position: 1, share: 60 }, { position: 2, share: 40 }])).not.toThrow();
+    expect(() => tournamentService.validatePrizes([{ position: 1, share: 60 }, { position: 1, share: 10 }]))
+      .toThrow(ERROR_MESSAGES.TOURNAMENT.INVALID_PRIZES);
+    expect(() => tournamentService.validatePrizes([{ position: 1, share: 80 }, { position: 2, share: 30 }]))
+      .toThrow(ERROR_MESSAGES.TOURNAMENT.INVALID_PRIZES);
+  });
+});
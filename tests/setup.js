@@ -0,0 +1,16 @@
+// Runs before every test file. Configuration is validated when it is first
+// required, so the environment has to be complete before any app module loads.
+process.env.NODE_ENV = 'test';
+process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/bingo-test';
+process.env.TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN || '123456:test-bot-token';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+delete process.env.REDIS_URL;
+
+// Request logs and service error logs are expected noise in tests
+global.console = {
+  ...console,
+  log: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {}
+};
@@ -0,0 +1,42 @@
+const { createPrng, randomSeed } = require('../../src/utils/prng');
+
+const draw = (random, count) => Array.from({ length: count }, () => random.nextUint32());
+
+describe('createPrng', () => {
+  test('the same seed gives the same sequence', () => {
+    expect(draw(createPrng('card-seed'), 20)).toEqual(draw(createPrng('card-seed'), 20));
+    expect(draw(createPrng('card-seed'), 20)).not.toEqual(draw(createPrng('card-seed-2'), 20));
+  });
+
+  test('numbers stay within their ranges', () => {
+    const random = createPrng('ranges');
+
+    for (let i = 0; i < 1000; i++) {
+      const float = random.next();
+      expect(float).toBeGreaterThanOrEqual(0);
+      expect(float).toBeLessThan(1);
+
+      const int = random.nextInt(15);
+      expect(Number.isInteger(int)).toBe(true);
+      expect(int).toBeGreaterThanOrEqual(0);
+      expect(int).toBeLessThan(15);
+    }
+  });
+
+  test('a shuffle is a reproducible permutation that leaves its input alone', () => {
+    const items = Array.from({ length: 15 }, (_, i) => i + 1);
+
+    const shuffled = createPrng('shuffle').shuffle(items);
+
+    expect(shuffled).toEqual(createPrng('shuffle').shuffle(items));
+    expect([...shuffled].sort((a, b) => a - b)).toEqual(items);
+    expect(items).toEqual(Array.from({ length: 15 }, (_, i) => i + 1));
+  });
+});
+
+describe('randomSeed', () => {
+  test('seeds are fresh 128-bit hex strings', () => {
+    expect(randomSeed()).toMatch(/^[0-9a-f]{32}$/);
+    expect(randomSeed()).not.toBe(randomSeed());
+  });
+});